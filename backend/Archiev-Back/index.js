@@ -5,15 +5,107 @@ const mongoose = require('mongoose');
 const morgan = require('morgan');
 const helmet = require('helmet');
 const cors = require('cors');
+const archiver = require('archiver');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const PDFDocument = require('pdfkit');
 const { body, query, param, validationResult } = require('express-validator');
 
+const { escapeRegExp } = require('./utils/text');
+const { hashFile } = require('./utils/hash');
 const DocumentModel = require('./models/document');
-
-const { MONTHS, INVOICE_TYPES } = DocumentModel;
+const User = require('./models/user');
+const AuditEvent = require('./models/auditEvent');
+
+const { ACCESS_SCOPES } = User;
+const { AUDIT_ACTIONS } = AuditEvent;
+const {
+  ROLES,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  authenticate,
+  requireRole,
+} = require('./services/auth');
+const { applyAccessScope, canAccessDocument } = require('./services/access');
+const {
+  normaliseDigits,
+  parseAmount,
+  normaliseInvoiceType,
+  normaliseTags,
+} = require('./services/metadata');
+const {
+  uploadsDir,
+  trashDir,
+  sanitizeDirectoryName,
+  sanitizeFileBaseName,
+  resolveHierarchyDirectory,
+  toRelativeStoragePath,
+  buildHierarchyStoragePath,
+} = require('./services/storage');
+const { storageDriver } = require('./services/storageDrivers');
+const {
+  storeFile,
+  listDocumentFiles,
+  openStoredFile,
+  openStoredFileLazily,
+  withStoredFile,
+} = require('./services/storedFiles');
+const { moveFiles, commitFileMoves, rollBackFileMoves, recoverFileMoves } = require('./services/moveJournal');
+const {
+  IMAGE_PDF_PAGE_SIZES,
+  IMAGE_PDF_FITS,
+  isImageMimeType,
+  createPdfFromImages,
+} = require('./services/imagePdf');
+const { buildPreviewFileName, generatePreviews, deletePreviews } = require('./services/thumbnails');
+const { detectMimeType } = require('./services/fileType');
+const { findContentWarnings } = require('./services/pdfCheck');
+const { scanFiles } = require('./services/scanners');
+const {
+  IMPORT_ROOT,
+  MANIFEST_FORMATS,
+  IMPORT_DUPLICATE_POLICIES,
+  runImport,
+  buildImportReportCsv,
+} = require('./services/documentImport');
+const { scanFolderTree } = require('./services/folderScan');
+const { createPdfDocumentRecord, matchContentHash } = require('./services/documentRecords');
+const {
+  parsePageRanges,
+  formatPageRanges,
+  loadPdf,
+  countPdfPages,
+  buildPdfFromPages,
+} = require('./services/pdfPages');
+const { runIntegrityCheck, relinkOrphan, quarantineOrphan, flagDocument } = require('./services/integrity');
+const { extractDocumentText, buildSnippet } = require('./services/fullText');
+const { buildDocumentFilters } = require('./services/documentFilters');
+const {
+  DOCUMENT_SORTS,
+  resolveSort,
+  buildSortStage,
+  buildCursorFilter,
+  encodeCursor,
+  decodeCursor,
+} = require('./services/documentSort');
+const {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  writeDocumentExport,
+  buildManifestCsv,
+} = require('./services/export');
+const { OCR_ENABLED, needsOcr, buildPendingOcr, drainOcrQueue, scheduleOcrQueue } = require('./services/ocrQueue');
+const {
+  REVISION_ACTIONS,
+  REVERTIBLE_FIELDS,
+  snapshotDocument,
+  diffSnapshots,
+  recordAuditEvent,
+} = require('./services/audit');
+
+const { MONTHS, matchFileVersion } = DocumentModel;
 
 const Document = DocumentModel;
 
@@ -27,30 +119,70 @@ if (!MONGO_URI) {
   process.exit(1);
 }
 
-mongoose
-  .connect(MONGO_URI)
-  .then(() => {
-    console.log('Connected to MongoDB');
-    app.listen(PORT, () => {
-      console.log(`Archive backend listening on port ${PORT}`);
-    });
-  })
-  .catch((error) => {
-    console.error('Failed to connect to MongoDB', error);
-    process.exit(1);
-  });
+if (!process.env.JWT_SECRET) {
+  console.error('Environment variable JWT_SECRET is required to start the service.');
+  process.exit(1);
+}
 
-const uploadsDir = process.env.UPLOAD_DIR
-  ? path.isAbsolute(process.env.UPLOAD_DIR)
-    ? process.env.UPLOAD_DIR
-    : path.join(__dirname, process.env.UPLOAD_DIR)
-  : path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+const TRASH_PURGE_INTERVAL_HOURS = Number(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24;
+
+const DUPLICATE_POLICIES = ['reject', 'warn', 'allow'];
+const BULK_DOCUMENT_LIMIT = Number(process.env.BULK_DOCUMENT_LIMIT) || 500;
+const MERGE_DOCUMENT_LIMIT = 20;
+const SPLIT_PART_LIMIT = 50;
+
+// Whether uploaded images are kept next to the PDF made from them when the upload does not say.
+const KEEP_IMAGE_ORIGINALS = process.env.KEEP_IMAGE_ORIGINALS === 'true';
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
+// Loaded by the route tests, the app neither connects to MongoDB nor listens.
+if (require.main === module) {
+  mongoose
+    .connect(MONGO_URI)
+    .then(async () => {
+      console.log('Connected to MongoDB');
+      // Interrupted file moves are settled before any request can touch the documents involved.
+      await recoverFileMoves()
+        .then((recovered) => {
+          if (recovered > 0) {
+            console.log(`Recovered ${recovered} interrupted file move(s)`);
+          }
+        })
+        .catch((error) => {
+          console.error('Failed to recover interrupted file moves', error);
+        });
+      app.listen(PORT, () => {
+        console.log(`Archive backend listening on port ${PORT}`);
+      });
+      backfillMonthNumbers();
+      scheduleTrashPurge();
+      scheduleOcrQueue();
+    })
+    .catch((error) => {
+      console.error('Failed to connect to MongoDB', error);
+      process.exit(1);
+    });
 }
 
+
 app.use(helmet());
-app.use(cors());
+app.use(
+  cors({
+    origin: (origin, cb) => {
+      if (!origin || CORS_ORIGINS.includes(origin)) {
+        return cb(null, true);
+      }
+      return cb(null, false);
+    },
+    exposedHeaders: ['X-Archive-Estimated-Size'],
+  })
+);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(morgan('combined'));
@@ -67,29 +199,49 @@ const storage = multer.diskStorage({
   },
 });
 
+const UPLOAD_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+];
+
+// Browsers often send HEIC photos and TIFF scans without a usable type, so these are let through by extension.
+const UNTYPED_IMAGE_EXTENSIONS = ['.tif', '.tiff', '.webp', '.heic', '.heif'];
+
 const upload = multer({
   storage,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50 MB
   },
+  // Every file is identified from its content once it is received (see identifyUploadedFiles).
   fileFilter: (_req, file, cb) => {
-    const allowed = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'image/jpeg',
-      'image/png',
-    ];
-    if (allowed.includes(file.mimetype)) {
+    if (
+      UPLOAD_MIME_TYPES.includes(file.mimetype) ||
+      UNTYPED_IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())
+    ) {
       cb(null, true);
     } else {
-      const error = new Error('Only PDF, Word, or image files (JPEG, PNG) are allowed.');
+      const error = new Error('Only PDF, Word, or image files (JPEG, PNG, TIFF, WebP, HEIC) are allowed.');
       error.status = 400;
       cb(error);
     }
   },
 });
 
+// Import manifests are read straight from memory and never stored.
+const manifestUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10 MB
+  },
+});
+
 const cleanupUploadedFiles = (files = []) => {
   if (!Array.isArray(files) || files.length === 0) {
     return Promise.resolve();
@@ -111,96 +263,10 @@ const handleValidation = async (req, res, next) => {
 };
 
 const parseTags = (value, { req }) => {
-  if (value === undefined || value === null || value === '') {
-    req.parsedTags = [];
-    return true;
-  }
-
-  let parsed = value;
-  if (typeof value === 'string') {
-    try {
-      parsed = JSON.parse(value);
-    } catch (error) {
-      throw new Error('Tags must be valid JSON.');
-    }
-  }
-
-  if (!Array.isArray(parsed)) {
-    throw new Error('Tags must be an array.');
-  }
-
-  parsed.forEach((tag, index) => {
-    if (typeof tag !== 'object' || tag === null) {
-      throw new Error(`Tag at position ${index} must be an object.`);
-    }
-    if (!tag.name || typeof tag.name !== 'string' || !tag.name.trim()) {
-      throw new Error(`Tag at position ${index} must include a name.`);
-    }
-    if (tag.price === undefined || Number.isNaN(Number(tag.price))) {
-      throw new Error(`Tag at position ${index} must include a numeric price.`);
-    }
-  });
-
-  req.parsedTags = parsed.map((tag) => ({
-    name: tag.name.trim(),
-    price: Number(tag.price),
-  }));
-
+  req.parsedTags = normaliseTags(value);
   return true;
 };
 
-const EASTERN_ARABIC_DIGITS = ['٠', '١', '٢', '٣', '٤', '٥', '٦', '٧', '٨', '٩'];
-const PERSIAN_DIGITS = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
-
-const INVOICE_TYPE_ALIASES = new Map([
-  ['sales', 'sales'],
-  ['sale', 'sales'],
-  ['مبيعات', 'sales'],
-  ['purchases', 'purchases'],
-  ['purchase', 'purchases'],
-  ['مشتريات', 'purchases'],
-  ['tax_invoice', 'tax_invoice'],
-  ['tax-invoice', 'tax_invoice'],
-  ['taxinvoice', 'tax_invoice'],
-  ['فاتورة ضريبية', 'tax_invoice'],
-  ['فاتوره ضريبيه', 'tax_invoice'],
-]);
-
-const normaliseDigits = (value) =>
-  String(value)
-    .replace(/[٠-٩]/g, (digit) => String(EASTERN_ARABIC_DIGITS.indexOf(digit)))
-    .replace(/[۰-۹]/g, (digit) => String(PERSIAN_DIGITS.indexOf(digit)));
-
-const normaliseAmountInput = (value) =>
-  normaliseDigits(value)
-    .replace(/[٫]/g, '.')
-    .replace(/[٬،]/g, ',')
-    .replace(/\s+/g, '')
-    .trim();
-
-const parseAmount = (value, { allowUndefined = false, defaultValue = 0 } = {}) => {
-  if (value === undefined || value === null) {
-    return allowUndefined ? undefined : defaultValue;
-  }
-
-  const normalised = normaliseAmountInput(value);
-
-  if (!normalised) {
-    return defaultValue;
-  }
-
-  const numeric = Number(normalised.replace(/,/g, ''));
-
-  if (!Number.isFinite(numeric)) {
-    throw new Error('Amount must be a valid number.');
-  }
-
-  if (numeric < 0) {
-    throw new Error('Amount cannot be negative.');
-  }
-
-  return numeric;
-};
 
 const parseAmountField = (value, { req }) => {
   req.parsedAmount = parseAmount(value, { defaultValue: 0 });
@@ -212,29 +278,6 @@ const parseAmountQueryField = (value, { req }) => {
   return true;
 };
 
-const normaliseInvoiceType = (value) => {
-  if (value === undefined || value === null) {
-    return undefined;
-  }
-
-  const raw = String(value).trim();
-  if (!raw) {
-    return undefined;
-  }
-
-  const lower = raw.toLowerCase();
-  const canonical =
-    INVOICE_TYPE_ALIASES.get(lower) ||
-    INVOICE_TYPE_ALIASES.get(lower.replace(/\s+/g, ' ')) ||
-    INVOICE_TYPE_ALIASES.get(lower.replace(/[\s_-]+/g, '_')) ||
-    null;
-
-  if (!canonical || !INVOICE_TYPES.includes(canonical)) {
-    return null;
-  }
-
-  return canonical;
-};
 
 const parseInvoiceTypeField = (value, { req }) => {
   const parsed = normaliseInvoiceType(value);
@@ -254,29 +297,189 @@ const parseInvoiceTypeQueryField = (value, { req }) => {
   return true;
 };
 
-const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Options for the PDF that images uploaded together are combined into; unset ones use the IMAGE_PDF_* defaults.
+const imagePdfOptionValidators = [
+  body('pageSize')
+    .optional()
+    .isIn(IMAGE_PDF_PAGE_SIZES)
+    .withMessage(`pageSize must be one of: ${IMAGE_PDF_PAGE_SIZES.join(', ')}`),
+  body('fit').optional().isIn(IMAGE_PDF_FITS).withMessage(`fit must be one of: ${IMAGE_PDF_FITS.join(', ')}`),
+  body('margin').optional().isFloat({ min: 0, max: 50 }).withMessage('margin must be between 0 and 50 mm.').toFloat(),
+  body('autoRotate').optional().isBoolean().withMessage('autoRotate must be true or false.').toBoolean(),
+  body('greyscale').optional().isBoolean().withMessage('greyscale must be true or false.').toBoolean(),
+  body('quality').optional().isInt({ min: 10, max: 100 }).withMessage('quality must be between 10 and 100.').toInt(),
+  body('keepOriginals').optional().isBoolean().withMessage('keepOriginals must be true or false.').toBoolean(),
+];
+
+const pickImagePdfOptions = ({ pageSize, fit, margin, autoRotate, greyscale, quality }) => ({
+  pageSize,
+  fit,
+  margin,
+  autoRotate,
+  greyscale,
+  quality,
+});
+
+const setParsedRange = (req, key, value) => {
+  req.parsedRanges = { ...req.parsedRanges, [key]: value };
+};
+
+const parseAmountRangeField = (key) => (value, { req }) => {
+  setParsedRange(req, key, parseAmount(value, { allowUndefined: true, defaultValue: undefined }));
+  return true;
+};
+
+const parseYearRangeField = (key) => (value, { req }) => {
+  const year = Number(normaliseDigits(value).trim());
+  if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+    throw new Error('Year must be between 1900 and 9999.');
+  }
+  setParsedRange(req, key, year);
+  return true;
+};
 
-const sanitizeNameSegment = (value, { fallback } = {}) => {
-  if (value === undefined || value === null) {
-    return fallback;
+const parseMonthRangeField = (key) => (value, { req }) => {
+  const index = MONTHS.findIndex((month) => month.toLowerCase() === String(value).trim().toLowerCase());
+  if (index === -1) {
+    throw new Error(`Month must be one of: ${MONTHS.join(', ')}`);
   }
+  setParsedRange(req, key, index);
+  return true;
+};
 
-  const normalised = String(value)
-    .normalize('NFKC')
-    .trim()
-    .replace(/[\\/]/g, '-')
-    .replace(/[^\p{L}\p{N}._-]+/gu, '-')
-    .replace(/-+/g, '-')
-    .replace(/^-|-$/g, '');
+const parseDateRangeField =
+  (key, { endOfDay = false } = {}) =>
+  (value, { req }) => {
+    const date = new Date(value);
+    // A bare date as the upper bound includes the whole day.
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setTime(date.getTime() + DAY_IN_MS - 1);
+    }
+    setParsedRange(req, key, date);
+    return true;
+  };
 
-  return normalised || fallback;
+const checkRangeOrder = (fromKey, toKey, label) => (_value, { req }) => {
+  const { [fromKey]: from, [toKey]: to } = req.parsedRanges || {};
+  if (from !== undefined && to !== undefined && from > to) {
+    throw new Error(`${label} range start must not be after its end.`);
+  }
+  return true;
 };
 
-const sanitizeDirectoryName = (value, { fallback = 'unknown' } = {}) =>
-  sanitizeNameSegment(value, { fallback });
+const documentFilterValidators = [
+  query('name').optional().isString(),
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('price').optional().isFloat(),
+  query('amount').optional().custom(parseAmountQueryField),
+  query('invoiceType').optional().custom(parseInvoiceTypeQueryField),
+  query('year').optional().isInt({ min: 1900, max: 9999 }),
+  query('merchant').optional().isString(),
+  query('month').optional().isIn(MONTHS),
+  query('amountMin').optional().custom(parseAmountRangeField('amountMin')),
+  query('amountMax')
+    .optional()
+    .custom(parseAmountRangeField('amountMax'))
+    .custom(checkRangeOrder('amountMin', 'amountMax', 'Amount')),
+  query('priceMin').optional().custom(parseAmountRangeField('priceMin')),
+  query('priceMax')
+    .optional()
+    .custom(parseAmountRangeField('priceMax'))
+    .custom(checkRangeOrder('priceMin', 'priceMax', 'Price')),
+  query('yearFrom').optional().custom(parseYearRangeField('yearFrom')),
+  query('yearTo')
+    .optional()
+    .custom(parseYearRangeField('yearTo'))
+    .custom(checkRangeOrder('yearFrom', 'yearTo', 'Year')),
+  query('monthFrom').optional().custom(parseMonthRangeField('monthFrom')),
+  query('monthTo')
+    .optional()
+    .custom(parseMonthRangeField('monthTo'))
+    .custom(checkRangeOrder('monthFrom', 'monthTo', 'Month')),
+  query('createdFrom').optional().isISO8601().bail().custom(parseDateRangeField('createdFrom')),
+  query('createdTo')
+    .optional()
+    .isISO8601()
+    .bail()
+    .custom(parseDateRangeField('createdTo', { endOfDay: true }))
+    .custom(checkRangeOrder('createdFrom', 'createdTo', 'Upload date')),
+];
+
+const documentUpdateValidators = [
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  body('tags').optional().custom(parseTags),
+  body('amount').optional({ nullable: true }).custom(parseAmountField),
+  body('invoiceType').optional({ nullable: true }).custom(parseInvoiceTypeField),
+  body('year')
+    .optional({ nullable: true })
+    .isInt({ min: 1900, max: 9999 })
+    .toInt(),
+  body('merchant')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Merchant name must be between 1 and 200 characters.'),
+  body('month')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isIn(MONTHS)
+    .withMessage(`Month must be one of: ${MONTHS.join(', ')}`),
+];
+
+const parseAccessGrants = (value, { req }) => {
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Access grants must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Access grants must be an array.');
+  }
+
+  req.parsedAccessGrants = parsed.map((grant, index) => {
+    if (typeof grant !== 'object' || grant === null) {
+      throw new Error(`Access grant at position ${index} must be an object.`);
+    }
+
+    const merchantName = typeof grant.merchantName === 'string' ? grant.merchantName.trim() : '';
+    if (!merchantName || merchantName.length > 200) {
+      throw new Error(`Access grant at position ${index} must include a merchant name.`);
+    }
+
+    const years = Array.isArray(grant.years) ? grant.years : [];
+    const parsedYears = years.map((year) => {
+      const numeric = Number(normaliseDigits(year));
+      if (!Number.isInteger(numeric) || numeric < 1900 || numeric > 9999) {
+        throw new Error(`Access grant at position ${index} has an invalid year.`);
+      }
+      return numeric;
+    });
+
+    const invoiceTypes = Array.isArray(grant.invoiceTypes) ? grant.invoiceTypes : [];
+    const parsedInvoiceTypes = invoiceTypes.map((invoiceType) => {
+      const canonical = normaliseInvoiceType(invoiceType);
+      if (!canonical) {
+        throw new Error(`Access grant at position ${index} has an invalid invoice type.`);
+      }
+      return canonical;
+    });
+
+    return {
+      merchantName,
+      years: Array.from(new Set(parsedYears)),
+      invoiceTypes: Array.from(new Set(parsedInvoiceTypes)),
+    };
+  });
+
+  return true;
+};
 
-const sanitizeFileBaseName = (value, { fallback = 'document' } = {}) =>
-  sanitizeNameSegment(value, { fallback });
 
 const deriveStoredFileName = ({
   currentStoredName,
@@ -320,88 +523,47 @@ const deriveStoredFileName = ({
   return `${timestampPrefix}-${baseName}${extension}`;
 };
 
-const isImageMimeType = (mimetype) => typeof mimetype === 'string' && mimetype.startsWith('image/');
-
-const createPdfFromImages = async (files, { nameHint } = {}) => {
-  if (!Array.isArray(files) || files.length === 0) {
-    throw new Error('At least one image file is required to create a PDF.');
-  }
-
-  const firstOriginalName = files[0]?.originalname || '';
-  const baseName = sanitizeFileBaseName(nameHint || path.parse(firstOriginalName).name, {
-    fallback: 'document',
-  });
-
-  const uniqueName = `${Date.now()}-${baseName}.pdf`;
-  const pdfPath = path.join(uploadsDir, uniqueName);
-
-  const pdfDocument = new PDFDocument({ autoFirstPage: false, margin: 0 });
-  const writeStream = fs.createWriteStream(pdfPath);
-
-  const completion = new Promise((resolve, reject) => {
-    const rejectOnce = (error) => {
-      writeStream.destroy();
-      reject(error);
-    };
 
-    writeStream.on('finish', resolve);
-    writeStream.on('error', rejectOnce);
-    pdfDocument.on('error', rejectOnce);
-  });
-
-  pdfDocument.pipe(writeStream);
+// Uploads are identified by their content: a renamed executable is not a PDF because the browser says so. A
+// declared type must match the content; files let through by extension only need a supported content.
+const identifyUploadedFiles = async (files) => {
+  for (const file of files) {
+    const mimeType = await detectMimeType(file.path);
+    const declared = file.mimetype === 'image/heif' ? 'image/heic' : file.mimetype;
 
-  let pdfFinalised = false;
-
-  try {
-    for (const file of files) {
-      const image = pdfDocument.openImage(file.path);
-      const width = image.width || image.originalWidth || image.size?.width || 595.28; // default A4 width in pt
-      const height =
-        image.height || image.originalHeight || image.size?.height || 841.89; // default A4 height
-
-      pdfDocument.addPage({ size: [width, height] });
-      pdfDocument.image(image, 0, 0, { width, height });
+    if (!mimeType) {
+      throw Object.assign(new Error(`${file.originalname} is not a PDF, Word or supported image file.`), {
+        status: 422,
+      });
     }
-
-    pdfDocument.end();
-    pdfFinalised = true;
-    await completion;
-  } catch (error) {
-    try {
-      if (!pdfFinalised) {
-        pdfDocument.end();
-      }
-    } catch (endError) {
-      console.error('Failed to finalise PDF document after error', endError);
+    if (UPLOAD_MIME_TYPES.includes(declared) && declared !== mimeType) {
+      throw Object.assign(
+        new Error(`${file.originalname} was sent as ${file.mimetype}, but its content is ${mimeType}.`),
+        { status: 422 }
+      );
     }
-
-    await new Promise((resolve) => writeStream.once('close', resolve)).catch(() => {});
-    await fs.promises.unlink(pdfPath).catch(() => {});
-    throw error;
+    file.mimetype = mimeType;
   }
-
-  const stats = await fs.promises.stat(pdfPath);
-
-  return {
-    path: pdfPath,
-    filename: uniqueName,
-    mimetype: 'application/pdf',
-    size: stats.size,
-    originalname: `${baseName}.pdf`,
-  };
 };
 
-const normaliseUploadedFiles = async (files, { nameHint } = {}) => {
+// Images are combined into one PDF. With `keepOriginals` the uploaded images stay on disk and are listed as
+// `originals` of that PDF, to be stored next to it.
+const normaliseUploadedFiles = async (files, { nameHint, imagePdfOptions, keepOriginals = false, req } = {}) => {
   if (!Array.isArray(files) || files.length === 0) {
     return { files: [], generated: [] };
   }
 
+  await identifyUploadedFiles(files);
+  await scanFiles(files, { req });
   const areAllImages = files.every((file) => isImageMimeType(file.mimetype));
 
   if (areAllImages) {
-    const combinedPdf = await createPdfFromImages(files, { nameHint });
-    await cleanupUploadedFiles(files);
+    const combinedPdf = await createPdfFromImages(files, { nameHint, options: imagePdfOptions });
+    if (keepOriginals) {
+      combinedPdf.originals = files;
+    } else {
+      await cleanupUploadedFiles(files);
+    }
     return { files: [combinedPdf], generated: [combinedPdf] };
   }
 
@@ -416,378 +578,1995 @@ const normaliseUploadedFiles = async (files, { nameHint } = {}) => {
   return { files, generated: [] };
 };
 
-const moveDocumentToHierarchy = async ({ filePath, year, merchantName, month }) => {
-  const yearSegment = String(year ?? '')
-    .replace(/[^0-9]/g, '')
-    .trim();
 
-  if (!yearSegment) {
-    throw new Error('Invalid year received for document storage.');
-  }
+const buildVersionFileName = (storedName, version) => {
+  const { name, ext } = path.parse(storedName);
+  return `${name}.v${version}${ext}`;
+};
 
-  const merchantSegment = sanitizeDirectoryName(merchantName, { fallback: 'merchant' });
-  const monthSegment = sanitizeDirectoryName(month, { fallback: 'month' });
+const buildOriginalFileName = (storedName, index, originalName) =>
+  `${path.parse(storedName).name}.original-${index + 1}${path.extname(originalName).toLowerCase()}`;
 
-  const targetDirectory = path.join(uploadsDir, yearSegment, merchantSegment, monthSegment);
-  await fs.promises.mkdir(targetDirectory, { recursive: true });
+const deleteOriginalFiles = async (originals) => {
+  for (const original of originals || []) {
+    await storageDriver.delete(original.storagePath).catch((error) => {
+      console.error(`Failed to remove the original image ${original.storagePath}`, error);
+    });
+  }
+};
 
-  const fileName = path.basename(filePath);
-  const destination = path.join(targetDirectory, fileName);
+// Stores the images a PDF was made from next to it, as `<name>.original-<n>.<ext>`. Nothing is left behind
+// when one of them fails.
+const storeOriginalFiles = async (files, storagePath) => {
+  const originals = [];
 
-  if (destination !== filePath) {
-    await fs.promises.rename(filePath, destination);
+  try {
+    for (const [index, file] of files.entries()) {
+      const fileName = buildOriginalFileName(path.posix.basename(storagePath), index, file.originalname);
+      const originalPath = path.posix.join(path.posix.dirname(storagePath), fileName);
+      const contentHash = await hashFile(file.path);
+      const encryptionKeyId = await storeFile(originalPath, file.path, { contentType: file.mimetype });
+      originals.push({
+        originalName: file.originalname,
+        storagePath: originalPath,
+        mimeType: file.mimetype,
+        size: file.size,
+        contentHash,
+        encryptionKeyId,
+      });
+    }
+  } catch (error) {
+    await deleteOriginalFiles(originals);
+    throw error;
   }
 
-  return destination;
+  return originals;
 };
 
-const removeFileIfExists = async (absolutePath) => {
+// Stores an uploaded file with its previews and kept originals and creates its document. Whatever was stored
+// is removed again when a step fails.
+const archiveUploadedFile = async (file, { year, merchantName, month, amount, invoiceType, req }) => {
+  const storagePath = buildHierarchyStoragePath({ year, merchantName, month }, file.filename);
+  const contentText = await extractStoredText(file.path, file.mimetype);
+  const contentWarnings = await findContentWarnings({ localPath: file.path, mimeType: file.mimetype });
+  let previews = [];
+  let originals = [];
+
   try {
-    await fs.promises.unlink(absolutePath);
-    return true;
+    previews = await generatePreviews({ localPath: file.path, mimeType: file.mimetype, storagePath });
+    const encryptionKeyId = await storeFile(storagePath, file.path, { contentType: file.mimetype });
+    originals = await storeOriginalFiles(file.originals || [], storagePath);
+
+    return await Document.create({
+      originalName: file.originalname,
+      storedName: file.filename,
+      storagePath,
+      mimeType: file.mimetype,
+      size: file.size,
+      contentHash: file.contentHash,
+      sourceHash: file.sourceHash,
+      encryptionKeyId,
+      originals,
+      previews,
+      contentWarnings,
+      contentText,
+      contentIndexedAt: new Date(),
+      ocr: needsOcr({ mimeType: file.mimetype, contentText }) ? buildPendingOcr() : undefined,
+      tags: req.parsedTags || [],
+      amount,
+      invoiceType,
+      notes: req.body.notes,
+      year,
+      merchantName,
+      month,
+      uploadedBy: req.user._id,
+    });
   } catch (error) {
-    if (error && error.code === 'ENOENT') {
-      return false;
-    }
+    await storageDriver.delete(storagePath).catch(() => {});
+    await deletePreviews(previews);
+    await deleteOriginalFiles(originals);
     throw error;
   }
 };
 
-const removeEmptyDirectoriesUpwards = async (directoryPath) => {
-  const root = path.resolve(uploadsDir);
-  let current = path.resolve(directoryPath);
-
-  while (current !== root) {
-    const relative = path.relative(root, current);
-    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
-      return;
-    }
-
-    let entries;
+const removeUploadedDocuments = async (documents) => {
+  for (const document of documents) {
     try {
-      entries = await fs.promises.readdir(current);
-    } catch {
-      return;
+      await Document.deleteOne({ _id: document._id });
+      for (const file of listDocumentFiles(document)) {
+        await storageDriver.delete(file.storagePath);
+      }
+    } catch (error) {
+      console.error(`Failed to remove document ${document._id} of a failed upload`, error);
     }
+  }
+};
 
-    if (entries.length > 0) {
-      return;
+// Older versions and kept originals keep their names when the document moves.
+const buildKeptFileMoves = async (document, targetDirectory) => {
+  const moves = [];
+  const keptFiles = [
+    ...(document.versions || []).flatMap((entry) => [entry, ...(entry.originals || [])]),
+    ...(document.originals || []),
+  ];
+
+  for (const entry of keptFiles) {
+    const to = toRelativeStoragePath(path.join(targetDirectory, path.posix.basename(entry.storagePath)));
+    if (to !== entry.storagePath && (await storageDriver.stat(entry.storagePath))) {
+      moves.push({ from: entry.storagePath, to, entry });
     }
+  }
 
-    try {
-      await fs.promises.rmdir(current);
-    } catch {
-      return;
+  return moves;
+};
+
+// Previews follow the file they show and are renamed after `fileName`, the name that file ends up with.
+const buildPreviewMoves = async (document, targetDirectory, fileName) => {
+  const moves = [];
+
+  for (const entry of document.previews || []) {
+    const to = toRelativeStoragePath(path.join(targetDirectory, buildPreviewFileName(fileName, entry)));
+    if (to !== entry.storagePath && (await storageDriver.stat(entry.storagePath))) {
+      moves.push({ from: entry.storagePath, to, entry });
     }
+  }
 
-    current = path.dirname(current);
+  return moves;
+};
+
+// Points the document and its other files at the destinations of moves built for them.
+const applyFileMoves = (moves) => {
+  for (const { to, entry } of moves) {
+    entry.storagePath = to;
   }
 };
 
-app.post(
-  '/api/documents',
-  upload.array('files', 20),
-  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
-  body('tags').optional().custom(parseTags),
-  body('amount').optional({ nullable: true }).custom(parseAmountField),
-  body('invoiceType').optional({ nullable: true }).custom(parseInvoiceTypeField),
-  body('year')
-    .exists()
-    .withMessage('Year is required.')
-    .bail()
-    .isInt({ min: 1900, max: 9999 })
-    .toInt(),
-  body('merchant')
-    .exists()
-    .withMessage('Merchant name is required.')
-    .bail()
-    .isString()
-    .trim()
-    .isLength({ min: 1, max: 200 })
-    .withMessage('Merchant name must be between 1 and 200 characters.'),
-  body('month')
-    .exists()
-    .withMessage('Month is required.')
-    .bail()
-    .isString()
-    .trim()
-    .bail()
-    .isIn(MONTHS)
-    .withMessage(`Month must be one of: ${MONTHS.join(', ')}`),
-  handleValidation,
-  async (req, res, next) => {
-    try {
-      const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+const relocateDocumentFile = async (document, { year, merchantName, month }, { operation }) => {
+  const targetDirectory = resolveHierarchyDirectory({ year, merchantName, month });
+  const nextStoredName = deriveStoredFileName({
+    currentStoredName: document.storedName,
+    merchantName,
+    month,
+    year,
+    fallbackPath: document.storagePath,
+  });
 
-      let files = [];
-      let generated = [];
+  const moves = [
+    {
+      from: document.storagePath,
+      to: toRelativeStoragePath(path.join(targetDirectory, nextStoredName)),
+      entry: document,
+    },
+    ...(await buildKeptFileMoves(document, targetDirectory)),
+    ...(await buildPreviewMoves(document, targetDirectory, nextStoredName)),
+  ];
+
+  const journal = await moveFiles({ documentId: document._id, operation, moves });
+  applyFileMoves(moves);
+  document.storedName = nextStoredName;
+
+  return journal;
+};
 
-      if (uploadedFiles.length === 0) {
-        return res.status(400).json({ message: 'At least one document file is required.' });
-      }
+const findActiveDocument = (id) => Document.findOne({ _id: id, deletedAt: null });
 
-      const yearValue = Number(req.body.year);
-      const merchantValue = req.body.merchant.trim();
-      const monthValue = req.body.month;
-      const amountValue = req.parsedAmount !== undefined ? req.parsedAmount : 0;
-      const invoiceTypeValue = req.parsedInvoiceType || 'sales';
+const extractStoredText = async (absolutePath, mimeType) => {
+  try {
+    return await extractDocumentText({ absolutePath, mimeType });
+  } catch (error) {
+    console.error(`Failed to extract text from ${absolutePath}`, error);
+    return '';
+  }
+};
 
-      const nameHintParts = [merchantValue, monthValue, yearValue].filter(Boolean);
-      const normalisedFiles = await normaliseUploadedFiles(uploadedFiles, {
-        nameHint: nameHintParts.join('-') || undefined,
-      });
-      files = Array.isArray(normalisedFiles.files) ? normalisedFiles.files : [];
-      generated = Array.isArray(normalisedFiles.generated) ? normalisedFiles.generated : [];
+const findDuplicateDocuments = (file, user) =>
+  Document.find(applyAccessScope({ ...matchContentHash(file.contentHash, file.sourceHash), deletedAt: null }, user))
+    .select('originalName storedName year merchantName month invoiceType createdAt')
+    .sort({ createdAt: 1 })
+    .limit(20)
+    .lean();
 
-      const documents = [];
+const moveDocumentFileToTrash = async (document) => {
+  if (!(await storageDriver.stat(document.storagePath))) {
+    return null;
+  }
 
-      for (const file of files) {
-        const hierarchicalPath = await moveDocumentToHierarchy({
-          filePath: file.path,
-          year: yearValue,
-          merchantName: merchantValue,
-          month: monthValue,
-        });
+  const trashDirectory = path.join(trashDir, String(document._id));
+  const moves = [
+    {
+      from: document.storagePath,
+      to: toRelativeStoragePath(path.join(trashDirectory, path.posix.basename(document.storagePath))),
+      entry: document,
+    },
+    ...(await buildKeptFileMoves(document, trashDirectory)),
+    ...(await buildPreviewMoves(document, trashDirectory, path.posix.basename(document.storagePath))),
+  ];
+
+  const journal = await moveFiles({ documentId: document._id, operation: 'delete', moves });
+  applyFileMoves(moves);
+
+  return journal;
+};
 
-        file.path = hierarchicalPath;
+// Applies the metadata of an update request to a document, moving its files when the year, merchant
+// or month changes. Returns whether anything changed.
+const applyDocumentUpdate = async (document, req) => {
+  const before = snapshotDocument(document);
+  const originalYear = document.year;
+  const originalMerchant = document.merchantName;
+  const originalMonth = document.month;
+
+  const nextYear =
+    req.body.year !== undefined && req.body.year !== null ? Number(req.body.year) : originalYear;
+  const nextMerchant =
+    req.body.merchant !== undefined && req.body.merchant !== null
+      ? req.body.merchant.trim()
+      : originalMerchant;
+  const nextMonth =
+    req.body.month !== undefined && req.body.month !== null ? req.body.month : originalMonth;
+
+  const nextInvoiceType =
+    req.parsedInvoiceType !== undefined ? req.parsedInvoiceType : document.invoiceType;
+
+  if (
+    !canAccessDocument(req.user, {
+      merchantName: nextMerchant,
+      year: nextYear,
+      invoiceType: nextInvoiceType,
+    })
+  ) {
+    throw Object.assign(new Error('You do not have access to move this document to the requested merchant.'), {
+      status: 403,
+    });
+  }
 
-        const relativeStoragePath = path
-          .relative(__dirname, hierarchicalPath)
-          .split(path.sep)
-          .join('/');
+  const shouldRelocate =
+    (nextYear !== undefined && nextYear !== originalYear) ||
+    (nextMerchant !== undefined && nextMerchant !== originalMerchant) ||
+    (nextMonth !== undefined && nextMonth !== originalMonth);
 
-        const document = await Document.create({
-          originalName: file.originalname,
-          storedName: file.filename,
-          storagePath: relativeStoragePath,
-          mimeType: file.mimetype,
-          size: file.size,
-          tags: req.parsedTags || [],
-          amount: amountValue,
-          invoiceType: invoiceTypeValue,
-          notes: req.body.notes,
-          year: yearValue,
-          merchantName: merchantValue,
-          month: monthValue,
-        });
+  if (req.body.notes !== undefined) {
+    document.notes = req.body.notes;
+  }
 
-        documents.push(document);
-      }
+  if (req.parsedTags !== undefined) {
+    document.tags = req.parsedTags;
+  }
 
-      return res.status(201).json({ documents });
-    } catch (error) {
-      const uploadedFiles = Array.isArray(req.files) ? req.files : req.file ? [req.file] : [];
-      await cleanupUploadedFiles([...uploadedFiles, ...generated]);
+  if (req.parsedAmount !== undefined) {
+    document.amount = req.parsedAmount;
+  }
+
+  if (req.parsedInvoiceType !== undefined) {
+    document.invoiceType = req.parsedInvoiceType;
+  }
+
+  if (req.body.year !== undefined && req.body.year !== null) {
+    document.year = nextYear;
+  }
+
+  if (req.body.merchant !== undefined && req.body.merchant !== null) {
+    document.merchantName = nextMerchant;
+  }
+
+  if (req.body.month !== undefined && req.body.month !== null) {
+    document.month = nextMonth;
+  }
+
+  let relocationResult = null;
+
+  if (shouldRelocate) {
+    relocationResult = await relocateDocumentFile(
+      document,
+      { year: nextYear, merchantName: nextMerchant, month: nextMonth },
+      { operation: 'update' }
+    );
+  }
+
+  try {
+    await document.save();
+  } catch (error) {
+    await rollBackFileMoves(relocationResult, 'Failed to restore document after update error');
+    throw error;
+  }
+
+  await commitFileMoves(relocationResult);
+
+  const after = snapshotDocument(document);
+  const changed = diffSnapshots(before, after).length > 0;
+  if (changed) {
+    await recordAuditEvent({ action: 'update', req, documentId: document._id, before, after });
+  }
+
+  return changed;
+};
+
+const trashDocument = async (document, req) => {
+  const before = snapshotDocument(document);
+  const trashResult = await moveDocumentFileToTrash(document);
+
+  document.deletedAt = new Date();
+  document.deletedBy = req.user._id;
+
+  try {
+    await document.save();
+  } catch (error) {
+    await rollBackFileMoves(trashResult, 'Failed to restore document after trash error');
+    throw error;
+  }
+
+  await commitFileMoves(trashResult);
+
+  await recordAuditEvent({
+    action: 'delete',
+    req,
+    documentId: document._id,
+    before,
+    after: snapshotDocument(document),
+  });
+};
+
+const purgeTrashedDocument = async (document, { req } = {}) => {
+  await Document.deleteOne({ _id: document._id });
+
+  await recordAuditEvent({
+    action: 'purge',
+    req,
+    documentId: document._id,
+    before: snapshotDocument(document),
+  });
+
+  try {
+    for (const file of listDocumentFiles(document)) {
+      await storageDriver.delete(file.storagePath);
+    }
+  } catch (cleanupError) {
+    console.error('Document purged from database but file cleanup failed', cleanupError);
+  }
+};
+
+const purgeExpiredTrash = async ({ retentionDays = TRASH_RETENTION_DAYS, req } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_IN_MS);
+  const expired = await Document.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  for (const document of expired) {
+    await purgeTrashedDocument(document, { req });
+  }
+
+  return expired.map((document) => String(document._id));
+};
+
+// Documents saved before period sorting existed have no monthNumber yet.
+const backfillMonthNumbers = () =>
+  Document.updateMany({ monthNumber: null, month: { $in: MONTHS } }, [
+    { $set: { monthNumber: { $add: [{ $indexOfArray: [MONTHS, '$month'] }, 1] } } },
+  ])
+    .then(({ modifiedCount }) => {
+      if (modifiedCount > 0) {
+        console.log(`Backfilled the month number of ${modifiedCount} document(s)`);
+      }
+    })
+    .catch((error) => {
+      console.error('Failed to backfill document month numbers', error);
+    });
+
+const scheduleTrashPurge = () => {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((purged) => {
+        if (purged.length > 0) {
+          console.log(`Purged ${purged.length} document(s) from the trash`);
+        }
+      })
+      .catch((error) => {
+        console.error('Scheduled trash purge failed', error);
+      });
+
+  run();
+  setInterval(run, TRASH_PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
+
+const serializeSession = (user, tokens) => ({
+  user,
+  accessToken: tokens.accessToken,
+  refreshToken: tokens.refreshToken,
+  refreshTokenExpiresAt: tokens.refreshTokenExpiresAt,
+});
+
+app.post(
+  '/api/auth/login',
+  [
+    body('username').exists().withMessage('Username is required.').bail().isString().trim().toLowerCase(),
+    body('password').exists().withMessage('Password is required.').bail().isString(),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ username: req.body.username }).select('+passwordHash');
+
+      const validPassword = user ? await user.verifyPassword(req.body.password) : false;
+
+      if (!user || !validPassword || !user.active) {
+        return res.status(401).json({ message: 'Invalid username or password.' });
+      }
+
+      user.lastLoginAt = new Date();
+      await user.save();
+
+      const tokens = await issueTokens(user, { userAgent: req.get('user-agent') });
+      return res.json(serializeSession(user, tokens));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/auth/refresh',
+  [body('refreshToken').exists().withMessage('Refresh token is required.').bail().isString()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, {
+        userAgent: req.get('user-agent'),
+      });
+      return res.json(serializeSession(user, tokens));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/auth/logout',
+  [body('refreshToken').optional({ nullable: true }).isString()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      await revokeRefreshToken(req.body.refreshToken);
+      return res.json({ message: 'Signed out successfully.' });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({ user: req.user });
+});
+
+app.get('/api/users', authenticate, requireRole('admin'), async (_req, res, next) => {
+  try {
+    const users = await User.find({}).sort({ username: 1 });
+    res.json({ users });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post(
+  '/api/users',
+  authenticate,
+  requireRole('admin'),
+  [
+    body('username')
+      .exists()
+      .withMessage('Username is required.')
+      .bail()
+      .isString()
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9._-]{3,64}$/)
+      .withMessage('Username must be 3-64 characters of letters, digits, dots, dashes or underscores.'),
+    body('password')
+      .exists()
+      .withMessage('Password is required.')
+      .bail()
+      .isString()
+      .isLength({ min: 8, max: 200 })
+      .withMessage('Password must be at least 8 characters.'),
+    body('displayName').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('accessScope')
+      .optional()
+      .isIn(ACCESS_SCOPES)
+      .withMessage(`Access scope must be one of: ${ACCESS_SCOPES.join(', ')}`),
+    body('accessGrants').optional().custom(parseAccessGrants),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const existing = await User.exists({ username: req.body.username });
+      if (existing) {
+        return res.status(409).json({ message: 'A user with this username already exists.' });
+      }
+
+      const user = new User({
+        username: req.body.username,
+        displayName: req.body.displayName,
+        role: req.body.role || 'viewer',
+        accessScope: req.body.accessScope || 'all',
+        accessGrants: req.parsedAccessGrants || [],
+      });
+      await user.setPassword(req.body.password);
+      await user.save();
+
+      return res.status(201).json({ user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.patch(
+  '/api/users/:id',
+  authenticate,
+  requireRole('admin'),
+  [
+    param('id').isMongoId(),
+    body('password')
+      .optional()
+      .isString()
+      .isLength({ min: 8, max: 200 })
+      .withMessage('Password must be at least 8 characters.'),
+    body('displayName').optional({ nullable: true }).isString().trim().isLength({ max: 200 }),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+    body('active').optional().isBoolean().toBoolean(),
+    body('accessScope')
+      .optional()
+      .isIn(ACCESS_SCOPES)
+      .withMessage(`Access scope must be one of: ${ACCESS_SCOPES.join(', ')}`),
+    body('accessGrants').optional().custom(parseAccessGrants),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ message: 'User not found.' });
+      }
+
+      const isSelf = String(user._id) === String(req.user._id);
+      if (isSelf && ((req.body.role && req.body.role !== 'admin') || req.body.active === false)) {
+        return res.status(400).json({ message: 'You cannot remove your own admin access.' });
+      }
+
+      let revokeSessions = false;
+
+      if (req.body.displayName !== undefined) {
+        user.displayName = req.body.displayName;
+      }
+
+      if (req.body.role !== undefined && req.body.role !== user.role) {
+        user.role = req.body.role;
+        revokeSessions = true;
+      }
+
+      if (req.body.active !== undefined && req.body.active !== user.active) {
+        user.active = req.body.active;
+        revokeSessions = revokeSessions || !user.active;
+      }
+
+      if (req.body.accessScope !== undefined) {
+        user.accessScope = req.body.accessScope;
+      }
+
+      if (req.parsedAccessGrants !== undefined) {
+        user.accessGrants = req.parsedAccessGrants;
+      }
+
+      if (req.body.password !== undefined) {
+        await user.setPassword(req.body.password);
+        revokeSessions = true;
+      }
+
+      await user.save();
+
+      if (revokeSessions) {
+        await revokeUserSessions(user._id);
+      }
+
+      return res.json({ user });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/documents',
+  authenticate,
+  requireRole('uploader'),
+  upload.array('files', 20),
+  body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+  body('tags').optional().custom(parseTags),
+  body('amount').optional({ nullable: true }).custom(parseAmountField),
+  body('invoiceType').optional({ nullable: true }).custom(parseInvoiceTypeField),
+  body('onDuplicate')
+    .optional()
+    .isIn(DUPLICATE_POLICIES)
+    .withMessage(`onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`),
+  query('onDuplicate')
+    .optional()
+    .isIn(DUPLICATE_POLICIES)
+    .withMessage(`onDuplicate must be one of: ${DUPLICATE_POLICIES.join(', ')}`),
+  body('year')
+    .exists()
+    .withMessage('Year is required.')
+    .bail()
+    .isInt({ min: 1900, max: 9999 })
+    .toInt(),
+  body('merchant')
+    .exists()
+    .withMessage('Merchant name is required.')
+    .bail()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Merchant name must be between 1 and 200 characters.'),
+  body('month')
+    .exists()
+    .withMessage('Month is required.')
+    .bail()
+    .isString()
+    .trim()
+    .bail()
+    .isIn(MONTHS)
+    .withMessage(`Month must be one of: ${MONTHS.join(', ')}`),
+  imagePdfOptionValidators,
+  handleValidation,
+  async (req, res, next) => {
+    const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+    let files = [];
+    let generated = [];
+
+    try {
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({ message: 'At least one document file is required.' });
+      }
+
+      const yearValue = Number(req.body.year);
+      const merchantValue = req.body.merchant.trim();
+      const monthValue = req.body.month;
+      const amountValue = req.parsedAmount !== undefined ? req.parsedAmount : 0;
+      const invoiceTypeValue = req.parsedInvoiceType || 'sales';
+
+      if (
+        !canAccessDocument(req.user, {
+          merchantName: merchantValue,
+          year: yearValue,
+          invoiceType: invoiceTypeValue,
+        })
+      ) {
+        await cleanupUploadedFiles(uploadedFiles);
+        return res
+          .status(403)
+          .json({ message: 'You do not have access to upload documents for this merchant.' });
+      }
+
+      const nameHintParts = [merchantValue, monthValue, yearValue].filter(Boolean);
+      const normalisedFiles = await normaliseUploadedFiles(uploadedFiles, {
+        nameHint: nameHintParts.join('-') || undefined,
+        imagePdfOptions: pickImagePdfOptions(req.body),
+        keepOriginals: req.body.keepOriginals ?? KEEP_IMAGE_ORIGINALS,
+        req,
+      });
+      files = Array.isArray(normalisedFiles.files) ? normalisedFiles.files : [];
+      generated = Array.isArray(normalisedFiles.generated) ? normalisedFiles.generated : [];
+
+      const duplicatePolicy = req.body.onDuplicate || req.query.onDuplicate || 'warn';
+      const duplicates = [];
+      const hashesInUpload = new Map();
+
+      for (const file of files) {
+        file.contentHash = await hashFile(file.path);
+
+        if (duplicatePolicy === 'allow') {
+          continue;
+        }
+
+        const matches = await findDuplicateDocuments(file, req.user);
+        const sameAsFile = hashesInUpload.get(file.contentHash);
+
+        if (matches.length > 0 || sameAsFile) {
+          duplicates.push({
+            file: file.originalname,
+            contentHash: file.contentHash,
+            matches,
+            sameAsFile,
+          });
+        }
+
+        if (!sameAsFile) {
+          hashesInUpload.set(file.contentHash, file.originalname);
+        }
+      }
+
+      if (duplicatePolicy === 'reject' && duplicates.length > 0) {
+        await cleanupUploadedFiles([...uploadedFiles, ...generated]);
+        return res.status(409).json({
+          message: 'The upload matches documents that are already archived.',
+          duplicates,
+        });
+      }
+
+      const documents = [];
+
+      try {
+        for (const file of files) {
+          documents.push(
+            await archiveUploadedFile(file, {
+              year: yearValue,
+              merchantName: merchantValue,
+              month: monthValue,
+              amount: amountValue,
+              invoiceType: invoiceTypeValue,
+              req,
+            })
+          );
+        }
+      } catch (error) {
+        // An upload is archived as a whole: the documents already created for its other files are removed.
+        await removeUploadedDocuments(documents);
+        throw error;
+      }
+
+      for (const document of documents) {
+        await recordAuditEvent({
+          action: 'create',
+          req,
+          documentId: document._id,
+          after: snapshotDocument(document),
+        });
+      }
+
+      if (documents.some((document) => document.ocr?.status === 'pending')) {
+        drainOcrQueue();
+      }
+
+      return res.status(201).json({ documents, duplicates, conversion: generated[0]?.conversion || null });
+    } catch (error) {
+      await cleanupUploadedFiles([...uploadedFiles, ...generated]);
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents',
+  authenticate,
+  requireRole('viewer'),
+  [
+    ...documentFilterValidators,
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('skip').optional().isInt({ min: 0 }),
+    query('includeTotal').optional().isBoolean().toBoolean(),
+    query('sort')
+      .optional()
+      .isIn(DOCUMENT_SORTS)
+      .withMessage(`Sort must be one of: ${DOCUMENT_SORTS.join(', ')}`),
+    query('cursor').optional().isString(),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { q, sort, cursor, limit = 50, skip = 0, includeTotal = false } = req.query;
+
+      const filters = buildDocumentFilters(req);
+      const limitValue = Number(limit);
+      const skipValue = Number(skip);
+
+      const cursorMode = cursor !== undefined;
+      // Search results are ranked by relevance unless a sort is requested explicitly.
+      const relevanceSort = Boolean(q) && !sort;
+      const sortSpec = resolveSort(sort);
+
+      if (cursorMode && relevanceSort) {
+        return res.status(422).json({ message: 'Cursor pagination of search results requires a sort.' });
+      }
+      if (cursorMode && req.query.skip !== undefined) {
+        return res.status(422).json({ message: 'Use either skip or cursor, not both.' });
+      }
+
+      let cursorValues = null;
+      if (cursor) {
+        try {
+          cursorValues = decodeCursor(cursor, sortSpec);
+        } catch (error) {
+          return res.status(422).json({ message: error.message });
+        }
+      }
+
+      const scopedFilters = applyAccessScope(filters, req.user);
+      const pageFilters = cursorValues
+        ? { $and: [scopedFilters, buildCursorFilter(sortSpec, cursorValues)] }
+        : scopedFilters;
+
+      const documentQuery = q
+        ? Document.find(pageFilters, { score: { $meta: 'textScore' } }).select('+contentText')
+        : Document.find(pageFilters);
+
+      documentQuery.sort(
+        relevanceSort ? { score: { $meta: 'textScore' }, createdAt: -1 } : buildSortStage(sortSpec)
+      );
+
+      if (cursorMode) {
+        documentQuery.limit(limitValue + 1);
+      } else {
+        documentQuery.skip(skipValue).limit(limitValue);
+      }
+
+      const [records, total] = await Promise.all([
+        documentQuery,
+        includeTotal ? Document.countDocuments(scopedFilters) : Promise.resolve(null),
+      ]);
+
+      const pageRecords = cursorMode ? records.slice(0, limitValue) : records;
+
+      const documents = q
+        ? pageRecords.map((record) => ({
+            ...record.toJSON(),
+            snippet: buildSnippet([record.contentText, record.notes, record.originalName], q),
+          }))
+        : pageRecords;
+
+      if (cursorMode) {
+        const nextCursor =
+          records.length > limitValue ? encodeCursor(sortSpec, pageRecords[pageRecords.length - 1]) : null;
+
+        return res.json(includeTotal ? { documents, nextCursor, total } : { documents, nextCursor });
+      }
+
+      if (includeTotal) {
+        return res.json({ documents, total });
+      }
+
+      res.json(documents);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents/export',
+  authenticate,
+  requireRole('viewer'),
+  [
+    ...documentFilterValidators,
+    query('format').optional().isIn(EXPORT_FORMATS).withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+    query('sort')
+      .optional()
+      .isIn(DOCUMENT_SORTS)
+      .withMessage(`Sort must be one of: ${DOCUMENT_SORTS.join(', ')}`),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    const { q, sort, format = 'csv' } = req.query;
+    const scopedFilters = applyAccessScope(buildDocumentFilters(req), req.user);
+
+    const documentQuery = q
+      ? Document.find(scopedFilters, { score: { $meta: 'textScore' } })
+      : Document.find(scopedFilters);
+    const documents = documentQuery
+      .sort(q && !sort ? { score: { $meta: 'textScore' }, createdAt: -1 } : buildSortStage(resolveSort(sort)))
+      .lean()
+      .cursor();
+
+    try {
+      res.attachment(`archive-export-${new Date().toISOString().slice(0, 10)}.${format}`);
+      res.type(EXPORT_CONTENT_TYPES[format]);
+      await writeDocumentExport(format, documents, res);
+    } catch (error) {
+      await documents.close().catch(() => {});
+      if (!res.headersSent) {
+        return next(error);
+      }
+      console.error('Document export failed', error);
+      res.destroy(error);
+    }
+  }
+);
+
+// Mirrors the folders of resolveHierarchyDirectory so the archive unpacks into the same layout.
+const buildArchiveEntryPath = (document) =>
+  [
+    String(document.year ?? '').replace(/[^0-9]/g, '') || 'year',
+    sanitizeDirectoryName(document.merchantName, { fallback: 'merchant' }),
+    sanitizeDirectoryName(document.month, { fallback: 'month' }),
+    document.storedName || path.basename(document.storagePath),
+  ].join('/');
+
+const deduplicateEntryPath = (entryPath, usedPaths) => {
+  let candidate = entryPath;
+  const extension = path.posix.extname(entryPath);
+  const base = entryPath.slice(0, entryPath.length - extension.length);
+
+  for (let counter = 2; usedPaths.has(candidate.toLowerCase()); counter += 1) {
+    candidate = `${base}-${counter}${extension}`;
+  }
+
+  usedPaths.add(candidate.toLowerCase());
+  return candidate;
+};
+
+app.get(
+  '/api/documents/zip',
+  authenticate,
+  requireRole('viewer'),
+  [...documentFilterValidators],
+  handleValidation,
+  async (req, res, next) => {
+    let archive;
+
+    try {
+      const documents = await Document.find(applyAccessScope(buildDocumentFilters(req), req.user))
+        .sort({ year: 1, merchantName: 1, monthNumber: 1, storedName: 1, _id: 1 })
+        .lean();
+
+      if (!documents.length) {
+        return res.status(404).json({ message: 'No documents match the filters.' });
+      }
+
+      const usedPaths = new Set();
+      const entries = [];
+      for (const document of documents) {
+        const exists = Boolean(await storageDriver.stat(document.storagePath));
+
+        entries.push({
+          document,
+          file: deduplicateEntryPath(buildArchiveEntryPath(document), usedPaths),
+          status: exists ? 'included' : 'missing',
+        });
+      }
+      const included = entries.filter((entry) => entry.status === 'included');
+
+      const { year, merchant, month } = req.query;
+      const nameSegments = [year, merchant, month]
+        .filter(Boolean)
+        .map((value) => sanitizeDirectoryName(value, { fallback: 'folder' }));
+      const archiveName = nameSegments.length ? nameSegments.join('-') : new Date().toISOString().slice(0, 10);
+
+      // Files are stored without compression, so their total size is a close estimate of the archive size
+      // that lets clients show download progress.
+      const estimatedSize = included.reduce((sum, entry) => sum + (entry.document.size || 0), 0);
+      res.set('X-Archive-Estimated-Size', String(estimatedSize));
+      res.attachment(`archive-${archiveName}.zip`);
+
+      archive = archiver('zip', { store: true });
+      const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        archive.on('warning', (warning) => console.error('ZIP download warning', warning));
+        res.on('finish', () => resolve(true));
+        res.on('close', () => {
+          if (!res.writableFinished) {
+            archive.abort();
+            resolve(false);
+          }
+        });
+      });
+
+      archive.pipe(res);
+      for (const entry of included) {
+        archive.append(openStoredFileLazily(entry.document), { name: entry.file });
+      }
+      archive.append(buildManifestCsv(entries), { name: 'manifest.csv' });
+      archive.finalize();
+
+      if (!(await finished)) {
+        return;
+      }
+
+      for (const { document } of included) {
+        await recordAuditEvent({
+          action: 'download',
+          req,
+          documentId: document._id,
+          after: snapshotDocument(document),
+        });
+      }
+    } catch (error) {
+      archive?.abort();
+      if (!res.headersSent) {
+        return next(error);
+      }
+      console.error('ZIP download failed', error);
+      res.destroy(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents/duplicates',
+  authenticate,
+  requireRole('viewer'),
+  [query('limit').optional().isInt({ min: 1, max: 100 }), query('skip').optional().isInt({ min: 0 })],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { limit = 25, skip = 0 } = req.query;
+      const filters = applyAccessScope({ deletedAt: null, contentHash: { $type: 'string' } }, req.user);
+
+      const [result] = await Document.aggregate([
+        { $match: filters },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$contentHash',
+            count: { $sum: 1 },
+            size: { $first: '$size' },
+            documents: {
+              $push: {
+                _id: '$_id',
+                originalName: '$originalName',
+                storedName: '$storedName',
+                year: '$year',
+                merchantName: '$merchantName',
+                month: '$month',
+                invoiceType: '$invoiceType',
+                createdAt: '$createdAt',
+              },
+            },
+          },
+        },
+        { $match: { count: { $gt: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        {
+          $facet: {
+            groups: [{ $skip: Number(skip) }, { $limit: Number(limit) }],
+            total: [{ $count: 'count' }],
+          },
+        },
+      ]);
+
+      res.json({
+        groups: result.groups.map(({ _id, ...group }) => ({ contentHash: _id, ...group })),
+        total: result.total[0]?.count ?? 0,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get('/api/documents/hierarchy', authenticate, requireRole('viewer'), async (req, res, next) => {
+  try {
+    const records = await Document.find(
+      applyAccessScope({ deletedAt: null }, req.user),
+      {
+        year: 1,
+        merchantName: 1,
+        month: 1,
+        originalName: 1,
+        storedName: 1,
+        storagePath: 1,
+        mimeType: 1,
+        size: 1,
+        notes: 1,
+        tags: 1,
+        amount: 1,
+        invoiceType: 1,
+        createdAt: 1,
+        updatedAt: 1,
+      }
+    )
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const monthOrder = new Map(MONTHS.map((value, index) => [value, index]));
+    const tree = new Map();
+
+    records.forEach((record) => {
+      const { year, merchantName, month } = record;
+      if (year === undefined || merchantName === undefined || month === undefined) {
+        return;
+      }
+
+      const safeYear = Number(year);
+      if (!Number.isFinite(safeYear)) {
+        return;
+      }
+
+      const merchantKey = merchantName.trim();
+      if (!merchantKey) {
+        return;
+      }
+
+      if (!tree.has(safeYear)) {
+        tree.set(safeYear, new Map());
+      }
+
+      const merchants = tree.get(safeYear);
+
+      if (!merchants.has(merchantKey)) {
+        merchants.set(merchantKey, new Map());
+      }
+
+      const months = merchants.get(merchantKey);
+
+      if (!months.has(month)) {
+        months.set(month, []);
+      }
+
+      const documents = months.get(month);
+      const createdAt = record.createdAt || record.updatedAt || null;
+      const updatedAt = record.updatedAt || record.createdAt || null;
+      documents.push({
+        id: String(record._id),
+        originalName: record.originalName,
+        storedName: record.storedName,
+        storagePath: record.storagePath,
+        mimeType: record.mimeType,
+        size: record.size,
+        notes: record.notes,
+        tags: record.tags || [],
+        amount: Number.isFinite(Number(record.amount)) ? Number(record.amount) : 0,
+        invoiceType: record.invoiceType || '',
+        createdAt,
+        updatedAt,
+      });
+    });
+
+    const years = Array.from(tree.entries())
+      .sort((a, b) => b[0] - a[0])
+      .map(([yearValue, merchantsMap]) => ({
+        year: yearValue,
+        merchants: Array.from(merchantsMap.entries())
+          .sort((a, b) => a[0].localeCompare(b[0], 'ar'))
+          .map(([merchantName, monthsMap]) => ({
+            name: merchantName,
+            months: Array.from(monthsMap.entries())
+              .sort(
+                (a, b) => (monthOrder.get(a[0]) ?? 0) - (monthOrder.get(b[0]) ?? 0)
+              )
+              .map(([monthName, documents]) => ({
+                name: monthName,
+                documents: documents.sort((a, b) => {
+                  const aTime = new Date(a.createdAt || 0).getTime();
+                  const bTime = new Date(b.createdAt || 0).getTime();
+                  return bTime - aTime;
+                }),
+              })),
+          })),
+      }));
+
+    res.json({ years });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get(
+  '/api/documents/:id',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+      res.json(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents/:id/file',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId(), query('version').optional().isInt({ min: 1 }).toInt()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+
+      const requestedVersion = req.query.version !== undefined ? Number(req.query.version) : document.version;
+      const file =
+        requestedVersion === document.version
+          ? document
+          : document.versions.find((entry) => entry.version === requestedVersion);
+
+      if (!file) {
+        return res.status(404).json({ message: 'Document version not found.' });
+      }
+
+      const stats = await storageDriver.stat(file.storagePath);
+      if (!stats) {
+        return res.status(404).json({ message: 'Stored file not found on server.' });
+      }
+
+      await recordAuditEvent({
+        action: 'download',
+        req,
+        documentId: document._id,
+        after: {
+          ...snapshotDocument(document),
+          originalName: file.originalName,
+          storedName: file.storedName,
+          storagePath: file.storagePath,
+          mimeType: file.mimeType,
+          size: file.size,
+          version: requestedVersion,
+        },
+      });
+
+      // Single byte ranges are honoured so browsers can seek in previews; anything else gets the whole file.
+      // Encrypted files are always sent whole.
+      const ranges = req.range(stats.size);
+      const requestedRange =
+        Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+      const { stream, size, range, encrypted } = await openStoredFile(file, { range: requestedRange });
+
+      res.type(file.mimeType);
+      res.set('Accept-Ranges', encrypted ? 'none' : 'bytes');
+      res.set('Last-Modified', new Date(stats.modifiedAt).toUTCString());
+      if (range) {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      }
+      res.set('Content-Length', String(range ? range.end - range.start + 1 : size));
+
+      stream.on('error', (streamError) => {
+        console.error(`Failed to stream the stored file of document ${document._id}`, streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Originals are numbered from 1 like their stored names. They are only downloaded, so they are sent whole.
+app.get(
+  '/api/documents/:id/originals/:index',
+  authenticate,
+  requireRole('viewer'),
+  [
+    param('id').isMongoId(),
+    param('index').isInt({ min: 1 }).toInt(),
+    query('version').optional().isInt({ min: 1 }).toInt(),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+
+      const requestedVersion = req.query.version !== undefined ? Number(req.query.version) : document.version;
+      const file =
+        requestedVersion === document.version
+          ? document
+          : document.versions.find((entry) => entry.version === requestedVersion);
+      const original = file?.originals?.[req.params.index - 1];
+
+      if (!original) {
+        return res.status(404).json({ message: 'Original image not found.' });
+      }
+      if (!(await storageDriver.stat(original.storagePath))) {
+        return res.status(404).json({ message: 'Stored file not found on server.' });
+      }
+
+      await recordAuditEvent({
+        action: 'download',
+        req,
+        documentId: document._id,
+        after: {
+          ...snapshotDocument(document),
+          originalName: original.originalName,
+          storagePath: original.storagePath,
+          mimeType: original.mimeType,
+          size: original.size,
+          version: requestedVersion,
+        },
+      });
+
+      const { stream, size } = await openStoredFile(original);
+      res.type(original.mimeType);
+      res.set('Content-Length', String(size));
+
+      stream.on('error', (streamError) => {
+        console.error(`Failed to stream an original image of document ${document._id}`, streamError);
+        res.destroy(streamError);
+      });
+      stream.pipe(res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Previews are revalidated on every use: the ETag changes with each new version of the file, so an unchanged
+// thumbnail costs a 304 and a replaced one is never shown stale.
+const sendPreview = async (req, res, { page, kind }) => {
+  const document = await findActiveDocument(req.params.id);
+  if (!document || !canAccessDocument(req.user, document)) {
+    return res.status(404).json({ message: 'Document not found.' });
+  }
+
+  const preview = document.previews.find((entry) => entry.kind === kind && entry.page === page);
+  if (!preview) {
+    return res.status(404).json({ message: 'No preview is available for this document.' });
+  }
+
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('ETag', `"${document._id}-${document.version}-${kind}-${page}-${preview.size}"`);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const { stream, size } = await openStoredFile(preview);
+  res.type('image/webp');
+  res.set('Content-Length', String(size));
+
+  stream.on('error', (streamError) => {
+    console.error(`Failed to stream a preview of document ${document._id}`, streamError);
+    res.destroy(streamError);
+  });
+  stream.pipe(res);
+};
+
+app.get(
+  '/api/documents/:id/thumbnail',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      await sendPreview(req, res, { kind: 'thumbnail', page: 1 });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents/:id/pages/:page/preview',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId(), param('page').isInt({ min: 1 }).toInt()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      await sendPreview(req, res, { kind: 'page', page: req.params.page });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/documents/:id/versions',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id).populate([
+        { path: 'uploadedBy', select: 'username displayName' },
+        { path: 'versions.uploadedBy', select: 'username displayName' },
+      ]);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+
+      const serializeVersion = (file, { version, uploadedAt, current }) => ({
+        version,
+        originalName: file.originalName,
+        storedName: file.storedName,
+        mimeType: file.mimeType,
+        size: file.size,
+        originals: (file.originals || []).map(({ originalName, mimeType, size }) => ({ originalName, mimeType, size })),
+        uploadedBy: file.uploadedBy || null,
+        uploadedAt,
+        current,
+      });
+
+      const versions = [
+        serializeVersion(document, {
+          version: document.version,
+          uploadedAt: document.fileUploadedAt || document.createdAt,
+          current: true,
+        }),
+        ...[...document.versions]
+          .sort((a, b) => b.version - a.version)
+          .map((entry) =>
+            serializeVersion(entry, { version: entry.version, uploadedAt: entry.uploadedAt, current: false })
+          ),
+      ];
+
+      res.json({ versions });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/documents/:id/versions',
+  authenticate,
+  requireRole('editor'),
+  upload.array('files', 20),
+  [param('id').isMongoId()],
+  imagePdfOptionValidators,
+  handleValidation,
+  async (req, res, next) => {
+    const uploadedFiles = Array.isArray(req.files) ? req.files : [];
+    let generated = [];
+
+    try {
+      if (uploadedFiles.length === 0) {
+        return res.status(400).json({ message: 'A replacement file is required.' });
+      }
+
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        await cleanupUploadedFiles(uploadedFiles);
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+
+      const normalisedFiles = await normaliseUploadedFiles(uploadedFiles, {
+        nameHint: [document.merchantName, document.month, document.year].join('-'),
+        imagePdfOptions: pickImagePdfOptions(req.body),
+        keepOriginals: req.body.keepOriginals ?? KEEP_IMAGE_ORIGINALS,
+        req,
+      });
+      generated = normalisedFiles.generated;
+
+      if (normalisedFiles.files.length !== 1) {
+        await cleanupUploadedFiles([...uploadedFiles, ...generated]);
+        return res
+          .status(400)
+          .json({ message: 'Upload a single document, or images that will be combined into one PDF.' });
+      }
+
+      const [file] = normalisedFiles.files;
+      const contentHash = await hashFile(file.path);
+      const before = snapshotDocument(document);
+      const archivedName = buildVersionFileName(document.storedName, document.version);
+      const archivedPath = path.posix.join(path.posix.dirname(document.storagePath), archivedName);
+      const archived = Boolean(await storageDriver.stat(document.storagePath));
+      const storagePath = buildHierarchyStoragePath(document, file.filename);
+      const replacedPreviews = document.previews.map((preview) => preview.toObject());
+      let previews = [];
+      let originals = [];
+      let journal = null;
+      let stored = false;
+
+      try {
+        journal = await moveFiles({
+          documentId: document._id,
+          operation: 'version',
+          moves: archived ? [{ from: document.storagePath, to: archivedPath }] : [],
+        });
+
+        const contentText = await extractStoredText(file.path, file.mimetype);
+        const contentWarnings = await findContentWarnings({ localPath: file.path, mimeType: file.mimetype });
+        previews = await generatePreviews({ localPath: file.path, mimeType: file.mimetype, storagePath });
+        const encryptionKeyId = await storeFile(storagePath, file.path, { contentType: file.mimetype });
+        stored = true;
+        originals = await storeOriginalFiles(file.originals || [], storagePath);
+
+        // The originals of the replaced file stay where they are and are listed with its version.
+        document.versions.push({
+          version: document.version,
+          originalName: document.originalName,
+          storedName: archived ? archivedName : document.storedName,
+          storagePath: archived ? archivedPath : document.storagePath,
+          mimeType: document.mimeType,
+          size: document.size,
+          contentHash: document.contentHash,
+          sourceHash: document.sourceHash,
+          encryptionKeyId: document.encryptionKeyId,
+          originals: document.originals.length ? document.originals.map((entry) => entry.toObject()) : undefined,
+          uploadedBy: document.uploadedBy,
+          uploadedAt: document.fileUploadedAt || document.createdAt,
+        });
+
+        document.originalName = file.originalname;
+        document.storedName = file.filename;
+        document.storagePath = storagePath;
+        document.mimeType = file.mimetype;
+        document.size = file.size;
+        document.contentHash = contentHash;
+        document.sourceHash = file.sourceHash;
+        document.encryptionKeyId = encryptionKeyId;
+        document.originals = originals;
+        document.previews = previews;
+        document.contentWarnings = contentWarnings;
+        document.contentText = contentText;
+        document.contentIndexedAt = new Date();
+        document.ocr = needsOcr(document) ? { ...buildPendingOcr(), textLayer: false } : undefined;
+        document.uploadedBy = req.user._id;
+        document.fileUploadedAt = new Date();
+        document.version += 1;
+
+        // OCR may have stored a text layer as a new version since the document was read.
+        document.$where = { version: matchFileVersion(document.version - 1) };
+        await document.save();
+      } catch (error) {
+        if (stored) {
+          await storageDriver.delete(storagePath).catch((cleanupError) => {
+            console.error('Failed to remove the new file after version upload error', cleanupError);
+          });
+        }
+        await deletePreviews(previews);
+        await deleteOriginalFiles(originals);
+        await rollBackFileMoves(journal, 'Failed to restore previous file after version upload error');
+        if (error.name === 'DocumentNotFoundError') {
+          throw Object.assign(new Error('The document changed while the file was replaced. Please try again.'), {
+            status: 409,
+          });
+        }
+        throw error;
+      }
+
+      await commitFileMoves(journal);
+      await deletePreviews(replacedPreviews);
+
+      await recordAuditEvent({
+        action: 'version',
+        req,
+        documentId: document._id,
+        before,
+        after: snapshotDocument(document),
+      });
+
+      if (document.ocr?.status === 'pending') {
+        drainOcrQueue();
+      }
+
+      return res.status(201).json(document);
+    } catch (error) {
+      await cleanupUploadedFiles([...uploadedFiles, ...generated]);
       next(error);
     }
   }
 );
 
+const readDocumentPdf = (document) => withStoredFile(document, (localPath) => fs.promises.readFile(localPath));
+
+const loadDocumentPdf = async (document) => {
+  if (document.mimeType !== 'application/pdf') {
+    throw Object.assign(new Error(`${document.storedName} is not a PDF, so its pages cannot be copied.`), {
+      status: 422,
+    });
+  }
+  return loadPdf(await readDocumentPdf(document), document.storedName);
+};
+
+// Sources are only trashed once the new documents exist; one that cannot be trashed is left as it is.
+const trashSourceDocuments = async (documents, req) => {
+  const trashed = [];
+  for (const document of documents) {
+    try {
+      await trashDocument(document, req);
+      trashed.push(String(document._id));
+    } catch (error) {
+      console.error(`Failed to trash document ${document._id} after copying its pages`, error);
+    }
+  }
+  return trashed;
+};
+
 app.get(
-  '/api/documents',
-  [
-    query('name').optional().isString(),
-    query('price').optional().isFloat(),
-    query('amount').optional().custom(parseAmountQueryField),
-    query('invoiceType').optional().custom(parseInvoiceTypeQueryField),
-    query('year').optional().isInt({ min: 1900, max: 9999 }),
-    query('merchant').optional().isString(),
-    query('month').optional().isIn(MONTHS),
-    query('limit').optional().isInt({ min: 1, max: 100 }),
-    query('skip').optional().isInt({ min: 0 }),
-    query('includeTotal').optional().isBoolean().toBoolean(),
-  ],
+  '/api/documents/:id/pages',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId()],
   handleValidation,
   async (req, res, next) => {
     try {
-      const {
-        name,
-        price,
-        amount,
-        invoiceType,
-        year,
-        merchant,
-        month,
-        limit = 50,
-        skip = 0,
-        includeTotal = false,
-      } = req.query;
-
-      const filters = {};
-      const limitValue = Number(limit);
-      const skipValue = Number(skip);
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
 
-      if (name) {
-        const regex = new RegExp(name, 'i');
-        filters.$or = [
-          { originalName: regex },
-          { 'tags.name': regex },
-          { merchantName: regex },
-        ];
+      if (document.mimeType !== 'application/pdf') {
+        return res.status(422).json({ message: 'Only PDF documents have pages to pick from.' });
       }
-      if (price !== undefined) {
-        filters['tags.price'] = Number(price);
+
+      const pageCount = await countPdfPages(await readDocumentPdf(document)).catch(() => {
+        throw Object.assign(new Error('The PDF could not be read.'), { status: 422 });
+      });
+
+      res.json({
+        pageCount,
+        previews: document.previews.filter((preview) => preview.kind === 'page').map((preview) => preview.page),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Copies pages of several PDFs, in the order given, into a new document. Metadata not sent is combined from
+// the sources: the hierarchy and invoice type of the first one, the sum of the amounts, all tags and notes.
+app.post(
+  '/api/documents/merge',
+  authenticate,
+  requireRole('editor'),
+  [
+    body('documents')
+      .isArray({ min: 2, max: MERGE_DOCUMENT_LIMIT })
+      .withMessage(`Documents must be a list of 2 to ${MERGE_DOCUMENT_LIMIT} documents.`),
+    body('documents.*.id').isMongoId().withMessage('Every document id must be valid.'),
+    body('documents.*.pages').optional({ nullable: true }).isString().trim(),
+    body('trashSources').optional().isBoolean().toBoolean(),
+    ...documentUpdateValidators,
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const entries = req.body.documents;
+      const ids = entries.map((entry) => String(entry.id));
+      if (new Set(ids).size !== ids.length) {
+        return res.status(422).json({ message: 'List each document once and pick its pages instead.' });
       }
-      if (req.parsedAmountQuery !== undefined) {
-        filters.$expr = {
-          $eq: [{ $ifNull: ['$amount', 0] }, req.parsedAmountQuery],
-        };
-      } else if (amount !== undefined) {
-        filters.amount = Number(amount);
+
+      const found = await Document.find(applyAccessScope({ _id: { $in: ids }, deletedAt: null }, req.user));
+      const documentsById = new Map(found.map((document) => [String(document._id), document]));
+      const sources = ids.map((id) => documentsById.get(id));
+      if (sources.some((source) => !source)) {
+        return res.status(404).json({ message: 'Document not found.' });
       }
-      if (req.parsedInvoiceTypeQuery) {
-        filters.invoiceType = req.parsedInvoiceTypeQuery;
-      } else if (invoiceType) {
-        filters.invoiceType = invoiceType;
+
+      const parts = [];
+      for (const [index, source] of sources.entries()) {
+        const pdf = await loadDocumentPdf(source);
+        const pages = entries[index].pages
+          ? parsePageRanges(entries[index].pages, pdf.getPageCount())
+          : pdf.getPageIndices().map((pageIndex) => pageIndex + 1);
+        parts.push({ source, pdf, pages });
       }
-      if (year) {
-        filters.year = Number(year);
+
+      const [first] = sources;
+      const notes = [...new Set(sources.map((source) => source.notes).filter(Boolean))].join('\n').slice(0, 2000);
+      const metadata = {
+        year: req.body.year ?? first.year,
+        merchantName: req.body.merchant ?? first.merchantName,
+        month: req.body.month ?? first.month,
+        invoiceType: req.parsedInvoiceType ?? first.invoiceType,
+        amount:
+          req.parsedAmount ?? Math.round(sources.reduce((sum, source) => sum + (source.amount || 0), 0) * 100) / 100,
+        tags: req.parsedTags ?? sources.flatMap((source) => source.tags.map((tag) => tag.toObject())),
+        notes: req.body.notes ?? (notes || undefined),
+        derivedFrom: {
+          operation: 'merge',
+          sources: parts.map(({ source, pages }) => ({ document: source._id, storedName: source.storedName, pages })),
+        },
+      };
+
+      if (!canAccessDocument(req.user, metadata)) {
+        return res.status(403).json({ message: 'You do not have access to archive documents for this merchant.' });
       }
-      if (merchant) {
-        filters.merchantName = new RegExp(`^${escapeRegExp(merchant)}$`, 'i');
+
+      const document = await createPdfDocumentRecord({
+        data: await buildPdfFromPages(parts),
+        name: `${metadata.merchantName}-${metadata.month}-${metadata.year}-merged`,
+        metadata,
+        user: req.user,
+      });
+      const trashed = req.body.trashSources ? await trashSourceDocuments(sources, req) : [];
+
+      if (document.ocr?.status === 'pending') {
+        drainOcrQueue();
       }
-      if (month) {
-        filters.month = new RegExp(`^${escapeRegExp(month)}$`, 'i');
+
+      res.status(201).json({ document, trashed });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Each part becomes a new document in the folder of the source, with its invoice type. The amount and tags of
+// the source describe the whole file, so a part only gets the amount and notes sent for it.
+app.post(
+  '/api/documents/:id/split',
+  authenticate,
+  requireRole('editor'),
+  [
+    param('id').isMongoId(),
+    body('parts')
+      .isArray({ min: 1, max: SPLIT_PART_LIMIT })
+      .withMessage(`Parts must be a list of 1 to ${SPLIT_PART_LIMIT} page ranges.`),
+    body('parts.*.pages').isString().trim().notEmpty().withMessage('Every part needs its pages.'),
+    body('parts.*.amount')
+      .optional({ nullable: true })
+      .custom((value) => {
+        parseAmount(value);
+        return true;
+      }),
+    body('parts.*.notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
+    body('trashSource').optional().isBoolean().toBoolean(),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const source = await findActiveDocument(req.params.id);
+      if (!source || !canAccessDocument(req.user, source)) {
+        return res.status(404).json({ message: 'Document not found.' });
       }
 
-      const documentQuery = Document.find(filters)
-        .sort({ createdAt: -1 })
-        .skip(skipValue)
-        .limit(limitValue);
+      const pdf = await loadDocumentPdf(source);
+      const parts = req.body.parts.map((part) => ({
+        ...part,
+        pages: parsePageRanges(part.pages, pdf.getPageCount()),
+      }));
+      const baseName = path.parse(source.originalName).name;
+      const documents = [];
 
-      const [documents, total] = await Promise.all([
-        documentQuery,
-        includeTotal ? Document.countDocuments(filters) : Promise.resolve(null),
-      ]);
+      for (const part of parts) {
+        const document = await createPdfDocumentRecord({
+          data: await buildPdfFromPages([{ pdf, pages: part.pages }]),
+          name: `${baseName}-pages-${formatPageRanges(part.pages).replace(/, /g, '_')}`,
+          metadata: {
+            year: source.year,
+            merchantName: source.merchantName,
+            month: source.month,
+            invoiceType: source.invoiceType,
+            amount: parseAmount(part.amount),
+            notes: part.notes || undefined,
+            derivedFrom: {
+              operation: 'split',
+              sources: [{ document: source._id, storedName: source.storedName, pages: part.pages }],
+            },
+          },
+          user: req.user,
+        });
+        documents.push(document);
+      }
 
-      if (includeTotal) {
-        return res.json({ documents, total });
+      const trashed = req.body.trashSource ? await trashSourceDocuments([source], req) : [];
+
+      if (documents.some((document) => document.ocr?.status === 'pending')) {
+        drainOcrQueue();
       }
 
-      res.json(documents);
+      res.status(201).json({ documents, trashed });
     } catch (error) {
       next(error);
     }
   }
 );
 
-app.get('/api/documents/hierarchy', async (_req, res, next) => {
-  try {
-    const records = await Document.find(
-      {},
-      {
-        year: 1,
-        merchantName: 1,
-        month: 1,
-        originalName: 1,
-        storedName: 1,
-        storagePath: 1,
-        mimeType: 1,
-        size: 1,
-        notes: 1,
-        tags: 1,
-        amount: 1,
-        invoiceType: 1,
-        createdAt: 1,
-        updatedAt: 1,
+app.get(
+  '/api/documents/:id/ocr',
+  authenticate,
+  requireRole('viewer'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id).select('+ocr.pages');
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
       }
-    )
-      .sort({ createdAt: -1 })
-      .lean();
 
-    const monthOrder = new Map(MONTHS.map((value, index) => [value, index]));
-    const tree = new Map();
+      const { pages = [], ...ocr } = document.toObject().ocr || {};
 
-    records.forEach((record) => {
-      const { year, merchantName, month } = record;
-      if (year === undefined || merchantName === undefined || month === undefined) {
-        return;
+      res.json({ ...ocr, status: ocr.status || null, pages });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/documents/:id/ocr',
+  authenticate,
+  requireRole('editor'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
       }
 
-      const safeYear = Number(year);
-      if (!Number.isFinite(safeYear)) {
-        return;
+      if (!OCR_ENABLED) {
+        return res.status(503).json({ message: 'OCR is disabled on this server.' });
       }
 
-      const merchantKey = merchantName.trim();
-      if (!merchantKey) {
-        return;
+      if (document.mimeType !== 'application/pdf') {
+        return res.status(400).json({ message: 'OCR is only available for PDF documents.' });
       }
 
-      if (!tree.has(safeYear)) {
-        tree.set(safeYear, new Map());
+      if (document.ocr?.status === 'processing') {
+        return res.status(409).json({ message: 'OCR is already running for this document.' });
       }
 
-      const merchants = tree.get(safeYear);
+      document.ocr = { ...document.toObject().ocr, ...buildPendingOcr() };
+      await document.save();
 
-      if (!merchants.has(merchantKey)) {
-        merchants.set(merchantKey, new Map());
+      drainOcrQueue();
+
+      res.status(202).json(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Bulk requests name their documents with `ids`, or set `allMatching` to act on every document
+// matching the list filters passed in the query string.
+const bulkSelectionValidators = [
+  ...documentFilterValidators,
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: BULK_DOCUMENT_LIMIT })
+    .withMessage(`Ids must be a list of 1 to ${BULK_DOCUMENT_LIMIT} document ids.`),
+  body('ids.*').isMongoId().withMessage('Every id must be a valid document id.'),
+  body('allMatching').optional().isBoolean().toBoolean(),
+];
+
+const findBulkTargets = async (req) => {
+  const { ids, allMatching } = req.body;
+
+  if (Array.isArray(ids)) {
+    const uniqueIds = [...new Set(ids.map(String))];
+    const documents = await Document.find(
+      applyAccessScope({ _id: { $in: uniqueIds }, deletedAt: null }, req.user)
+    );
+    const documentsById = new Map(documents.map((document) => [String(document._id), document]));
+
+    return uniqueIds.map((id) => ({ id, document: documentsById.get(id) || null }));
+  }
+
+  if (!allMatching) {
+    throw Object.assign(new Error('Provide document ids or set allMatching to use the filters.'), { status: 422 });
+  }
+
+  const filters = applyAccessScope(buildDocumentFilters(req), req.user);
+  const total = await Document.countDocuments(filters);
+  if (total > BULK_DOCUMENT_LIMIT) {
+    throw Object.assign(
+      new Error(`The filters match ${total} documents; bulk actions are limited to ${BULK_DOCUMENT_LIMIT}.`),
+      { status: 422 }
+    );
+  }
+
+  const documents = await Document.find(filters).sort({ createdAt: 1, _id: 1 });
+  return documents.map((document) => ({ id: String(document._id), document }));
+};
+
+// Documents are processed one at a time so a failure only affects its own item: its files are moved
+// back and the remaining documents are still handled.
+const runBulkOperation = async (targets, operation) => {
+  const results = [];
+
+  for (const { id, document } of targets) {
+    if (!document) {
+      results.push({ id, status: 'not_found', message: 'Document not found.' });
+      continue;
+    }
+
+    try {
+      results.push({ id, status: await operation(document) });
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Bulk operation failed for document ${id}`, error);
       }
+      results.push({ id, status: 'failed', message: error.message });
+    }
+  }
 
-      const months = merchants.get(merchantKey);
+  const counts = results.reduce((summary, result) => {
+    summary[result.status] = (summary[result.status] || 0) + 1;
+    return summary;
+  }, {});
 
-      if (!months.has(month)) {
-        months.set(month, []);
+  return { counts, results };
+};
+
+const BULK_UPDATE_FIELDS = ['notes', 'tags', 'amount', 'invoiceType', 'year', 'merchant', 'month'];
+
+app.patch(
+  '/api/documents/bulk',
+  authenticate,
+  requireRole('editor'),
+  [...bulkSelectionValidators, ...documentUpdateValidators],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      if (!BULK_UPDATE_FIELDS.some((field) => req.body[field] !== undefined && req.body[field] !== null)) {
+        return res.status(422).json({ message: 'Provide at least one field to update.' });
       }
 
-      const documents = months.get(month);
-      const createdAt = record.createdAt || record.updatedAt || null;
-      const updatedAt = record.updatedAt || record.createdAt || null;
-      documents.push({
-        id: String(record._id),
-        originalName: record.originalName,
-        storedName: record.storedName,
-        storagePath: record.storagePath,
-        mimeType: record.mimeType,
-        size: record.size,
-        notes: record.notes,
-        tags: record.tags || [],
-        amount: Number.isFinite(Number(record.amount)) ? Number(record.amount) : 0,
-        invoiceType: record.invoiceType || '',
-        createdAt,
-        updatedAt,
+      const targets = await findBulkTargets(req);
+      const { counts, results } = await runBulkOperation(targets, async (document) =>
+        (await applyDocumentUpdate(document, req)) ? 'updated' : 'unchanged'
+      );
+
+      res.json({ counts, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/documents/bulk-delete',
+  authenticate,
+  requireRole('editor'),
+  bulkSelectionValidators,
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const targets = await findBulkTargets(req);
+      const { counts, results } = await runBulkOperation(targets, async (document) => {
+        await trashDocument(document, req);
+        return 'deleted';
       });
-    });
 
-    const years = Array.from(tree.entries())
-      .sort((a, b) => b[0] - a[0])
-      .map(([yearValue, merchantsMap]) => ({
-        year: yearValue,
-        merchants: Array.from(merchantsMap.entries())
-          .sort((a, b) => a[0].localeCompare(b[0], 'ar'))
-          .map(([merchantName, monthsMap]) => ({
-            name: merchantName,
-            months: Array.from(monthsMap.entries())
-              .sort(
-                (a, b) => (monthOrder.get(a[0]) ?? 0) - (monthOrder.get(b[0]) ?? 0)
-              )
-              .map(([monthName, documents]) => ({
-                name: monthName,
-                documents: documents.sort((a, b) => {
-                  const aTime = new Date(a.createdAt || 0).getTime();
-                  const bTime = new Date(b.createdAt || 0).getTime();
-                  return bTime - aTime;
-                }),
-              })),
-          })),
-      }));
+      res.json({ counts, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    res.json({ years });
-  } catch (error) {
-    next(error);
+app.delete(
+  '/api/documents/:id',
+  authenticate,
+  requireRole('editor'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found.' });
+      }
+
+      await trashDocument(document, req);
+
+      return res.json({
+        message: 'Document moved to trash.',
+        id: String(document._id),
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-app.get(
+app.patch(
   '/api/documents/:id',
-  [param('id').isMongoId()],
+  authenticate,
+  requireRole('editor'),
+  [param('id').isMongoId(), ...documentUpdateValidators],
   handleValidation,
   async (req, res, next) => {
     try {
-      const document = await Document.findById(req.params.id);
-      if (!document) {
+      const document = await findActiveDocument(req.params.id);
+
+      if (!document || !canAccessDocument(req.user, document)) {
         return res.status(404).json({ message: 'Document not found.' });
       }
+
+      await applyDocumentUpdate(document, req);
+
       res.json(document);
     } catch (error) {
       next(error);
@@ -796,214 +2575,545 @@ app.get(
 );
 
 app.get(
-  '/api/documents/:id/file',
+  '/api/documents/:id/history',
+  authenticate,
+  requireRole('viewer'),
   [param('id').isMongoId()],
   handleValidation,
   async (req, res, next) => {
     try {
       const document = await Document.findById(req.params.id);
-      if (!document) {
+      if (!document || !canAccessDocument(req.user, document)) {
         return res.status(404).json({ message: 'Document not found.' });
       }
 
-      const absolutePath = path.resolve(__dirname, document.storagePath);
-      if (!fs.existsSync(absolutePath)) {
-        return res.status(404).json({ message: 'Stored file not found on server.' });
-      }
+      const events = await AuditEvent.find({ document: document._id }).sort({ createdAt: -1 }).lean();
 
-      res.type(document.mimeType);
-      res.sendFile(absolutePath);
+      res.json({ events });
     } catch (error) {
       next(error);
     }
   }
 );
 
-app.delete(
-  '/api/documents/:id',
-  [param('id').isMongoId()],
+app.post(
+  '/api/documents/:id/revert',
+  authenticate,
+  requireRole('editor'),
+  [
+    param('id').isMongoId(),
+    body('eventId').exists().withMessage('Revision id is required.').bail().isMongoId(),
+  ],
   handleValidation,
   async (req, res, next) => {
     try {
-      const document = await Document.findById(req.params.id);
-      if (!document) {
+      const document = await findActiveDocument(req.params.id);
+      if (!document || !canAccessDocument(req.user, document)) {
         return res.status(404).json({ message: 'Document not found.' });
       }
 
-      const absolutePath = path.resolve(__dirname, document.storagePath);
+      const revision = await AuditEvent.findOne({ _id: req.body.eventId, document: document._id }).lean();
+      if (!revision || !revision.after || !REVISION_ACTIONS.includes(revision.action)) {
+        return res.status(404).json({ message: 'Revision not found.' });
+      }
+
+      const target = revision.after;
 
-      await Document.deleteOne({ _id: document._id });
+      if (!canAccessDocument(req.user, target)) {
+        return res
+          .status(403)
+          .json({ message: 'You do not have access to the merchant stored in this revision.' });
+      }
+
+      const before = snapshotDocument(document);
+
+      REVERTIBLE_FIELDS.forEach((field) => {
+        document[field] = target[field] ?? undefined;
+      });
+
+      const shouldRelocate =
+        document.year !== before.year ||
+        document.merchantName !== before.merchantName ||
+        document.month !== before.month;
+
+      let relocationResult = null;
+
+      if (shouldRelocate) {
+        relocationResult = await relocateDocumentFile(
+          document,
+          { year: document.year, merchantName: document.merchantName, month: document.month },
+          { operation: 'revert' }
+        );
+      }
 
       try {
-        const deletedFile = await removeFileIfExists(absolutePath);
-        if (deletedFile) {
-          await removeEmptyDirectoriesUpwards(path.dirname(absolutePath));
-        }
-      } catch (cleanupError) {
-        console.error('Document removed from database but file cleanup failed', cleanupError);
+        await document.save();
+      } catch (error) {
+        await rollBackFileMoves(relocationResult, 'Failed to restore document after revert error');
+        throw error;
       }
 
-      return res.json({
-        message: 'Document deleted successfully.',
-        id: String(document._id),
+      await commitFileMoves(relocationResult);
+
+      await recordAuditEvent({
+        action: 'revert',
+        req,
+        documentId: document._id,
+        before,
+        after: snapshotDocument(document),
+        revertedEvent: revision._id,
       });
+
+      res.json(document);
     } catch (error) {
       next(error);
     }
   }
 );
 
-app.patch(
-  '/api/documents/:id',
+const REPORT_GROUP_FIELDS = {
+  year: '$year',
+  month: '$month',
+  merchant: '$merchantName',
+  invoiceType: '$invoiceType',
+};
+
+// Documents saved without an amount fall back to the sum of their tag prices, as in the UI.
+const REPORT_AMOUNT_EXPRESSION = { $ifNull: ['$amount', { $sum: '$tags.price' }] };
+
+const REPORT_ACCUMULATORS = {
+  count: { $sum: 1 },
+  sum: { $sum: '$reportAmount' },
+  min: { $min: '$reportAmount' },
+  max: { $max: '$reportAmount' },
+  average: { $avg: '$reportAmount' },
+};
+
+const parseReportGroupBy = (value, { req }) => {
+  const fields = [...new Set(String(value).split(',').map((field) => field.trim()).filter(Boolean))];
+  const unknown = fields.filter((field) => !REPORT_GROUP_FIELDS[field]);
+  if (unknown.length > 0) {
+    throw new Error(`groupBy accepts: ${Object.keys(REPORT_GROUP_FIELDS).join(', ')}`);
+  }
+  req.parsedGroupBy = fields;
+  return true;
+};
+
+const roundAmount = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+const serializeReportRow = ({ count = 0, sum = 0, min = null, max = null, average = null } = {}) => ({
+  count,
+  sum: roundAmount(sum),
+  min: roundAmount(min),
+  max: roundAmount(max),
+  average: roundAmount(average),
+});
+
+const compareReportGroups = (groupBy) => (left, right) => {
+  for (const field of groupBy) {
+    const a = left[field];
+    const b = right[field];
+    let difference;
+    if (field === 'year') {
+      difference = (a ?? 0) - (b ?? 0);
+    } else if (field === 'month') {
+      difference = MONTHS.indexOf(a) - MONTHS.indexOf(b);
+    } else {
+      difference = String(a ?? '').localeCompare(String(b ?? ''));
+    }
+    if (difference !== 0) {
+      return difference;
+    }
+  }
+  return 0;
+};
+
+app.get(
+  '/api/reports/summary',
+  authenticate,
+  requireRole('viewer'),
+  [...documentFilterValidators, query('groupBy').optional().custom(parseReportGroupBy)],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const groupBy = req.parsedGroupBy || [];
+      const scopedFilters = applyAccessScope(buildDocumentFilters(req), req.user);
+
+      const facets = {
+        totals: [{ $group: { _id: null, ...REPORT_ACCUMULATORS } }],
+      };
+      if (groupBy.length > 0) {
+        facets.groups = [
+          {
+            $group: {
+              _id: Object.fromEntries(groupBy.map((field) => [field, REPORT_GROUP_FIELDS[field]])),
+              ...REPORT_ACCUMULATORS,
+            },
+          },
+        ];
+      }
+
+      const [result] = await Document.aggregate([
+        { $match: scopedFilters },
+        { $addFields: { reportAmount: REPORT_AMOUNT_EXPRESSION } },
+        { $facet: facets },
+      ]);
+
+      const groups = (result.groups || [])
+        .map(({ _id, ...row }) => ({ ..._id, ...serializeReportRow(row) }))
+        .sort(compareReportGroups(groupBy));
+
+      res.json({
+        groupBy,
+        totals: serializeReportRow(result.totals[0]),
+        groups,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/audit',
+  authenticate,
+  requireRole('admin'),
   [
-    param('id').isMongoId(),
-    body('notes').optional({ nullable: true }).isString().trim().isLength({ max: 2000 }),
-    body('tags').optional().custom(parseTags),
-    body('amount').optional({ nullable: true }).custom(parseAmountField),
-    body('invoiceType').optional({ nullable: true }).custom(parseInvoiceTypeField),
-    body('year')
-      .optional({ nullable: true })
-      .isInt({ min: 1900, max: 9999 })
-      .toInt(),
-    body('merchant')
-      .optional({ nullable: true })
-      .isString()
-      .trim()
-      .isLength({ min: 1, max: 200 })
-      .withMessage('Merchant name must be between 1 and 200 characters.'),
-    body('month')
-      .optional({ nullable: true })
-      .isString()
-      .trim()
-      .isIn(MONTHS)
-      .withMessage(`Month must be one of: ${MONTHS.join(', ')}`),
+    query('action').optional().isIn(AUDIT_ACTIONS),
+    query('documentId').optional().isMongoId(),
+    query('userId').optional().isMongoId(),
+    query('username').optional().isString(),
+    query('merchant').optional().isString(),
+    query('year').optional().isInt({ min: 1900, max: 9999 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+    query('skip').optional().isInt({ min: 0 }),
   ],
   handleValidation,
   async (req, res, next) => {
     try {
-      const document = await Document.findById(req.params.id);
+      const { action, documentId, userId, username, merchant, year, from, to, limit = 50, skip = 0 } = req.query;
 
-      if (!document) {
-        return res.status(404).json({ message: 'Document not found.' });
+      const filters = {};
+
+      if (action) {
+        filters.action = action;
+      }
+      if (documentId) {
+        filters.document = documentId;
+      }
+      if (userId) {
+        filters.user = userId;
+      }
+      if (username) {
+        filters.username = new RegExp(`^${escapeRegExp(username.trim())}$`, 'i');
+      }
+      if (merchant) {
+        filters.merchantName = new RegExp(`^${escapeRegExp(merchant.trim())}$`, 'i');
+      }
+      if (year) {
+        filters.year = Number(year);
+      }
+      if (from || to) {
+        filters.createdAt = {};
+        if (from) {
+          filters.createdAt.$gte = new Date(from);
+        }
+        if (to) {
+          filters.createdAt.$lte = new Date(to);
+        }
       }
 
-      const originalYear = document.year;
-      const originalMerchant = document.merchantName;
-      const originalMonth = document.month;
-      const originalAbsolutePath = path.resolve(__dirname, document.storagePath);
+      const [events, total] = await Promise.all([
+        AuditEvent.find(filters).sort({ createdAt: -1 }).skip(Number(skip)).limit(Number(limit)).lean(),
+        AuditEvent.countDocuments(filters),
+      ]);
+
+      res.json({ events, total });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  '/api/trash',
+  authenticate,
+  requireRole('editor'),
+  [query('limit').optional().isInt({ min: 1, max: 100 }), query('skip').optional().isInt({ min: 0 })],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const { limit = 50, skip = 0 } = req.query;
+      const filters = applyAccessScope({ deletedAt: { $ne: null } }, req.user);
 
-      const nextYear =
-        req.body.year !== undefined && req.body.year !== null ? Number(req.body.year) : originalYear;
-      const nextMerchant =
-        req.body.merchant !== undefined && req.body.merchant !== null
-          ? req.body.merchant.trim()
-          : originalMerchant;
-      const nextMonth =
-        req.body.month !== undefined && req.body.month !== null ? req.body.month : originalMonth;
+      const [documents, total] = await Promise.all([
+        Document.find(filters).sort({ deletedAt: -1 }).skip(Number(skip)).limit(Number(limit)),
+        Document.countDocuments(filters),
+      ]);
 
-      const shouldRelocate =
-        (nextYear !== undefined && nextYear !== originalYear) ||
-        (nextMerchant !== undefined && nextMerchant !== originalMerchant) ||
-        (nextMonth !== undefined && nextMonth !== originalMonth);
+      res.json({
+        documents: documents.map((document) => ({
+          ...document.toJSON(),
+          purgeAt: new Date(document.deletedAt.getTime() + TRASH_RETENTION_DAYS * DAY_IN_MS),
+        })),
+        total,
+        retentionDays: TRASH_RETENTION_DAYS,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-      if (req.body.notes !== undefined) {
-        document.notes = req.body.notes;
+app.post(
+  '/api/imports',
+  authenticate,
+  requireRole('admin'),
+  manifestUpload.single('manifest'),
+  [
+    body('sourceDir').optional().isString(),
+    body('dryRun').optional().isBoolean().toBoolean(),
+    body('onDuplicate')
+      .optional()
+      .isIn(IMPORT_DUPLICATE_POLICIES)
+      .withMessage(`onDuplicate must be one of: ${IMPORT_DUPLICATE_POLICIES.join(', ')}`),
+    query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv.'),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      if (!IMPORT_ROOT) {
+        return res
+          .status(503)
+          .json({ message: 'Imports are disabled. Set IMPORT_ROOT to the folder that holds the files to import.' });
       }
 
-      if (req.parsedTags !== undefined) {
-        document.tags = req.parsedTags;
+      if (!req.file) {
+        return res.status(400).json({ message: 'A manifest file (CSV or XLSX) is required.' });
       }
 
-      if (req.parsedAmount !== undefined) {
-        document.amount = req.parsedAmount;
+      const format = path.extname(req.file.originalname).slice(1).toLowerCase();
+      if (!MANIFEST_FORMATS.includes(format)) {
+        return res.status(400).json({ message: 'The manifest must be a .csv or .xlsx file.' });
       }
 
-      if (req.parsedInvoiceType !== undefined) {
-        document.invoiceType = req.parsedInvoiceType;
+      const sourceDir = path.resolve(IMPORT_ROOT, req.body.sourceDir || '.');
+      const relative = path.relative(IMPORT_ROOT, sourceDir);
+      const insideImportRoot = !relative.startsWith('..') && !path.isAbsolute(relative);
+      if (!insideImportRoot || !fs.statSync(sourceDir, { throwIfNoEntry: false })?.isDirectory()) {
+        return res.status(400).json({ message: 'Source folder not found in the import folder.' });
       }
 
-      if (req.body.year !== undefined && req.body.year !== null) {
-        document.year = nextYear;
+      const report = await runImport({
+        buffer: req.file.buffer,
+        format,
+        sourceDir,
+        dryRun: req.body.dryRun === true,
+        onDuplicate: req.body.onDuplicate,
+        user: req.user,
+      });
+
+      if (report.summary.imported) {
+        drainOcrQueue();
       }
 
-      if (req.body.merchant !== undefined && req.body.merchant !== null) {
-        document.merchantName = nextMerchant;
+      if (req.query.format === 'csv') {
+        res.attachment(`import-report-${new Date().toISOString().slice(0, 10)}.csv`);
+        return res.type('text/csv; charset=utf-8').send(buildImportReportCsv(report));
       }
 
-      if (req.body.month !== undefined && req.body.month !== null) {
-        document.month = nextMonth;
+      return res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/scans',
+  authenticate,
+  requireRole('admin'),
+  [body('sourceDir').optional().isString(), body('dryRun').optional().isBoolean().toBoolean()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      let root = uploadsDir;
+
+      if (req.body.sourceDir) {
+        if (!IMPORT_ROOT) {
+          return res
+            .status(503)
+            .json({ message: 'Scanning other folders is disabled. Set IMPORT_ROOT to the folder that holds them.' });
+        }
+
+        root = path.resolve(IMPORT_ROOT, req.body.sourceDir);
+        const relative = path.relative(IMPORT_ROOT, root);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+          return res.status(400).json({ message: 'Source folder not found in the import folder.' });
+        }
       }
 
-      let relocationResult = null;
+      const report = await scanFolderTree({ root, dryRun: req.body.dryRun === true, user: req.user });
 
-      if (shouldRelocate) {
-        let relocatedPath = null;
-        let finalAbsolutePath = null;
+      if (report.summary.registered || report.summary.imported) {
+        drainOcrQueue();
+      }
 
-        try {
-          relocatedPath = await moveDocumentToHierarchy({
-            filePath: originalAbsolutePath,
-            year: nextYear,
-            merchantName: nextMerchant,
-            month: nextMonth,
-          });
+      return res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-          const nextStoredName = deriveStoredFileName({
-            currentStoredName: document.storedName,
-            merchantName: nextMerchant,
-            month: nextMonth,
-            year: nextYear,
-            fallbackPath: relocatedPath,
-          });
+app.get(
+  '/api/integrity',
+  authenticate,
+  requireRole('admin'),
+  [query('verifyHashes').optional().isBoolean().toBoolean()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await runIntegrityCheck({ verifyHashes: req.query.verifyHashes === true }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-          const desiredPath = path.join(path.dirname(relocatedPath), nextStoredName);
-          finalAbsolutePath = relocatedPath;
+app.post(
+  '/api/integrity/relink',
+  authenticate,
+  requireRole('admin'),
+  [
+    body('path').isString().notEmpty().withMessage('path is required.'),
+    body('documentId').isMongoId().withMessage('documentId must be a valid document id.'),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await relinkOrphan({ path: req.body.path, documentId: req.body.documentId, user: req.user });
+      res.json(document);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-          if (desiredPath !== relocatedPath) {
-            await fs.promises.rename(relocatedPath, desiredPath);
-            finalAbsolutePath = desiredPath;
-          }
+app.post(
+  '/api/integrity/quarantine',
+  authenticate,
+  requireRole('admin'),
+  [body('path').isString().notEmpty().withMessage('path is required.')],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      res.json(await quarantineOrphan({ path: req.body.path }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-          relocationResult = {
-            originalAbsolutePath,
-            relocatedAbsolutePath: finalAbsolutePath,
-          };
-
-          const relativeStoragePath = path
-            .relative(__dirname, finalAbsolutePath)
-            .split(path.sep)
-            .join('/');
-          document.storagePath = relativeStoragePath;
-          document.storedName = nextStoredName;
-        } catch (error) {
-          const currentLocation = finalAbsolutePath || relocatedPath;
-          if (currentLocation && currentLocation !== originalAbsolutePath) {
-            try {
-              await fs.promises.mkdir(path.dirname(originalAbsolutePath), { recursive: true });
-              await fs.promises.rename(currentLocation, originalAbsolutePath);
-            } catch (restoreError) {
-              console.error('Failed to restore document after relocation error', restoreError);
-            }
-          }
-          return next(error);
-        }
+app.post(
+  '/api/integrity/flag',
+  authenticate,
+  requireRole('admin'),
+  [
+    body('ids')
+      .isArray({ min: 1, max: BULK_DOCUMENT_LIMIT })
+      .withMessage(`ids must list between 1 and ${BULK_DOCUMENT_LIMIT} documents.`),
+    body('ids.*').isMongoId().withMessage('Every id must be a valid document id.'),
+    body('verifyHashes').optional().isBoolean().toBoolean(),
+  ],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      // Trashed documents are included since their files are checked too.
+      const uniqueIds = [...new Set(req.body.ids.map(String))];
+      const documents = await Document.find({ _id: { $in: uniqueIds } });
+      const documentsById = new Map(documents.map((document) => [String(document._id), document]));
+      const targets = uniqueIds.map((id) => ({ id, document: documentsById.get(id) || null }));
+
+      const { counts, results } = await runBulkOperation(targets, async (document) =>
+        (await flagDocument(document, { verifyHashes: req.body.verifyHashes === true })) ? 'flagged' : 'cleared'
+      );
+
+      res.json({ counts, results });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/trash/purge',
+  authenticate,
+  requireRole('admin'),
+  [body('olderThanDays').optional().isInt({ min: 0 }).toInt()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const retentionDays =
+        req.body.olderThanDays !== undefined ? Number(req.body.olderThanDays) : TRASH_RETENTION_DAYS;
+      const purged = await purgeExpiredTrash({ retentionDays, req });
+
+      res.json({
+        message: `Purged ${purged.length} document(s) from the trash.`,
+        ids: purged,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  '/api/trash/:id/restore',
+  authenticate,
+  requireRole('editor'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await Document.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+      if (!document || !canAccessDocument(req.user, document)) {
+        return res.status(404).json({ message: 'Document not found in trash.' });
+      }
+
+      const before = snapshotDocument(document);
+      let relocationResult = null;
+
+      if (await storageDriver.stat(document.storagePath)) {
+        relocationResult = await relocateDocumentFile(
+          document,
+          { year: document.year, merchantName: document.merchantName, month: document.month },
+          { operation: 'restore' }
+        );
       }
 
+      document.deletedAt = null;
+      document.deletedBy = undefined;
+
       try {
         await document.save();
       } catch (error) {
-        if (relocationResult) {
-          const { originalAbsolutePath: originalPath, relocatedAbsolutePath: relocatedPath } = relocationResult;
-          try {
-            await fs.promises.mkdir(path.dirname(originalPath), { recursive: true });
-            await fs.promises.rename(relocatedPath, originalPath);
-          } catch (restoreError) {
-            console.error('Failed to restore document after update error', restoreError);
-          }
-        }
+        await rollBackFileMoves(relocationResult, 'Failed to return document to trash after restore error');
         throw error;
       }
 
+      await commitFileMoves(relocationResult);
+
+      await recordAuditEvent({
+        action: 'restore',
+        req,
+        documentId: document._id,
+        before,
+        after: snapshotDocument(document),
+      });
+
       res.json(document);
     } catch (error) {
       next(error);
@@ -1011,6 +3121,31 @@ app.patch(
   }
 );
 
+app.delete(
+  '/api/trash/:id',
+  authenticate,
+  requireRole('admin'),
+  [param('id').isMongoId()],
+  handleValidation,
+  async (req, res, next) => {
+    try {
+      const document = await Document.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+      if (!document) {
+        return res.status(404).json({ message: 'Document not found in trash.' });
+      }
+
+      await purgeTrashedDocument(document, { req });
+
+      res.json({
+        message: 'Document permanently deleted.',
+        id: String(document._id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 app.use((req, res, next) => {
   res.status(404).json({ message: 'Endpoint not found.' });
 });
@@ -1038,3 +3173,5 @@ process.on('unhandledRejection', (reason) => {
 process.on('uncaughtException', (error) => {
   console.error('Uncaught exception', error);
 });
+
+module.exports = app;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'download', 'revert', 'restore', 'purge', 'version', 'quarantine'];
+
+const AuditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: true,
+      enum: AUDIT_ACTIONS,
+    },
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      index: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    username: {
+      type: String,
+      trim: true,
+    },
+    merchantName: {
+      type: String,
+      trim: true,
+    },
+    year: {
+      type: Number,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    changes: {
+      type: [String],
+      default: [],
+    },
+    revertedEvent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AuditEvent',
+    },
+    ip: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+AuditEventSchema.index({ createdAt: -1 });
+AuditEventSchema.index({ user: 1, createdAt: -1 });
+AuditEventSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', AuditEventSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -17,6 +17,17 @@ const MONTHS = [
 
 const INVOICE_TYPES = ['sales', 'purchases', 'tax_invoice'];
 
+const OCR_STATUSES = ['pending', 'processing', 'done', 'failed'];
+
+const INTEGRITY_ISSUES = ['missing', 'sizeMismatch', 'hashMismatch'];
+
+const PREVIEW_KINDS = ['thumbnail', 'page'];
+
+const DERIVED_OPERATIONS = ['merge', 'split'];
+
+// Risky PDF features found when the file is stored: a password or scripts that run when it is opened.
+const CONTENT_WARNINGS = ['encrypted', 'javascript'];
+
 const TagSchema = new mongoose.Schema(
   {
     name: {
@@ -33,6 +44,162 @@ const TagSchema = new mongoose.Schema(
   { _id: false }
 );
 
+const OcrPageSchema = new mongoose.Schema(
+  {
+    page: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    text: {
+      type: String,
+      default: '',
+    },
+    confidence: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+const PreviewSchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      required: true,
+      enum: PREVIEW_KINDS,
+    },
+    page: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    storagePath: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    width: {
+      type: Number,
+    },
+    height: {
+      type: Number,
+    },
+    encryptionKeyId: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// An image a PDF was converted from, kept as uploaded when the uploader asked for it.
+const OriginalFileSchema = new mongoose.Schema(
+  {
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    storagePath: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    contentHash: {
+      type: String,
+    },
+    encryptionKeyId: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+// A document the pages of a merged or split document were copied from, with the pages that were taken.
+const PageSourceSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      required: true,
+    },
+    storedName: {
+      type: String,
+    },
+    pages: {
+      type: [Number],
+      default: undefined,
+    },
+  },
+  { _id: false }
+);
+
+const FileVersionSchema = new mongoose.Schema(
+  {
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    storedName: {
+      type: String,
+      required: true,
+    },
+    storagePath: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    contentHash: {
+      type: String,
+    },
+    sourceHash: {
+      type: String,
+    },
+    encryptionKeyId: {
+      type: String,
+    },
+    originals: {
+      type: [OriginalFileSchema],
+      default: undefined,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    uploadedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
 const DocumentSchema = new mongoose.Schema(
   {
     originalName: {
@@ -57,6 +224,20 @@ const DocumentSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    contentHash: {
+      type: String,
+      index: true,
+    },
+    // SHA-256 of what the file was made from – the images converted to a PDF, or the scan an OCR text layer
+    // was added to – so the same source is found again as a duplicate.
+    sourceHash: {
+      type: String,
+      index: true,
+    },
+    // Id of the key the stored file is encrypted with; unset while the file is stored in plaintext.
+    encryptionKeyId: {
+      type: String,
+    },
     tags: {
       type: [TagSchema],
       default: [],
@@ -76,6 +257,43 @@ const DocumentSchema = new mongoose.Schema(
       trim: true,
       maxlength: 2000,
     },
+    contentText: {
+      type: String,
+      select: false,
+    },
+    contentIndexedAt: {
+      type: Date,
+    },
+    ocr: {
+      status: {
+        type: String,
+        enum: OCR_STATUSES,
+        index: true,
+      },
+      languages: {
+        type: String,
+      },
+      error: {
+        type: String,
+      },
+      textLayer: {
+        type: Boolean,
+      },
+      requestedAt: {
+        type: Date,
+      },
+      startedAt: {
+        type: Date,
+      },
+      completedAt: {
+        type: Date,
+      },
+      pages: {
+        type: [OcrPageSchema],
+        default: undefined,
+        select: false,
+      },
+    },
     year: {
       type: Number,
       required: true,
@@ -92,12 +310,132 @@ const DocumentSchema = new mongoose.Schema(
       required: true,
       enum: MONTHS,
     },
+    // Calendar position of `month` (1-12), kept in sync so documents can be sorted by period.
+    monthNumber: {
+      type: Number,
+      min: 1,
+      max: 12,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    version: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    fileUploadedAt: {
+      type: Date,
+    },
+    versions: {
+      type: [FileVersionSchema],
+      default: [],
+    },
+    // Images the current file was converted from, stored next to it.
+    originals: {
+      type: [OriginalFileSchema],
+      default: [],
+    },
+    // Rendered images of the current file, stored next to it.
+    previews: {
+      type: [PreviewSchema],
+      default: [],
+    },
+    contentWarnings: {
+      type: [{ type: String, enum: CONTENT_WARNINGS }],
+      default: [],
+    },
+    // Set on documents made by merging or splitting archived PDFs.
+    derivedFrom: {
+      operation: {
+        type: String,
+        enum: DERIVED_OPERATIONS,
+      },
+      sources: {
+        type: [PageSourceSchema],
+        default: undefined,
+      },
+    },
+    // Set by the storage integrity check when the stored file of the document is broken.
+    integrity: {
+      issue: {
+        type: String,
+        enum: INTEGRITY_ISSUES,
+        index: true,
+      },
+      message: {
+        type: String,
+      },
+      flaggedAt: {
+        type: Date,
+      },
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
   },
   {
     timestamps: true,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.contentText;
+        return ret;
+      },
+    },
   }
 );
 
+DocumentSchema.pre('validate', function syncMonthNumber() {
+  const index = MONTHS.indexOf(this.month);
+  this.monthNumber = index === -1 ? undefined : index + 1;
+});
+
+// Indexes backing the sort options of the document list, which always break ties on _id.
+DocumentSchema.index({ createdAt: 1, _id: 1 });
+DocumentSchema.index({ amount: 1, _id: 1 });
+DocumentSchema.index({ merchantName: 1, _id: 1 });
+DocumentSchema.index({ year: 1, monthNumber: 1, _id: 1 });
+DocumentSchema.index({ originalName: 1, _id: 1 });
+
+// Arabic has no stemmer in MongoDB, so terms are matched as written in every language.
+DocumentSchema.index(
+  {
+    originalName: 'text',
+    merchantName: 'text',
+    'tags.name': 'text',
+    notes: 'text',
+    contentText: 'text',
+  },
+  {
+    name: 'DocumentFullText',
+    default_language: 'none',
+    weights: {
+      originalName: 5,
+      merchantName: 5,
+      'tags.name': 3,
+      notes: 2,
+      contentText: 1,
+    },
+  }
+);
+
+// Query condition for a document still at file `version`. Documents stored before versions were kept have no
+// `version` field and are at version 1.
+const matchFileVersion = (version) => (version === 1 ? { $in: [1, null] } : version);
+
 module.exports = mongoose.model('Document', DocumentSchema);
 module.exports.MONTHS = MONTHS;
 module.exports.INVOICE_TYPES = INVOICE_TYPES;
+module.exports.OCR_STATUSES = OCR_STATUSES;
+module.exports.INTEGRITY_ISSUES = INTEGRITY_ISSUES;
+module.exports.PREVIEW_KINDS = PREVIEW_KINDS;
+module.exports.CONTENT_WARNINGS = CONTENT_WARNINGS;
+module.exports.DERIVED_OPERATIONS = DERIVED_OPERATIONS;
+module.exports.matchFileVersion = matchFileVersion;
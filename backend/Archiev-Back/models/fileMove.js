@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const MoveSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Journal of file moves whose document has not been saved yet. Paths are storage paths relative to the
+// backend folder, like `Document.storagePath`.
+const FileMoveSchema = new mongoose.Schema(
+  {
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Document',
+      index: true,
+    },
+    operation: {
+      type: String,
+      trim: true,
+    },
+    moves: {
+      type: [MoveSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+module.exports = mongoose.model('FileMove', FileMoveSchema);
@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const { INVOICE_TYPES } = require('./document');
+
+const ROLES = ['viewer', 'uploader', 'editor', 'admin'];
+
+const ACCESS_SCOPES = ['all', 'granted'];
+
+const PASSWORD_SALT_ROUNDS = 12;
+
+const AccessGrantSchema = new mongoose.Schema(
+  {
+    merchantName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    years: {
+      type: [Number],
+      default: [],
+    },
+    invoiceTypes: {
+      type: [{ type: String, enum: INVOICE_TYPES }],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const UserSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+      minlength: 3,
+      maxlength: 64,
+    },
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'viewer',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    accessScope: {
+      type: String,
+      enum: ACCESS_SCOPES,
+      default: 'all',
+    },
+    accessGrants: {
+      type: [AccessGrantSchema],
+      default: [],
+    },
+    lastLoginAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.__v;
+        return ret;
+      },
+    },
+  }
+);
+
+UserSchema.methods.setPassword = async function setPassword(password) {
+  this.passwordHash = await bcrypt.hash(password, PASSWORD_SALT_ROUNDS);
+};
+
+UserSchema.methods.verifyPassword = function verifyPassword(password) {
+  if (!this.passwordHash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+module.exports = mongoose.model('User', UserSchema);
+module.exports.ROLES = ROLES;
+module.exports.ACCESS_SCOPES = ACCESS_SCOPES;
@@ -0,0 +1,82 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const { hashStream } = require('../utils/hash');
+const { storageDriver } = require('../services/storageDrivers');
+const { openStoredFile } = require('../services/storedFiles');
+
+const hashStoredFile = async (file) => {
+  if (!(await storageDriver.stat(file.storagePath))) {
+    return null;
+  }
+  return hashStream((await openStoredFile(file)).stream);
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      all: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const filters = values.all
+    ? {}
+    : { $or: [{ contentHash: null }, { versions: { $elemMatch: { contentHash: null } } }] };
+
+  let hashed = 0;
+  let missing = 0;
+
+  try {
+    const cursor = Document.find(filters).cursor();
+
+    for await (const document of cursor) {
+      if (values.all || !document.contentHash) {
+        const contentHash = await hashStoredFile(document);
+        if (contentHash) {
+          document.contentHash = contentHash;
+          hashed += 1;
+        } else {
+          console.warn(`Stored file not found for document ${document._id}: ${document.storagePath}`);
+          missing += 1;
+        }
+      }
+
+      for (const entry of document.versions) {
+        if (!values.all && entry.contentHash) {
+          continue;
+        }
+        const contentHash = await hashStoredFile(entry);
+        if (contentHash) {
+          entry.contentHash = contentHash;
+          hashed += 1;
+        } else {
+          missing += 1;
+        }
+      }
+
+      if (document.isModified()) {
+        await document.save();
+      }
+    }
+
+    console.log(`Hashed ${hashed} file(s); ${missing} stored file(s) could not be found.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const { storageDriver } = require('../services/storageDrivers');
+const { withStoredFile } = require('../services/storedFiles');
+const { canRenderPreviews, generatePreviews, deletePreviews } = require('../services/thumbnails');
+
+// Renders the previews of documents archived before thumbnails existed. With --all every document is rendered
+// again, which also picks up a change of PAGE_PREVIEWS or of the preview sizes.
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      all: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let rendered = 0;
+  let missing = 0;
+  let failed = 0;
+
+  try {
+    const cursor = Document.find(values.all ? {} : { 'previews.0': { $exists: false } }).cursor();
+
+    for await (const document of cursor) {
+      if (!canRenderPreviews(document.mimeType)) {
+        continue;
+      }
+      if (!(await storageDriver.stat(document.storagePath))) {
+        console.warn(`Stored file not found for document ${document._id}: ${document.storagePath}`);
+        missing += 1;
+        continue;
+      }
+
+      const replaced = document.previews.map((preview) => preview.toObject());
+      const previews = await withStoredFile(document, (localPath) =>
+        generatePreviews({ localPath, mimeType: document.mimeType, storagePath: document.storagePath })
+      );
+      if (!previews.length) {
+        failed += 1;
+        continue;
+      }
+
+      // Previews rendered again keep their paths, so only the ones no longer produced are removed.
+      const kept = new Set(previews.map((preview) => preview.storagePath));
+      document.previews = previews;
+      await document.save();
+      await deletePreviews(replaced.filter((preview) => !kept.has(preview.storagePath)));
+      rendered += 1;
+    }
+
+    console.log(`Rendered the previews of ${rendered} document(s); ${missing} missing, ${failed} failure(s).`);
+
+    if (missing || failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const { extractDocumentText } = require('../services/fullText');
+const { storageDriver } = require('../services/storageDrivers');
+const { withStoredFile } = require('../services/storedFiles');
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      all: { type: 'boolean', default: false },
+    },
+  });
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let indexed = 0;
+  let missing = 0;
+  let failed = 0;
+
+  try {
+    await Document.createIndexes();
+
+    const cursor = Document.find(values.all ? {} : { contentIndexedAt: null }).cursor();
+
+    for await (const document of cursor) {
+      if (!(await storageDriver.stat(document.storagePath))) {
+        console.warn(`Stored file not found for document ${document._id}: ${document.storagePath}`);
+        missing += 1;
+        continue;
+      }
+
+      try {
+        const contentText = await withStoredFile(document, (absolutePath) =>
+          extractDocumentText({ absolutePath, mimeType: document.mimeType })
+        );
+        await Document.updateOne(
+          { _id: document._id },
+          { $set: { contentText, contentIndexedAt: new Date() } }
+        );
+        indexed += 1;
+      } catch (error) {
+        console.error(`Failed to extract text for document ${document._id}`, error.message);
+        failed += 1;
+      }
+    }
+
+    console.log(`Indexed ${indexed} document(s); ${missing} missing file(s), ${failed} failure(s).`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
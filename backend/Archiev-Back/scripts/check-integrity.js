@@ -0,0 +1,125 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const User = require('../models/user');
+const { runIntegrityCheck, relinkOrphan, quarantineOrphan, flagDocument } = require('../services/integrity');
+
+const usage = () => {
+  console.log(
+    'Usage: npm run check-integrity -- [--verify-hashes] [--flag-broken] [--relink] [--quarantine-orphans] [--user <username>] [--report <report.json>]'
+  );
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      'verify-hashes': { type: 'boolean', default: false },
+      'flag-broken': { type: 'boolean', default: false },
+      relink: { type: 'boolean', default: false },
+      'quarantine-orphans': { type: 'boolean', default: false },
+      user: { type: 'string' },
+      report: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    usage();
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    let user = null;
+    if (values.user) {
+      user = await User.findOne({ username: values.user.trim().toLowerCase() });
+      if (!user) {
+        console.error(`User "${values.user}" not found.`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const verifyHashes = values['verify-hashes'];
+    const report = await runIntegrityCheck({ verifyHashes });
+
+    for (const problem of report.problems) {
+      const version = problem.version ? ` (version ${problem.version})` : '';
+      const original = problem.original ? ' (original image)' : '';
+      console.log(`${problem.storagePath}${version}${original}: ${problem.message}`);
+    }
+    for (const orphan of report.orphans) {
+      const candidates = orphan.candidates.map((candidate) => candidate.documentId).join(', ');
+      console.log(`${orphan.path}: not referenced by any document${candidates ? `; may belong to ${candidates}` : ''}`);
+    }
+
+    // Only orphans that match exactly one record are re-linked; the others are left for a person to decide.
+    const relinked = new Set();
+    if (values.relink) {
+      for (const orphan of report.orphans.filter((entry) => entry.candidates.length === 1)) {
+        const [candidate] = orphan.candidates;
+        try {
+          await relinkOrphan({ path: orphan.path, documentId: candidate.documentId, user });
+          relinked.add(orphan.path);
+          console.log(`Re-linked ${orphan.path} to document ${candidate.documentId}.`);
+        } catch (error) {
+          console.error(`Could not re-link ${orphan.path}: ${error.message}`);
+        }
+      }
+    }
+
+    if (values['quarantine-orphans']) {
+      for (const orphan of report.orphans.filter((entry) => !relinked.has(entry.path))) {
+        try {
+          const result = await quarantineOrphan({ path: orphan.path });
+          console.log(`Quarantined ${orphan.path} as ${result.quarantinedTo}.`);
+        } catch (error) {
+          console.error(`Could not quarantine ${orphan.path}: ${error.message}`);
+        }
+      }
+    }
+
+    if (values['flag-broken']) {
+      const ids = [...new Set(report.problems.map((problem) => problem.documentId))];
+      let flagged = 0;
+      for await (const document of Document.find({ _id: { $in: ids } }).cursor()) {
+        if (await flagDocument(document, { verifyHashes })) {
+          flagged += 1;
+        }
+      }
+      console.log(`Flagged ${flagged} document(s) with broken files.`);
+    }
+
+    if (values.report) {
+      await fs.promises.writeFile(values.report, JSON.stringify(report, null, 2));
+      console.log(`Wrote the report to ${values.report}.`);
+    }
+
+    const { documents, files, ok, missing, sizeMismatch, hashMismatch, orphans } = report.summary;
+    console.log(
+      `Checked ${files} file(s) of ${documents} document(s): ${ok} ok, ${missing} missing, ${sizeMismatch} size mismatch(es), ${hashMismatch} hash mismatch(es), ${orphans} orphan(s).`
+    );
+
+    if (report.problems.length || report.orphans.length) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
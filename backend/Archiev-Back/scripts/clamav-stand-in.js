@@ -0,0 +1,85 @@
+require('dotenv').config();
+
+const net = require('net');
+const { parseArgs } = require('util');
+
+// Marker of the EICAR anti-virus test file; a file containing it is reported like a real daemon reports it.
+const EICAR_MARKER = 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE';
+
+const usage = () => {
+  console.log('Usage: npm run clamav-stand-in -- [--port <port>]');
+};
+
+// Answers INSTREAM and PING the way a ClamAV daemon does, for trying MALWARE_SCANNER=clamav without
+// installing ClamAV. Only the EICAR test file is reported as infected.
+const handleConnection = (connection) => {
+  let buffer = Buffer.alloc(0);
+  let command = null;
+  const chunks = [];
+
+  const reply = (message) => {
+    connection.end(`${message}\0`);
+  };
+
+  connection.on('error', (error) => {
+    console.error('Connection error', error.message);
+  });
+
+  connection.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+
+    if (!command) {
+      const end = buffer.indexOf(0);
+      if (end === -1) {
+        return;
+      }
+      command = buffer.toString('utf8', 0, end).replace(/^[zn]/, '').trim();
+      buffer = buffer.subarray(end + 1);
+
+      if (command === 'PING') {
+        reply('PONG');
+        return;
+      }
+      if (command !== 'INSTREAM') {
+        reply(`${command}: Unknown command. ERROR`);
+        return;
+      }
+    }
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (length === 0) {
+        const infected = Buffer.concat(chunks).includes(EICAR_MARKER);
+        console.log(infected ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+        reply(infected ? 'stream: Eicar-Test-Signature FOUND' : 'stream: OK');
+        return;
+      }
+      if (buffer.length < 4 + length) {
+        return;
+      }
+      chunks.push(buffer.subarray(4, 4 + length));
+      buffer = buffer.subarray(4 + length);
+    }
+  });
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    usage();
+    return;
+  }
+
+  const port = Number(values.port || process.env.CLAMAV_PORT) || 3310;
+  net.createServer(handleConnection).listen(port, '127.0.0.1', () => {
+    console.log(`ClamAV stand-in listening on 127.0.0.1:${port}`);
+  });
+};
+
+main();
@@ -0,0 +1,78 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const User = require('../models/user');
+
+const { ROLES } = User;
+
+const usage = () => {
+  console.log(
+    `Usage: npm run create-user -- --username <name> --password <password> [--role ${ROLES.join('|')}] [--display-name <name>]`
+  );
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      username: { type: 'string' },
+      password: { type: 'string' },
+      role: { type: 'string', default: 'admin' },
+      'display-name': { type: 'string' },
+    },
+  });
+
+  if (!values.username || !values.password) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!ROLES.includes(values.role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.password.length < 8) {
+    console.error('Password must be at least 8 characters.');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const username = values.username.trim().toLowerCase();
+    let user = await User.findOne({ username });
+    const created = !user;
+
+    if (!user) {
+      user = new User({ username });
+    }
+
+    user.role = values.role;
+    user.active = true;
+    if (values['display-name']) {
+      user.displayName = values['display-name'];
+    }
+    await user.setPassword(values.password);
+    await user.save();
+
+    console.log(`${created ? 'Created' : 'Updated'} ${user.role} user "${user.username}".`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const { hashFile } = require('../utils/hash');
+const { storageDriver } = require('../services/storageDrivers');
+const { ENCRYPTION_KEYS, ENCRYPTION_KEY_ID } = require('../services/encryption');
+const { storeFile, listDocumentFiles, withStoredFile } = require('../services/storedFiles');
+
+const usage = () => {
+  console.log('Usage: npm run encrypt-files -- [--key-id <id>] [--dry-run]');
+};
+
+// Encrypts every stored file that is not yet encrypted with the key, trashed documents, older versions, kept
+// originals and previews included. Plaintext files and files under an older key are both rewritten, so the same
+// command encrypts an existing archive and re-encrypts it after a key rotation. Each file is checked against its
+// recorded hash before it is rewritten.
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      'key-id': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    usage();
+    return;
+  }
+
+  const keyId = values['key-id'] || ENCRYPTION_KEY_ID;
+  if (!keyId) {
+    console.error('Set ENCRYPTION_KEY_ID or pass --key-id.');
+    process.exitCode = 1;
+    return;
+  }
+  if (!ENCRYPTION_KEYS.has(keyId)) {
+    console.error(`Encryption key "${keyId}" is not listed in ENCRYPTION_KEYS.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const counts = { encrypted: 0, missing: 0, failed: 0 };
+  const dryRun = values['dry-run'];
+
+  try {
+    const cursor = Document.find({
+      $or: [
+        { encryptionKeyId: { $ne: keyId } },
+        { versions: { $elemMatch: { encryptionKeyId: { $ne: keyId } } } },
+        { 'versions.originals': { $elemMatch: { encryptionKeyId: { $ne: keyId } } } },
+        { originals: { $elemMatch: { encryptionKeyId: { $ne: keyId } } } },
+        { previews: { $elemMatch: { encryptionKeyId: { $ne: keyId } } } },
+      ],
+    }).cursor();
+
+    for await (const document of cursor) {
+      for (const file of listDocumentFiles(document)) {
+        if (file.encryptionKeyId === keyId) {
+          continue;
+        }
+
+        try {
+          if (!(await storageDriver.stat(file.storagePath))) {
+            console.warn(`Stored file not found for document ${document._id}: ${file.storagePath}`);
+            counts.missing += 1;
+            continue;
+          }
+
+          if (!dryRun) {
+            await withStoredFile(file, async (localPath) => {
+              if (file.contentHash && (await hashFile(localPath)) !== file.contentHash) {
+                throw new Error('The stored file does not match its recorded hash; run check-integrity first.');
+              }
+              await storeFile(file.storagePath, localPath, { contentType: file.mimeType, keyId, keepLocal: true });
+            });
+            file.encryptionKeyId = keyId;
+          }
+
+          counts.encrypted += 1;
+        } catch (error) {
+          console.error(`Failed to encrypt ${file.storagePath}`, error.message);
+          counts.failed += 1;
+        }
+      }
+
+      if (document.isModified()) {
+        await document.save();
+      }
+    }
+
+    console.log(
+      `${dryRun ? 'Would encrypt' : 'Encrypted'} ${counts.encrypted} file(s) with key "${keyId}"; ` +
+        `${counts.missing} missing, ${counts.failed} failure(s).`
+    );
+
+    if (counts.missing || counts.failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,117 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const User = require('../models/user');
+const {
+  MANIFEST_FORMATS,
+  IMPORT_DUPLICATE_POLICIES,
+  runImport,
+  buildImportReportCsv,
+} = require('../services/documentImport');
+
+const usage = () => {
+  console.log(
+    `Usage: npm run import -- --manifest <file.csv|file.xlsx> --source <folder> [--dry-run] [--on-duplicate ${IMPORT_DUPLICATE_POLICIES.join('|')}] [--user <username>] [--report <report.csv>]`
+  );
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      manifest: { type: 'string' },
+      source: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'on-duplicate': { type: 'string', default: 'reject' },
+      user: { type: 'string' },
+      report: { type: 'string' },
+    },
+  });
+
+  if (!values.manifest || !values.source) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+
+  const format = path.extname(values.manifest).slice(1).toLowerCase();
+  if (!MANIFEST_FORMATS.includes(format)) {
+    console.error('The manifest must be a .csv or .xlsx file.');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!IMPORT_DUPLICATE_POLICIES.includes(values['on-duplicate'])) {
+    console.error(`--on-duplicate must be one of: ${IMPORT_DUPLICATE_POLICIES.join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const sourceDir = path.resolve(values.source);
+  if (!fs.statSync(sourceDir, { throwIfNoEntry: false })?.isDirectory()) {
+    console.error(`Source folder not found: ${sourceDir}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    let user = null;
+    if (values.user) {
+      user = await User.findOne({ username: values.user.trim().toLowerCase() });
+      if (!user) {
+        console.error(`User "${values.user}" not found.`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const report = await runImport({
+      buffer: await fs.promises.readFile(values.manifest),
+      format,
+      sourceDir,
+      dryRun: values['dry-run'],
+      onDuplicate: values['on-duplicate'],
+      user,
+    });
+
+    for (const result of report.rows) {
+      if (result.errors.length || result.warnings.length) {
+        console.log(`Row ${result.row} (${result.file || 'no file'}): ${result.status}`);
+        [...result.errors, ...result.warnings].forEach((message) => console.log(`  - ${message}`));
+      }
+    }
+
+    if (values.report) {
+      await fs.promises.writeFile(values.report, buildImportReportCsv(report));
+      console.log(`Wrote the report to ${values.report}.`);
+    }
+
+    const { total, ...counts } = report.summary;
+    const breakdown = Object.entries(counts)
+      .map(([status, count]) => `${count} ${status}`)
+      .join(', ');
+    console.log(`${report.dryRun ? 'Checked' : 'Processed'} ${total} row(s): ${breakdown || 'nothing to import'}.`);
+
+    if (counts.failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
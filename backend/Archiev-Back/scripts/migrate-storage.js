@@ -0,0 +1,128 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const Document = require('../models/document');
+const { hashStream } = require('../utils/hash');
+const { STORAGE_DRIVERS, createStorageDriver, withLocalFile } = require('../services/storageDrivers');
+const { storedFileSize, listDocumentFiles, openStoredFile } = require('../services/storedFiles');
+
+const usage = () => {
+  console.log(
+    'Usage: npm run migrate-storage -- --from <driver> --to <driver> [--dry-run] [--verify-hashes]\n' +
+      `Drivers: ${Object.keys(STORAGE_DRIVERS).join(', ')}`
+  );
+};
+
+const matchesRecordedHash = async (driver, file) => {
+  if (!file.contentHash) {
+    return true;
+  }
+  const { stream } = await openStoredFile(file, { driver });
+  return (await hashStream(stream)) === file.contentHash;
+};
+
+// Copies every stored file, trashed documents, older versions, kept originals and previews included, to the same
+// storage path of another driver. Encrypted files are copied as they are. Files the target already holds with the
+// recorded size are skipped, so an interrupted migration can be run again. The source is left untouched; switch
+// STORAGE_DRIVER once the copy is complete.
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'verify-hashes': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || !values.from || !values.to) {
+    usage();
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  if (values.from === values.to) {
+    console.error('The source and target drivers must differ.');
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const source = createStorageDriver(values.from);
+  const target = createStorageDriver(values.to);
+  const dryRun = values['dry-run'];
+  const verifyHashes = values['verify-hashes'];
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const counts = { copied: 0, skipped: 0, missing: 0, failed: 0 };
+
+  try {
+    const cursor = Document.find({})
+      .select('storagePath size contentHash encryptionKeyId mimeType versions originals previews')
+      .lean()
+      .cursor();
+
+    for await (const document of cursor) {
+      for (const file of listDocumentFiles(document)) {
+        try {
+          if (!(await source.stat(file.storagePath))) {
+            console.warn(`Stored file not found for document ${document._id}: ${file.storagePath}`);
+            counts.missing += 1;
+            continue;
+          }
+
+          const existing = await target.stat(file.storagePath);
+          if (existing?.size === storedFileSize(file) && (!verifyHashes || (await matchesRecordedHash(target, file)))) {
+            counts.skipped += 1;
+            continue;
+          }
+
+          if (dryRun) {
+            counts.copied += 1;
+            continue;
+          }
+
+          await withLocalFile(
+            file.storagePath,
+            (localPath) => target.put(file.storagePath, localPath, { contentType: file.mimeType, keepLocal: true }),
+            { driver: source }
+          );
+
+          if (verifyHashes && !(await matchesRecordedHash(target, file))) {
+            throw new Error('The copied file does not match its recorded hash.');
+          }
+
+          counts.copied += 1;
+        } catch (error) {
+          console.error(`Failed to copy ${file.storagePath}`, error.message);
+          counts.failed += 1;
+        }
+      }
+    }
+
+    console.log(
+      `${dryRun ? 'Would copy' : 'Copied'} ${counts.copied} file(s) from ${source.name} to ${target.name}; ` +
+        `${counts.skipped} already there, ${counts.missing} missing, ${counts.failed} failure(s).`
+    );
+
+    if (counts.missing || counts.failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+require('dotenv').config();
+
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+
+const User = require('../models/user');
+const { uploadsDir } = require('../services/storage');
+const { scanFolderTree } = require('../services/folderScan');
+
+const usage = () => {
+  console.log('Usage: npm run scan-folders -- [--root <folder>] [--dry-run] [--user <username>]');
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      root: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      user: { type: 'string' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    usage();
+    return;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('Environment variable MONGO_URI is required.');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    let user = null;
+    if (values.user) {
+      user = await User.findOne({ username: values.user.trim().toLowerCase() });
+      if (!user) {
+        console.error(`User "${values.user}" not found.`);
+        process.exitCode = 1;
+        return;
+      }
+    }
+
+    const report = await scanFolderTree({ root: values.root || uploadsDir, dryRun: values['dry-run'], user });
+
+    for (const file of report.files) {
+      if (file.message || file.status === 'failed') {
+        console.log(`${file.path}: ${file.status}${file.message ? ` - ${file.message}` : ''}`);
+      }
+    }
+
+    if (report.unrecognisedFolders.length) {
+      console.log('Folders that could not be interpreted:');
+      report.unrecognisedFolders.forEach((folder) => console.log(`  - ${folder.path}: ${folder.reason}`));
+    }
+
+    const breakdown = Object.entries(report.summary)
+      .map(([status, count]) => `${count} ${status}`)
+      .join(', ');
+    console.log(`${report.dryRun ? 'Checked' : 'Scanned'} ${report.root} (${report.mode} mode): ${breakdown}.`);
+
+    if (report.summary.failed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.status ? error.message : error);
+  process.exit(1);
+});
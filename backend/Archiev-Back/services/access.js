@@ -0,0 +1,84 @@
+const { escapeRegExp } = require('../utils/text');
+
+const MATCH_NOTHING = { _id: { $exists: false } };
+
+const normaliseMerchantKey = (value) => String(value ?? '').trim().toLowerCase();
+
+const isUnrestricted = (user) => !user || user.role === 'admin' || user.accessScope !== 'granted';
+
+const getGrants = (user) => (Array.isArray(user?.accessGrants) ? user.accessGrants : []);
+
+const buildAccessFilter = (user) => {
+  if (isUnrestricted(user)) {
+    return null;
+  }
+
+  const grants = getGrants(user).filter((grant) => normaliseMerchantKey(grant.merchantName));
+
+  if (grants.length === 0) {
+    return MATCH_NOTHING;
+  }
+
+  const clauses = grants.map((grant) => {
+    const clause = {
+      merchantName: new RegExp(`^${escapeRegExp(grant.merchantName.trim())}$`, 'i'),
+    };
+    if (Array.isArray(grant.years) && grant.years.length > 0) {
+      clause.year = { $in: grant.years.map(Number) };
+    }
+    if (Array.isArray(grant.invoiceTypes) && grant.invoiceTypes.length > 0) {
+      clause.invoiceType = { $in: grant.invoiceTypes };
+    }
+    return clause;
+  });
+
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+};
+
+const applyAccessScope = (filters, user) => {
+  const accessFilter = buildAccessFilter(user);
+
+  if (!accessFilter) {
+    return filters;
+  }
+
+  if (!filters || Object.keys(filters).length === 0) {
+    return accessFilter;
+  }
+
+  return { $and: [filters, accessFilter] };
+};
+
+const canAccessDocument = (user, { merchantName, year, invoiceType } = {}) => {
+  if (isUnrestricted(user)) {
+    return true;
+  }
+
+  const merchantKey = normaliseMerchantKey(merchantName);
+  if (!merchantKey) {
+    return false;
+  }
+
+  return getGrants(user).some((grant) => {
+    if (normaliseMerchantKey(grant.merchantName) !== merchantKey) {
+      return false;
+    }
+    if (Array.isArray(grant.years) && grant.years.length > 0 && !grant.years.map(Number).includes(Number(year))) {
+      return false;
+    }
+    if (
+      Array.isArray(grant.invoiceTypes) &&
+      grant.invoiceTypes.length > 0 &&
+      !grant.invoiceTypes.includes(invoiceType)
+    ) {
+      return false;
+    }
+    return true;
+  });
+};
+
+module.exports = {
+  buildAccessFilter,
+  applyAccessScope,
+  canAccessDocument,
+};
@@ -0,0 +1,76 @@
+const AuditEvent = require('../models/auditEvent');
+
+const SNAPSHOT_FIELDS = [
+  'originalName',
+  'storedName',
+  'storagePath',
+  'mimeType',
+  'size',
+  'version',
+  'tags',
+  'amount',
+  'invoiceType',
+  'notes',
+  'year',
+  'merchantName',
+  'month',
+];
+
+// Events whose `after` snapshot describes a live state of the document that can be reverted to.
+const REVISION_ACTIONS = ['create', 'update', 'revert', 'restore'];
+
+// Fields a revert may write back; storage fields are recomputed by the relocation instead.
+const REVERTIBLE_FIELDS = ['tags', 'amount', 'invoiceType', 'notes', 'year', 'merchantName', 'month'];
+
+const snapshotDocument = (document) => {
+  if (!document) {
+    return null;
+  }
+
+  const source = typeof document.toObject === 'function' ? document.toObject() : document;
+
+  return SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+    if (field === 'tags') {
+      snapshot.tags = (source.tags || []).map((tag) => ({ name: tag.name, price: tag.price }));
+    } else {
+      snapshot[field] = source[field] ?? null;
+    }
+    return snapshot;
+  }, {});
+};
+
+const diffSnapshots = (before, after) =>
+  SNAPSHOT_FIELDS.filter(
+    (field) => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null)
+  );
+
+const recordAuditEvent = async ({ action, req, documentId, before = null, after = null, revertedEvent }) => {
+  const reference = after || before || {};
+
+  try {
+    return await AuditEvent.create({
+      action,
+      document: documentId,
+      user: req?.user?._id,
+      username: req?.user?.username,
+      merchantName: reference.merchantName,
+      year: reference.year,
+      before,
+      after,
+      changes: ['download', 'quarantine'].includes(action) ? [] : diffSnapshots(before, after),
+      revertedEvent,
+      ip: req?.ip,
+    });
+  } catch (error) {
+    console.error(`Failed to record ${action} audit event`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  REVISION_ACTIONS,
+  REVERTIBLE_FIELDS,
+  snapshotDocument,
+  diffSnapshots,
+  recordAuditEvent,
+};
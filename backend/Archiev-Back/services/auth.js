@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+
+const { ROLES } = User;
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const ROLE_RANK = new Map(ROLES.map((role, index) => [role, index]));
+
+const getJwtSecret = () => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('Environment variable JWT_SECRET is required for authentication.');
+  }
+  return secret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createHttpError = (status, message) => Object.assign(new Error(message), { status });
+
+const hasRole = (user, minimumRole) => {
+  if (!user || !ROLE_RANK.has(minimumRole)) {
+    return false;
+  }
+  return (ROLE_RANK.get(user.role) ?? -1) >= ROLE_RANK.get(minimumRole);
+};
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      sub: String(user._id),
+      username: user.username,
+      role: user.role,
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const issueTokens = async (user, { userAgent } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    userAgent: userAgent ? String(userAgent).slice(0, 500) : undefined,
+  });
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt,
+  };
+};
+
+// The token is claimed and revoked in one update, so concurrent requests with the same token cannot both
+// get a new pair.
+const rotateRefreshToken = async (refreshToken, { userAgent } = {}) => {
+  const now = new Date();
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } }
+  );
+
+  if (!record) {
+    throw createHttpError(401, 'Session expired. Please sign in again.');
+  }
+
+  const user = await User.findById(record.user);
+  if (!user || !user.active) {
+    throw createHttpError(401, 'Session expired. Please sign in again.');
+  }
+
+  const tokens = await issueTokens(user, { userAgent });
+  return { user, tokens };
+};
+
+const revokeRefreshToken = async (refreshToken) => {
+  if (!refreshToken) {
+    return false;
+  }
+
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+const revokeUserSessions = (userId) =>
+  RefreshToken.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+
+const extractBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token.trim();
+  }
+  return null;
+};
+
+const authenticate = async (req, res, next) => {
+  const token = extractBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required.' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, getJwtSecret());
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired access token.' });
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+    if (!user || !user.active) {
+      return res.status(401).json({ message: 'Account is disabled or no longer exists.' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireRole = (minimumRole) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required.' });
+  }
+
+  if (!hasRole(req.user, minimumRole)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action.' });
+  }
+
+  next();
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions,
+  authenticate,
+  requireRole,
+};
@@ -0,0 +1,86 @@
+const { MONTHS } = require('../models/document');
+const { escapeRegExp } = require('../utils/text');
+
+const buildRangeCondition = (from, to) => {
+  const condition = {};
+  if (from !== undefined) {
+    condition.$gte = from;
+  }
+  if (to !== undefined) {
+    condition.$lte = to;
+  }
+  return Object.keys(condition).length ? condition : null;
+};
+
+// Turns the filter query parameters shared by the document list, export and reports into a query.
+const buildDocumentFilters = (req) => {
+  const { name, q, price, amount, invoiceType, year, merchant, month } = req.query;
+  const filters = { deletedAt: null };
+  const ranges = req.parsedRanges || {};
+
+  if (name) {
+    const regex = new RegExp(name, 'i');
+    filters.$or = [
+      { originalName: regex },
+      { 'tags.name': regex },
+      { merchantName: regex },
+    ];
+  }
+  if (q) {
+    filters.$text = { $search: q };
+  }
+  if (price !== undefined) {
+    filters['tags.price'] = Number(price);
+  }
+  const priceRange = buildRangeCondition(ranges.priceMin, ranges.priceMax);
+  if (priceRange) {
+    filters.tags = { $elemMatch: { price: priceRange } };
+  }
+  const amountConditions = [];
+  if (req.parsedAmountQuery !== undefined) {
+    amountConditions.push({ $eq: [{ $ifNull: ['$amount', 0] }, req.parsedAmountQuery] });
+  } else if (amount !== undefined) {
+    filters.amount = Number(amount);
+  }
+  if (ranges.amountMin !== undefined) {
+    amountConditions.push({ $gte: [{ $ifNull: ['$amount', 0] }, ranges.amountMin] });
+  }
+  if (ranges.amountMax !== undefined) {
+    amountConditions.push({ $lte: [{ $ifNull: ['$amount', 0] }, ranges.amountMax] });
+  }
+  if (amountConditions.length) {
+    filters.$expr = amountConditions.length === 1 ? amountConditions[0] : { $and: amountConditions };
+  }
+  if (req.parsedInvoiceTypeQuery) {
+    filters.invoiceType = req.parsedInvoiceTypeQuery;
+  } else if (invoiceType) {
+    filters.invoiceType = invoiceType;
+  }
+  if (year) {
+    filters.year = Number(year);
+  }
+  const yearRange = buildRangeCondition(ranges.yearFrom, ranges.yearTo);
+  if (yearRange) {
+    filters.year = year ? { $eq: Number(year), ...yearRange } : yearRange;
+  }
+  if (merchant) {
+    filters.merchantName = new RegExp(`^${escapeRegExp(merchant)}$`, 'i');
+  }
+  if (month) {
+    filters.month = new RegExp(`^${escapeRegExp(month)}$`, 'i');
+  }
+  if (ranges.monthFrom !== undefined || ranges.monthTo !== undefined) {
+    const monthRange = { $in: MONTHS.slice(ranges.monthFrom ?? 0, (ranges.monthTo ?? MONTHS.length - 1) + 1) };
+    filters.month = month ? { $regex: filters.month, ...monthRange } : monthRange;
+  }
+  const createdRange = buildRangeCondition(ranges.createdFrom, ranges.createdTo);
+  if (createdRange) {
+    filters.createdAt = createdRange;
+  }
+
+  return filters;
+};
+
+module.exports = {
+  buildDocumentFilters,
+};
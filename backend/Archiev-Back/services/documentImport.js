@@ -0,0 +1,368 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const Document = require('../models/document');
+const { hashFile } = require('../utils/hash');
+const { parseAmount, normaliseDigits, normaliseInvoiceType, normaliseTags, resolveMonth } = require('./metadata');
+const { backendRoot, uploadsDir, buildHierarchyStoragePath } = require('./storage');
+const { storageDriver } = require('./storageDrivers');
+const { isImageMimeType, createPdfFromImages } = require('./imagePdf');
+const { detectMimeType } = require('./fileType');
+const { scanFiles } = require('./scanners');
+const { createDocumentRecord, matchContentHash } = require('./documentRecords');
+const { toCsvLine, CSV_BOM } = require('./export');
+
+const { MONTHS } = Document;
+
+const IMPORT_ROOT = process.env.IMPORT_ROOT ? path.resolve(backendRoot, process.env.IMPORT_ROOT) : '';
+
+const MANIFEST_FORMATS = ['csv', 'xlsx'];
+const IMPORT_DUPLICATE_POLICIES = ['reject', 'warn', 'allow'];
+
+// The same file types POST /api/documents accepts.
+const IMPORT_MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heic',
+};
+
+// Header names are compared without case, spaces or underscores, so "Invoice type" matches invoiceType.
+// The export column names are accepted too, which lets an export be edited and imported again.
+const MANIFEST_HEADERS = {
+  file: ['file', 'path', 'filepath', 'filename'],
+  year: ['year'],
+  merchant: ['merchant', 'merchantname', 'customer'],
+  month: ['month'],
+  invoiceType: ['invoicetype'],
+  amount: ['amount'],
+  tags: ['tags'],
+  notes: ['notes'],
+};
+
+const normaliseHeader = (value) => String(value ?? '').replace(/^\uFEFF/, '').replace(/[\s_-]+/g, '').toLowerCase();
+
+const cellText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) {
+      return value.richText.map((part) => part.text).join('').trim();
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+  }
+  return String(value).trim();
+};
+
+const readManifest = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+
+  if (format === 'xlsx') {
+    await workbook.xlsx.load(buffer);
+    [worksheet] = workbook.worksheets;
+  } else {
+    // Cells are kept as text so codes such as "007" or dates in notes are not reinterpreted.
+    worksheet = await workbook.csv.read(Readable.from([buffer]), { map: (value) => value });
+  }
+
+  if (!worksheet || worksheet.rowCount < 1) {
+    throw new Error('The manifest is empty.');
+  }
+
+  const columns = {};
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const header = normaliseHeader(cellText(cell.value));
+    const field = Object.keys(MANIFEST_HEADERS).find((key) => MANIFEST_HEADERS[key].includes(header));
+    if (field && !columns[field]) {
+      columns[field] = columnNumber;
+    }
+  });
+
+  const missing = ['file', 'year', 'merchant', 'month'].filter((field) => !columns[field]);
+  if (missing.length) {
+    throw new Error(`The manifest is missing the column(s): ${missing.join(', ')}.`);
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+
+    const values = Object.fromEntries(
+      Object.entries(columns).map(([field, columnNumber]) => [field, cellText(row.getCell(columnNumber).value)])
+    );
+
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ row: rowNumber, values });
+    }
+  });
+
+  return rows;
+};
+
+// Accepts the JSON array of POST /api/documents or the "name (price); name (price)" list of the export.
+const parseManifestTags = (value) => {
+  if (!value || value.startsWith('[')) {
+    return normaliseTags(value);
+  }
+
+  return normaliseTags(
+    value
+      .split(';')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry, index) => {
+        const match = entry.match(/^(.*?)\s*\(([^)]*)\)$/);
+        if (!match) {
+          throw new Error(`Tag at position ${index} must be written as "name (price)".`);
+        }
+        return { name: match[1], price: parseAmount(match[2]) };
+      })
+  );
+};
+
+const resolveSourceFile = (sourceDir, file) => {
+  const absolutePath = path.resolve(sourceDir, file);
+  const relative = path.relative(sourceDir, absolutePath);
+
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new Error('File must be inside the source folder.');
+  }
+
+  return absolutePath;
+};
+
+const validateManifestRow = async ({ values }, { sourceDir }) => {
+  const errors = [];
+  const metadata = {};
+
+  const year = Number(normaliseDigits(values.year));
+  if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+    errors.push('Year must be a whole number between 1900 and 9999.');
+  } else {
+    metadata.year = year;
+  }
+
+  if (!values.merchant || values.merchant.length > 200) {
+    errors.push('Merchant name must be between 1 and 200 characters.');
+  } else {
+    metadata.merchantName = values.merchant;
+  }
+
+  const month = resolveMonth(values.month);
+  if (!month) {
+    errors.push(`Month must be one of: ${MONTHS.join(', ')}`);
+  } else {
+    metadata.month = month;
+  }
+
+  const invoiceType = normaliseInvoiceType(values.invoiceType);
+  if (invoiceType === null) {
+    errors.push('Invoice type must be sales, purchases, or tax invoice.');
+  } else {
+    metadata.invoiceType = invoiceType || 'sales';
+  }
+
+  try {
+    metadata.amount = parseAmount(values.amount, { defaultValue: 0 });
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  try {
+    metadata.tags = parseManifestTags(values.tags);
+  } catch (error) {
+    errors.push(error.message);
+  }
+
+  if (values.notes && values.notes.length > 2000) {
+    errors.push('Notes must be at most 2000 characters.');
+  } else {
+    metadata.notes = values.notes || undefined;
+  }
+
+  let source = null;
+  if (!values.file) {
+    errors.push('File is required.');
+  } else {
+    try {
+      const absolutePath = resolveSourceFile(sourceDir, values.file);
+      const mimeType = IMPORT_MIME_TYPES[path.extname(absolutePath).toLowerCase()];
+      const stats = await fs.promises.stat(absolutePath).catch(() => null);
+
+      if (!stats?.isFile()) {
+        errors.push('File not found in the source folder.');
+      } else if (!mimeType) {
+        errors.push('Only PDF, Word, or image files (JPEG, PNG, TIFF, WebP, HEIC) can be imported.');
+      } else if ((await detectMimeType(absolutePath)) !== mimeType) {
+        errors.push('The file content does not match its extension.');
+      } else {
+        source = { absolutePath, mimeType, originalName: path.basename(absolutePath) };
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+
+  return { errors, metadata, source };
+};
+
+const removeFiles = (paths) => Promise.all(paths.map((filePath) => fs.promises.unlink(filePath).catch(() => {})));
+
+// Copies a source file into the uploads folder the way multer stores uploads, scanning it and turning images
+// into a PDF like POST /api/documents does.
+const stageSourceFile = async ({ absolutePath, mimeType, originalName }, metadata, { user }) => {
+  const stagedName = `${Date.now()}-${originalName.replace(/[^a-zA-Z0-9.\-]/g, '_')}`;
+  const stagedPath = path.join(uploadsDir, stagedName);
+  await fs.promises.copyFile(absolutePath, stagedPath);
+
+  try {
+    await scanFiles([{ path: stagedPath, originalname: originalName }], { req: { user } });
+  } catch (error) {
+    await removeFiles([stagedPath]);
+    throw error;
+  }
+
+  if (!isImageMimeType(mimeType)) {
+    const { size } = await fs.promises.stat(stagedPath);
+    return { path: stagedPath, filename: stagedName, originalname: originalName, mimetype: mimeType, size };
+  }
+
+  try {
+    return await createPdfFromImages([{ path: stagedPath, originalname: originalName }], {
+      nameHint: [metadata.merchantName, metadata.month, metadata.year].join('-'),
+    });
+  } finally {
+    await removeFiles([stagedPath]);
+  }
+};
+
+const importSourceFile = async ({ source, metadata, contentHash }, { user }) => {
+  const file = await stageSourceFile(source, metadata, { user });
+  const storagePath = buildHierarchyStoragePath(metadata, file.filename);
+
+  try {
+    file.contentHash = isImageMimeType(source.mimeType) ? await hashFile(file.path) : contentHash;
+
+    return await createDocumentRecord({ file, storagePath, metadata, user });
+  } catch (error) {
+    await removeFiles([file.path]);
+    await storageDriver.delete(storagePath).catch(() => {});
+    throw error;
+  }
+};
+
+// Validates every row first and, unless this is a dry run, imports the valid ones one by one. Rows are
+// independent: a failing row is reported and the rest of the manifest is still imported.
+const runImport = async ({ buffer, format, sourceDir, dryRun = false, onDuplicate = 'reject', user }) => {
+  const rows = await readManifest(buffer, format).catch((error) => {
+    throw Object.assign(new Error(`The manifest could not be read: ${error.message}`), { status: 400 });
+  });
+  const hashesInManifest = new Map();
+  const results = [];
+
+  for (const row of rows) {
+    const result = { row: row.row, file: row.values.file, status: 'failed', errors: [], warnings: [] };
+    results.push(result);
+
+    const { errors, metadata, source } = await validateManifestRow(row, { sourceDir });
+    if (errors.length) {
+      result.errors = errors;
+      continue;
+    }
+
+    try {
+      // Image rows are archived as PDFs that keep this hash as their `sourceHash`, so they are found again too.
+      const contentHash = await hashFile(source.absolutePath);
+
+      if (onDuplicate !== 'allow') {
+        const existing = await Document.findOne({ ...matchContentHash(contentHash), deletedAt: null })
+          .select('storedName')
+          .lean();
+        const duplicate = existing
+          ? `Same content as the archived document ${existing.storedName}.`
+          : hashesInManifest.has(contentHash)
+            ? `Same content as row ${hashesInManifest.get(contentHash)} of the manifest.`
+            : null;
+
+        if (duplicate && onDuplicate === 'reject') {
+          result.status = 'skipped';
+          result.errors.push(duplicate);
+          continue;
+        }
+        if (duplicate) {
+          result.warnings.push(duplicate);
+        }
+      }
+      if (!hashesInManifest.has(contentHash)) {
+        hashesInManifest.set(contentHash, row.row);
+      }
+
+      if (dryRun) {
+        result.status = 'valid';
+        continue;
+      }
+
+      const document = await importSourceFile({ source, metadata, contentHash }, { user });
+      result.status = 'imported';
+      result.documentId = String(document._id);
+      result.storagePath = document.storagePath;
+    } catch (error) {
+      console.error(`Failed to import manifest row ${row.row}`, error);
+      result.errors.push(error.message);
+    }
+  }
+
+  const summary = results.reduce(
+    (totals, result) => ({ ...totals, [result.status]: (totals[result.status] || 0) + 1 }),
+    { total: results.length }
+  );
+
+  return { dryRun, summary, rows: results };
+};
+
+const buildImportReportCsv = ({ rows }) =>
+  [
+    `${CSV_BOM}${toCsvLine(['Row', 'File', 'Status', 'Errors', 'Warnings', 'Document id', 'Storage path'])}`,
+    ...rows.map((result) =>
+      toCsvLine([
+        result.row,
+        result.file,
+        result.status,
+        result.errors.join(' '),
+        result.warnings.join(' '),
+        result.documentId,
+        result.storagePath,
+      ])
+    ),
+  ].join('');
+
+module.exports = {
+  IMPORT_ROOT,
+  MANIFEST_FORMATS,
+  IMPORT_DUPLICATE_POLICIES,
+  IMPORT_MIME_TYPES,
+  importSourceFile,
+  runImport,
+  buildImportReportCsv,
+};
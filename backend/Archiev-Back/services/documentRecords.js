@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const Document = require('../models/document');
+const { hashFile } = require('../utils/hash');
+const { uploadsDir, sanitizeFileBaseName, buildHierarchyStoragePath } = require('./storage');
+const { storageDriver } = require('./storageDrivers');
+const { extractDocumentText } = require('./fullText');
+const { findContentWarnings } = require('./pdfCheck');
+const { storeFile } = require('./storedFiles');
+const { generatePreviews, deletePreviews } = require('./thumbnails');
+const { needsOcr, buildPendingOcr } = require('./ocrQueue');
+const { snapshotDocument, recordAuditEvent } = require('./audit');
+
+// Images are archived as the PDF made from them, so hashes are matched against both the stored files and the
+// images earlier PDFs were converted from.
+const matchContentHash = (...hashes) => {
+  const values = [...new Set(hashes.filter(Boolean))];
+  return { $or: [{ contentHash: { $in: values } }, { sourceHash: { $in: values } }] };
+};
+
+// Stores a local file at `storagePath` and creates its record the way POST /api/documents does: the text is
+// indexed, previews are rendered, OCR is queued for scans and a create event is audited. A file the filesystem
+// driver already keeps at that path is registered where it is (and encrypted in place when encryption is on).
+const createDocumentRecord = async ({ file, storagePath, metadata, user }) => {
+  let contentText = '';
+  try {
+    contentText = await extractDocumentText({ absolutePath: file.path, mimeType: file.mimetype });
+  } catch (error) {
+    console.error(`Failed to extract text from ${file.path}`, error);
+  }
+
+  const contentWarnings = await findContentWarnings({ localPath: file.path, mimeType: file.mimetype });
+  const previews = await generatePreviews({ localPath: file.path, mimeType: file.mimetype, storagePath });
+  const encryptionKeyId = await storeFile(storagePath, file.path, { contentType: file.mimetype });
+
+  const document = await Document.create({
+    originalName: file.originalname,
+    storedName: file.filename,
+    storagePath,
+    mimeType: file.mimetype,
+    size: file.size,
+    contentHash: file.contentHash,
+    sourceHash: file.sourceHash,
+    encryptionKeyId,
+    previews,
+    contentWarnings,
+    contentText,
+    contentIndexedAt: new Date(),
+    ocr: needsOcr({ mimeType: file.mimetype, contentText }) ? buildPendingOcr() : undefined,
+    ...metadata,
+    uploadedBy: user?._id,
+  }).catch(async (error) => {
+    await deletePreviews(previews);
+    throw error;
+  });
+
+  await recordAuditEvent({
+    action: 'create',
+    req: { user },
+    documentId: document._id,
+    after: snapshotDocument(document),
+  });
+
+  return document;
+};
+
+// Creates a document from PDF bytes built in memory, such as the result of a merge or split. `name` becomes the
+// original name; `metadata` holds the hierarchy, the other fields and `derivedFrom`.
+const createPdfDocumentRecord = async ({ data, name, metadata, user }) => {
+  const baseName = sanitizeFileBaseName(name, { fallback: 'document' });
+  const filename = `${Date.now()}-${baseName}.pdf`;
+  const localPath = path.join(uploadsDir, filename);
+  const storagePath = buildHierarchyStoragePath(metadata, filename);
+
+  await fs.promises.writeFile(localPath, data);
+
+  try {
+    const file = {
+      path: localPath,
+      filename,
+      originalname: `${baseName}.pdf`,
+      mimetype: 'application/pdf',
+      size: data.length,
+      contentHash: await hashFile(localPath),
+    };
+
+    return await createDocumentRecord({ file, storagePath, metadata, user });
+  } catch (error) {
+    await fs.promises.unlink(localPath).catch(() => {});
+    await storageDriver.delete(storagePath).catch(() => {});
+    throw error;
+  }
+};
+
+module.exports = {
+  matchContentHash,
+  createDocumentRecord,
+  createPdfDocumentRecord,
+};
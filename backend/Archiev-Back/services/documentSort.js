@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const MATCH_NOTHING = { _id: { $exists: false } };
+
+const SORT_FIELDS = {
+  createdAt: ['createdAt'],
+  amount: ['amount'],
+  merchantName: ['merchantName'],
+  period: ['year', 'monthNumber'],
+  originalName: ['originalName'],
+};
+
+const DEFAULT_SORT = '-createdAt';
+
+const DOCUMENT_SORTS = Object.keys(SORT_FIELDS).flatMap((key) => [key, `-${key}`]);
+
+const resolveSort = (sort = DEFAULT_SORT) => {
+  const descending = sort.startsWith('-');
+  const key = descending ? sort.slice(1) : sort;
+
+  return {
+    sort,
+    direction: descending ? -1 : 1,
+    fields: [...SORT_FIELDS[key], '_id'],
+  };
+};
+
+const buildSortStage = ({ fields, direction }) =>
+  Object.fromEntries(fields.map((field) => [field, direction]));
+
+// MongoDB orders missing values and null before everything else, so "after null" has to be spelled out.
+const buildAfterCondition = (field, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : MATCH_NOTHING;
+  }
+
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset condition for "every document that sorts after the cursor": the first differing field decides.
+const buildCursorFilter = ({ fields, direction }, values) => ({
+  $or: fields.map((field, index) => ({
+    $and: [
+      ...fields.slice(0, index).map((previous, previousIndex) => ({ [previous]: values[previousIndex] })),
+      buildAfterCondition(field, values[index], direction),
+    ],
+  })),
+});
+
+const encodeValue = (value) => {
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: String(value) };
+  }
+  return value ?? null;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') {
+      return new Date(value.$date);
+    }
+    if (typeof value.$oid === 'string' && mongoose.isValidObjectId(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Cursor is invalid.');
+  }
+  return value;
+};
+
+const encodeCursor = ({ sort, fields }, document) =>
+  Buffer.from(
+    JSON.stringify({ sort, values: fields.map((field) => encodeValue(document.get(field))) })
+  ).toString('base64url');
+
+const decodeCursor = (cursor, { sort, fields }) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Cursor is invalid.');
+  }
+
+  if (!parsed || !Array.isArray(parsed.values) || parsed.values.length !== fields.length) {
+    throw new Error('Cursor is invalid.');
+  }
+  if (parsed.sort !== sort) {
+    throw new Error('Cursor was issued for a different sort order.');
+  }
+
+  return parsed.values.map(decodeValue);
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  DOCUMENT_SORTS,
+  resolveSort,
+  buildSortStage,
+  buildCursorFilter,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Encrypted files are `MAGIC | key id length | key id | IV | ciphertext | auth tag`. The header names the key,
+// so a file stays readable even when its document was not updated after a re-encryption was interrupted.
+const MAGIC = Buffer.from('AMAENC01');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+const MAX_HEADER_LENGTH = MAGIC.length + 1 + 64 + IV_LENGTH;
+
+// ENCRYPTION_KEYS lists every key that may still be needed to read files, as `id:base64key` pairs. New files
+// are encrypted with ENCRYPTION_KEY_ID; keys are rotated by adding a new pair and pointing the id at it.
+const parseEncryptionKeys = (value = '') => {
+  const keys = new Map();
+
+  for (const entry of value.split(',').map((part) => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const keyId = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !KEY_ID_PATTERN.test(keyId)) {
+      throw new Error('ENCRYPTION_KEYS entries must be "id:base64key" with an id of letters, digits, ".", "_" or "-".');
+    }
+    if (key.length !== 32) {
+      throw new Error(`Encryption key "${keyId}" must be 32 bytes encoded as base64.`);
+    }
+    keys.set(keyId, key);
+  }
+
+  return keys;
+};
+
+const ENCRYPTION_KEYS = parseEncryptionKeys(process.env.ENCRYPTION_KEYS);
+const ENCRYPTION_KEY_ID = process.env.ENCRYPTION_KEY_ID || '';
+
+if (ENCRYPTION_KEY_ID && !ENCRYPTION_KEYS.has(ENCRYPTION_KEY_ID)) {
+  throw new Error(`ENCRYPTION_KEY_ID "${ENCRYPTION_KEY_ID}" is not listed in ENCRYPTION_KEYS.`);
+}
+
+const getEncryptionKey = (keyId) => {
+  const key = ENCRYPTION_KEYS.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key "${keyId}" is not configured in ENCRYPTION_KEYS.`);
+  }
+  return key;
+};
+
+const buildKeyHeader = (keyId) => {
+  const id = Buffer.from(keyId, 'utf8');
+  return Buffer.concat([MAGIC, Buffer.from([id.length]), id]);
+};
+
+// Bytes an encrypted file has on top of its plaintext.
+const encryptionOverhead = (keyId) => (keyId ? buildKeyHeader(keyId).length + IV_LENGTH + TAG_LENGTH : 0);
+
+const encryptFile = async (sourcePath, destinationPath, keyId) => {
+  const keyHeader = buildKeyHeader(keyId);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(keyId), iv);
+  cipher.setAAD(keyHeader);
+
+  const output = fs.createWriteStream(destinationPath);
+  output.write(Buffer.concat([keyHeader, iv]));
+
+  await pipeline(
+    fs.createReadStream(sourcePath),
+    cipher,
+    new Transform({
+      transform: (chunk, encoding, callback) => callback(null, chunk),
+      flush: (callback) => callback(null, cipher.getAuthTag()),
+    }),
+    output
+  );
+};
+
+// Returns `{ keyId, headerLength }` for the first bytes of an encrypted file, or null for a plaintext file.
+const parseEncryptionHeader = (bytes) => {
+  if (bytes.length < MAGIC.length + 1 || !bytes.subarray(0, MAGIC.length).equals(MAGIC)) {
+    return null;
+  }
+
+  const idLength = bytes[MAGIC.length];
+  const headerLength = MAGIC.length + 1 + idLength + IV_LENGTH;
+  if (bytes.length < headerLength) {
+    throw new Error('The encryption header of the stored file is truncated.');
+  }
+
+  return {
+    keyId: bytes.subarray(MAGIC.length + 1, MAGIC.length + 1 + idLength).toString('utf8'),
+    headerLength,
+    iv: bytes.subarray(headerLength - IV_LENGTH, headerLength),
+    aad: bytes.subarray(0, MAGIC.length + 1 + idLength),
+  };
+};
+
+// The auth tag is checked once the last byte has been read, so a tampered file makes the stream fail at its
+// end rather than before the first byte.
+const createDecipher = ({ keyId, iv, aad }, authTag) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(keyId), iv);
+  decipher.setAAD(aad);
+  decipher.setAuthTag(authTag);
+  return decipher;
+};
+
+module.exports = {
+  ENCRYPTION_KEYS,
+  ENCRYPTION_KEY_ID,
+  TAG_LENGTH,
+  MAX_HEADER_LENGTH,
+  encryptionOverhead,
+  encryptFile,
+  parseEncryptionHeader,
+  createDecipher,
+};
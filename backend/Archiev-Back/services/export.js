@@ -0,0 +1,129 @@
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const INVOICE_TYPE_LABELS = {
+  sales: 'مبيعات',
+  purchases: 'مشتريات',
+  tax_invoice: 'فاتورة ضريبية',
+};
+
+// Documents saved without an amount fall back to the sum of their tag prices, as in the UI.
+const resolveAmount = ({ amount, tags = [] }) =>
+  typeof amount === 'number' ? amount : tags.reduce((sum, tag) => sum + (Number(tag.price) || 0), 0);
+
+const EXPORT_COLUMNS = [
+  { header: 'Name', key: 'name', width: 40, value: (document) => document.storedName || document.originalName },
+  { header: 'Original name', key: 'originalName', width: 40 },
+  { header: 'Year', key: 'year', width: 8 },
+  { header: 'Month', key: 'month', width: 12 },
+  { header: 'Customer', key: 'merchantName', width: 30 },
+  {
+    header: 'Invoice type',
+    key: 'invoiceType',
+    width: 16,
+    value: (document) => INVOICE_TYPE_LABELS[document.invoiceType] || document.invoiceType,
+  },
+  { header: 'Amount', key: 'amount', width: 14, numFmt: '#,##0.00', value: resolveAmount },
+  {
+    header: 'Tags',
+    key: 'tags',
+    width: 40,
+    value: (document) => (document.tags || []).map((tag) => `${tag.name} (${tag.price})`).join('; '),
+  },
+  { header: 'Notes', key: 'notes', width: 50 },
+  { header: 'Uploaded', key: 'createdAt', width: 20, numFmt: 'yyyy-mm-dd hh:mm' },
+  { header: 'Updated', key: 'updatedAt', width: 20, numFmt: 'yyyy-mm-dd hh:mm' },
+];
+
+const toExportRow = (document) =>
+  Object.fromEntries(
+    EXPORT_COLUMNS.map((column) => [column.key, column.value ? column.value(document) : document[column.key]])
+  );
+
+// Spreadsheet apps evaluate cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
+
+// The byte order mark makes Excel open the file as UTF-8 so Arabic text is not garbled.
+const CSV_BOM = '\uFEFF';
+
+const toCsvValues = (document) => {
+  const row = toExportRow(document);
+  return EXPORT_COLUMNS.map((column) => row[column.key]);
+};
+
+const writeCsv = async (documents, stream) => {
+  stream.write(`${CSV_BOM}${toCsvLine(EXPORT_COLUMNS.map((column) => column.header))}`);
+
+  for await (const document of documents) {
+    if (!stream.write(toCsvLine(toCsvValues(document)))) {
+      await once(stream, 'drain');
+    }
+  }
+
+  stream.end();
+};
+
+const writeXlsx = async (documents, stream) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+  const worksheet = workbook.addWorksheet('Documents', {
+    views: [{ rightToLeft: true, state: 'frozen', ySplit: 1 }],
+  });
+
+  worksheet.columns = EXPORT_COLUMNS.map(({ header, key, width, numFmt }) => ({
+    header,
+    key,
+    width,
+    style: numFmt ? { numFmt } : {},
+  }));
+  worksheet.getRow(1).font = { bold: true };
+
+  for await (const document of documents) {
+    worksheet.addRow(toExportRow(document)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Lists every document of a ZIP download with the path of its file inside the archive.
+const buildManifestCsv = (entries) =>
+  [
+    `${CSV_BOM}${toCsvLine(['File', 'Status', ...EXPORT_COLUMNS.map((column) => column.header), 'SHA-256'])}`,
+    ...entries.map(({ document, file, status }) =>
+      toCsvLine([file, status, ...toCsvValues(document), document.contentHash])
+    ),
+  ].join('');
+
+const writeDocumentExport = (format, documents, stream) =>
+  format === 'xlsx' ? writeXlsx(documents, stream) : writeCsv(documents, stream);
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_CONTENT_TYPES,
+  writeDocumentExport,
+  buildManifestCsv,
+  toCsvLine,
+  CSV_BOM,
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+
+const HEADER_LENGTH = 1024;
+const TRAILER_LENGTH = 1024;
+
+// Some scanners write a byte order mark or blank lines before the PDF header; anything else there is not a PDF.
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const PDF_LEADING_WHITESPACE = [0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20];
+const PDF_MAX_LEADING_BYTES = 16;
+
+// Major brands of the HEIF container used for HEIC photos, read from the `ftyp` box.
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+// ZIP and OLE containers are shared by many formats, so they only identify Word files with a matching extension.
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  {
+    mimeType: 'image/webp',
+    test: (header) => header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP',
+  },
+  {
+    mimeType: 'image/heic',
+    test: (header) =>
+      header.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(header.toString('latin1', 8, 12)),
+  },
+  {
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+    extensions: ['.docx'],
+  },
+  {
+    mimeType: 'application/msword',
+    bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+    extensions: ['.doc'],
+  },
+];
+
+const readChunk = async (handle, length, position) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+};
+
+const readHeaderAndTrailer = async (absolutePath) => {
+  const handle = await fs.promises.open(absolutePath, 'r');
+  try {
+    const { size } = await handle.stat();
+    return {
+      header: await readChunk(handle, HEADER_LENGTH, 0),
+      trailer: await readChunk(handle, Math.min(size, TRAILER_LENGTH), Math.max(0, size - TRAILER_LENGTH)),
+    };
+  } finally {
+    await handle.close();
+  }
+};
+
+const isPdf = (header, trailer) => {
+  let offset = header.subarray(0, UTF8_BOM.length).equals(UTF8_BOM) ? UTF8_BOM.length : 0;
+  while (offset < PDF_MAX_LEADING_BYTES && PDF_LEADING_WHITESPACE.includes(header[offset])) {
+    offset += 1;
+  }
+
+  return (
+    header.toString('latin1', offset, offset + 5) === '%PDF-' &&
+    (trailer.includes('%%EOF') || trailer.includes('startxref'))
+  );
+};
+
+// Identifies a file from its first bytes and, for PDFs, the trailer in its last bytes. A whole file can be passed
+// as `data`; otherwise pass its end as `trailer`. `extension` only tells Word files apart.
+const detectBufferMimeType = (data, extension = '', trailer = data.subarray(-TRAILER_LENGTH)) => {
+  const header = data.subarray(0, HEADER_LENGTH);
+
+  if (isPdf(header, trailer)) {
+    return 'application/pdf';
+  }
+
+  const match = SIGNATURES.find(
+    ({ bytes, test, extensions }) =>
+      (test ? test(header) : bytes.every((byte, index) => header[index] === byte)) &&
+      (!extensions || extensions.includes(extension))
+  );
+
+  return match ? match.mimeType : null;
+};
+
+// Returns the mime type of a supported archive file from its content, or null when it is not one.
+const detectMimeType = async (absolutePath) => {
+  const { header, trailer } = await readHeaderAndTrailer(absolutePath);
+  return detectBufferMimeType(header, path.extname(absolutePath).toLowerCase(), trailer);
+};
+
+module.exports = {
+  detectBufferMimeType,
+  detectMimeType,
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+const Document = require('../models/document');
+const { hashFile } = require('../utils/hash');
+const { normaliseDigits, resolveMonth } = require('./metadata');
+const { backendRoot, uploadsDir, sanitizeDirectoryName, toRelativeStoragePath } = require('./storage');
+const { storageDriver } = require('./storageDrivers');
+const { DOCUMENT_FILE_PATHS, listDocumentFiles } = require('./storedFiles');
+const { detectMimeType } = require('./fileType');
+const { createDocumentRecord, matchContentHash } = require('./documentRecords');
+const { importSourceFile } = require('./documentImport');
+const { scanFiles } = require('./scanners');
+
+const isInside = (parent, child) => {
+  const relative = path.relative(parent, child);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Hidden entries such as the `.trash` folder are never part of the hierarchy.
+const listEntries = async (directory) =>
+  (await fs.promises.readdir(directory, { withFileTypes: true })).filter((entry) => !entry.name.startsWith('.'));
+
+const parseYearFolder = (name) => {
+  const digits = normaliseDigits(name).trim();
+  return /^\d{4}$/.test(digits) && Number(digits) >= 1900 ? Number(digits) : null;
+};
+
+const loadRegisteredPaths = async () => {
+  const documents = await Document.find({}).select(DOCUMENT_FILE_PATHS.join(' ')).lean();
+  return new Set(
+    documents.flatMap((document) =>
+      listDocumentFiles(document)
+        .map((entry) => entry.storagePath)
+        .filter(Boolean)
+        .map((storagePath) => path.resolve(backendRoot, storagePath))
+    )
+  );
+};
+
+// Folder names are sanitised merchant names, so known merchants are matched back to their stored spelling.
+const loadMerchantNames = async () => {
+  const names = await Document.distinct('merchantName');
+  return new Map(names.map((name) => [sanitizeDirectoryName(name, { fallback: 'merchant' }), name]));
+};
+
+// Walks `<root>/<year>/<merchant>/<month>/` and creates records for files that have none. Files under the
+// uploads folder are registered where they are, which needs the filesystem driver; files from any other root
+// are copied into the archive and skipped when the same content is already archived, so a scan can be
+// repeated safely.
+const scanFolderTree = async ({ root = uploadsDir, dryRun = false, user } = {}) => {
+  const rootPath = path.resolve(root);
+  const inPlace = isInside(uploadsDir, rootPath);
+
+  if (inPlace && storageDriver.name !== 'filesystem') {
+    const message = 'Files in the uploads folder can only be registered with the filesystem storage driver.';
+    throw Object.assign(new Error(message), { status: 400 });
+  }
+  if (!inPlace && isInside(rootPath, uploadsDir)) {
+    throw Object.assign(new Error('The scanned folder must not contain the uploads folder.'), { status: 400 });
+  }
+  if (!fs.statSync(rootPath, { throwIfNoEntry: false })?.isDirectory()) {
+    throw Object.assign(new Error(`Folder not found: ${rootPath}`), { status: 400 });
+  }
+
+  const registeredPaths = await loadRegisteredPaths();
+  const merchantNames = await loadMerchantNames();
+  const hashesInScan = new Set();
+  const report = {
+    root: rootPath,
+    mode: inPlace ? 'register' : 'copy',
+    dryRun,
+    summary: { alreadyRegistered: 0 },
+    files: [],
+    unrecognisedFolders: [],
+  };
+
+  const addFile = (absolutePath, status, details = {}) => {
+    report.files.push({ path: path.relative(rootPath, absolutePath), status, ...details });
+    report.summary[status] = (report.summary[status] || 0) + 1;
+  };
+
+  const skipFolder = (absolutePath, reason) => {
+    report.unrecognisedFolders.push({ path: path.relative(rootPath, absolutePath), reason });
+  };
+
+  const processFile = async (absolutePath, metadata) => {
+    if (registeredPaths.has(absolutePath)) {
+      report.summary.alreadyRegistered += 1;
+      return;
+    }
+
+    try {
+      const mimeType = await detectMimeType(absolutePath);
+      if (!mimeType) {
+        addFile(absolutePath, 'unsupported', { message: 'Not a PDF, Word, JPEG, PNG, TIFF, WebP or HEIC file.' });
+        return;
+      }
+
+      const contentHash = await hashFile(absolutePath);
+      const existing = await Document.findOne({ ...matchContentHash(contentHash), deletedAt: null })
+        .select('storedName')
+        .lean();
+      const duplicate = existing
+        ? `Same content as the archived document ${existing.storedName}.`
+        : hashesInScan.has(contentHash)
+          ? 'Same content as another file of this scan.'
+          : null;
+      hashesInScan.add(contentHash);
+
+      if (duplicate && !inPlace) {
+        addFile(absolutePath, 'skipped', { message: duplicate });
+        return;
+      }
+
+      const warning = duplicate ? { message: duplicate } : {};
+      if (dryRun) {
+        addFile(absolutePath, 'new', { ...metadata, ...warning });
+        return;
+      }
+
+      const fullMetadata = { ...metadata, invoiceType: 'sales', amount: 0 };
+      const originalName = path.basename(absolutePath);
+      if (inPlace) {
+        await scanFiles([{ path: absolutePath, originalname: originalName }], { req: { user } });
+      }
+
+      const document = inPlace
+        ? await createDocumentRecord({
+            file: {
+              path: absolutePath,
+              filename: originalName,
+              originalname: originalName,
+              mimetype: mimeType,
+              size: (await fs.promises.stat(absolutePath)).size,
+              contentHash,
+            },
+            storagePath: toRelativeStoragePath(absolutePath),
+            metadata: fullMetadata,
+            user,
+          })
+        : await importSourceFile(
+            { source: { absolutePath, mimeType, originalName }, metadata: fullMetadata, contentHash },
+            { user }
+          );
+
+      registeredPaths.add(path.resolve(backendRoot, document.storagePath));
+      addFile(absolutePath, inPlace ? 'registered' : 'imported', {
+        ...metadata,
+        ...warning,
+        documentId: String(document._id),
+      });
+    } catch (error) {
+      console.error(`Failed to scan ${absolutePath}`, error);
+      addFile(absolutePath, error.quarantined ? 'quarantined' : 'failed', { message: error.message });
+    }
+  };
+
+  const notInFolder = { message: 'Not inside a year/merchant/month folder.' };
+
+  for (const yearEntry of await listEntries(rootPath)) {
+    const yearPath = path.join(rootPath, yearEntry.name);
+    if (!yearEntry.isDirectory()) {
+      addFile(yearPath, 'skipped', notInFolder);
+      continue;
+    }
+
+    const year = parseYearFolder(yearEntry.name);
+    if (!year) {
+      skipFolder(yearPath, 'Folder name is not a year.');
+      continue;
+    }
+
+    for (const merchantEntry of await listEntries(yearPath)) {
+      const merchantPath = path.join(yearPath, merchantEntry.name);
+      if (!merchantEntry.isDirectory()) {
+        addFile(merchantPath, 'skipped', notInFolder);
+        continue;
+      }
+
+      const merchantName =
+        merchantNames.get(merchantEntry.name) || merchantEntry.name.replace(/[-_]+/g, ' ').trim().slice(0, 200);
+
+      for (const monthEntry of await listEntries(merchantPath)) {
+        const monthPath = path.join(merchantPath, monthEntry.name);
+        if (!monthEntry.isDirectory()) {
+          addFile(monthPath, 'skipped', notInFolder);
+          continue;
+        }
+
+        const month = resolveMonth(monthEntry.name);
+        if (!month) {
+          skipFolder(monthPath, 'Folder name is not a month.');
+          continue;
+        }
+
+        for (const fileEntry of await listEntries(monthPath)) {
+          const filePath = path.join(monthPath, fileEntry.name);
+          if (fileEntry.isDirectory()) {
+            skipFolder(filePath, 'Unexpected folder inside a month folder.');
+          } else if (fileEntry.isFile()) {
+            await processFile(filePath, { year, merchantName, month });
+          }
+        }
+      }
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  scanFolderTree,
+};
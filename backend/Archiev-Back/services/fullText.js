@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const mammoth = require('mammoth');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const { escapeRegExp } = require('../utils/text');
+
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Keeps documents comfortably below MongoDB's 16 MB limit even for very long contracts.
+const MAX_TEXT_LENGTH = 500000;
+
+const SNIPPET_RADIUS = 80;
+
+const STANDARD_FONT_DATA_URL = `${path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+)}${path.sep}`;
+
+const normaliseExtractedText = (text) =>
+  String(text || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+
+const extractPdfPages = async (absolutePath) => {
+  const data = new Uint8Array(await fs.promises.readFile(absolutePath));
+  const pdf = await pdfjs.getDocument({
+    data,
+    isEvalSupported: false,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const content = await page.getTextContent();
+      pages.push(normaliseExtractedText(content.items.map((item) => item.str).join(' ')));
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+const extractDocumentText = async ({ absolutePath, mimeType }) => {
+  const extension = path.extname(absolutePath).toLowerCase();
+
+  if (mimeType === 'application/pdf' || extension === '.pdf') {
+    const pages = await extractPdfPages(absolutePath);
+    return normaliseExtractedText(pages.join(' '));
+  }
+
+  if (mimeType === DOCX_MIME_TYPE || extension === '.docx') {
+    const result = await mammoth.extractRawText({ path: absolutePath });
+    return normaliseExtractedText(result.value);
+  }
+
+  return '';
+};
+
+const parseSearchTerms = (search) =>
+  String(search || '')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.replace(/^"+|"+$/g, ''))
+    .filter(Boolean);
+
+const buildSnippet = (sources, search) => {
+  const terms = parseSearchTerms(search);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const source = terms.map(escapeRegExp).join('|');
+
+  for (const text of sources) {
+    if (!text) {
+      continue;
+    }
+
+    const firstMatch = new RegExp(source, 'i').exec(text);
+    if (!firstMatch) {
+      continue;
+    }
+
+    const start = Math.max(0, firstMatch.index - SNIPPET_RADIUS);
+    const end = Math.min(text.length, firstMatch.index + firstMatch[0].length + SNIPPET_RADIUS);
+    const excerpt = text.slice(start, end);
+    const highlights = [];
+    const pattern = new RegExp(source, 'gi');
+    let match;
+
+    while ((match = pattern.exec(excerpt))) {
+      highlights.push({ start: match.index, end: match.index + match[0].length });
+    }
+
+    return {
+      text: excerpt,
+      highlights,
+      truncatedStart: start > 0,
+      truncatedEnd: end < text.length,
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  normaliseExtractedText,
+  extractPdfPages,
+  extractDocumentText,
+  buildSnippet,
+};
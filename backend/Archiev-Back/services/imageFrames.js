@@ -0,0 +1,239 @@
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const UTIF = require('utif2');
+
+const { detectBufferMimeType } = require('./fileType');
+
+// The canvas decoder reads these itself. It must never be handed anything else: TIFF input crashes the process.
+const CANVAS_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const IMAGE_FRAME_TYPES = [...CANVAS_IMAGE_TYPES, 'image/tiff', 'image/heic'];
+
+// Formats a PDF can embed without re-encoding them.
+const EMBEDDABLE_IMAGE_TYPES = ['image/jpeg', 'image/png'];
+
+// Decoded frames take four bytes per pixel, and a small compressed file can declare a huge image. Frames larger
+// than this are refused before they are decoded.
+const MAX_IMAGE_PIXELS = Number(process.env.MAX_IMAGE_PIXELS) || 100000000;
+
+// Finds the EXIF orientation tag of a JPEG: its value and the offset it is stored at.
+const findJpegOrientation = (data) => {
+  try {
+    if (data.readUInt16BE(0) !== 0xffd8) {
+      return null;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= data.length) {
+      const marker = data.readUInt16BE(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+        return null;
+      }
+
+      const length = data.readUInt16BE(offset + 2);
+      if (marker === 0xffe1 && data.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+        const tiff = offset + 10;
+        const littleEndian = data.toString('latin1', tiff, tiff + 2) === 'II';
+        const read16 = (at) => (littleEndian ? data.readUInt16LE(at) : data.readUInt16BE(at));
+        const read32 = (at) => (littleEndian ? data.readUInt32LE(at) : data.readUInt32BE(at));
+        const directory = tiff + read32(tiff + 4);
+
+        for (let index = 0; index < read16(directory); index += 1) {
+          const entry = directory + 2 + index * 12;
+          if (read16(entry) === 0x0112) {
+            return { value: read16(entry + 8), offset: entry + 8, littleEndian };
+          }
+        }
+        return null;
+      }
+
+      offset += 2 + length;
+    }
+  } catch {
+    // A truncated header simply has no usable orientation.
+  }
+  return null;
+};
+
+// The canvas decoder applies the EXIF orientation, so turning it off means resetting the tag first.
+const withoutOrientation = (data, orientation) => {
+  const copy = Buffer.from(data);
+  if (orientation.littleEndian) {
+    copy.writeUInt16LE(1, orientation.offset);
+  } else {
+    copy.writeUInt16BE(1, orientation.offset);
+  }
+  return copy;
+};
+
+const unreadableImage = (format) =>
+  Object.assign(new Error(`The ${format} image could not be read.`), { status: 400 });
+
+const checkImageSize = (format, width, height) => {
+  if (!(width > 0 && height > 0)) {
+    throw unreadableImage(format);
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw Object.assign(
+      new Error(`The ${format} image is ${width} × ${height} pixels, more than the ${MAX_IMAGE_PIXELS} allowed.`),
+      { status: 400 }
+    );
+  }
+};
+
+// Start-of-frame markers carry the size of a JPEG: 0xffc0 to 0xffcf, except DHT (c4), JPG (c8) and DAC (cc).
+const isStartOfFrame = (marker) =>
+  marker >= 0xffc0 && marker <= 0xffcf && ![0xffc4, 0xffc8, 0xffcc].includes(marker);
+
+const readJpegSize = (data) => {
+  let offset = 2;
+  while (offset + 9 <= data.length) {
+    const marker = data.readUInt16BE(offset);
+    if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) {
+      return null;
+    }
+    if (marker === 0xffff) {
+      // Fill byte before a marker.
+      offset += 1;
+    } else if (isStartOfFrame(marker)) {
+      return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+    } else {
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+};
+
+// Lossy (VP8), lossless (VP8L) and extended (VP8X) WebP files each store the size differently.
+const readWebpSize = (data) => {
+  switch (data.toString('latin1', 12, 16)) {
+    case 'VP8 ':
+      return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+    case 'VP8L': {
+      const bits = data.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    case 'VP8X':
+      return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    default:
+      return null;
+  }
+};
+
+// Reads the size a JPEG, PNG or WebP file declares in its header, without decoding it.
+const readCanvasImageSize = (data, mimeType) => {
+  try {
+    if (mimeType === 'image/png') {
+      return data.toString('latin1', 12, 16) === 'IHDR'
+        ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+        : null;
+    }
+    return mimeType === 'image/webp' ? readWebpSize(data) : readJpegSize(data);
+  } catch {
+    // A truncated header has no usable size.
+    return null;
+  }
+};
+
+const toCanvas = (width, height, rgba) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  const imageData = context.createImageData(width, height);
+  imageData.data.set(rgba);
+  context.putImageData(imageData, 0, 0);
+  return canvas;
+};
+
+const CANVAS_IMAGE_FORMATS = { 'image/jpeg': 'JPEG', 'image/png': 'PNG', 'image/webp': 'WebP' };
+
+const readCanvasFrames = (data, mimeType, { autoRotate }) => {
+  const orientation = findJpegOrientation(data);
+  const rotated = orientation?.value > 1;
+
+  return [
+    {
+      load: async () => {
+        const size = readCanvasImageSize(data, mimeType);
+        checkImageSize(CANVAS_IMAGE_FORMATS[mimeType], size?.width, size?.height);
+        return loadImage(autoRotate || !orientation ? data : withoutOrientation(data, orientation));
+      },
+      original: EMBEDDABLE_IMAGE_TYPES.includes(mimeType) && !rotated ? data : null,
+    },
+  ];
+};
+
+// Reduced-resolution images (bit 0 of NewSubfileType) are thumbnails of a page rather than pages.
+const readTiffFrames = (data) => {
+  let directories;
+  try {
+    directories = UTIF.decode(data);
+  } catch {
+    throw unreadableImage('TIFF');
+  }
+
+  return directories
+    .filter((ifd) => !(ifd.t254?.[0] & 1))
+    .map((ifd) => ({
+      load: async () => {
+        checkImageSize('TIFF', ifd.t256?.[0], ifd.t257?.[0]);
+        try {
+          UTIF.decodeImage(data, ifd);
+          const rgba = UTIF.toRGBA8(ifd);
+          ifd.data = null;
+          return toCanvas(ifd.width, ifd.height, rgba);
+        } catch {
+          throw unreadableImage('TIFF');
+        }
+      },
+      original: null,
+    }));
+};
+
+// Only the primary image of a HEIC file is read; bursts and live photos add frames nobody scanned.
+const readHeicFrames = (data) => [
+  {
+    load: async () => {
+      // The decoder is a large WebAssembly build, so it is only loaded once a HEIC photo arrives.
+      const decodeHeic = require('heic-decode');
+      const images = await decodeHeic.all({ buffer: data }).catch(() => null);
+      if (!images) {
+        throw unreadableImage('HEIC');
+      }
+
+      try {
+        checkImageSize('HEIC', images[0].width, images[0].height);
+        const decoded = await images[0].decode().catch(() => null);
+        if (!decoded) {
+          throw unreadableImage('HEIC');
+        }
+        return toCanvas(decoded.width, decoded.height, decoded.data);
+      } finally {
+        images.dispose();
+      }
+    },
+    original: null,
+  },
+];
+
+// Lists the pages of an image file from its content: one for most formats, one per page of a multi-page
+// TIFF. Frames are decoded one at a time by `load`, which resolves to something a canvas can draw, and
+// `original` holds bytes a PDF can embed as they are when no re-encoding is needed.
+const readImageFrames = (data, { autoRotate = true } = {}) => {
+  const mimeType = detectBufferMimeType(data);
+
+  if (mimeType === 'image/tiff') {
+    return readTiffFrames(data);
+  }
+  if (mimeType === 'image/heic') {
+    return readHeicFrames(data);
+  }
+  if (CANVAS_IMAGE_TYPES.includes(mimeType)) {
+    return readCanvasFrames(data, mimeType, { autoRotate });
+  }
+
+  throw Object.assign(new Error('The file is not a JPEG, PNG, TIFF, WebP or HEIC image.'), { status: 400 });
+};
+
+module.exports = {
+  MAX_IMAGE_PIXELS,
+  IMAGE_FRAME_TYPES,
+  readImageFrames,
+};
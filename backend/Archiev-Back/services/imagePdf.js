@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { createCanvas } = require('@napi-rs/canvas');
+
+const { uploadsDir, sanitizeFileBaseName } = require('./storage');
+const { readImageFrames } = require('./imageFrames');
+
+const POINTS_PER_MM = 72 / 25.4;
+
+// Portrait sizes in PDF points; pages turn landscape for landscape images.
+const PAGE_SIZES = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+};
+
+const IMAGE_PDF_PAGE_SIZES = ['original', ...Object.keys(PAGE_SIZES)];
+const IMAGE_PDF_FITS = ['contain', 'shrink'];
+
+const envMargin = Number(process.env.IMAGE_PDF_MARGIN_MM);
+
+const IMAGE_PDF_DEFAULTS = {
+  pageSize: IMAGE_PDF_PAGE_SIZES.includes(process.env.IMAGE_PDF_PAGE_SIZE) ? process.env.IMAGE_PDF_PAGE_SIZE : 'a4',
+  fit: IMAGE_PDF_FITS.includes(process.env.IMAGE_PDF_FIT) ? process.env.IMAGE_PDF_FIT : 'contain',
+  margin: process.env.IMAGE_PDF_MARGIN_MM && envMargin >= 0 ? envMargin : 10,
+  autoRotate: process.env.IMAGE_PDF_AUTO_ROTATE !== 'false',
+  greyscale: process.env.IMAGE_PDF_GREYSCALE === 'true',
+  quality: Number(process.env.IMAGE_PDF_JPEG_QUALITY) || 80,
+};
+
+// Resolution images are resampled to at their printed size; larger photos are scaled down to it.
+const IMAGE_PDF_DPI = Number(process.env.IMAGE_PDF_DPI) || 200;
+
+// pdfkit stamps the current time into the PDF and derives its file ID from it. A fixed date makes the same
+// images with the same options always give the same bytes, so the PDF hash can find duplicates.
+const IMAGE_PDF_CREATION_DATE = new Date(0);
+
+const isImageMimeType = (mimetype) => typeof mimetype === 'string' && mimetype.startsWith('image/');
+
+const layoutPage = (width, height, { pageSize, fit, margin }) => {
+  if (pageSize === 'original') {
+    return { pageWidth: width, pageHeight: height, x: 0, y: 0, drawWidth: width, drawHeight: height };
+  }
+
+  const [shortSide, longSide] = PAGE_SIZES[pageSize];
+  const [pageWidth, pageHeight] = width > height ? [longSide, shortSide] : [shortSide, longSide];
+  const inset = Math.min(margin * POINTS_PER_MM, pageWidth / 4, pageHeight / 4);
+  const fitScale = Math.min((pageWidth - 2 * inset) / width, (pageHeight - 2 * inset) / height);
+  const scale = fit === 'shrink' ? Math.min(fitScale, 1) : fitScale;
+  const drawWidth = width * scale;
+  const drawHeight = height * scale;
+
+  return {
+    pageWidth,
+    pageHeight,
+    x: (pageWidth - drawWidth) / 2,
+    y: (pageHeight - drawHeight) / 2,
+    drawWidth,
+    drawHeight,
+  };
+};
+
+// Returns the bytes to embed for one page and where it goes on the page. Pages are re-encoded as JPEG,
+// unless nothing had to change and the original bytes are smaller.
+const prepareFrame = async (frame, options) => {
+  const image = await frame.load();
+  const layout = layoutPage(image.width, image.height, options);
+
+  const resample = Math.min(1, ((layout.drawWidth / 72) * IMAGE_PDF_DPI) / image.width);
+  const canvas = createCanvas(
+    Math.max(1, Math.round(image.width * resample)),
+    Math.max(1, Math.round(image.height * resample))
+  );
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  if (options.greyscale) {
+    context.filter = 'grayscale(1)';
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const encoded = await canvas.encode('jpeg', options.quality);
+  const unchanged = resample === 1 && !options.greyscale && frame.original;
+
+  return {
+    data: unchanged && frame.original.length <= encoded.length ? frame.original : encoded,
+    layout,
+  };
+};
+
+// `options` override the IMAGE_PDF_* defaults: pageSize, fit, margin (mm), autoRotate, greyscale and quality.
+const createPdfFromImages = async (files, { nameHint, options = {} } = {}) => {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw new Error('At least one image file is required to create a PDF.');
+  }
+
+  const settings = { ...IMAGE_PDF_DEFAULTS };
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      settings[key] = value;
+    }
+  });
+
+  const firstOriginalName = files[0]?.originalname || '';
+  const baseName = sanitizeFileBaseName(nameHint || path.parse(firstOriginalName).name, {
+    fallback: 'document',
+  });
+
+  const uniqueName = `${Date.now()}-${baseName}.pdf`;
+  const pdfPath = path.join(uploadsDir, uniqueName);
+
+  const pdfDocument = new PDFDocument({
+    autoFirstPage: false,
+    margin: 0,
+    info: { CreationDate: IMAGE_PDF_CREATION_DATE },
+  });
+  const writeStream = fs.createWriteStream(pdfPath);
+
+  const completion = new Promise((resolve, reject) => {
+    const rejectOnce = (error) => {
+      writeStream.destroy();
+      reject(error);
+    };
+
+    writeStream.on('finish', resolve);
+    writeStream.on('error', rejectOnce);
+    pdfDocument.on('error', rejectOnce);
+  });
+
+  pdfDocument.pipe(writeStream);
+
+  // The hash of the images themselves, in order. For a single image it is the hash of that file.
+  const sourceHash = crypto.createHash('sha256');
+  let pdfFinalised = false;
+  let sourceSize = 0;
+  let pageCount = 0;
+
+  try {
+    // Every frame of a file becomes a page, so a multi-page TIFF scan keeps all of its pages.
+    for (const file of files) {
+      const source = await fs.promises.readFile(file.path);
+      sourceSize += source.length;
+      sourceHash.update(source);
+
+      for (const frame of readImageFrames(source, settings)) {
+        const { data, layout } = await prepareFrame(frame, settings);
+        pdfDocument.addPage({ size: [layout.pageWidth, layout.pageHeight], margin: 0 });
+        pdfDocument.image(data, layout.x, layout.y, { width: layout.drawWidth, height: layout.drawHeight });
+        pageCount += 1;
+      }
+    }
+
+    if (pageCount === 0) {
+      throw Object.assign(new Error('The images do not contain any pages.'), { status: 400 });
+    }
+
+    pdfDocument.end();
+    pdfFinalised = true;
+    await completion;
+  } catch (error) {
+    try {
+      if (!pdfFinalised) {
+        pdfDocument.end();
+      }
+    } catch (endError) {
+      console.error('Failed to finalise PDF document after error', endError);
+    }
+
+    await new Promise((resolve) => writeStream.once('close', resolve)).catch(() => {});
+    await fs.promises.unlink(pdfPath).catch(() => {});
+    throw error;
+  }
+
+  const stats = await fs.promises.stat(pdfPath);
+
+  return {
+    path: pdfPath,
+    filename: uniqueName,
+    mimetype: 'application/pdf',
+    size: stats.size,
+    originalname: `${baseName}.pdf`,
+    sourceHash: sourceHash.digest('hex'),
+    conversion: {
+      ...settings,
+      pageCount,
+      size: stats.size,
+      sourceSize,
+      savedBytes: sourceSize - stats.size,
+    },
+  };
+};
+
+module.exports = {
+  IMAGE_PDF_PAGE_SIZES,
+  IMAGE_PDF_FITS,
+  IMAGE_PDF_DEFAULTS,
+  isImageMimeType,
+  createPdfFromImages,
+};
@@ -0,0 +1,321 @@
+const path = require('path');
+
+const Document = require('../models/document');
+const { hashStream } = require('../utils/hash');
+const {
+  backendRoot,
+  uploadsDir,
+  trashDir,
+  quarantineDir,
+  toRelativeStoragePath,
+  buildHierarchyStoragePath,
+} = require('./storage');
+const { storageDriver } = require('./storageDrivers');
+const { DOCUMENT_FILE_PATHS, storedFileSize, openStoredFile } = require('./storedFiles');
+const { snapshotDocument, recordAuditEvent } = require('./audit');
+const { moveFiles, commitFileMoves, rollBackFileMoves } = require('./moveJournal');
+
+const quarantinePrefix = `${toRelativeStoragePath(quarantineDir)}/`;
+
+// Files this recent may belong to an upload that is still being stored, so they are not reported as orphans.
+const ORPHAN_GRACE_PERIOD_MS = 60 * 60 * 1000;
+
+const ISSUE_MESSAGES = {
+  missing: 'The stored file does not exist.',
+  sizeMismatch: 'The size of the stored file does not match the record.',
+  hashMismatch: 'The content of the stored file does not match its recorded hash.',
+};
+
+const toUploadsPath = (storagePath) =>
+  path.relative(uploadsDir, path.resolve(backendRoot, storagePath)).split(path.sep).join('/');
+
+// Hashes the plaintext, so an encrypted file is compared with the hash recorded at upload. The key is read
+// from the file itself, which lets orphans be decrypted too.
+const readStoredFile = async (file) => {
+  const { stream, size, encryptionKeyId } = await openStoredFile(file);
+  return { contentHash: await hashStream(stream), size, encryptionKeyId };
+};
+
+// Sizes are compared as stored, so `actualSize` of an encrypted file includes the encryption overhead.
+const checkStoredFile = async (file, { verifyHashes = false } = {}) => {
+  const stats = await storageDriver.stat(file.storagePath);
+
+  if (!stats) {
+    return { issue: 'missing' };
+  }
+  if (stats.size !== storedFileSize(file)) {
+    return { issue: 'sizeMismatch', actualSize: stats.size };
+  }
+  if (verifyHashes && file.contentHash) {
+    const stored = await readStoredFile(file).catch(() => null);
+    if (stored?.contentHash !== file.contentHash) {
+      return { issue: 'hashMismatch', actualSize: stats.size };
+    }
+  }
+  return { issue: null, actualSize: stats.size };
+};
+
+// The current file first, then the older versions kept next to it, each followed by the images it was
+// converted from.
+const listStoredFiles = (document) => [
+  { file: document, version: null },
+  ...(document.originals || []).map((entry) => ({ file: entry, version: null, original: true })),
+  ...(document.versions || []).flatMap((entry) => [
+    { file: entry, version: entry.version },
+    ...(entry.originals || []).map((original) => ({ file: original, version: entry.version, original: true })),
+  ]),
+];
+
+// Compares every stored file of every document, trashed ones included, with the storage driver and lists
+// the files no document refers to. Hashes are only compared when `verifyHashes` is set since that reads
+// every file, but orphans are always hashed so they can be matched with records whose file is missing.
+const runIntegrityCheck = async ({ verifyHashes = false } = {}) => {
+  const summary = {
+    documents: 0,
+    files: 0,
+    ok: 0,
+    missing: 0,
+    sizeMismatch: 0,
+    hashMismatch: 0,
+    orphans: 0,
+    flagged: 0,
+  };
+  const referencedPaths = new Set();
+  const missingCurrentFiles = [];
+  const problems = [];
+
+  const cursor = Document.find({})
+    .select(
+      'storedName storagePath size contentHash encryptionKeyId versions originals previews year merchantName month ' +
+        'deletedAt integrity'
+    )
+    .lean()
+    .cursor();
+
+  for await (const document of cursor) {
+    summary.documents += 1;
+    if (document.integrity?.issue) {
+      summary.flagged += 1;
+    }
+
+    const reference = {
+      documentId: String(document._id),
+      year: document.year,
+      merchantName: document.merchantName,
+      month: document.month,
+      deleted: Boolean(document.deletedAt),
+      flagged: document.integrity?.issue || null,
+    };
+
+    for (const { file, version, original = false } of listStoredFiles(document)) {
+      summary.files += 1;
+      const { issue, actualSize } = await checkStoredFile(file, { verifyHashes });
+      referencedPaths.add(file.storagePath);
+
+      if (!issue) {
+        summary.ok += 1;
+        continue;
+      }
+
+      summary[issue] += 1;
+      problems.push({
+        ...reference,
+        storedName: file.storedName || path.posix.basename(file.storagePath),
+        storagePath: file.storagePath,
+        version,
+        original,
+        issue,
+        message: ISSUE_MESSAGES[issue],
+        expectedSize: storedFileSize(file),
+        actualSize,
+      });
+
+      if (issue === 'missing' && version === null && !original) {
+        missingCurrentFiles.push({
+          candidate: { ...reference, storedName: file.storedName },
+          size: storedFileSize(file),
+          contentHash: file.contentHash,
+        });
+      }
+    }
+
+    // Previews can be rendered again, so they are only kept from being reported as orphans.
+    for (const preview of document.previews || []) {
+      referencedPaths.add(preview.storagePath);
+    }
+  }
+
+  const orphans = [];
+  const recentLimit = Date.now() - ORPHAN_GRACE_PERIOD_MS;
+
+  for await (const { storagePath, size, modifiedAt } of storageDriver.list()) {
+    if (
+      referencedPaths.has(storagePath) ||
+      storagePath.startsWith(quarantinePrefix) ||
+      new Date(modifiedAt).getTime() > recentLimit
+    ) {
+      continue;
+    }
+
+    // An orphan encrypted with a key that is not configured cannot be hashed and only matches by size.
+    const { contentHash = null } = await readStoredFile({ storagePath }).catch(() => ({}));
+    const candidates = missingCurrentFiles
+      .filter((entry) => (entry.contentHash ? entry.contentHash === contentHash : entry.size === size))
+      .map((entry) => entry.candidate);
+
+    orphans.push({
+      path: toUploadsPath(storagePath),
+      size,
+      modifiedAt,
+      contentHash,
+      candidates,
+    });
+  }
+
+  summary.orphans = orphans.length;
+  orphans.sort((left, right) => left.path.localeCompare(right.path));
+
+  return { checkedAt: new Date(), verifyHashes, summary, problems, orphans };
+};
+
+const resolveOrphan = async (relativePath) => {
+  const absolutePath = path.resolve(uploadsDir, String(relativePath || ''));
+  const relative = path.relative(uploadsDir, absolutePath);
+
+  if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw Object.assign(new Error('The file must be inside the uploads folder.'), { status: 400 });
+  }
+  if (!path.relative(quarantineDir, absolutePath).startsWith('..')) {
+    throw Object.assign(new Error('The file is already in quarantine.'), { status: 400 });
+  }
+
+  const storagePath = toRelativeStoragePath(absolutePath);
+  if (!(await storageDriver.stat(storagePath))) {
+    throw Object.assign(new Error('File not found in the uploads folder.'), { status: 404 });
+  }
+  if (await Document.exists({ $or: DOCUMENT_FILE_PATHS.map((field) => ({ [field]: storagePath })) })) {
+    throw Object.assign(new Error('The file belongs to a document.'), { status: 409 });
+  }
+
+  return storagePath;
+};
+
+// Makes an orphan the stored file of a document whose own file is missing. The file is moved into the
+// folder the document belongs to and the size and hash of the record are taken from it.
+const relinkOrphan = async ({ path: relativePath, documentId, user }) => {
+  const document = await Document.findById(documentId);
+  if (!document) {
+    throw Object.assign(new Error('Document not found.'), { status: 404 });
+  }
+
+  const orphanPath = await resolveOrphan(relativePath);
+
+  if ((await checkStoredFile(document)).issue !== 'missing') {
+    throw Object.assign(new Error('The stored file of this document still exists.'), { status: 409 });
+  }
+
+  const orphan = await readStoredFile({ storagePath: orphanPath }).catch(() => null);
+  if (!orphan) {
+    throw Object.assign(new Error('The file could not be read; its encryption key may be missing.'), {
+      status: 409,
+    });
+  }
+  if (document.contentHash && document.contentHash !== orphan.contentHash) {
+    throw Object.assign(new Error('The content of the file does not match the document.'), { status: 409 });
+  }
+
+  const fileName = path.posix.basename(orphanPath);
+  const destination = document.deletedAt
+    ? toRelativeStoragePath(path.join(trashDir, String(document._id), fileName))
+    : buildHierarchyStoragePath(document, fileName);
+
+  if (destination !== orphanPath && (await storageDriver.stat(destination))) {
+    const message = `A file named ${fileName} already exists in the document folder.`;
+    throw Object.assign(new Error(message), { status: 409 });
+  }
+
+  const journal = await moveFiles({
+    documentId: document._id,
+    operation: 'relink',
+    moves: [{ from: orphanPath, to: destination }],
+  });
+
+  const before = snapshotDocument(document);
+  document.storagePath = destination;
+  document.storedName = fileName;
+  document.size = orphan.size;
+  document.contentHash = orphan.contentHash;
+  document.encryptionKeyId = orphan.encryptionKeyId;
+  document.integrity = undefined;
+
+  try {
+    await document.save();
+  } catch (error) {
+    await rollBackFileMoves(journal, 'Failed to move the file back after a relink error');
+    throw error;
+  }
+
+  await commitFileMoves(journal);
+
+  await recordAuditEvent({
+    action: 'update',
+    req: { user },
+    documentId: document._id,
+    before,
+    after: snapshotDocument(document),
+  });
+
+  return document;
+};
+
+// Moves an orphan to `.quarantine/` under the same relative path, where it is kept out of the archive and
+// of later checks until someone deletes or restores it by hand.
+const quarantineOrphan = async ({ path: relativePath }) => {
+  const orphanPath = await resolveOrphan(relativePath);
+  let destination = `${quarantinePrefix}${toUploadsPath(orphanPath)}`;
+
+  if (await storageDriver.stat(destination)) {
+    destination = path.posix.join(
+      path.posix.dirname(destination),
+      `${Date.now()}-${path.posix.basename(destination)}`
+    );
+  }
+
+  await storageDriver.move(orphanPath, destination);
+
+  return { path: toUploadsPath(orphanPath), quarantinedTo: toUploadsPath(destination) };
+};
+
+// Checks the files of one document again and records the first problem on it, or clears a flag that no
+// longer applies.
+const flagDocument = async (document, { verifyHashes = false } = {}) => {
+  let integrity;
+  for (const { file, version, original } of listStoredFiles(document)) {
+    const { issue } = await checkStoredFile(file, { verifyHashes });
+    if (issue) {
+      const subject = original
+        ? `Original image ${path.posix.basename(file.storagePath)}: `
+        : version
+          ? `Version ${version}: `
+          : '';
+      integrity = {
+        issue,
+        message: `${subject}${ISSUE_MESSAGES[issue]}`,
+        flaggedAt: new Date(),
+      };
+      break;
+    }
+  }
+
+  document.integrity = integrity;
+  await document.save();
+
+  return integrity || null;
+};
+
+module.exports = {
+  runIntegrityCheck,
+  relinkOrphan,
+  quarantineOrphan,
+  flagDocument,
+};
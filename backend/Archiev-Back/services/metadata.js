@@ -0,0 +1,165 @@
+const { MONTHS, INVOICE_TYPES } = require('../models/document');
+
+const EASTERN_ARABIC_DIGITS = ['٠', '١', '٢', '٣', '٤', '٥', '٦', '٧', '٨', '٩'];
+const PERSIAN_DIGITS = ['۰', '۱', '۲', '۳', '۴', '۵', '۶', '۷', '۸', '۹'];
+
+const INVOICE_TYPE_ALIASES = new Map([
+  ['sales', 'sales'],
+  ['sale', 'sales'],
+  ['مبيعات', 'sales'],
+  ['purchases', 'purchases'],
+  ['purchase', 'purchases'],
+  ['مشتريات', 'purchases'],
+  ['tax_invoice', 'tax_invoice'],
+  ['tax-invoice', 'tax_invoice'],
+  ['taxinvoice', 'tax_invoice'],
+  ['فاتورة ضريبية', 'tax_invoice'],
+  ['فاتوره ضريبيه', 'tax_invoice'],
+]);
+
+const normaliseDigits = (value) =>
+  String(value)
+    .replace(/[٠-٩]/g, (digit) => String(EASTERN_ARABIC_DIGITS.indexOf(digit)))
+    .replace(/[۰-۹]/g, (digit) => String(PERSIAN_DIGITS.indexOf(digit)));
+
+const normaliseAmountInput = (value) =>
+  normaliseDigits(value)
+    .replace(/[٫]/g, '.')
+    .replace(/[٬،]/g, ',')
+    .replace(/\s+/g, '')
+    .trim();
+
+const parseAmount = (value, { allowUndefined = false, defaultValue = 0 } = {}) => {
+  if (value === undefined || value === null) {
+    return allowUndefined ? undefined : defaultValue;
+  }
+
+  const normalised = normaliseAmountInput(value);
+
+  if (!normalised) {
+    return defaultValue;
+  }
+
+  const numeric = Number(normalised.replace(/,/g, ''));
+
+  if (!Number.isFinite(numeric)) {
+    throw new Error('Amount must be a valid number.');
+  }
+
+  if (numeric < 0) {
+    throw new Error('Amount cannot be negative.');
+  }
+
+  return numeric;
+};
+
+const normaliseInvoiceType = (value) => {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+
+  const raw = String(value).trim();
+  if (!raw) {
+    return undefined;
+  }
+
+  const lower = raw.toLowerCase();
+  const canonical =
+    INVOICE_TYPE_ALIASES.get(lower) ||
+    INVOICE_TYPE_ALIASES.get(lower.replace(/\s+/g, ' ')) ||
+    INVOICE_TYPE_ALIASES.get(lower.replace(/[\s_-]+/g, '_')) ||
+    null;
+
+  if (!canonical || !INVOICE_TYPES.includes(canonical)) {
+    return null;
+  }
+
+  return canonical;
+};
+
+// Levantine and Egyptian/Gulf month names, written without hamza or taa marbuta variants (see normaliseArabic).
+const ARABIC_MONTHS = [
+  ['كانون الثاني', 'يناير'],
+  ['شباط', 'فبراير'],
+  ['اذار', 'مارس'],
+  ['نيسان', 'ابريل'],
+  ['ايار', 'مايو'],
+  ['حزيران', 'يونيو', 'يونيه'],
+  ['تموز', 'يوليو', 'يوليه'],
+  ['اب', 'اغسطس'],
+  ['ايلول', 'سبتمبر'],
+  ['تشرين الاول', 'اكتوبر'],
+  ['تشرين الثاني', 'نوفمبر'],
+  ['كانون الاول', 'ديسمبر'],
+];
+
+const normaliseArabic = (value) =>
+  value
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ة/g, 'ه')
+    .replace(/ى/g, 'ي')
+    .replace(/[\u064B-\u0652]/g, '');
+
+// Resolves English or Arabic month names and month numbers (1-12, in any digits) to the stored English name.
+// Hyphens and underscores count as spaces so sanitised folder names such as "تشرين-الأول" match too.
+const resolveMonth = (value) => {
+  const text = normaliseArabic(normaliseDigits(value ?? ''))
+    .replace(/[\s_-]+/g, ' ')
+    .trim()
+    .toLowerCase();
+
+  if (/^\d{1,2}$/.test(text)) {
+    return MONTHS[Number(text) - 1] || null;
+  }
+
+  const index = MONTHS.findIndex(
+    (month, monthIndex) => month.toLowerCase() === text || ARABIC_MONTHS[monthIndex].includes(text)
+  );
+  return index === -1 ? null : MONTHS[index];
+};
+
+// Validates a list of `{ name, price }` tags given as an array or a JSON string.
+const normaliseTags = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      throw new Error('Tags must be valid JSON.');
+    }
+  }
+
+  if (!Array.isArray(parsed)) {
+    throw new Error('Tags must be an array.');
+  }
+
+  parsed.forEach((tag, index) => {
+    if (typeof tag !== 'object' || tag === null) {
+      throw new Error(`Tag at position ${index} must be an object.`);
+    }
+    if (!tag.name || typeof tag.name !== 'string' || !tag.name.trim()) {
+      throw new Error(`Tag at position ${index} must include a name.`);
+    }
+    if (tag.price === undefined || Number.isNaN(Number(tag.price))) {
+      throw new Error(`Tag at position ${index} must include a numeric price.`);
+    }
+  });
+
+  return parsed.map((tag) => ({
+    name: tag.name.trim(),
+    price: Number(tag.price),
+  }));
+};
+
+module.exports = {
+  normaliseDigits,
+  normaliseAmountInput,
+  parseAmount,
+  normaliseInvoiceType,
+  normaliseTags,
+  resolveMonth,
+};
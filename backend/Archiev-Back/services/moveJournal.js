@@ -0,0 +1,118 @@
+const Document = require('../models/document');
+const FileMove = require('../models/fileMove');
+const { storageDriver } = require('./storageDrivers');
+const { DOCUMENT_FILE_PATHS, listDocumentFiles } = require('./storedFiles');
+
+const discardEntry = (entryId) =>
+  FileMove.deleteOne({ _id: entryId }).catch((error) => {
+    console.error('Failed to clear a file move from the journal', error);
+  });
+
+// Returns whether every file is back in place.
+const undoMoves = async (moves, failureMessage) => {
+  let restored = true;
+
+  for (const { from, to } of [...moves].reverse()) {
+    try {
+      await storageDriver.move(to, from);
+    } catch (error) {
+      restored = false;
+      console.error(failureMessage, error);
+    }
+  }
+
+  return restored;
+};
+
+// Moves stored files on behalf of a document, `from` and `to` being storage paths. The moves are journalled
+// before the first one so that a crash before the document is saved can be repaired on the next start;
+// call commitFileMoves once the document is saved or rollBackFileMoves when saving fails. Returns null when
+// nothing had to move.
+const moveFiles = async ({ documentId, operation, moves }) => {
+  const pending = moves.filter(({ from, to }) => from !== to);
+  if (!pending.length) {
+    return null;
+  }
+
+  const entry = await FileMove.create({
+    document: documentId,
+    operation,
+    moves: pending.map(({ from, to }) => ({ from, to })),
+  });
+  const completed = [];
+
+  try {
+    for (const move of pending) {
+      await storageDriver.move(move.from, move.to);
+      completed.push(move);
+    }
+  } catch (error) {
+    if (await undoMoves(completed, 'Failed to restore a file after a move error')) {
+      await discardEntry(entry._id);
+    }
+    throw error;
+  }
+
+  return { entryId: entry._id, moves: completed };
+};
+
+const commitFileMoves = async (journal) => {
+  if (journal) {
+    await discardEntry(journal.entryId);
+  }
+};
+
+// A failed restore keeps the journal entry, so the next start finishes it.
+const rollBackFileMoves = async (journal, failureMessage) => {
+  if (journal && (await undoMoves(journal.moves, failureMessage))) {
+    await discardEntry(journal.entryId);
+  }
+};
+
+// Settles the moves left in the journal by a crash. The saved document decides each move: a file the
+// document already points to is moved there if it is still at its old path (replay), and a moved file the
+// document does not point to goes back to where it came from (roll back).
+const recoverFileMoves = async () => {
+  const entries = await FileMove.find({}).sort({ createdAt: 1 });
+  let recovered = 0;
+
+  for (const entry of entries) {
+    const document = await Document.findById(entry.document)
+      .select(DOCUMENT_FILE_PATHS.join(' '))
+      .lean();
+    const referencedPaths = new Set(
+      (document ? listDocumentFiles(document) : []).map((file) => file.storagePath).filter(Boolean)
+    );
+    let settled = true;
+
+    for (const { from, to } of [...entry.moves].reverse()) {
+      try {
+        const fileAtFrom = Boolean(await storageDriver.stat(from));
+        const fileAtTo = Boolean(await storageDriver.stat(to));
+
+        if (referencedPaths.has(to) && fileAtFrom && !fileAtTo) {
+          await storageDriver.move(from, to);
+        } else if (!referencedPaths.has(to) && fileAtTo && !fileAtFrom) {
+          await storageDriver.move(to, from);
+        }
+      } catch (error) {
+        settled = false;
+        console.error(`Failed to recover the move of ${from} to ${to}`, error);
+      }
+    }
+
+    if (settled) {
+      await entry.deleteOne();
+      recovered += 1;
+    }
+  }
+
+  return recovered;
+};
+
+module.exports = {
+  moveFiles,
+  commitFileMoves,
+  rollBackFileMoves,
+  recoverFileMoves,
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const PDFDocument = require('pdfkit');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+const { createWorker, OEM } = require('tesseract.js');
+
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'ara+eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || '';
+const OCR_TEXT_LAYER_FONT = process.env.OCR_TEXT_LAYER_FONT || '';
+
+// tesseract.js reads every language from a single directory, while each bundled language
+// package ships its own, so the files are gathered into one local folder before use.
+const BUNDLED_LANG_DIR = path.join(os.tmpdir(), 'ama-archive-ocr');
+
+// Mirrors pdf.js' internal ImageKind, which the legacy build does not export.
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3,
+};
+
+const prepareLanguageData = async () => {
+  if (OCR_LANG_PATH) {
+    return OCR_LANG_PATH;
+  }
+
+  await fs.promises.mkdir(BUNDLED_LANG_DIR, { recursive: true });
+
+  for (const code of OCR_LANGUAGES.split('+')) {
+    const fileName = `${code}.traineddata.gz`;
+    const destination = path.join(BUNDLED_LANG_DIR, fileName);
+
+    if (fs.existsSync(destination)) {
+      continue;
+    }
+
+    let packageDirectory;
+    try {
+      packageDirectory = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+    } catch {
+      throw new Error(
+        `OCR language data for "${code}" is not installed. Add @tesseract.js-data/${code} or set OCR_LANG_PATH.`
+      );
+    }
+
+    await fs.promises.copyFile(path.join(packageDirectory, '4.0.0_best_int', fileName), destination);
+  }
+
+  return BUNDLED_LANG_DIR;
+};
+
+const createOcrEngine = async () => {
+  const langPath = await prepareLanguageData();
+
+  return createWorker(OCR_LANGUAGES, OEM.LSTM_ONLY, {
+    langPath,
+    gzip: true,
+    cacheMethod: 'none',
+  });
+};
+
+const toPngBuffer = (image) => {
+  const png = new PNG({ width: image.width, height: image.height });
+  const pixels = image.width * image.height;
+  const { data } = image;
+
+  if (image.kind === IMAGE_KIND.RGBA_32BPP) {
+    png.data.set(data.subarray(0, pixels * 4));
+  } else if (image.kind === IMAGE_KIND.RGB_24BPP) {
+    for (let index = 0; index < pixels; index += 1) {
+      png.data[index * 4] = data[index * 3];
+      png.data[index * 4 + 1] = data[index * 3 + 1];
+      png.data[index * 4 + 2] = data[index * 3 + 2];
+      png.data[index * 4 + 3] = 255;
+    }
+  } else {
+    const rowBytes = Math.ceil(image.width / 8);
+    for (let y = 0; y < image.height; y += 1) {
+      for (let x = 0; x < image.width; x += 1) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        const offset = (y * image.width + x) * 4;
+        const value = bit ? 255 : 0;
+        png.data[offset] = value;
+        png.data[offset + 1] = value;
+        png.data[offset + 2] = value;
+        png.data[offset + 3] = 255;
+      }
+    }
+  }
+
+  return PNG.sync.write(png);
+};
+
+const getPageObject = (store, name) =>
+  new Promise((resolve) => {
+    store.get(name, resolve);
+  });
+
+const extractPageImages = async (page) => {
+  const operators = await page.getOperatorList();
+  const images = [];
+
+  for (let index = 0; index < operators.fnArray.length; index += 1) {
+    if (operators.fnArray[index] !== pdfjs.OPS.paintImageXObject) {
+      continue;
+    }
+
+    const [name] = operators.argsArray[index];
+    const store = name.startsWith('g_') ? page.commonObjs : page.objs;
+    const image = await getPageObject(store, name);
+
+    if (image?.data && image.width && image.height) {
+      images.push({ width: image.width, height: image.height, png: toPngBuffer(image) });
+    }
+  }
+
+  return images;
+};
+
+const collectWords = (blocks) =>
+  (blocks || []).flatMap((block) =>
+    (block.paragraphs || []).flatMap((paragraph) =>
+      (paragraph.lines || []).flatMap((line) => line.words || [])
+    )
+  );
+
+const recognisePdf = async (absolutePath, engine) => {
+  const data = new Uint8Array(await fs.promises.readFile(absolutePath));
+  const pdf = await pdfjs.getDocument({
+    data,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: 1 });
+      const images = await extractPageImages(page);
+      const texts = [];
+      const confidences = [];
+      const words = [];
+
+      for (const image of images) {
+        const { data: result } = await engine.recognize(image.png, {}, { text: true, blocks: true });
+        texts.push(result.text.trim());
+        confidences.push(result.confidence);
+        words.push(...collectWords(result.blocks).map(({ text, bbox }) => ({ text, bbox })));
+      }
+
+      pages.push({
+        page: pageNumber,
+        text: texts.filter(Boolean).join('\n'),
+        confidence: confidences.length
+          ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+          : null,
+        width: viewport.width,
+        height: viewport.height,
+        images,
+        words,
+      });
+
+      page.cleanup();
+    }
+
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+const canEmbedTextLayer = (pages) =>
+  Boolean(OCR_TEXT_LAYER_FONT) && pages.length > 0 && pages.every((page) => page.images.length === 1);
+
+// Rebuilds an image-only PDF page by page: the scanned image is drawn again and every recognised
+// word is written on top of it with zero opacity, so viewers can select and search the text.
+const writeTextLayerPdf = (pages, destination) =>
+  new Promise((resolve, reject) => {
+    const pdfDocument = new PDFDocument({ autoFirstPage: false, margin: 0 });
+    const writeStream = fs.createWriteStream(destination);
+
+    writeStream.on('finish', resolve);
+    writeStream.on('error', reject);
+    pdfDocument.on('error', reject);
+    pdfDocument.pipe(writeStream);
+
+    try {
+      pdfDocument.font(OCR_TEXT_LAYER_FONT);
+
+      for (const page of pages) {
+        const [image] = page.images;
+        const scaleX = page.width / image.width;
+        const scaleY = page.height / image.height;
+
+        pdfDocument.addPage({ size: [page.width, page.height] });
+        pdfDocument.image(image.png, 0, 0, { width: page.width, height: page.height });
+        pdfDocument.fillOpacity(0);
+
+        for (const word of page.words) {
+          const text = word.text?.trim();
+          if (!text) {
+            continue;
+          }
+
+          const { x0, y0, x1, y1 } = word.bbox;
+          const height = Math.max(1, (y1 - y0) * scaleY);
+
+          pdfDocument.fontSize(height).text(text, x0 * scaleX, y0 * scaleY, {
+            width: Math.max(1, (x1 - x0) * scaleX),
+            height,
+            lineBreak: false,
+          });
+        }
+
+        pdfDocument.fillOpacity(1);
+      }
+
+      pdfDocument.end();
+    } catch (error) {
+      writeStream.destroy();
+      reject(error);
+    }
+  });
+
+module.exports = {
+  OCR_LANGUAGES,
+  OCR_TEXT_LAYER_FONT,
+  createOcrEngine,
+  recognisePdf,
+  canEmbedTextLayer,
+  writeTextLayerPdf,
+};
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const path = require('path');
+
+const Document = require('../models/document');
+const { matchFileVersion } = Document;
+const { hashFile } = require('../utils/hash');
+const { extractDocumentText, normaliseExtractedText } = require('./fullText');
+const { storageDriver } = require('./storageDrivers');
+const { storeFile, withStoredFile } = require('./storedFiles');
+const { snapshotDocument, recordAuditEvent } = require('./audit');
+const {
+  OCR_LANGUAGES,
+  OCR_TEXT_LAYER_FONT,
+  createOcrEngine,
+  recognisePdf,
+  canEmbedTextLayer,
+  writeTextLayerPdf,
+} = require('./ocr');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_TEXT_LAYER = process.env.OCR_TEXT_LAYER === 'true';
+const OCR_POLL_INTERVAL_MINUTES = Number(process.env.OCR_POLL_INTERVAL_MINUTES) || 5;
+
+// PDFs with less embedded text than this are treated as scans.
+const OCR_MIN_TEXT_LENGTH = 20;
+
+let draining = false;
+let drainRequested = false;
+
+const needsOcr = ({ mimeType, contentText }) =>
+  OCR_ENABLED && mimeType === 'application/pdf' && (contentText || '').length < OCR_MIN_TEXT_LENGTH;
+
+const buildPendingOcr = () => ({
+  status: 'pending',
+  languages: OCR_LANGUAGES,
+  requestedAt: new Date(),
+  error: undefined,
+  startedAt: undefined,
+  completedAt: undefined,
+});
+
+// A new file version re-queues the document, so results for the file that was read are dropped.
+const matchClaimedJob = (document) => ({
+  _id: document._id,
+  'ocr.status': 'processing',
+  'ocr.startedAt': document.ocr.startedAt,
+});
+
+// The text layer is stored as a new version, so the scanned file stays as it was, is listed with the earlier
+// versions and still matches re-uploads through `sourceHash`. The update only applies to the version that was
+// read: when a file is uploaded in the meantime, the text layer is dropped.
+const embedTextLayer = async (document, absolutePath, pages, update) => {
+  const current = document.toObject();
+  const storedName = `${path.parse(current.storedName).name}.ocr.pdf`;
+  const storagePath = path.posix.join(path.posix.dirname(current.storagePath), storedName);
+  const temporaryPath = `${absolutePath}.ocr-${Date.now()}.tmp`;
+  let size;
+  let contentHash;
+  let encryptionKeyId;
+
+  try {
+    await writeTextLayerPdf(pages, temporaryPath);
+    ({ size } = await fs.promises.stat(temporaryPath));
+    contentHash = await hashFile(temporaryPath);
+    encryptionKeyId = await storeFile(storagePath, temporaryPath, { contentType: current.mimeType });
+  } catch (error) {
+    await fs.promises.unlink(temporaryPath).catch(() => {});
+    throw error;
+  }
+
+  const after = { ...current, storedName, storagePath, size, version: current.version + 1 };
+  const result = await Document.updateOne(
+    { ...matchClaimedJob(document), storagePath: current.storagePath, version: matchFileVersion(current.version) },
+    {
+      $set: {
+        ...update,
+        storedName,
+        storagePath,
+        size,
+        contentHash,
+        sourceHash: current.sourceHash || current.contentHash,
+        encryptionKeyId: encryptionKeyId || null,
+        originals: [],
+        fileUploadedAt: new Date(),
+        version: current.version + 1,
+        'ocr.textLayer': true,
+      },
+      $unset: { 'ocr.error': 1 },
+      $push: {
+        versions: {
+          version: current.version,
+          originalName: current.originalName,
+          storedName: current.storedName,
+          storagePath: current.storagePath,
+          mimeType: current.mimeType,
+          size: current.size,
+          contentHash: current.contentHash,
+          sourceHash: current.sourceHash,
+          encryptionKeyId: current.encryptionKeyId,
+          originals: current.originals?.length ? current.originals : undefined,
+          uploadedBy: current.uploadedBy,
+          uploadedAt: current.fileUploadedAt || current.createdAt,
+        },
+      },
+    }
+  );
+
+  if (!result.matchedCount) {
+    await storageDriver.delete(storagePath).catch((error) => {
+      console.error(`Failed to remove the unused OCR text layer ${storagePath}`, error);
+    });
+    return false;
+  }
+
+  await recordAuditEvent({
+    action: 'version',
+    documentId: current._id,
+    before: snapshotDocument(current),
+    after: snapshotDocument(after),
+  });
+  return true;
+};
+
+const recogniseDocument = async (document, absolutePath, engine) => {
+  const pages = await recognisePdf(absolutePath, engine);
+
+  // A text layer written by an earlier run would otherwise be indexed twice.
+  const embeddedText = document.ocr?.textLayer
+    ? ''
+    : await extractDocumentText({ absolutePath, mimeType: document.mimeType });
+  const ocrText = pages.map((page) => page.text).join(' ');
+
+  const update = {
+    'ocr.status': 'done',
+    'ocr.completedAt': new Date(),
+    'ocr.pages': pages.map(({ page, text, confidence }) => ({ page, text, confidence })),
+    contentText: normaliseExtractedText(`${embeddedText} ${ocrText}`),
+    contentIndexedAt: new Date(),
+  };
+
+  if (OCR_TEXT_LAYER && !document.ocr?.textLayer && canEmbedTextLayer(pages)) {
+    try {
+      if (await embedTextLayer(document, absolutePath, pages, update)) {
+        return;
+      }
+    } catch (error) {
+      console.error(`Failed to embed the OCR text layer for document ${document._id}`, error);
+    }
+  }
+
+  await Document.updateOne(matchClaimedJob(document), { $set: update, $unset: { 'ocr.error': 1 } });
+};
+
+// Encrypted files and files of other drivers are decrypted or downloaded for the OCR engine.
+const runOcrJob = (document, engine) =>
+  withStoredFile(document, (absolutePath) => recogniseDocument(document, absolutePath, engine));
+
+const claimNextDocument = () =>
+  Document.findOneAndUpdate(
+    { 'ocr.status': 'pending', deletedAt: null },
+    { $set: { 'ocr.status': 'processing', 'ocr.startedAt': new Date() } },
+    { sort: { 'ocr.requestedAt': 1 }, new: true }
+  );
+
+const drainOcrQueue = async () => {
+  if (!OCR_ENABLED) {
+    return;
+  }
+
+  if (draining) {
+    drainRequested = true;
+    return;
+  }
+
+  draining = true;
+  let engine = null;
+
+  try {
+    let document = await claimNextDocument();
+
+    while (document) {
+      try {
+        if (!engine) {
+          engine = await createOcrEngine();
+        }
+        await runOcrJob(document, engine);
+      } catch (error) {
+        console.error(`OCR failed for document ${document._id}`, error);
+        await Document.updateOne(
+          matchClaimedJob(document),
+          { $set: { 'ocr.status': 'failed', 'ocr.error': error.message, 'ocr.completedAt': new Date() } }
+        );
+      }
+
+      document = await claimNextDocument();
+    }
+  } catch (error) {
+    console.error('OCR queue failed', error);
+  } finally {
+    if (engine) {
+      await engine.terminate().catch(() => {});
+    }
+    draining = false;
+
+    if (drainRequested) {
+      drainRequested = false;
+      drainOcrQueue();
+    }
+  }
+};
+
+const scheduleOcrQueue = () => {
+  if (!OCR_ENABLED) {
+    return;
+  }
+
+  if (OCR_TEXT_LAYER && !OCR_TEXT_LAYER_FONT) {
+    console.warn('OCR_TEXT_LAYER is enabled but OCR_TEXT_LAYER_FONT is not set; text layers will not be embedded.');
+  }
+
+  // Jobs interrupted by a restart are queued again.
+  Document.updateMany({ 'ocr.status': 'processing' }, { $set: { 'ocr.status': 'pending' } })
+    .catch((error) => {
+      console.error('Failed to requeue interrupted OCR jobs', error);
+    })
+    .then(() => drainOcrQueue());
+
+  setInterval(drainOcrQueue, OCR_POLL_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
+module.exports = {
+  OCR_ENABLED,
+  needsOcr,
+  buildPendingOcr,
+  drainOcrQueue,
+  scheduleOcrQueue,
+};
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+// The raw bytes show what is written in plain dictionaries, such as the /Encrypt entry of the trailer.
+// Scripts can also hide in compressed object streams, so pdf.js is asked for them as well.
+const hasEncryptMarker = (raw) => /\/Encrypt\b/.test(raw);
+const hasJavaScriptMarker = (raw) => /\/(JavaScript|JS)\b/.test(raw);
+
+const findScripts = async (data) => {
+  const pdf = await pdfjs.getDocument({
+    data,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const scripts = await pdf.getJavaScript();
+    const actions = await pdf.getJSActions();
+    const fields = await pdf.getFieldObjects();
+    const fieldActions = Object.values(fields || {}).some((entries) => entries.some((entry) => entry.actions));
+
+    return Boolean(scripts?.length || (actions && Object.keys(actions).length) || fieldActions);
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Returns the CONTENT_WARNINGS of a PDF: `encrypted` when it is password protected and `javascript` when it
+// carries scripts. A PDF that pdf.js cannot open at all gets the warnings its raw bytes show.
+const checkPdf = async (localPath) => {
+  const data = await fs.promises.readFile(localPath);
+  const raw = data.toString('latin1');
+  const warnings = new Set();
+
+  if (hasEncryptMarker(raw)) {
+    warnings.add('encrypted');
+  }
+  if (hasJavaScriptMarker(raw)) {
+    warnings.add('javascript');
+  }
+
+  if (!warnings.has('javascript')) {
+    try {
+      if (await findScripts(new Uint8Array(data))) {
+        warnings.add('javascript');
+      }
+    } catch (error) {
+      if (error.name === 'PasswordException') {
+        warnings.add('encrypted');
+      }
+    }
+  }
+
+  return [...warnings];
+};
+
+// The warnings to record for a stored file. They are only advice, so a failed check records none.
+const findContentWarnings = async ({ localPath, mimeType }) => {
+  if (mimeType !== 'application/pdf') {
+    return [];
+  }
+  try {
+    return await checkPdf(localPath);
+  } catch (error) {
+    console.error(`Failed to check ${localPath} for encryption and scripts`, error);
+    return [];
+  }
+};
+
+module.exports = {
+  checkPdf,
+  findContentWarnings,
+};
@@ -0,0 +1,78 @@
+const { PDFDocument } = require('pdf-lib');
+
+const invalidPages = (message) => Object.assign(new Error(message), { status: 422 });
+
+// Reads page ranges such as "1-3, 5, 8-" into page numbers (1-based), in the order they are written. An open
+// range runs to the last page.
+const parsePageRanges = (value, pageCount) => {
+  const pages = [];
+
+  for (const range of String(value ?? '').split(',').map((entry) => entry.trim())) {
+    const match = /^(\d+)(?:\s*-\s*(\d*))?$/.exec(range);
+    if (!match) {
+      throw invalidPages(`"${range}" is not a page range. Use ranges like 1-3, 5, 8-.`);
+    }
+
+    const first = Number(match[1]);
+    const last = match[2] === undefined ? first : match[2] === '' ? pageCount : Number(match[2]);
+    if (first < 1 || last > pageCount || first > last) {
+      throw invalidPages(`"${range}" is outside the document, which has ${pageCount} page(s).`);
+    }
+
+    for (let page = first; page <= last; page += 1) {
+      pages.push(page);
+    }
+  }
+
+  return pages;
+};
+
+// Writes page numbers back as ranges: [1, 2, 3, 5] becomes "1-3, 5".
+const formatPageRanges = (pages) => {
+  const ranges = [];
+
+  pages.forEach((page, index) => {
+    const range = ranges[ranges.length - 1];
+    if (index > 0 && range && page === range[1] + 1) {
+      range[1] = page;
+    } else {
+      ranges.push([page, page]);
+    }
+  });
+
+  return ranges.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(', ');
+};
+
+// Copying pages out of an encrypted PDF would copy the ciphertext, so those are refused.
+const loadPdf = async (data, name) => {
+  const pdf = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false }).catch(() => {
+    throw invalidPages(`${name} could not be read as a PDF.`);
+  });
+  if (pdf.isEncrypted) {
+    throw invalidPages(`${name} is password protected, so its pages cannot be copied.`);
+  }
+  return pdf;
+};
+
+const countPdfPages = async (data) =>
+  (await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false })).getPageCount();
+
+// Builds a PDF from pages of loaded PDFs: `parts` is a list of `{ pdf, pages }` copied in order.
+const buildPdfFromPages = async (parts) => {
+  const output = await PDFDocument.create();
+
+  for (const { pdf, pages } of parts) {
+    const copies = await output.copyPages(pdf, pages.map((page) => page - 1));
+    copies.forEach((copy) => output.addPage(copy));
+  }
+
+  return Buffer.from(await output.save());
+};
+
+module.exports = {
+  parsePageRanges,
+  formatPageRanges,
+  loadPdf,
+  countPdfPages,
+  buildPdfFromPages,
+};
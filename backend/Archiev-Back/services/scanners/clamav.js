@@ -0,0 +1,74 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Sends a file to a ClamAV daemon with the INSTREAM command: the file goes in length-prefixed chunks and a
+// zero-length chunk ends it. The daemon answers `stream: OK` or `stream: <signature> FOUND` and closes the
+// connection. Connects to CLAMAV_SOCKET when it is set, otherwise to CLAMAV_HOST:CLAMAV_PORT.
+const createClamavScanner = ({
+  socket = process.env.CLAMAV_SOCKET,
+  host = process.env.CLAMAV_HOST || '127.0.0.1',
+  port = Number(process.env.CLAMAV_PORT) || 3310,
+  timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 60000,
+} = {}) => {
+  const scan = (localPath) =>
+    new Promise((resolve, reject) => {
+      const connection = net.createConnection(socket ? { path: socket } : { host, port });
+      const replies = [];
+      let settled = false;
+
+      const settle = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        connection.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      connection.setTimeout(timeoutMs, () => settle(new Error('The ClamAV daemon did not answer in time.')));
+      connection.on('error', (error) => settle(new Error(`Could not reach the ClamAV daemon: ${error.message}`)));
+      connection.on('data', (chunk) => replies.push(chunk));
+
+      connection.on('end', () => {
+        const reply = Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(reply);
+
+        if (found) {
+          settle(null, { infected: true, signature: found[1] });
+        } else if (reply === 'stream: OK') {
+          settle(null, { infected: false });
+        } else {
+          settle(new Error(`Unexpected reply from the ClamAV daemon: ${reply || '(none)'}`));
+        }
+      });
+
+      connection.once('connect', async () => {
+        try {
+          connection.write('zINSTREAM\0');
+          for await (const chunk of fs.createReadStream(localPath, { highWaterMark: CHUNK_SIZE })) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!connection.write(Buffer.concat([length, chunk]))) {
+              await once(connection, 'drain');
+            }
+          }
+          connection.write(Buffer.alloc(4));
+        } catch (error) {
+          settle(error);
+        }
+      });
+    });
+
+  return { name: 'clamav', scan };
+};
+
+module.exports = {
+  createClamavScanner,
+};
@@ -0,0 +1,71 @@
+const path = require('path');
+
+const { quarantineDir, toRelativeStoragePath } = require('../storage');
+const { storeFile } = require('../storedFiles');
+const { recordAuditEvent } = require('../audit');
+const { createClamavScanner } = require('./clamav');
+
+// A scanner resolves `scan(localPath)` to `{ infected, signature }`. `none` lets every file through.
+const MALWARE_SCANNERS = {
+  none: () => ({ name: 'none', scan: async () => ({ infected: false }) }),
+  clamav: createClamavScanner,
+};
+
+const createMalwareScanner = (name, options) => {
+  const create = MALWARE_SCANNERS[name];
+  if (!create) {
+    throw new Error(`Unknown malware scanner "${name}". Use one of: ${Object.keys(MALWARE_SCANNERS).join(', ')}.`);
+  }
+  return create(options);
+};
+
+const malwareScanner = createMalwareScanner(process.env.MALWARE_SCANNER || 'none');
+
+const infectedPrefix = toRelativeStoragePath(path.join(quarantineDir, 'infected'));
+
+// Scans local files (`{ path, originalname }`) before they are archived. Infected files are moved to
+// `.quarantine/infected/`, recorded as `quarantine` audit events for the user of `req`, and the call fails
+// with a 422 that names them and lists them as `quarantined`. A scanner that cannot be reached fails the
+// call with a 503, so nothing is archived unchecked.
+const scanFiles = async (files, { scanner = malwareScanner, req } = {}) => {
+  const infected = [];
+  const quarantined = [];
+
+  for (const file of files) {
+    let verdict;
+    try {
+      verdict = await scanner.scan(file.path);
+    } catch (error) {
+      console.error(`Failed to scan ${file.originalname} for malware`, error);
+      throw Object.assign(new Error('The malware scanner is unavailable, so nothing was archived. Try again later.'), {
+        status: 503,
+      });
+    }
+
+    if (verdict.infected) {
+      const storagePath = path.posix.join(infectedPrefix, `${Date.now()}-${path.basename(file.path)}`);
+      await storeFile(storagePath, file.path);
+      await recordAuditEvent({
+        action: 'quarantine',
+        req,
+        after: { originalName: file.originalname, storagePath, signature: verdict.signature },
+      });
+      infected.push(`${file.originalname} (${verdict.signature})`);
+      quarantined.push(storagePath);
+    }
+  }
+
+  if (infected.length > 0) {
+    throw Object.assign(
+      new Error(`Malware was found in ${infected.join(', ')}. The files were quarantined and nothing was archived.`),
+      { status: 422, quarantined }
+    );
+  }
+};
+
+module.exports = {
+  MALWARE_SCANNERS,
+  createMalwareScanner,
+  malwareScanner,
+  scanFiles,
+};
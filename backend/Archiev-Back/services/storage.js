@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stored paths are kept relative to the backend folder.
+const backendRoot = path.join(__dirname, '..');
+
+const uploadsDir = process.env.UPLOAD_DIR
+  ? path.isAbsolute(process.env.UPLOAD_DIR)
+    ? process.env.UPLOAD_DIR
+    : path.join(backendRoot, process.env.UPLOAD_DIR)
+  : path.join(backendRoot, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+}
+
+const trashDir = path.join(uploadsDir, '.trash');
+// Orphans and infected uploads are kept here, out of the archive, until someone deals with them by hand.
+const quarantineDir = path.join(uploadsDir, '.quarantine');
+
+const sanitizeNameSegment = (value, { fallback } = {}) => {
+  if (value === undefined || value === null) {
+    return fallback;
+  }
+
+  const normalised = String(value)
+    .normalize('NFKC')
+    .trim()
+    .replace(/[\\/]/g, '-')
+    .replace(/[^\p{L}\p{N}._-]+/gu, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return normalised || fallback;
+};
+
+const sanitizeDirectoryName = (value, { fallback = 'unknown' } = {}) =>
+  sanitizeNameSegment(value, { fallback });
+
+const sanitizeFileBaseName = (value, { fallback = 'document' } = {}) =>
+  sanitizeNameSegment(value, { fallback });
+
+const resolveHierarchyDirectory = ({ year, merchantName, month }) => {
+  const yearSegment = String(year ?? '')
+    .replace(/[^0-9]/g, '')
+    .trim();
+
+  if (!yearSegment) {
+    throw new Error('Invalid year received for document storage.');
+  }
+
+  const merchantSegment = sanitizeDirectoryName(merchantName, { fallback: 'merchant' });
+  const monthSegment = sanitizeDirectoryName(month, { fallback: 'month' });
+
+  return path.join(uploadsDir, yearSegment, merchantSegment, monthSegment);
+};
+
+const removeEmptyDirectoriesUpwards = async (directoryPath) => {
+  const root = path.resolve(uploadsDir);
+  let current = path.resolve(directoryPath);
+
+  while (current !== root) {
+    const relative = path.relative(root, current);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      return;
+    }
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current);
+    } catch {
+      return;
+    }
+
+    if (entries.length > 0) {
+      return;
+    }
+
+    try {
+      await fs.promises.rmdir(current);
+    } catch {
+      return;
+    }
+
+    current = path.dirname(current);
+  }
+};
+
+const toRelativeStoragePath = (absolutePath) =>
+  path.relative(backendRoot, absolutePath).split(path.sep).join('/');
+
+const buildHierarchyStoragePath = ({ year, merchantName, month }, fileName) =>
+  toRelativeStoragePath(path.join(resolveHierarchyDirectory({ year, merchantName, month }), fileName));
+
+module.exports = {
+  backendRoot,
+  uploadsDir,
+  trashDir,
+  quarantineDir,
+  sanitizeDirectoryName,
+  sanitizeFileBaseName,
+  resolveHierarchyDirectory,
+  removeEmptyDirectoriesUpwards,
+  toRelativeStoragePath,
+  buildHierarchyStoragePath,
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+const { backendRoot, uploadsDir, removeEmptyDirectoriesUpwards, toRelativeStoragePath } = require('../storage');
+
+const toAbsolutePath = (storagePath) => path.resolve(backendRoot, storagePath);
+
+// Falls back to a copy when the file is on another device, such as a staging folder in the system temp.
+const renameFile = async (from, to) => {
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  try {
+    await fs.promises.rename(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') {
+      throw error;
+    }
+    await fs.promises.copyFile(from, to);
+    await fs.promises.unlink(from);
+  }
+};
+
+// Stores files in the `<year>/<merchant>/<month>/` folders of the uploads folder. Folders left empty by a
+// move or delete are removed.
+const createFilesystemDriver = () => ({
+  name: 'filesystem',
+
+  localPath: toAbsolutePath,
+
+  put: async (storagePath, localPath, { keepLocal = false } = {}) => {
+    const destination = toAbsolutePath(storagePath);
+    if (destination === path.resolve(localPath)) {
+      return;
+    }
+    if (keepLocal) {
+      await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+      await fs.promises.copyFile(localPath, destination);
+    } else {
+      await renameFile(localPath, destination);
+    }
+  },
+
+  getStream: async (storagePath, { start, end } = {}) =>
+    fs.createReadStream(toAbsolutePath(storagePath), { start, end }),
+
+  move: async (fromPath, toPath) => {
+    const from = toAbsolutePath(fromPath);
+    await renameFile(from, toAbsolutePath(toPath));
+    await removeEmptyDirectoriesUpwards(path.dirname(from));
+  },
+
+  delete: async (storagePath) => {
+    const absolutePath = toAbsolutePath(storagePath);
+    try {
+      await fs.promises.unlink(absolutePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+    await removeEmptyDirectoriesUpwards(path.dirname(absolutePath));
+    return true;
+  },
+
+  stat: async (storagePath) => {
+    const stats = await fs.promises.stat(toAbsolutePath(storagePath)).catch(() => null);
+    return stats?.isFile() ? { size: stats.size, modifiedAt: stats.mtime } : null;
+  },
+
+  list: async function* list() {
+    const walk = async function* walk(directory) {
+      for (const entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        const absolutePath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+          yield* walk(absolutePath);
+        } else if (entry.isFile()) {
+          const stats = await fs.promises.stat(absolutePath);
+          yield { storagePath: toRelativeStoragePath(absolutePath), size: stats.size, modifiedAt: stats.mtime };
+        }
+      }
+    };
+
+    yield* walk(uploadsDir);
+  },
+});
+
+module.exports = {
+  createFilesystemDriver,
+};
@@ -0,0 +1,48 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const { createFilesystemDriver } = require('./filesystem');
+
+// The AWS SDK is only loaded when the s3 driver is used.
+const STORAGE_DRIVERS = {
+  filesystem: createFilesystemDriver,
+  s3: (options) => require('./s3').createS3Driver(options),
+};
+
+const createStorageDriver = (name, options) => {
+  const create = STORAGE_DRIVERS[name];
+  if (!create) {
+    throw new Error(`Unknown storage driver "${name}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}.`);
+  }
+  return create(options);
+};
+
+const storageDriver = createStorageDriver(process.env.STORAGE_DRIVER || 'filesystem');
+
+// Hands `task` the stored bytes as a file on disk, without decrypting them (see withStoredFile for that). The
+// filesystem driver hands out the stored file itself; files of other drivers are downloaded to a temporary
+// folder that is removed once `task` settles.
+const withLocalFile = async (storagePath, task, { driver = storageDriver } = {}) => {
+  if (driver.localPath) {
+    return task(driver.localPath(storagePath));
+  }
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+  const localPath = path.join(directory, path.basename(storagePath));
+
+  try {
+    await pipeline(await driver.getStream(storagePath), fs.createWriteStream(localPath));
+    return await task(localPath);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createStorageDriver,
+  storageDriver,
+  withLocalFile,
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+
+const { backendRoot, uploadsDir, toRelativeStoragePath } = require('../storage');
+
+const isNotFound = (error) =>
+  error?.name === 'NotFound' || error?.name === 'NoSuchKey' || error?.$metadata?.httpStatusCode === 404;
+
+// Object keys mirror the layout below the uploads folder, so records keep the same `storagePath` whichever
+// driver holds the files and an archive can be copied between drivers without touching the database.
+const createS3Driver = ({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  prefix = process.env.S3_PREFIX || '',
+} = {}) => {
+  if (!bucket) {
+    throw new Error('Environment variable S3_BUCKET is required for the s3 storage driver.');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  const toKey = (storagePath) => {
+    const relative = path.relative(uploadsDir, path.resolve(backendRoot, storagePath));
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Storage path is outside the archive: ${storagePath}`);
+    }
+    return `${prefix}${relative.split(path.sep).join('/')}`;
+  };
+
+  const toStoragePath = (key) => toRelativeStoragePath(path.join(uploadsDir, ...key.slice(prefix.length).split('/')));
+
+  const stat = async (storagePath) => {
+    try {
+      const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(storagePath) }));
+      return { size: head.ContentLength, modifiedAt: head.LastModified };
+    } catch (error) {
+      if (isNotFound(error)) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+
+    put: async (storagePath, localPath, { contentType, keepLocal = false } = {}) => {
+      await new Upload({
+        client,
+        params: {
+          Bucket: bucket,
+          Key: toKey(storagePath),
+          Body: fs.createReadStream(localPath),
+          ContentType: contentType,
+        },
+      }).done();
+
+      if (!keepLocal) {
+        await fs.promises.unlink(localPath).catch(() => {});
+      }
+    },
+
+    getStream: async (storagePath, { start, end } = {}) => {
+      const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+      const response = await client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: toKey(storagePath), Range: range })
+      );
+      return response.Body;
+    },
+
+    move: async (fromPath, toPath) => {
+      const fromKey = toKey(fromPath);
+      const copySource = `${bucket}/${fromKey.split('/').map(encodeURIComponent).join('/')}`;
+      await client.send(new CopyObjectCommand({ Bucket: bucket, Key: toKey(toPath), CopySource: copySource }));
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fromKey }));
+    },
+
+    delete: async (storagePath) => {
+      if (!(await stat(storagePath))) {
+        return false;
+      }
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toKey(storagePath) }));
+      return true;
+    },
+
+    stat,
+
+    list: async function* list() {
+      let continuationToken;
+
+      do {
+        const page = await client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix || undefined,
+            ContinuationToken: continuationToken,
+          })
+        );
+
+        for (const object of page.Contents || []) {
+          yield { storagePath: toStoragePath(object.Key), size: object.Size, modifiedAt: object.LastModified };
+        }
+
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+    },
+  };
+};
+
+module.exports = {
+  createS3Driver,
+};
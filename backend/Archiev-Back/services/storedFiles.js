@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const { storageDriver } = require('./storageDrivers');
+const {
+  ENCRYPTION_KEYS,
+  ENCRYPTION_KEY_ID,
+  TAG_LENGTH,
+  MAX_HEADER_LENGTH,
+  encryptionOverhead,
+  encryptFile,
+  parseEncryptionHeader,
+  createDecipher,
+} = require('./encryption');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const readRange = async (driver, storagePath, start, end) =>
+  readAll(await driver.getStream(storagePath, { start, end }));
+
+// Files are only inspected when encryption is configured or the record says the file is encrypted.
+const readEncryptionHeader = async ({ storagePath, encryptionKeyId }, { driver, size }) => {
+  if ((!ENCRYPTION_KEYS.size && !encryptionKeyId) || !size) {
+    return null;
+  }
+  return parseEncryptionHeader(await readRange(driver, storagePath, 0, Math.min(size, MAX_HEADER_LENGTH) - 1));
+};
+
+// Size of the stored file of a record, which is larger than the recorded size when it is encrypted.
+const storedFileSize = ({ size, encryptionKeyId }) => size + encryptionOverhead(encryptionKeyId);
+
+// Paths of every file stored for a document, for queries and projections.
+const DOCUMENT_FILE_PATHS = [
+  'storagePath',
+  'versions.storagePath',
+  'versions.originals.storagePath',
+  'originals.storagePath',
+  'previews.storagePath',
+];
+
+// Every file stored for a document: the current file, older versions, the images they were converted from and
+// the previews. Works with documents and lean records alike.
+const listDocumentFiles = (document) => [
+  document,
+  ...(document.versions || []).flatMap((entry) => [entry, ...(entry.originals || [])]),
+  ...(document.originals || []),
+  ...(document.previews || []),
+];
+
+// Stores a local file, encrypted with `keyId` (the ENCRYPTION_KEY_ID key by default) when there is one.
+// Returns the id of the key used, or undefined for a plaintext file.
+const storeFile = async (
+  storagePath,
+  localPath,
+  { contentType, keepLocal = false, keyId = ENCRYPTION_KEY_ID, driver = storageDriver } = {}
+) => {
+  if (!keyId) {
+    await driver.put(storagePath, localPath, { contentType, keepLocal });
+    return undefined;
+  }
+
+  const encryptedPath = `${localPath}.enc-${Date.now()}.tmp`;
+  try {
+    await encryptFile(localPath, encryptedPath, keyId);
+    await driver.put(storagePath, encryptedPath, { contentType: 'application/octet-stream' });
+  } catch (error) {
+    await fs.promises.unlink(encryptedPath).catch(() => {});
+    throw error;
+  }
+
+  // Encrypting a file the filesystem driver already keeps at `storagePath` replaces it.
+  const replacedInPlace = driver.localPath && driver.localPath(storagePath) === path.resolve(localPath);
+  if (!keepLocal && !replacedInPlace) {
+    await fs.promises.unlink(localPath).catch(() => {});
+  }
+
+  return keyId;
+};
+
+// Opens the plaintext of a stored file. `range` ({ start, end }) is only applied to plaintext files, since
+// an encrypted file can only be authenticated as a whole; the returned `range` says whether it was used.
+const openStoredFile = async (file, { range = null, driver = storageDriver } = {}) => {
+  const stats = await driver.stat(file.storagePath);
+  if (!stats) {
+    throw Object.assign(new Error('Stored file not found.'), { status: 404 });
+  }
+
+  const header = await readEncryptionHeader(file, { driver, size: stats.size });
+  if (!header) {
+    return {
+      stream: await driver.getStream(file.storagePath, range || {}),
+      size: stats.size,
+      range,
+      encrypted: false,
+      encryptionKeyId: undefined,
+    };
+  }
+
+  const bodyEnd = stats.size - TAG_LENGTH - 1;
+  if (bodyEnd < header.headerLength - 1) {
+    throw new Error('The encrypted file is truncated.');
+  }
+
+  const authTag = await readRange(driver, file.storagePath, stats.size - TAG_LENGTH, stats.size - 1);
+  const decipher = createDecipher(header, authTag);
+  const body =
+    bodyEnd >= header.headerLength
+      ? await driver.getStream(file.storagePath, { start: header.headerLength, end: bodyEnd })
+      : Readable.from([]);
+
+  body.on('error', (error) => decipher.destroy(error));
+  body.pipe(decipher);
+
+  return {
+    stream: decipher,
+    size: stats.size - encryptionOverhead(header.keyId),
+    range: null,
+    encrypted: true,
+    encryptionKeyId: header.keyId,
+  };
+};
+
+// Opens the stored file only once the stream is first read, so a ZIP with many entries does not hold every
+// file open at the same time.
+const openStoredFileLazily = (file, options) => {
+  let source = null;
+  let opening = false;
+
+  return new Readable({
+    read() {
+      if (source) {
+        source.resume();
+        return;
+      }
+      if (opening) {
+        return;
+      }
+
+      opening = true;
+      openStoredFile(file, options).then(
+        ({ stream }) => {
+          source = stream;
+          stream.on('data', (chunk) => {
+            if (!this.push(chunk)) {
+              stream.pause();
+            }
+          });
+          stream.on('end', () => this.push(null));
+          stream.on('error', (error) => this.destroy(error));
+        },
+        (error) => this.destroy(error)
+      );
+    },
+    destroy(error, callback) {
+      source?.destroy();
+      callback(error);
+    },
+  });
+};
+
+// Text extraction, OCR and PDF tools need the plaintext on disk. A plaintext file of the filesystem driver is
+// handed out as it is; anything else is written to a temporary folder that is removed once `task` settles.
+const withStoredFile = async (file, task, { driver = storageDriver } = {}) => {
+  if (driver.localPath) {
+    const stats = await driver.stat(file.storagePath);
+    if (stats && !(await readEncryptionHeader(file, { driver, size: stats.size }))) {
+      return task(driver.localPath(file.storagePath));
+    }
+  }
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-'));
+  const localPath = path.join(directory, path.basename(file.storagePath));
+
+  try {
+    const { stream } = await openStoredFile(file, { driver });
+    await pipeline(stream, fs.createWriteStream(localPath));
+    return await task(localPath);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  DOCUMENT_FILE_PATHS,
+  storedFileSize,
+  listDocumentFiles,
+  storeFile,
+  openStoredFile,
+  openStoredFileLazily,
+  withStoredFile,
+};
@@ -0,0 +1,178 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+
+const { storageDriver } = require('./storageDrivers');
+const { storeFile } = require('./storedFiles');
+const { IMAGE_FRAME_TYPES, readImageFrames } = require('./imageFrames');
+
+const THUMBNAIL_WIDTH = Number(process.env.THUMBNAIL_WIDTH) || 320;
+const PAGE_PREVIEWS = process.env.PAGE_PREVIEWS === 'true';
+const PAGE_PREVIEW_WIDTH = Number(process.env.PAGE_PREVIEW_WIDTH) || 1200;
+const PAGE_PREVIEW_LIMIT = Number(process.env.PAGE_PREVIEW_LIMIT) || 20;
+const PREVIEW_QUALITY = 80;
+
+const STANDARD_FONT_DATA_URL = `${path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts'
+)}${path.sep}`;
+
+// pdf.js draws on canvases it creates itself, such as the ones used for patterns and soft masks.
+const canvasFactory = {
+  create: (width, height) => {
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  },
+  reset: (canvasAndContext, width, height) => {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  },
+  destroy: (canvasAndContext) => {
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  },
+};
+
+const canRenderPreviews = (mimeType) => mimeType === 'application/pdf' || IMAGE_FRAME_TYPES.includes(mimeType);
+
+// Previews sit next to the file they show: `<name>.thumb.webp` and `<name>.page-<n>.webp`.
+const buildPreviewFileName = (fileName, { kind, page }) => {
+  const { name } = path.parse(fileName);
+  return kind === 'thumbnail' ? `${name}.thumb.webp` : `${name}.page-${page}.webp`;
+};
+
+const createWhiteCanvas = (width, height) => {
+  const canvas = createCanvas(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)));
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  return { canvas, context };
+};
+
+const encodeCanvas = async (canvas) => ({
+  data: await canvas.encode('webp', PREVIEW_QUALITY),
+  width: canvas.width,
+  height: canvas.height,
+});
+
+const renderPdfPage = async (page, width) => {
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width });
+  const { canvas, context } = createWhiteCanvas(viewport.width, viewport.height);
+  await page.render({ canvasContext: context, viewport, canvasFactory }).promise;
+  return encodeCanvas(canvas);
+};
+
+const renderPdfPreviews = async (localPath) => {
+  const data = new Uint8Array(await fs.promises.readFile(localPath));
+  const pdf = await pdfjs.getDocument({
+    data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    standardFontDataUrl: STANDARD_FONT_DATA_URL,
+    canvasFactory,
+    verbosity: pdfjs.VerbosityLevel.ERRORS,
+  }).promise;
+
+  try {
+    const images = [];
+    const pageCount = PAGE_PREVIEWS ? Math.min(pdf.numPages, PAGE_PREVIEW_LIMIT) : 1;
+
+    for (let pageNumber = 1; pageNumber <= pageCount; pageNumber += 1) {
+      const page = await pdf.getPage(pageNumber);
+      if (pageNumber === 1) {
+        images.push({ kind: 'thumbnail', page: 1, ...(await renderPdfPage(page, THUMBNAIL_WIDTH)) });
+      }
+      if (PAGE_PREVIEWS) {
+        images.push({ kind: 'page', page: pageNumber, ...(await renderPdfPage(page, PAGE_PREVIEW_WIDTH)) });
+      }
+      page.cleanup();
+    }
+
+    return images;
+  } finally {
+    await pdf.destroy();
+  }
+};
+
+// Images are scaled down only; a small scan keeps its own size. Each page of a multi-page TIFF gets a preview.
+const renderImagePreviews = async (localPath) => {
+  const frames = readImageFrames(await fs.promises.readFile(localPath));
+  const pageCount = PAGE_PREVIEWS ? Math.min(frames.length, PAGE_PREVIEW_LIMIT) : 1;
+  const images = [];
+
+  for (let pageNumber = 1; pageNumber <= pageCount; pageNumber += 1) {
+    const image = await frames[pageNumber - 1].load();
+    const render = async (width) => {
+      const scale = Math.min(1, width / image.width);
+      const { canvas, context } = createWhiteCanvas(image.width * scale, image.height * scale);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      return encodeCanvas(canvas);
+    };
+
+    if (pageNumber === 1) {
+      images.push({ kind: 'thumbnail', page: 1, ...(await render(THUMBNAIL_WIDTH)) });
+    }
+    if (PAGE_PREVIEWS) {
+      images.push({ kind: 'page', page: pageNumber, ...(await render(PAGE_PREVIEW_WIDTH)) });
+    }
+  }
+
+  return images;
+};
+
+const deletePreviews = async (previews, { driver = storageDriver } = {}) => {
+  for (const preview of previews || []) {
+    try {
+      await driver.delete(preview.storagePath);
+    } catch (error) {
+      console.error(`Failed to remove the preview ${preview.storagePath}`, error);
+    }
+  }
+};
+
+// Renders the thumbnail (and the page previews when PAGE_PREVIEWS is on) of a local file and stores them next
+// to `storagePath`. A file that cannot be rendered simply has no previews, so this never throws.
+const generatePreviews = async ({ localPath, mimeType, storagePath }, { driver = storageDriver } = {}) => {
+  if (!canRenderPreviews(mimeType)) {
+    return [];
+  }
+
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'archive-previews-'));
+  const previews = [];
+
+  try {
+    const images = mimeType === 'application/pdf'
+      ? await renderPdfPreviews(localPath)
+      : await renderImagePreviews(localPath);
+
+    for (const { data, ...image } of images) {
+      const fileName = buildPreviewFileName(path.posix.basename(storagePath), image);
+      const previewPath = path.posix.join(path.posix.dirname(storagePath), fileName);
+      const renderedPath = path.join(directory, fileName);
+
+      await fs.promises.writeFile(renderedPath, data);
+      const encryptionKeyId = await storeFile(previewPath, renderedPath, { contentType: 'image/webp', driver });
+      previews.push({ ...image, storagePath: previewPath, size: data.length, encryptionKeyId });
+    }
+
+    return previews;
+  } catch (error) {
+    console.error(`Failed to render previews of ${storagePath}`, error);
+    await deletePreviews(previews, { driver });
+    return [];
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+};
+
+module.exports = {
+  PAGE_PREVIEWS,
+  canRenderPreviews,
+  buildPreviewFileName,
+  generatePreviews,
+  deletePreviews,
+};
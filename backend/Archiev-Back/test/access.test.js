@@ -0,0 +1,57 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildAccessFilter, applyAccessScope, canAccessDocument } = require('../services/access');
+
+const grantedUser = (accessGrants, role = 'editor') => ({ role, accessScope: 'granted', accessGrants });
+
+test('admins and users with the whole archive are not scoped', () => {
+  const filters = { deletedAt: null };
+  const admin = { role: 'admin', accessScope: 'granted', accessGrants: [] };
+
+  assert.equal(applyAccessScope(filters, admin), filters);
+  assert.equal(applyAccessScope(filters, { role: 'viewer', accessScope: 'all' }), filters);
+  assert.equal(canAccessDocument(admin, { merchantName: 'Anyone' }), true);
+  assert.equal(canAccessDocument({ role: 'viewer', accessScope: 'all' }, {}), true);
+});
+
+test('a scoped user without grants matches no documents', () => {
+  const user = grantedUser([{ merchantName: '  ' }]);
+
+  assert.deepEqual(buildAccessFilter(user), { _id: { $exists: false } });
+  assert.deepEqual(applyAccessScope({ deletedAt: null }, user), {
+    $and: [{ deletedAt: null }, { _id: { $exists: false } }],
+  });
+  assert.equal(canAccessDocument(user, { merchantName: 'Acme' }), false);
+});
+
+test('grants match the whole merchant name, ignoring case and regex characters', () => {
+  const user = grantedUser([{ merchantName: ' A.B (Co) ' }]);
+  const filter = applyAccessScope({}, user);
+
+  assert.ok(filter.merchantName.test('a.b (co)'));
+  assert.ok(!filter.merchantName.test('AxB (Co)'));
+  assert.ok(!filter.merchantName.test('A.B (Co) Ltd'));
+  assert.equal(canAccessDocument(user, { merchantName: 'a.b (co)' }), true);
+  assert.equal(canAccessDocument(user, { merchantName: 'A.B (Co) Ltd' }), false);
+  assert.equal(canAccessDocument(user, {}), false);
+});
+
+test('grant years and invoice types narrow the merchant', () => {
+  const user = grantedUser([
+    { merchantName: 'Acme', years: [2023, 2024], invoiceTypes: ['purchases'] },
+    { merchantName: 'Globex' },
+  ]);
+
+  const filter = applyAccessScope({ deletedAt: null }, user);
+  assert.equal(filter.$and[0].deletedAt, null);
+  const [acme, globex] = filter.$and[1].$or;
+  assert.deepEqual(acme.year, { $in: [2023, 2024] });
+  assert.deepEqual(acme.invoiceType, { $in: ['purchases'] });
+  assert.deepEqual(Object.keys(globex), ['merchantName']);
+
+  assert.equal(canAccessDocument(user, { merchantName: 'ACME', year: '2024', invoiceType: 'purchases' }), true);
+  assert.equal(canAccessDocument(user, { merchantName: 'Acme', year: 2022, invoiceType: 'purchases' }), false);
+  assert.equal(canAccessDocument(user, { merchantName: 'Acme', year: 2024, invoiceType: 'sales' }), false);
+  assert.equal(canAccessDocument(user, { merchantName: 'Globex', year: 1999, invoiceType: 'sales' }), true);
+});
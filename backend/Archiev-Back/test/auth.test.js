@@ -0,0 +1,165 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { test, afterEach, mock } = require('node:test');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const { ROLES, hasRole, issueTokens, rotateRefreshToken, authenticate, requireRole } = require('../services/auth');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const createUser = (values = {}) =>
+  new User({ username: 'alice', passwordHash: 'x', role: 'editor', ...values });
+
+// Runs a middleware against a fake request and reports whether it called next() or answered.
+const runMiddleware = async (middleware, req) => {
+  const outcome = {};
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await middleware(req, res, (error) => {
+    outcome.next = true;
+    outcome.error = error;
+  });
+  return outcome;
+};
+
+// Keeps refresh tokens in memory and applies the conditional update the way MongoDB does: the first update that
+// matches the filter wins.
+const storeRefreshTokens = (tokens) => {
+  const records = Object.entries(tokens).map(([token, values]) => ({ tokenHash: sha256(token), ...values }));
+  mock.method(RefreshToken, 'findOneAndUpdate', async (filter, update) => {
+    assert.deepEqual(filter.revokedAt, { $exists: false });
+    const record = records.find(
+      ({ tokenHash, revokedAt, expiresAt }) =>
+        tokenHash === filter.tokenHash && !revokedAt && expiresAt > filter.expiresAt.$gt
+    );
+    return record ? Object.assign(record, update.$set) : null;
+  });
+  return records;
+};
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+test('issued tokens carry the role and only the refresh token hash is stored', async () => {
+  const user = createUser();
+  const created = mock.method(RefreshToken, 'create', async (record) => record);
+
+  const tokens = await issueTokens(user, { userAgent: 'a'.repeat(600) });
+
+  const payload = jwt.verify(tokens.accessToken, process.env.JWT_SECRET);
+  assert.equal(payload.sub, String(user._id));
+  assert.equal(payload.role, 'editor');
+
+  const [record] = created.mock.calls[0].arguments;
+  assert.equal(record.tokenHash, sha256(tokens.refreshToken));
+  assert.notEqual(record.tokenHash, tokens.refreshToken);
+  assert.equal(record.userAgent.length, 500);
+  assert.equal(record.expiresAt, tokens.refreshTokenExpiresAt);
+  assert.ok(tokens.refreshTokenExpiresAt.getTime() > Date.now() + 6 * 24 * 60 * 60 * 1000);
+});
+
+test('refreshing revokes the presented token and issues a new pair', async () => {
+  const user = createUser();
+  const records = storeRefreshTokens({ 'old-token': { user: user._id, expiresAt: new Date(Date.now() + 60000) } });
+  mock.method(User, 'findById', async () => user);
+  const created = mock.method(RefreshToken, 'create', async (value) => value);
+
+  const { user: refreshedUser, tokens } = await rotateRefreshToken('old-token');
+
+  assert.equal(refreshedUser, user);
+  assert.ok(records[0].revokedAt instanceof Date);
+  assert.equal(created.mock.calls[0].arguments[0].tokenHash, sha256(tokens.refreshToken));
+  assert.notEqual(tokens.refreshToken, 'old-token');
+});
+
+test('revoked, expired and unknown refresh tokens are refused', async () => {
+  const user = createUser();
+  storeRefreshTokens({
+    revoked: { user: user._id, revokedAt: new Date(), expiresAt: new Date(Date.now() + 60000) },
+    expired: { user: user._id, expiresAt: new Date(Date.now() - 1000) },
+  });
+  mock.method(User, 'findById', async () => user);
+  const created = mock.method(RefreshToken, 'create', async (value) => value);
+
+  for (const token of ['revoked', 'expired', 'unknown']) {
+    await assert.rejects(rotateRefreshToken(token), { status: 401 });
+  }
+  assert.equal(created.mock.callCount(), 0);
+});
+
+test('a refresh token can be used only once, even by concurrent requests', async () => {
+  const user = createUser();
+  storeRefreshTokens({ 'old-token': { user: user._id, expiresAt: new Date(Date.now() + 60000) } });
+  mock.method(User, 'findById', async () => user);
+  const created = mock.method(RefreshToken, 'create', async (value) => value);
+
+  const results = await Promise.allSettled([rotateRefreshToken('old-token'), rotateRefreshToken('old-token')]);
+
+  assert.deepEqual(results.map(({ status }) => status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(({ status }) => status === 'rejected').reason.status, 401);
+  assert.equal(created.mock.callCount(), 1);
+});
+
+test('refreshing fails once the account is disabled', async () => {
+  const user = createUser({ active: false });
+  storeRefreshTokens({ token: { user: user._id, expiresAt: new Date(Date.now() + 60000) } });
+  mock.method(User, 'findById', async () => user);
+
+  await assert.rejects(rotateRefreshToken('token'), { status: 401 });
+});
+
+test('roles rank from viewer up to admin', () => {
+  assert.deepEqual(ROLES, ['viewer', 'uploader', 'editor', 'admin']);
+
+  ROLES.forEach((role, rank) => {
+    ROLES.forEach((minimumRole, minimumRank) => {
+      assert.equal(hasRole({ role }, minimumRole), rank >= minimumRank, `${role} against ${minimumRole}`);
+    });
+  });
+  assert.equal(hasRole({ role: 'owner' }, 'viewer'), false);
+  assert.equal(hasRole({ role: 'admin' }, 'owner'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+});
+
+test('requireRole answers 401 without a user and 403 below the minimum role', async () => {
+  const middleware = requireRole('editor');
+
+  assert.equal((await runMiddleware(middleware, {})).status, 401);
+  assert.equal((await runMiddleware(middleware, { user: { role: 'uploader' } })).status, 403);
+  assert.deepEqual(await runMiddleware(middleware, { user: { role: 'editor' } }), { next: true, error: undefined });
+  assert.deepEqual(await runMiddleware(middleware, { user: { role: 'admin' } }), { next: true, error: undefined });
+});
+
+test('authenticate loads the active user named in the access token', async () => {
+  const user = createUser();
+  mock.method(User, 'findById', async (id) => (String(id) === String(user._id) ? user : null));
+  const token = jwt.sign({ sub: String(user._id), role: user.role }, process.env.JWT_SECRET);
+  const request = (authorization) => ({ get: () => authorization });
+
+  const req = request(`Bearer ${token}`);
+  assert.equal((await runMiddleware(authenticate, req)).next, true);
+  assert.equal(req.user, user);
+
+  assert.equal((await runMiddleware(authenticate, request(undefined))).status, 401);
+  assert.equal((await runMiddleware(authenticate, request('Bearer not-a-token'))).status, 401);
+
+  const forged = jwt.sign({ sub: String(user._id) }, 'another-secret');
+  assert.equal((await runMiddleware(authenticate, request(`Bearer ${forged}`))).status, 401);
+
+  const stranger = jwt.sign({ sub: String(new mongoose.Types.ObjectId()) }, process.env.JWT_SECRET);
+  assert.equal((await runMiddleware(authenticate, request(`Bearer ${stranger}`))).status, 401);
+});
@@ -0,0 +1,97 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { test, before, after } = require('node:test');
+
+const { createClamavScanner } = require('../services/scanners/clamav');
+
+let directory;
+let filePath;
+const content = Buffer.alloc(150 * 1024, 'archive ');
+
+// Reads an INSTREAM request like the daemon does and answers with the given reply once the stream ends.
+const startDaemon = async (answer) => {
+  const received = [];
+  const server = net.createServer((connection) => {
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    const chunks = [];
+
+    connection.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (command === null) {
+        const end = buffer.indexOf(0);
+        if (end === -1) {
+          return;
+        }
+        command = buffer.toString('utf8', 0, end);
+        buffer = buffer.subarray(end + 1);
+      }
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          received.push({ command, data: Buffer.concat(chunks) });
+          connection.end(answer);
+          return;
+        }
+        if (buffer.length < 4 + length) {
+          return;
+        }
+        chunks.push(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+
+  return {
+    received,
+    scanner: createClamavScanner({ host: '127.0.0.1', port: server.address().port, timeoutMs: 5000 }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'clamav-'));
+  filePath = path.join(directory, 'upload.pdf');
+  await fs.promises.writeFile(filePath, content);
+});
+
+after(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('the file is streamed in length-prefixed chunks and OK means clean', async () => {
+  const daemon = await startDaemon('stream: OK\0');
+  try {
+    assert.deepEqual(await daemon.scanner.scan(filePath), { infected: false });
+    assert.equal(daemon.received[0].command, 'zINSTREAM');
+    assert.ok(daemon.received[0].data.equals(content));
+  } finally {
+    await daemon.close();
+  }
+});
+
+test('a FOUND reply reports the signature', async () => {
+  const daemon = await startDaemon('stream: Eicar-Test-Signature FOUND\0');
+  try {
+    assert.deepEqual(await daemon.scanner.scan(filePath), { infected: true, signature: 'Eicar-Test-Signature' });
+  } finally {
+    await daemon.close();
+  }
+});
+
+test('error replies and an unreachable daemon fail the scan', async () => {
+  const daemon = await startDaemon('INSTREAM size limit exceeded. ERROR\0');
+  try {
+    await assert.rejects(daemon.scanner.scan(filePath), /Unexpected reply from the ClamAV daemon: INSTREAM size/);
+  } finally {
+    await daemon.close();
+  }
+
+  const unreachable = createClamavScanner({ socket: path.join(directory, 'missing.sock') });
+  await assert.rejects(unreachable.scan(filePath), /Could not reach the ClamAV daemon/);
+});
@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { buildDocumentFilters } = require('../services/documentFilters');
+
+test('without parameters only trashed documents are left out', () => {
+  assert.deepEqual(buildDocumentFilters({ query: {} }), { deletedAt: null });
+});
+
+test('merchant and month match whole names, ignoring case and regex characters', () => {
+  const filters = buildDocumentFilters({ query: { merchant: 'A.B (Co)', month: 'march' } });
+
+  assert.ok(filters.merchantName.test('a.b (co)'));
+  assert.ok(!filters.merchantName.test('AxB (Co)'));
+  assert.ok(!filters.merchantName.test('A.B (Co) Ltd'));
+  assert.ok(filters.month.test('March'));
+});
+
+test('amount ranges treat a missing amount as zero', () => {
+  const filters = buildDocumentFilters({ query: {}, parsedRanges: { amountMin: 0, amountMax: 150 } });
+
+  assert.deepEqual(filters.$expr, {
+    $and: [{ $gte: [{ $ifNull: ['$amount', 0] }, 0] }, { $lte: [{ $ifNull: ['$amount', 0] }, 150] }],
+  });
+});
+
+test('a single amount condition is not wrapped in $and', () => {
+  const filters = buildDocumentFilters({ query: { amount: '1.234,5' }, parsedAmountQuery: 1234.5 });
+
+  assert.deepEqual(filters.$expr, { $eq: [{ $ifNull: ['$amount', 0] }, 1234.5] });
+  assert.equal(filters.amount, undefined);
+});
+
+test('tag price ranges match a single tag', () => {
+  const filters = buildDocumentFilters({ query: {}, parsedRanges: { priceMin: 10 } });
+
+  assert.deepEqual(filters.tags, { $elemMatch: { price: { $gte: 10 } } });
+});
+
+test('a year and a year range are combined', () => {
+  const filters = buildDocumentFilters({ query: { year: '2023' }, parsedRanges: { yearFrom: 2020, yearTo: 2024 } });
+
+  assert.deepEqual(filters.year, { $eq: 2023, $gte: 2020, $lte: 2024 });
+});
+
+test('month ranges list the months between their bounds', () => {
+  const filters = buildDocumentFilters({ query: {}, parsedRanges: { monthFrom: 1, monthTo: 3 } });
+
+  assert.deepEqual(filters.month, { $in: ['February', 'March', 'April'] });
+});
+
+test('an open month range runs to December', () => {
+  const filters = buildDocumentFilters({ query: {}, parsedRanges: { monthFrom: 10 } });
+
+  assert.deepEqual(filters.month, { $in: ['November', 'December'] });
+});
+
+test('upload date ranges filter on createdAt', () => {
+  const from = new Date('2024-01-01T00:00:00Z');
+  const filters = buildDocumentFilters({ query: {}, parsedRanges: { createdFrom: from } });
+
+  assert.deepEqual(filters.createdAt, { $gte: from });
+});
+
+test('parsed invoice types win over the raw parameter', () => {
+  const filters = buildDocumentFilters({ query: { invoiceType: 'مبيعات' }, parsedInvoiceTypeQuery: 'sales' });
+
+  assert.equal(filters.invoiceType, 'sales');
+});
+
+test('full-text search uses the text index', () => {
+  assert.deepEqual(buildDocumentFilters({ query: { q: 'invoice 42' } }).$text, { $search: 'invoice 42' });
+});
@@ -0,0 +1,92 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const mongoose = require('mongoose');
+
+const {
+  DOCUMENT_SORTS,
+  resolveSort,
+  buildSortStage,
+  buildCursorFilter,
+  encodeCursor,
+  decodeCursor,
+} = require('../services/documentSort');
+
+const asDocument = (values) => ({ get: (field) => values[field] });
+
+test('every sort can be read back', () => {
+  for (const sort of DOCUMENT_SORTS) {
+    const spec = resolveSort(sort);
+    assert.equal(spec.sort, sort);
+    assert.equal(spec.fields[spec.fields.length - 1], '_id');
+  }
+});
+
+test('sorts default to the newest uploads first and end on _id', () => {
+  const spec = resolveSort();
+
+  assert.deepEqual(spec, { sort: '-createdAt', direction: -1, fields: ['createdAt', '_id'] });
+  assert.deepEqual(buildSortStage(resolveSort('period')), { year: 1, monthNumber: 1, _id: 1 });
+});
+
+test('cursors keep dates and object ids through a round trip', () => {
+  const spec = resolveSort('-createdAt');
+  const id = new mongoose.Types.ObjectId();
+  const createdAt = new Date('2024-05-01T10:00:00.000Z');
+
+  const [date, objectId] = decodeCursor(encodeCursor(spec, asDocument({ createdAt, _id: id })), spec);
+
+  assert.ok(date instanceof Date);
+  assert.equal(date.getTime(), createdAt.getTime());
+  assert.ok(objectId instanceof mongoose.Types.ObjectId);
+  assert.ok(objectId.equals(id));
+});
+
+test('cursors keep missing values as null', () => {
+  const spec = resolveSort('amount');
+  const id = new mongoose.Types.ObjectId();
+
+  assert.deepEqual(decodeCursor(encodeCursor(spec, asDocument({ _id: id })), spec)[0], null);
+});
+
+test('a cursor only works for the sort it was issued for', () => {
+  const cursor = encodeCursor(resolveSort('amount'), asDocument({ amount: 5, _id: new mongoose.Types.ObjectId() }));
+
+  assert.throws(() => decodeCursor(cursor, resolveSort('-amount')), /different sort order/);
+});
+
+test('damaged cursors are rejected', () => {
+  const spec = resolveSort('amount');
+  const forged = Buffer.from(JSON.stringify({ sort: 'amount', values: [5, { $where: 'true' }] })).toString(
+    'base64url'
+  );
+
+  assert.throws(() => decodeCursor('not a cursor', spec), /Cursor is invalid/);
+  assert.throws(() => decodeCursor(Buffer.from('{}').toString('base64url'), spec), /Cursor is invalid/);
+  assert.throws(() => decodeCursor(forged, spec), /Cursor is invalid/);
+});
+
+test('the cursor filter continues after the last document, with _id breaking ties', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  assert.deepEqual(buildCursorFilter(resolveSort('amount'), [5, id]), {
+    $or: [{ $and: [{ amount: { $gt: 5 } }] }, { $and: [{ amount: 5 }, { _id: { $gt: id } }] }],
+  });
+});
+
+test('descending cursors include documents without a value after the ones with one', () => {
+  const id = new mongoose.Types.ObjectId();
+  const filter = buildCursorFilter(resolveSort('-amount'), [5, id]);
+
+  assert.deepEqual(filter.$or[0], { $and: [{ $or: [{ amount: { $lt: 5 } }, { amount: null }] }] });
+});
+
+test('after a missing value, ascending sorts go on with the documents that have one', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  assert.deepEqual(buildCursorFilter(resolveSort('amount'), [null, id]).$or[0], {
+    $and: [{ amount: { $ne: null } }],
+  });
+  assert.deepEqual(buildCursorFilter(resolveSort('-amount'), [null, id]).$or[0], {
+    $and: [{ _id: { $exists: false } }],
+  });
+});
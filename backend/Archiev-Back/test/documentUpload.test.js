@@ -0,0 +1,113 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, afterEach, before, mock, test } = require('node:test');
+const jwt = require('jsonwebtoken');
+const { PDFDocument } = require('pdf-lib');
+
+// The app is loaded without a database: the models it reads are mocked, and uploads go to a folder of their own.
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'document-upload-'));
+process.env.STORAGE_DRIVER = 'filesystem';
+process.env.MONGO_URI = 'mongodb://127.0.0.1:1/archive-test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MALWARE_SCANNER = 'none';
+
+const app = require('../index');
+const User = require('../models/user');
+const Document = require('../models/document');
+const AuditEvent = require('../models/auditEvent');
+const { uploadsDir } = require('../services/storage');
+
+const admin = new User({ username: 'admin', passwordHash: 'x', role: 'admin' });
+const accessToken = jwt.sign({ sub: String(admin._id), role: admin.role }, process.env.JWT_SECRET);
+let server;
+let baseUrl;
+
+const listStoredFiles = async () =>
+  (await fs.promises.readdir(uploadsDir, { recursive: true, withFileTypes: true }))
+    .filter((entry) => entry.isFile())
+    .map((entry) => entry.name);
+
+const uploadDocuments = (files) => {
+  const form = new FormData();
+  form.append('year', '2024');
+  form.append('merchant', 'Acme');
+  form.append('month', 'January');
+  for (const { name, type, content } of files) {
+    form.append('files', new Blob([content], { type }), name);
+  }
+
+  return fetch(`${baseUrl}/api/documents`, {
+    method: 'POST',
+    headers: { authorization: `Bearer ${accessToken}` },
+    body: form,
+    signal: AbortSignal.timeout(10000),
+  });
+};
+
+const createPdf = async (width) => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([width, 400]);
+  return pdf.save();
+};
+
+// Duplicate lookups find nothing.
+const mockDuplicateLookup = () => {
+  const lookup = { select: () => lookup, sort: () => lookup, limit: () => lookup, lean: async () => [] };
+  mock.method(Document, 'find', () => lookup);
+};
+
+before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await fs.promises.rm(uploadsDir, { recursive: true, force: true });
+});
+
+test('a rejected upload is answered and its files are removed', async () => {
+  mock.method(User, 'findById', async () => admin);
+  mock.method(console, 'error', () => {});
+
+  const response = await uploadDocuments([{ name: 'invoice.pdf', type: 'application/pdf', content: 'just text' }]);
+
+  assert.equal(response.status, 422);
+  assert.match((await response.json()).message, /invoice\.pdf is not a PDF, Word or supported image file/);
+  assert.deepEqual(await listStoredFiles(), []);
+});
+
+test('when one file of an upload fails, the documents created for the others are removed', async () => {
+  mock.method(User, 'findById', async () => admin);
+  mock.method(console, 'error', () => {});
+  mockDuplicateLookup();
+  const created = [];
+  mock.method(Document, 'create', async (values) => {
+    if (created.length === 1) {
+      throw new Error('database unavailable');
+    }
+    created.push(new Document(values));
+    return created[0];
+  });
+  const deleted = mock.method(Document, 'deleteOne', async () => ({ deletedCount: 1 }));
+  const audited = mock.method(AuditEvent, 'create', async (event) => event);
+
+  const response = await uploadDocuments([
+    { name: 'first.pdf', type: 'application/pdf', content: await createPdf(300) },
+    { name: 'second.pdf', type: 'application/pdf', content: await createPdf(500) },
+  ]);
+
+  assert.equal(response.status, 500);
+  assert.equal(created.length, 1);
+  assert.equal(created[0].previews.length, 1);
+  assert.deepEqual(deleted.mock.calls[0].arguments[0], { _id: created[0]._id });
+  assert.equal(audited.mock.callCount(), 0);
+  assert.deepEqual(await listStoredFiles(), []);
+});
@@ -0,0 +1,99 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, test } = require('node:test');
+
+// Two keys: files are encrypted with "current", "previous" stands for a key that was rotated out.
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'encryption-'));
+process.env.STORAGE_DRIVER = 'filesystem';
+process.env.ENCRYPTION_KEYS = [
+  `previous:${crypto.randomBytes(32).toString('base64')}`,
+  `current:${crypto.randomBytes(32).toString('base64')}`,
+].join(',');
+process.env.ENCRYPTION_KEY_ID = 'current';
+
+const { uploadsDir, toRelativeStoragePath } = require('../services/storage');
+const { storeFile, openStoredFile, storedFileSize, withStoredFile } = require('../services/storedFiles');
+
+const plaintext = Buffer.concat([Buffer.from('%PDF-1.4\n'), crypto.randomBytes(200 * 1024), Buffer.from('\n%%EOF\n')]);
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Stores the plaintext under `name` and returns the record a document would keep for it.
+const store = async (name, options) => {
+  const localPath = path.join(uploadsDir, `${name}.upload`);
+  const storagePath = toRelativeStoragePath(path.join(uploadsDir, name));
+  await fs.promises.writeFile(localPath, plaintext);
+  const encryptionKeyId = await storeFile(storagePath, localPath, options);
+  return { storagePath, size: plaintext.length, encryptionKeyId, absolutePath: path.join(uploadsDir, name) };
+};
+
+after(async () => {
+  await fs.promises.rm(uploadsDir, { recursive: true, force: true });
+});
+
+test('files are stored encrypted with the current key and read back unchanged', async () => {
+  const file = await store('a.pdf');
+  const stored = await fs.promises.readFile(file.absolutePath);
+
+  assert.equal(file.encryptionKeyId, 'current');
+  assert.ok(stored.subarray(0, 8).equals(Buffer.from('AMAENC01')));
+  assert.equal(stored.indexOf(plaintext.subarray(0, 64)), -1);
+  assert.equal(stored.length, storedFileSize(file));
+
+  const opened = await openStoredFile(file);
+  assert.equal(opened.encrypted, true);
+  assert.equal(opened.size, plaintext.length);
+  assert.ok((await readAll(opened.stream)).equals(plaintext));
+});
+
+test('files encrypted with an earlier key stay readable', async () => {
+  const file = await store('b.pdf', { keyId: 'previous' });
+  const { stream, encryptionKeyId } = await openStoredFile({ ...file, encryptionKeyId: undefined });
+
+  assert.equal(encryptionKeyId, 'previous');
+  assert.ok((await readAll(stream)).equals(plaintext));
+});
+
+test('tools get the plaintext in a temporary file that is removed afterwards', async () => {
+  const file = await store('c.pdf');
+  let temporaryPath;
+
+  const contents = await withStoredFile(file, async (localPath) => {
+    temporaryPath = localPath;
+    return fs.promises.readFile(localPath);
+  });
+
+  assert.notEqual(temporaryPath, file.absolutePath);
+  assert.ok(contents.equals(plaintext));
+  assert.ok(!fs.existsSync(temporaryPath));
+});
+
+test('a tampered file fails its authentication', async () => {
+  const file = await store('d.pdf');
+  const stored = await fs.promises.readFile(file.absolutePath);
+  stored[stored.length - 100] ^= 0xff;
+  await fs.promises.writeFile(file.absolutePath, stored);
+
+  const { stream } = await openStoredFile(file);
+  await assert.rejects(readAll(stream), /unable to authenticate data|Unsupported state/);
+});
+
+test('plaintext files from before encryption are read as they are', async () => {
+  const file = await store('e.pdf', { keyId: '' });
+
+  assert.equal(file.encryptionKeyId, undefined);
+  assert.ok((await fs.promises.readFile(file.absolutePath)).equals(plaintext));
+
+  const opened = await openStoredFile(file);
+  assert.equal(opened.encrypted, false);
+  assert.ok((await readAll(opened.stream)).equals(plaintext));
+});
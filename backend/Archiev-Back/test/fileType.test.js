@@ -0,0 +1,73 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+
+const { detectBufferMimeType, detectMimeType } = require('../services/fileType');
+
+const bytes = (...parts) => Buffer.concat(parts.map((part) => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+const pdf = (prefix = '') => bytes(prefix, '%PDF-1.7\n1 0 obj\n<<>>\nendobj\nstartxref\n9\n%%EOF\n');
+
+test('images are recognised by their signature', () => {
+  assert.equal(detectBufferMimeType(bytes([0xff, 0xd8, 0xff, 0xe0], 'JFIF')), 'image/jpeg');
+  assert.equal(detectBufferMimeType(bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), 'image/png');
+  assert.equal(detectBufferMimeType(bytes([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0])), 'image/tiff');
+  assert.equal(detectBufferMimeType(bytes([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8])), 'image/tiff');
+  assert.equal(detectBufferMimeType(bytes('RIFF', [0x24, 0, 0, 0], 'WEBPVP8 ')), 'image/webp');
+  assert.equal(detectBufferMimeType(bytes([0, 0, 0, 0x18], 'ftypheic', [0, 0, 0, 0])), 'image/heic');
+  assert.equal(detectBufferMimeType(bytes([0, 0, 0, 0x18], 'ftypmp42', [0, 0, 0, 0])), null);
+});
+
+test('a PDF needs its header at the start and a trailer at the end', () => {
+  assert.equal(detectBufferMimeType(pdf()), 'application/pdf');
+  assert.equal(detectBufferMimeType(bytes('%PDF-1.4\n%âãÏÓ\n')), null);
+  assert.equal(detectBufferMimeType(bytes('%PDF-1.4\n'), '', bytes('trailer\n%%EOF')), 'application/pdf');
+});
+
+test('a byte order mark or blank lines before the PDF header are accepted', () => {
+  assert.equal(detectBufferMimeType(pdf(bytes([0xef, 0xbb, 0xbf]))), 'application/pdf');
+  assert.equal(detectBufferMimeType(pdf('\r\n\r\n')), 'application/pdf');
+});
+
+test('a PDF header further into the file does not make it a PDF', () => {
+  assert.equal(detectBufferMimeType(pdf('#!/bin/sh\n')), null);
+  assert.equal(detectBufferMimeType(pdf(bytes('MZ', Buffer.alloc(62)))), null);
+  assert.equal(detectBufferMimeType(pdf(' '.repeat(40))), null);
+});
+
+test('ZIP and OLE containers only count as Word files with a Word extension', () => {
+  const zip = bytes([0x50, 0x4b, 0x03, 0x04], Buffer.alloc(26));
+  const ole = bytes([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+  assert.equal(
+    detectBufferMimeType(zip, '.docx'),
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  );
+  assert.equal(detectBufferMimeType(zip, '.zip'), null);
+  assert.equal(detectBufferMimeType(ole, '.doc'), 'application/msword');
+  assert.equal(detectBufferMimeType(ole, '.xls'), null);
+});
+
+test('unknown and empty content is not identified', () => {
+  assert.equal(detectBufferMimeType(Buffer.from('just some text')), null);
+  assert.equal(detectBufferMimeType(Buffer.alloc(0)), null);
+});
+
+test('files are identified from their first and last bytes on disk', async () => {
+  const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-type-'));
+  try {
+    const large = path.join(directory, 'scan.pdf');
+    await fs.promises.writeFile(large, bytes('%PDF-1.5\n', Buffer.alloc(64 * 1024, 0x20), '\nstartxref\n9\n%%EOF\n'));
+    const truncated = path.join(directory, 'truncated.pdf');
+    await fs.promises.writeFile(truncated, bytes('%PDF-1.5\n', Buffer.alloc(64 * 1024, 0x20)));
+    const empty = path.join(directory, 'empty.pdf');
+    await fs.promises.writeFile(empty, '');
+
+    assert.equal(await detectMimeType(large), 'application/pdf');
+    assert.equal(await detectMimeType(truncated), null);
+    assert.equal(await detectMimeType(empty), null);
+  } finally {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,100 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const UTIF = require('utif2');
+const { createCanvas } = require('@napi-rs/canvas');
+
+const { MAX_IMAGE_PIXELS, readImageFrames } = require('../services/imageFrames');
+
+const encodeTiff = (width, height, declared = {}) => {
+  const [ifd] = UTIF.decode(UTIF.encodeImage(new Uint8Array(width * height * 4), width, height));
+  Object.assign(ifd, declared);
+  return Buffer.from(UTIF.encode([ifd]));
+};
+
+test('a TIFF page is decoded at its own size', async () => {
+  const frames = readImageFrames(encodeTiff(4, 3));
+
+  assert.equal(frames.length, 1);
+  const canvas = await frames[0].load();
+  assert.equal(canvas.width, 4);
+  assert.equal(canvas.height, 3);
+});
+
+test('a TIFF declaring more pixels than allowed is refused before it is decoded', async () => {
+  const side = Math.ceil(Math.sqrt(MAX_IMAGE_PIXELS)) + 1;
+  const [frame] = readImageFrames(encodeTiff(2, 2, { t256: [side], t257: [side] }));
+
+  await assert.rejects(frame.load(), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /more than the \d+ allowed/);
+    return true;
+  });
+});
+
+const drawImage = (format) => {
+  const canvas = createCanvas(30, 20);
+  canvas.getContext('2d').fillRect(0, 0, 30, 20);
+  return canvas.encode(format);
+};
+
+// Minimal WebP files: only the header of the image chunk, which is all the size check reads.
+const webp = (chunk, header) =>
+  Buffer.concat([Buffer.from('RIFF\0\0\0\0WEBP', 'latin1'), Buffer.from(chunk, 'latin1'), Buffer.alloc(4), header]);
+
+const expectTooLarge = async (data) => {
+  const [frame] = readImageFrames(data);
+  await assert.rejects(frame.load(), (error) => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /more than the \d+ allowed/);
+    return true;
+  });
+};
+
+test('JPEG, PNG and WebP images are read at their own size', async () => {
+  for (const format of ['jpeg', 'png', 'webp']) {
+    const [frame] = readImageFrames(await drawImage(format));
+    const image = await frame.load();
+    assert.deepEqual([image.width, image.height], [30, 20], format);
+  }
+});
+
+test('JPEG, PNG and WebP images declaring more pixels than allowed are refused before they are decoded', async () => {
+  const side = Math.ceil(Math.sqrt(MAX_IMAGE_PIXELS)) + 1;
+
+  const png = await drawImage('png');
+  png.writeUInt32BE(side, 16);
+  png.writeUInt32BE(side, 20);
+  await expectTooLarge(png);
+
+  const jpeg = await drawImage('jpeg');
+  const frameHeader = jpeg.indexOf(Buffer.from([0xff, 0xc0]));
+  jpeg.writeUInt16BE(side, frameHeader + 5);
+  jpeg.writeUInt16BE(side, frameHeader + 7);
+  await expectTooLarge(jpeg);
+
+  const extended = await drawImage('webp');
+  extended.writeUIntLE(side - 1, 24, 3);
+  extended.writeUIntLE(side - 1, 27, 3);
+  await expectTooLarge(extended);
+
+  const lossy = Buffer.alloc(10);
+  lossy.set([0x9d, 0x01, 0x2a], 3);
+  lossy.writeUInt16LE(0x3fff, 6);
+  lossy.writeUInt16LE(0x3fff, 8);
+  await expectTooLarge(webp('VP8 ', lossy));
+
+  const lossless = Buffer.alloc(5);
+  lossless[0] = 0x2f;
+  lossless.writeUInt32LE(0x3fff | (0x3fff << 14), 1);
+  await expectTooLarge(webp('VP8L', lossless));
+});
+
+test('an image whose size cannot be read is refused', async () => {
+  const [frame] = readImageFrames((await drawImage('png')).subarray(0, 18));
+
+  await assert.rejects(frame.load(), /The PNG image could not be read/);
+});
+
+test('files that are not images are rejected', () => {
+  assert.throws(() => readImageFrames(Buffer.from('%PDF-1.4\n%%EOF')), (error) => error.status === 400);
+});
@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, before, test } = require('node:test');
+const { createCanvas } = require('@napi-rs/canvas');
+const { PDFDocument } = require('pdf-lib');
+
+const { createPdfFromImages } = require('../services/imagePdf');
+const { hashFile } = require('../utils/hash');
+
+let workDir;
+let imagePath;
+let photoPath;
+const generated = [];
+
+const convert = async (options, file = { path: imagePath, originalname: 'invoice.png' }) => {
+  const pdf = await createPdfFromImages([file], { options });
+  generated.push(pdf.path);
+  return pdf;
+};
+
+const readPageSize = async (pdfPath) => {
+  const pdf = await PDFDocument.load(await fs.promises.readFile(pdfPath));
+  return pdf.getPage(0).getSize();
+};
+
+// Puts an EXIF block with the given orientation right after the start-of-image marker of a JPEG.
+const withOrientation = (jpeg, orientation) => {
+  // Big-endian TIFF header, then an IFD with the single entry 0x0112 (orientation) of type SHORT.
+  const tiff = Buffer.from([
+    0x4d, 0x4d, 0, 0x2a, 0, 0, 0, 8,
+    0, 1, 0x01, 0x12, 0, 3, 0, 0, 0, 1, 0, orientation, 0, 0,
+    0, 0, 0, 0,
+  ]);
+  const exif = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const header = Buffer.from([0xff, 0xe1, 0, 0]);
+  header.writeUInt16BE(exif.length + 2, 2);
+  return Buffer.concat([jpeg.subarray(0, 2), header, exif, jpeg.subarray(2)]);
+};
+
+before(async () => {
+  workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'image-pdf-'));
+  imagePath = path.join(workDir, 'invoice.png');
+
+  const canvas = createCanvas(400, 300);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, 400, 300);
+  context.fillStyle = '#b91c1c';
+  context.fillRect(40, 40, 200, 80);
+  await fs.promises.writeFile(imagePath, await canvas.encode('png'));
+
+  // A landscape photo taken with the camera turned a quarter clockwise (EXIF orientation 6).
+  photoPath = path.join(workDir, 'photo.jpg');
+  await fs.promises.writeFile(photoPath, withOrientation(await canvas.encode('jpeg'), 6));
+});
+
+after(async () => {
+  await Promise.all(generated.map((pdfPath) => fs.promises.unlink(pdfPath).catch(() => {})));
+  await fs.promises.rm(workDir, { recursive: true, force: true });
+});
+
+test('the same image gives the same PDF on every conversion', async () => {
+  const first = await convert();
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const second = await convert();
+
+  assert.notEqual(first.path, second.path);
+  assert.equal(await hashFile(first.path), await hashFile(second.path));
+});
+
+test('the source hash of a single image is the hash of the image file', async () => {
+  const pdf = await convert();
+
+  assert.equal(pdf.sourceHash, await hashFile(imagePath));
+});
+
+test('other conversion options change the PDF but not the source hash', async () => {
+  const plain = await convert();
+  const greyscale = await convert({ greyscale: true });
+
+  assert.notEqual(await hashFile(plain.path), await hashFile(greyscale.path));
+  assert.equal(plain.sourceHash, greyscale.sourceHash);
+});
+
+test('an EXIF orientation turns the page unless autoRotate is off', async () => {
+  const photo = { path: photoPath, originalname: 'photo.jpg' };
+
+  const rotated = await readPageSize((await convert({ pageSize: 'original', autoRotate: true }, photo)).path);
+  const unrotated = await readPageSize((await convert({ pageSize: 'original', autoRotate: false }, photo)).path);
+
+  assert.equal(Math.round((rotated.width / rotated.height) * 100), 75);
+  assert.equal(Math.round((unrotated.width / unrotated.height) * 100), 133);
+});
@@ -0,0 +1,155 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { afterEach, after, mock, test } = require('node:test');
+
+// The filesystem driver stores under the uploads folder, so the tests get one of their own.
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'move-journal-'));
+process.env.STORAGE_DRIVER = 'filesystem';
+
+const Document = require('../models/document');
+const FileMove = require('../models/fileMove');
+const { uploadsDir, toRelativeStoragePath } = require('../services/storage');
+const { storageDriver } = require('../services/storageDrivers');
+const { moveFiles, rollBackFileMoves, recoverFileMoves } = require('../services/moveJournal');
+
+const storagePathOf = (name) => toRelativeStoragePath(path.join(uploadsDir, name));
+const absolutePathOf = (name) => path.join(uploadsDir, name);
+const exists = (name) => fs.existsSync(absolutePathOf(name));
+
+const writeStoredFile = async (name) => {
+  await fs.promises.mkdir(path.dirname(absolutePathOf(name)), { recursive: true });
+  await fs.promises.writeFile(absolutePathOf(name), name);
+};
+
+// Journal entries and documents are kept in memory instead of MongoDB.
+const mockDatabase = ({ entries = [], documents = {} }) => {
+  mock.method(FileMove, 'find', () => ({ sort: async () => entries }));
+  mock.method(Document, 'findById', (id) => ({
+    select: () => ({ lean: async () => documents[String(id)] ?? null }),
+  }));
+};
+
+const buildEntry = (document, moves) => ({
+  document,
+  moves: moves.map(([from, to]) => ({ from: storagePathOf(from), to: storagePathOf(to) })),
+  deleteOne: mock.fn(async () => {}),
+});
+
+afterEach(async () => {
+  mock.restoreAll();
+  await fs.promises.rm(uploadsDir, { recursive: true, force: true });
+  await fs.promises.mkdir(uploadsDir, { recursive: true });
+});
+
+after(async () => {
+  await fs.promises.rm(uploadsDir, { recursive: true, force: true });
+});
+
+test('a move the saved document points to is finished', async () => {
+  await writeStoredFile('2024/acme/March/a.pdf');
+  const entry = buildEntry('doc-1', [['2024/acme/March/a.pdf', '2024/acme/April/a.pdf']]);
+  mockDatabase({ entries: [entry], documents: { 'doc-1': { storagePath: storagePathOf('2024/acme/April/a.pdf') } } });
+
+  assert.equal(await recoverFileMoves(), 1);
+  assert.ok(exists('2024/acme/April/a.pdf'));
+  assert.ok(!exists('2024/acme/March/a.pdf'));
+  assert.equal(entry.deleteOne.mock.callCount(), 1);
+});
+
+test('a move the document was not saved with is rolled back', async () => {
+  await writeStoredFile('2024/acme/April/a.pdf');
+  await writeStoredFile('2024/acme/April/a.v1.pdf');
+  const entry = buildEntry('doc-1', [
+    ['2024/acme/March/a.pdf', '2024/acme/April/a.pdf'],
+    ['2024/acme/March/a.v1.pdf', '2024/acme/April/a.v1.pdf'],
+  ]);
+  mockDatabase({
+    entries: [entry],
+    documents: {
+      'doc-1': {
+        storagePath: storagePathOf('2024/acme/March/a.pdf'),
+        versions: [{ storagePath: storagePathOf('2024/acme/March/a.v1.pdf') }],
+      },
+    },
+  });
+
+  assert.equal(await recoverFileMoves(), 1);
+  assert.ok(exists('2024/acme/March/a.pdf'));
+  assert.ok(exists('2024/acme/March/a.v1.pdf'));
+  assert.ok(!exists('2024/acme/April'));
+});
+
+test('the files of a deleted document go back where they came from', async () => {
+  await writeStoredFile('.trash/doc-1/a.pdf');
+  const entry = buildEntry('doc-1', [['2024/acme/March/a.pdf', '.trash/doc-1/a.pdf']]);
+  mockDatabase({ entries: [entry] });
+
+  assert.equal(await recoverFileMoves(), 1);
+  assert.ok(exists('2024/acme/March/a.pdf'));
+});
+
+test('files that are already in place are left alone', async () => {
+  await writeStoredFile('2024/acme/April/a.pdf');
+  const entry = buildEntry('doc-1', [['2024/acme/March/a.pdf', '2024/acme/April/a.pdf']]);
+  mockDatabase({ entries: [entry], documents: { 'doc-1': { storagePath: storagePathOf('2024/acme/April/a.pdf') } } });
+  const move = mock.method(storageDriver, 'move');
+
+  assert.equal(await recoverFileMoves(), 1);
+  assert.equal(move.mock.callCount(), 0);
+  assert.ok(exists('2024/acme/April/a.pdf'));
+});
+
+test('an entry that could not be settled is kept for the next start', async () => {
+  await writeStoredFile('2024/acme/March/a.pdf');
+  const entry = buildEntry('doc-1', [['2024/acme/March/a.pdf', '2024/acme/April/a.pdf']]);
+  mockDatabase({ entries: [entry], documents: { 'doc-1': { storagePath: storagePathOf('2024/acme/April/a.pdf') } } });
+  mock.method(storageDriver, 'move', async () => {
+    throw new Error('disk unavailable');
+  });
+  mock.method(console, 'error', () => {});
+
+  assert.equal(await recoverFileMoves(), 0);
+  assert.equal(entry.deleteOne.mock.callCount(), 0);
+  assert.ok(exists('2024/acme/March/a.pdf'));
+});
+
+test('moves are journalled before they happen and undone by a roll back', async () => {
+  await writeStoredFile('2024/acme/March/a.pdf');
+  const journalled = [];
+  mock.method(FileMove, 'create', async (entry) => {
+    journalled.push({ ...entry, filesMoved: exists('2024/acme/April/a.pdf') });
+    return { _id: 'entry-1' };
+  });
+  const discard = mock.method(FileMove, 'deleteOne', async () => {});
+
+  const journal = await moveFiles({
+    documentId: 'doc-1',
+    operation: 'update',
+    moves: [
+      { from: storagePathOf('2024/acme/March/a.pdf'), to: storagePathOf('2024/acme/April/a.pdf') },
+      { from: storagePathOf('2024/acme/March/b.pdf'), to: storagePathOf('2024/acme/March/b.pdf') },
+    ],
+  });
+
+  assert.equal(journalled.length, 1);
+  assert.equal(journalled[0].moves.length, 1);
+  assert.equal(journalled[0].filesMoved, false);
+  assert.ok(exists('2024/acme/April/a.pdf'));
+
+  await rollBackFileMoves(journal, 'restore failed');
+
+  assert.ok(exists('2024/acme/March/a.pdf'));
+  assert.ok(!exists('2024/acme/April/a.pdf'));
+  assert.deepEqual(discard.mock.calls[0].arguments[0], { _id: 'entry-1' });
+});
+
+test('nothing is journalled when no file has to move', async () => {
+  const create = mock.method(FileMove, 'create', async () => ({ _id: 'entry-1' }));
+  const storagePath = storagePathOf('2024/acme/March/a.pdf');
+  const moves = [{ from: storagePath, to: storagePath }];
+
+  assert.equal(await moveFiles({ documentId: 'doc-1', operation: 'update', moves }), null);
+  assert.equal(create.mock.callCount(), 0);
+});
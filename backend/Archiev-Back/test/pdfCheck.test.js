@@ -0,0 +1,68 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, before, after, mock } = require('node:test');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+
+const { checkPdf, findContentWarnings } = require('../services/pdfCheck');
+
+let directory;
+
+const writeFile = async (name, data) => {
+  const filePath = path.join(directory, name);
+  await fs.promises.writeFile(filePath, data);
+  return filePath;
+};
+
+const createPdf = async (decorate = () => {}) => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([200, 200]);
+  decorate(pdf);
+  return Buffer.from(await pdf.save());
+};
+
+before(async () => {
+  directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'pdf-check-'));
+});
+
+after(async () => {
+  await fs.promises.rm(directory, { recursive: true, force: true });
+});
+
+test('a plain PDF has no warnings', async () => {
+  assert.deepEqual(await checkPdf(await writeFile('plain.pdf', await createPdf())), []);
+});
+
+test('scripts are found even inside compressed object streams', async () => {
+  const data = await createPdf((pdf) => {
+    const action = pdf.context.obj({ S: 'JavaScript', JS: PDFString.of('app.alert(1)') });
+    pdf.catalog.set(PDFName.of('OpenAction'), action);
+  });
+  assert.ok(!data.toString('latin1').includes('/JavaScript'));
+
+  assert.deepEqual(await checkPdf(await writeFile('script.pdf', data)), ['javascript']);
+});
+
+test('an encrypted PDF is flagged even when pdf.js cannot open it', async () => {
+  const data = Buffer.from(
+    '%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n' +
+      'trailer\n<< /Root 1 0 R /Encrypt << /Filter /Standard /V 9 >> >>\n%%EOF\n'
+  );
+
+  assert.deepEqual(await checkPdf(await writeFile('encrypted.pdf', data)), ['encrypted']);
+});
+
+test('only PDFs are checked and a failed check records no warnings', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  try {
+    const script = await writeFile('note.txt', '/JavaScript');
+    assert.deepEqual(await findContentWarnings({ localPath: script, mimeType: 'text/plain' }), []);
+
+    const missing = path.join(directory, 'missing.pdf');
+    assert.deepEqual(await findContentWarnings({ localPath: missing, mimeType: 'application/pdf' }), []);
+    assert.equal(errors.mock.callCount(), 1);
+  } finally {
+    errors.mock.restore();
+  }
+});
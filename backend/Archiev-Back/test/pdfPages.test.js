@@ -0,0 +1,62 @@
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+const { PDFDocument } = require('pdf-lib');
+
+const {
+  parsePageRanges,
+  formatPageRanges,
+  loadPdf,
+  countPdfPages,
+  buildPdfFromPages,
+} = require('../services/pdfPages');
+
+// Pages are told apart by their width: page n is 100 + n points wide.
+const createPdf = async (pageCount) => {
+  const pdf = await PDFDocument.create();
+  for (let page = 1; page <= pageCount; page += 1) {
+    pdf.addPage([100 + page, 200]);
+  }
+  return Buffer.from(await pdf.save());
+};
+
+const pageWidths = async (data) =>
+  (await PDFDocument.load(data)).getPages().map((page) => Math.round(page.getWidth()));
+
+test('page ranges are read in the order they are written', () => {
+  assert.deepEqual(parsePageRanges('1-3, 5, 8-', 10), [1, 2, 3, 5, 8, 9, 10]);
+  assert.deepEqual(parsePageRanges('4,2', 4), [4, 2]);
+  assert.deepEqual(parsePageRanges(' 2 - 3 ', 4), [2, 3]);
+});
+
+test('invalid or out-of-range pages are rejected with 422', () => {
+  for (const value of ['', 'a', '1-2-3', '3-1', '0', '2-6']) {
+    assert.throws(() => parsePageRanges(value, 5), (error) => error.status === 422, value);
+  }
+});
+
+test('page numbers are written back as ranges', () => {
+  assert.equal(formatPageRanges([1, 2, 3, 5, 7, 8]), '1-3, 5, 7-8');
+  assert.equal(formatPageRanges([4]), '4');
+  assert.equal(formatPageRanges([]), '');
+});
+
+test('pages are copied from several PDFs in the order given', async () => {
+  const first = await loadPdf(await createPdf(3), 'first.pdf');
+  const second = await loadPdf(await createPdf(2), 'second.pdf');
+
+  const merged = await buildPdfFromPages([
+    { pdf: first, pages: [3, 1] },
+    { pdf: second, pages: [2] },
+  ]);
+
+  assert.equal(await countPdfPages(merged), 3);
+  assert.deepEqual(await pageWidths(merged), [103, 101, 102]);
+});
+
+test('files that are not PDFs cannot be loaded', async () => {
+  await assert.rejects(loadPdf(Buffer.from('not a pdf'), 'notes.txt'), (error) => {
+    assert.equal(error.status, 422);
+    assert.equal(error.message, 'notes.txt could not be read as a PDF.');
+    return true;
+  });
+});
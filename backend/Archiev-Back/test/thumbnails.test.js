@@ -0,0 +1,112 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { after, mock, test } = require('node:test');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const { PDFDocument, rgb } = require('pdf-lib');
+
+// The filesystem driver stores under the uploads folder, so the tests get one of their own.
+process.env.UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnails-'));
+process.env.STORAGE_DRIVER = 'filesystem';
+delete process.env.PAGE_PREVIEWS;
+delete process.env.THUMBNAIL_WIDTH;
+
+const { uploadsDir, toRelativeStoragePath } = require('../services/storage');
+const { storageDriver } = require('../services/storageDrivers');
+const { generatePreviews } = require('../services/thumbnails');
+
+const storagePathOf = (name) => toRelativeStoragePath(path.join(uploadsDir, name));
+
+const writeLocalFile = async (name, data) => {
+  const localPath = path.join(uploadsDir, name);
+  await fs.promises.writeFile(localPath, data);
+  return localPath;
+};
+
+const drawImage = (width, height, format) => {
+  const canvas = createCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#c03030';
+  context.fillRect(0, 0, width, height);
+  return canvas.encode(format);
+};
+
+// Checks that the stored preview is a WebP image of the recorded size.
+const readPreview = async ({ storagePath, width, height, size }) => {
+  const data = await fs.promises.readFile(storageDriver.localPath(storagePath));
+  assert.equal(data.length, size);
+  assert.equal(data.toString('latin1', 8, 12), 'WEBP');
+  const image = await loadImage(data);
+  assert.equal(image.width, width);
+  assert.equal(image.height, height);
+};
+
+after(async () => {
+  await fs.promises.rm(uploadsDir, { recursive: true, force: true });
+});
+
+test('the first page of a PDF becomes a thumbnail next to the file', async () => {
+  const pdf = await PDFDocument.create();
+  pdf.addPage([800, 400]).drawRectangle({ x: 50, y: 50, width: 300, height: 200, color: rgb(0, 0, 1) });
+  pdf.addPage([400, 800]);
+  const localPath = await writeLocalFile('invoice.pdf', await pdf.save());
+
+  const storagePath = storagePathOf('2024/Acme/January/invoice.pdf');
+
+  const previews = await generatePreviews({ localPath, mimeType: 'application/pdf', storagePath });
+
+  assert.equal(previews.length, 1);
+  const [{ kind, page, width, height }] = previews;
+  assert.deepEqual({ kind, page, width, height }, { kind: 'thumbnail', page: 1, width: 320, height: 160 });
+  assert.equal(previews[0].storagePath, storagePathOf('2024/Acme/January/invoice.thumb.webp'));
+  await readPreview(previews[0]);
+});
+
+test('images are scaled down to the thumbnail width but never up', async () => {
+  const large = await writeLocalFile('large.jpg', await drawImage(640, 480, 'jpeg'));
+  const small = await writeLocalFile('small.png', await drawImage(100, 50, 'png'));
+
+  const [largeThumbnail] = await generatePreviews({
+    localPath: large,
+    mimeType: 'image/jpeg',
+    storagePath: storagePathOf('large.jpg'),
+  });
+  const [smallThumbnail] = await generatePreviews({
+    localPath: small,
+    mimeType: 'image/png',
+    storagePath: storagePathOf('small.png'),
+  });
+
+  assert.deepEqual([largeThumbnail.width, largeThumbnail.height], [320, 240]);
+  assert.equal(largeThumbnail.storagePath, storagePathOf('large.thumb.webp'));
+  await readPreview(largeThumbnail);
+  assert.deepEqual([smallThumbnail.width, smallThumbnail.height], [100, 50]);
+  await readPreview(smallThumbnail);
+});
+
+test('files that cannot be rendered get no previews', async () => {
+  const errors = mock.method(console, 'error', () => {});
+  try {
+    const broken = await writeLocalFile('broken.pdf', '%PDF-1.4\nnot really a PDF\n');
+    const document = await writeLocalFile('letter.docx', 'PK');
+
+    const brokenPreviews = await generatePreviews({
+      localPath: broken,
+      mimeType: 'application/pdf',
+      storagePath: storagePathOf('broken.pdf'),
+    });
+    const documentPreviews = await generatePreviews({
+      localPath: document,
+      mimeType: 'application/msword',
+      storagePath: storagePathOf('letter.docx'),
+    });
+
+    assert.deepEqual(brokenPreviews, []);
+    assert.deepEqual(documentPreviews, []);
+    assert.equal(errors.mock.callCount(), 1);
+    assert.ok(!fs.existsSync(path.join(uploadsDir, 'broken.thumb.webp')));
+  } finally {
+    errors.mock.restore();
+  }
+});
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const hashStream = (stream) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+
+    stream.on('error', reject);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+  });
+
+const hashFile = (absolutePath) => hashStream(fs.createReadStream(absolutePath));
+
+module.exports = {
+  hashStream,
+  hashFile,
+};
@@ -1,56 +1,89 @@
 import { useEffect, useMemo, useState } from 'react'
 import './App.css'
 import { ArchiveProvider } from './context/ArchiveContext'
+import { AuthProvider, useAuthContext } from './context/AuthContext'
+import { ROLE_LABELS } from './constants/archive'
 import { Upload } from './pages/Upload'
 import { Search } from './pages/Search'
+import { Users } from './pages/Users'
+import { Trash } from './pages/Trash'
+import { Integrity } from './pages/Integrity'
+import { Login } from './pages/Login'
 
 const ROUTES = {
   '#/upload': {
     title: 'Upload',
     element: <Upload />,
+    minimumRole: 'uploader',
   },
   '#/search': {
     title: 'Search',
     element: <Search />,
+    minimumRole: 'viewer',
+  },
+  '#/trash': {
+    title: 'Trash',
+    element: <Trash />,
+    minimumRole: 'editor',
+  },
+  '#/users': {
+    title: 'Users',
+    element: <Users />,
+    minimumRole: 'admin',
+  },
+  '#/integrity': {
+    title: 'Storage check',
+    element: <Integrity />,
+    minimumRole: 'admin',
   },
 }
 
 const DEFAULT_ROUTE = '#/upload'
 
-const resolveRoute = () => {
+const resolveRoute = (allowedRoutes) => {
+  const fallback = allowedRoutes[DEFAULT_ROUTE] ? DEFAULT_ROUTE : Object.keys(allowedRoutes)[0]
   if (typeof window === 'undefined') {
-    return DEFAULT_ROUTE
+    return fallback
   }
   const { hash } = window.location
-  if (ROUTES[hash]) {
+  if (allowedRoutes[hash]) {
     return hash
   }
-  window.location.hash = DEFAULT_ROUTE
-  return DEFAULT_ROUTE
+  if (fallback) {
+    window.location.hash = fallback
+  }
+  return fallback
 }
 
-function App() {
-  const [route, setRoute] = useState(() => resolveRoute())
+function AppShell() {
+  const { user, logout, hasRole } = useAuthContext()
+
+  const allowedRoutes = useMemo(
+    () =>
+      Object.fromEntries(
+        Object.entries(ROUTES).filter(([, descriptor]) => hasRole(descriptor.minimumRole)),
+      ),
+    [hasRole],
+  )
+
+  const [route, setRoute] = useState(() => resolveRoute(allowedRoutes))
 
   useEffect(() => {
+    setRoute(resolveRoute(allowedRoutes))
+
     if (typeof window === 'undefined') {
       return () => {}
     }
 
     const handleHashChange = () => {
-      setRoute(resolveRoute())
+      setRoute(resolveRoute(allowedRoutes))
     }
 
     window.addEventListener('hashchange', handleHashChange)
     return () => window.removeEventListener('hashchange', handleHashChange)
-  }, [])
+  }, [allowedRoutes])
 
-  const activeRoute = useMemo(() => ROUTES[route] ?? ROUTES[DEFAULT_ROUTE], [route])
-
-  const connectionLabel = useMemo(
-    () => (typeof window !== 'undefined' ? window.location.host : 'archive service'),
-    [],
-  )
+  const activeRoute = useMemo(() => allowedRoutes[route] ?? null, [allowedRoutes, route])
 
   const navigate = (target) => {
     if (typeof window === 'undefined') {
@@ -69,7 +102,7 @@ function App() {
           <div className="topbar-primary">
             <h1 className="brand">AMA Archive</h1>
             <nav className="topbar-nav">
-              {Object.entries(ROUTES).map(([path, descriptor]) => (
+              {Object.entries(allowedRoutes).map(([path, descriptor]) => (
                 <button
                   key={path}
                   type="button"
@@ -83,19 +116,52 @@ function App() {
             </nav>
           </div>
           <div className="topbar-meta">
-            <small>Connected to {connectionLabel}</small>
+            <small dir="auto">
+              Signed in as {user.displayName || user.username} ({ROLE_LABELS[user.role] || user.role})
+            </small>
+            <button type="button" className="ghost" onClick={logout}>
+              Sign out
+            </button>
           </div>
         </header>
         <main className="main-content">
-          <header className="page-header">
-            <h2>{activeRoute.title}</h2>
-            <p>Manage archive operations with shared filters, stateful caching, and actionable insights.</p>
-          </header>
-          <div className="page-body">{activeRoute.element}</div>
+          {activeRoute ? (
+            <>
+              <header className="page-header">
+                <h2>{activeRoute.title}</h2>
+                <p>Manage archive operations with shared filters, stateful caching, and actionable insights.</p>
+              </header>
+              <div className="page-body">{activeRoute.element}</div>
+            </>
+          ) : (
+            <p className="empty-state">Your account does not have access to any archive pages.</p>
+          )}
         </main>
       </div>
     </ArchiveProvider>
   )
 }
 
+function AuthGate() {
+  const { user, checking } = useAuthContext()
+
+  if (checking) {
+    return <p className="empty-state">Checking your session…</p>
+  }
+
+  if (!user) {
+    return <Login />
+  }
+
+  return <AppShell key={user._id} />
+}
+
+function App() {
+  return (
+    <AuthProvider>
+      <AuthGate />
+    </AuthProvider>
+  )
+}
+
 export default App
@@ -0,0 +1,190 @@
+import { useEffect, useState } from 'react'
+import { INVOICE_TYPES } from '../constants/archive'
+
+const createEmptyGrant = () => ({ merchantName: '', years: '', invoiceTypes: [] })
+
+const toEditableGrant = (grant) => ({
+  merchantName: grant?.merchantName ?? '',
+  years: (grant?.years || []).join(', '),
+  invoiceTypes: grant?.invoiceTypes || [],
+})
+
+const parseYears = (value) =>
+  String(value)
+    .split(/[\s,،]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+
+export const AccessEditor = ({ open, user, merchantOptions = [], onClose, onSubmit, saving, error }) => {
+  const [accessScope, setAccessScope] = useState('all')
+  const [grants, setGrants] = useState([])
+  const [formError, setFormError] = useState('')
+
+  useEffect(() => {
+    if (!open || !user) {
+      return
+    }
+    setAccessScope(user.accessScope === 'granted' ? 'granted' : 'all')
+    setGrants((user.accessGrants || []).map(toEditableGrant))
+    setFormError('')
+  }, [open, user])
+
+  const updateGrant = (index, field, value) => {
+    setGrants((previous) => previous.map((grant, position) => (position === index ? { ...grant, [field]: value } : grant)))
+  }
+
+  const toggleInvoiceType = (index, invoiceType) => {
+    setGrants((previous) =>
+      previous.map((grant, position) => {
+        if (position !== index) {
+          return grant
+        }
+        const selected = grant.invoiceTypes.includes(invoiceType)
+          ? grant.invoiceTypes.filter((value) => value !== invoiceType)
+          : [...grant.invoiceTypes, invoiceType]
+        return { ...grant, invoiceTypes: selected }
+      }),
+    )
+  }
+
+  const removeGrant = (index) => {
+    setGrants((previous) => previous.filter((_grant, position) => position !== index))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setFormError('')
+
+    const payload = []
+
+    for (const [index, grant] of grants.entries()) {
+      const merchantName = grant.merchantName.trim()
+      if (!merchantName) {
+        setFormError(`Row ${index + 1} needs a customer name.`)
+        return
+      }
+
+      const years = parseYears(grant.years).map(Number)
+      if (years.some((year) => !Number.isInteger(year) || year < 1900 || year > 9999)) {
+        setFormError(`Row ${index + 1} has an invalid year. Use values like 2023, 2024.`)
+        return
+      }
+
+      payload.push({ merchantName, years, invoiceTypes: grant.invoiceTypes })
+    }
+
+    onSubmit({ accessScope, accessGrants: payload })
+  }
+
+  if (!open || !user) {
+    return null
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="access-editor-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="access-editor-title">Customer access for {user.username}</h3>
+            <p className="section-description">
+              Limit which customers this user can see. Leave years or invoice types empty to allow all of them.
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+        </header>
+
+        <form className="modal-body" onSubmit={handleSubmit}>
+          <div className="field">
+            <label htmlFor="access-scope">Visible customers</label>
+            <select id="access-scope" value={accessScope} onChange={(event) => setAccessScope(event.target.value)}>
+              <option value="all">All customers</option>
+              <option value="granted">Only the customers listed below</option>
+            </select>
+            {user.role === 'admin' && <p className="hint">Admins always see every customer.</p>}
+          </div>
+
+          {accessScope === 'granted' && (
+            <fieldset className="tags-fieldset">
+              <legend>Granted customers</legend>
+              {grants.length === 0 && <p className="hint warning">No customers granted yet — this user will see nothing.</p>}
+              {grants.map((grant, index) => (
+                <div key={index} className="access-grant-row">
+                  <div className="field">
+                    <label htmlFor={`grant-merchant-${index}`}>اسم الزبون</label>
+                    <input
+                      id={`grant-merchant-${index}`}
+                      type="text"
+                      value={grant.merchantName}
+                      onChange={(event) => updateGrant(index, 'merchantName', event.target.value)}
+                      list={merchantOptions.length > 0 ? 'access-merchant-options' : undefined}
+                      dir="auto"
+                      required
+                    />
+                  </div>
+                  <div className="field">
+                    <label htmlFor={`grant-years-${index}`}>Years</label>
+                    <input
+                      id={`grant-years-${index}`}
+                      type="text"
+                      value={grant.years}
+                      onChange={(event) => updateGrant(index, 'years', event.target.value)}
+                      placeholder="All years"
+                      dir="ltr"
+                    />
+                  </div>
+                  <div className="field">
+                    <span className="field-label">نوع الفاتورة</span>
+                    <div className="checkbox-group">
+                      {INVOICE_TYPES.map((type) => (
+                        <label key={type.value} className="checkbox">
+                          <input
+                            type="checkbox"
+                            checked={grant.invoiceTypes.includes(type.value)}
+                            onChange={() => toggleInvoiceType(index, type.value)}
+                          />
+                          {type.label}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                  <button type="button" className="link danger-link" onClick={() => removeGrant(index)}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+              {merchantOptions.length > 0 && (
+                <datalist id="access-merchant-options">
+                  {merchantOptions.map((option) => (
+                    <option key={option} value={option} />
+                  ))}
+                </datalist>
+              )}
+              <div className="actions">
+                <button type="button" className="secondary" onClick={() => setGrants((previous) => [...previous, createEmptyGrant()])}>
+                  Add customer
+                </button>
+              </div>
+            </fieldset>
+          )}
+
+          {(formError || error) && (
+            <p className="status error" role="alert">
+              {formError || error}
+            </p>
+          )}
+
+          <footer className="modal-footer">
+            <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="primary" disabled={saving}>
+              {saving ? 'Saving…' : 'Save access'}
+            </button>
+          </footer>
+        </form>
+      </div>
+    </div>
+  )
+}
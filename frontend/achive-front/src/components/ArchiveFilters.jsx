@@ -1,7 +1,9 @@
 import { useEffect, useMemo, useState } from 'react'
-import { INVOICE_TYPE_LABELS, INVOICE_TYPES } from '../constants/archive'
+import { INVOICE_TYPES } from '../constants/archive'
 import { normaliseAmountInput } from '../utils/amount'
+import { describeFilters, EMPTY_RANGE_FILTERS } from '../utils/filters'
 import { HierarchySelector } from './HierarchySelector'
+import { RangeFilters } from './RangeFilters'
 
 export const ArchiveFilters = ({ filters, onFiltersChange, onRefresh, hierarchy }) => {
   const [localFilters, setLocalFilters] = useState(filters)
@@ -10,28 +12,7 @@ export const ArchiveFilters = ({ filters, onFiltersChange, onRefresh, hierarchy
     setLocalFilters(filters)
   }, [filters])
 
-  const summary = useMemo(() => {
-    const parts = []
-    if (filters.name) {
-      parts.push(`Name contains "${filters.name}"`)
-    }
-    if (filters.amount !== '') {
-      parts.push(`Amount: ${filters.amount}`)
-    }
-    if (filters.invoiceType) {
-      parts.push(`Invoice type: ${INVOICE_TYPE_LABELS[filters.invoiceType] || filters.invoiceType}`)
-    }
-    if (filters.year) {
-      parts.push(`Year: ${filters.year}`)
-    }
-    if (filters.merchant) {
-      parts.push(`Customer: ${filters.merchant}`)
-    }
-    if (filters.month) {
-      parts.push(`Month: ${filters.month}`)
-    }
-    return parts.join(' • ')
-  }, [filters])
+  const summary = useMemo(() => describeFilters(filters), [filters])
 
   const handleChange = (field, value) => {
     const next = { ...localFilters, [field]: value }
@@ -61,6 +42,7 @@ export const ArchiveFilters = ({ filters, onFiltersChange, onRefresh, hierarchy
       year: '',
       merchant: '',
       month: '',
+      ...EMPTY_RANGE_FILTERS,
     }
     setLocalFilters(cleared)
     onFiltersChange?.(cleared)
@@ -116,6 +98,8 @@ export const ArchiveFilters = ({ filters, onFiltersChange, onRefresh, hierarchy
           variant="grid"
         />
 
+        <RangeFilters idPrefix="filter" value={localFilters} onChange={setLocalFilters} />
+
         <div className="actions filter-actions">
           <button type="submit" className="primary">
             Apply filters
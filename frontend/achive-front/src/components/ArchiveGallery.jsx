@@ -0,0 +1,78 @@
+import { INVOICE_TYPE_LABELS } from '../constants/archive'
+import { api } from '../services/api'
+import { resolveDocumentAmount } from '../utils/amount'
+import { DocumentThumbnail } from './DocumentThumbnail'
+
+export const ArchiveGallery = ({ archives, loading, onEdit, onDelete, deletingId }) => {
+  const handlePreview = (document) => {
+    api.previewDocument(document._id, document.originalName).catch((error) => {
+      alert(error.message || 'Unable to preview the document right now.')
+    })
+  }
+
+  const handleDownload = (document) => {
+    api.downloadDocument(document._id, document.originalName).catch((error) => {
+      alert(error.message || 'Unable to download the document right now.')
+    })
+  }
+
+  if (loading) {
+    return <p className="empty-state">Loading documents…</p>
+  }
+
+  if (!archives.length) {
+    return <p className="empty-state">No documents match the current filters.</p>
+  }
+
+  return (
+    <ul className="archive-gallery">
+      {archives.map((document) => {
+        const name = document.storedName || document.originalName || 'Untitled document'
+        const invoiceType = INVOICE_TYPE_LABELS[document.invoiceType] || document.invoiceType || '—'
+
+        return (
+          <li key={document._id} className="gallery-card">
+            <button
+              type="button"
+              className="gallery-preview"
+              onClick={() => handlePreview(document)}
+              aria-label={`Preview ${name}`}
+            >
+              <DocumentThumbnail document={document} />
+            </button>
+            <div className="gallery-details">
+              <strong className="gallery-name" title={name}>
+                {name}
+              </strong>
+              <span dir="auto">{document.merchantName || '—'}</span>
+              <span>
+                {[document.month, document.year].filter(Boolean).join(' ') || '—'} · {invoiceType}
+              </span>
+              <span>${resolveDocumentAmount(document).toFixed(2)}</span>
+            </div>
+            <div className="actions gallery-actions">
+              <button type="button" className="link" onClick={() => handleDownload(document)}>
+                Download
+              </button>
+              {typeof onEdit === 'function' && (
+                <button type="button" className="link" onClick={() => onEdit(document)}>
+                  Edit
+                </button>
+              )}
+              {typeof onDelete === 'function' && (
+                <button
+                  type="button"
+                  className="link danger-link"
+                  onClick={() => onDelete(document)}
+                  disabled={deletingId === document._id}
+                >
+                  {deletingId === document._id ? 'Deleting…' : 'Delete'}
+                </button>
+              )}
+            </div>
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
@@ -1,7 +1,17 @@
-import { useMemo } from 'react'
-import { INVOICE_TYPE_LABELS } from '../constants/archive'
+import { Fragment, useEffect, useMemo, useRef, useState } from 'react'
+import {
+  CONTENT_WARNING_LABELS,
+  DERIVED_OPERATION_LABELS,
+  INTEGRITY_ISSUE_LABELS,
+  INVOICE_TYPE_LABELS,
+  OCR_STATUS_LABELS,
+  UPLOAD_ACCEPT,
+} from '../constants/archive'
 import { api } from '../services/api'
 import { resolveDocumentAmount } from '../utils/amount'
+import { formatPageRanges } from '../utils/pages'
+import { DocumentOcr } from './DocumentOcr'
+import { DocumentVersions } from './DocumentVersions'
 
 const formatDate = (value) => {
   if (!value) {
@@ -14,7 +24,119 @@ const formatDate = (value) => {
   return date.toLocaleString()
 }
 
-export const ArchiveTable = ({ archives, loading, onEdit, onDelete, deletingId }) => {
+const isPdf = (document) => document.mimeType === 'application/pdf'
+
+const describeDerivedFrom = ({ sources = [] }) =>
+  sources
+    .map((source) => `${source.storedName || source.document} (pages ${formatPageRanges(source.pages || [])})`)
+    .join(', ')
+
+const COLUMN_COUNT = 9
+
+const COLUMNS = [
+  { label: 'Name', sortKey: 'originalName' },
+  { label: 'Year', sortKey: 'period' },
+  { label: 'Customer', sortKey: 'merchantName' },
+  { label: 'Month', sortKey: 'period' },
+  { label: 'Invoice type' },
+  { label: 'Amount', sortKey: 'amount' },
+  { label: 'Notes' },
+  { label: 'Uploaded', sortKey: 'createdAt' },
+  { label: 'Actions' },
+]
+
+// Numbers and dates start with the largest value, text starts from A.
+const DESCENDING_FIRST = new Set(['amount', 'createdAt'])
+
+const parseSort = (sort) => ({
+  key: sort?.startsWith('-') ? sort.slice(1) : sort || '',
+  descending: Boolean(sort?.startsWith('-')),
+})
+
+const nextSort = (currentSort, sortKey) => {
+  const current = parseSort(currentSort)
+  const descending = current.key === sortKey ? !current.descending : DESCENDING_FIRST.has(sortKey)
+  return descending ? `-${sortKey}` : sortKey
+}
+
+const renderSnippet = (snippet) => {
+  const parts = []
+  let cursor = 0
+
+  snippet.highlights.forEach((highlight) => {
+    if (highlight.start > cursor) {
+      parts.push(snippet.text.slice(cursor, highlight.start))
+    }
+    parts.push(<mark key={highlight.start}>{snippet.text.slice(highlight.start, highlight.end)}</mark>)
+    cursor = highlight.end
+  })
+
+  if (cursor < snippet.text.length) {
+    parts.push(snippet.text.slice(cursor))
+  }
+
+  return (
+    <>
+      {snippet.truncatedStart && '…'}
+      {parts}
+      {snippet.truncatedEnd && '…'}
+    </>
+  )
+}
+
+export const ArchiveTable = ({
+  archives,
+  loading,
+  onEdit,
+  onDelete,
+  deletingId,
+  onUploadVersion,
+  uploadingVersionId,
+  onRerunOcr,
+  rerunningOcrId,
+  sort,
+  onSortChange,
+  totalCount,
+  onBulkEdit,
+  onBulkDelete,
+  onMerge,
+  onSplit,
+  bulkBusy,
+}) => {
+  const versionInputRef = useRef(null)
+  const [versionTarget, setVersionTarget] = useState(null)
+  const [versionsDocumentId, setVersionsDocumentId] = useState('')
+  const [ocrDocumentId, setOcrDocumentId] = useState('')
+  const [selectedIds, setSelectedIds] = useState([])
+  const [allMatching, setAllMatching] = useState(false)
+
+  const selectable =
+    typeof onBulkEdit === 'function' || typeof onBulkDelete === 'function' || typeof onMerge === 'function'
+
+  useEffect(() => {
+    setSelectedIds([])
+    setAllMatching(false)
+  }, [archives])
+
+  const allPageSelected = archives.length > 0 && archives.every((document) => selectedIds.includes(document._id))
+  const selectedCount = allMatching ? totalCount ?? archives.length : selectedIds.length
+  const canSelectAllMatching =
+    allPageSelected && !allMatching && typeof totalCount === 'number' && totalCount > archives.length
+
+  // Merging takes the selected documents of this page in the order they are listed, and only PDFs.
+  const mergeCandidates = allMatching ? [] : archives.filter((document) => selectedIds.includes(document._id))
+  const canMerge = mergeCandidates.length >= 2 && mergeCandidates.every((document) => isPdf(document))
+
+  const versionsDocument = useMemo(
+    () => archives.find((document) => document._id === versionsDocumentId) ?? null,
+    [archives, versionsDocumentId],
+  )
+
+  const ocrDocument = useMemo(
+    () => archives.find((document) => document._id === ocrDocumentId) ?? null,
+    [archives, ocrDocumentId],
+  )
+
   const emptyState = useMemo(() => {
     if (loading) {
       return 'Loading documents…'
@@ -43,24 +165,144 @@ export const ArchiveTable = ({ archives, loading, onEdit, onDelete, deletingId }
     })
   }
 
+  const toggleDocument = (id) => {
+    setAllMatching(false)
+    setSelectedIds((current) => (current.includes(id) ? current.filter((value) => value !== id) : [...current, id]))
+  }
+
+  const togglePage = () => {
+    setAllMatching(false)
+    setSelectedIds(allPageSelected ? [] : archives.map((document) => document._id))
+  }
+
+  const clearSelection = () => {
+    setSelectedIds([])
+    setAllMatching(false)
+  }
+
+  const runBulkAction = (action) => action(allMatching ? { allMatching: true } : { ids: selectedIds }, selectedCount)
+
+  const chooseVersionFile = (document) => {
+    setVersionTarget(document)
+    versionInputRef.current?.click()
+  }
+
+  const handleVersionFileChange = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+
+    if (!versionTarget || !files.length) {
+      return
+    }
+
+    const displayName = versionTarget.storedName || versionTarget.originalName || 'this document'
+    const approved = window.confirm(
+      `Replace the file of "${displayName}"? The current file is kept as version ${versionTarget.version ?? 1}.`,
+    )
+    if (approved) {
+      onUploadVersion(versionTarget, files)
+    }
+    setVersionTarget(null)
+  }
+
   if (emptyState) {
     return <p className="empty-state">{emptyState}</p>
   }
 
   return (
     <div className="table-wrapper">
+      {typeof onUploadVersion === 'function' && (
+        <input
+          ref={versionInputRef}
+          type="file"
+          multiple
+          hidden
+          accept={UPLOAD_ACCEPT}
+          onChange={handleVersionFileChange}
+        />
+      )}
+      {selectable && selectedCount > 0 && (
+        <div className="bulk-action-bar" role="region" aria-label="Bulk actions">
+          <span>
+            {allMatching
+              ? `All ${selectedCount} matching documents are selected.`
+              : `${selectedCount} selected on this page.`}
+          </span>
+          {canSelectAllMatching && (
+            <button type="button" className="link" onClick={() => setAllMatching(true)}>
+              Select all {totalCount} matching documents
+            </button>
+          )}
+          <button type="button" className="link" onClick={clearSelection} disabled={bulkBusy}>
+            Clear selection
+          </button>
+          {typeof onBulkEdit === 'function' && (
+            <button type="button" onClick={() => runBulkAction(onBulkEdit)} disabled={bulkBusy}>
+              Edit selected
+            </button>
+          )}
+          {typeof onMerge === 'function' && (
+            <button
+              type="button"
+              onClick={() => onMerge(mergeCandidates)}
+              disabled={bulkBusy || !canMerge}
+              title={canMerge ? undefined : 'Select two or more PDF documents on this page to merge them'}
+            >
+              Merge selected
+            </button>
+          )}
+          {typeof onBulkDelete === 'function' && (
+            <button
+              type="button"
+              className="bulk-delete"
+              onClick={() => runBulkAction(onBulkDelete)}
+              disabled={bulkBusy}
+            >
+              {bulkBusy ? 'Working…' : 'Delete selected'}
+            </button>
+          )}
+        </div>
+      )}
       <table className="archive-table">
         <thead>
           <tr>
-            <th>Name</th>
-            <th>Year</th>
-            <th>Customer</th>
-            <th>Month</th>
-            <th>Invoice type</th>
-            <th>Amount</th>
-            <th>Notes</th>
-            <th>Uploaded</th>
-            <th>Actions</th>
+            {selectable && (
+              <th className="select-cell">
+                <input
+                  type="checkbox"
+                  aria-label="Select all documents on this page"
+                  checked={allPageSelected}
+                  ref={(input) => {
+                    if (input) {
+                      input.indeterminate = selectedIds.length > 0 && !allPageSelected
+                    }
+                  }}
+                  onChange={togglePage}
+                />
+              </th>
+            )}
+            {COLUMNS.map((column) => {
+              if (!column.sortKey || typeof onSortChange !== 'function') {
+                return <th key={column.label}>{column.label}</th>
+              }
+
+              const activeSort = parseSort(sort)
+              const active = activeSort.key === column.sortKey
+              const direction = activeSort.descending ? 'descending' : 'ascending'
+
+              return (
+                <th key={column.label} aria-sort={active ? direction : undefined}>
+                  <button
+                    type="button"
+                    className={`sort-toggle${active ? ' active' : ''}`}
+                    onClick={() => onSortChange(nextSort(sort, column.sortKey))}
+                  >
+                    {column.label}
+                    <span aria-hidden="true">{active ? (activeSort.descending ? '▼' : '▲') : '↕'}</span>
+                  </button>
+                </th>
+              )
+            })}
           </tr>
         </thead>
         <tbody>
@@ -69,52 +311,137 @@ export const ArchiveTable = ({ archives, loading, onEdit, onDelete, deletingId }
             const invoiceType = INVOICE_TYPE_LABELS[document.invoiceType] || document.invoiceType || '—'
 
             return (
-              <tr key={document._id}>
-                <td data-label="Name">{document.storedName || document.originalName || 'Untitled document'}</td>
-                <td data-label="Year">{document.year || '—'}</td>
-                <td data-label="Customer" dir="auto">{document.merchantName || '—'}</td>
-                <td data-label="Month">{document.month || '—'}</td>
-                <td data-label="Invoice type">{invoiceType}</td>
-                <td data-label="Amount">${amount.toFixed(2)}</td>
-                <td data-label="Notes" className="notes-cell">
-                  {document.notes?.trim() ? (
-                    <p className="document-notes">{document.notes}</p>
-                  ) : (
-                    <span className="empty">No notes</span>
+              <Fragment key={document._id}>
+                <tr className={document.snippet ? 'has-snippet' : undefined}>
+                  {selectable && (
+                    <td data-label="Select" className="select-cell">
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${document.storedName || document.originalName || 'document'}`}
+                        checked={allMatching || selectedIds.includes(document._id)}
+                        onChange={() => toggleDocument(document._id)}
+                      />
+                    </td>
                   )}
-                </td>
-                <td data-label="Uploaded">{formatDate(document.createdAt)}</td>
-                <td data-label="Actions" className="actions table-actions">
-                  {typeof onEdit === 'function' && (
-                    <button type="button" className="link" onClick={() => onEdit(document)}>
-                      Edit
+                  <td data-label="Name">
+                    {document.storedName || document.originalName || 'Untitled document'}
+                    {document.ocr?.status && (
+                      <span
+                        className={`ocr-status ${document.ocr.status}`}
+                        title={document.ocr.status === 'failed' ? document.ocr.error : undefined}
+                      >
+                        {OCR_STATUS_LABELS[document.ocr.status] || document.ocr.status}
+                      </span>
+                    )}
+                    {document.integrity?.issue && (
+                      <span className="integrity-flag" title={document.integrity.message}>
+                        {INTEGRITY_ISSUE_LABELS[document.integrity.issue] || document.integrity.issue}
+                      </span>
+                    )}
+                    {document.derivedFrom?.operation && (
+                      <span className="derived-from" title={describeDerivedFrom(document.derivedFrom)}>
+                        {DERIVED_OPERATION_LABELS[document.derivedFrom.operation] || document.derivedFrom.operation}
+                      </span>
+                    )}
+                    {document.contentWarnings?.map((warning) => (
+                      <span key={warning} className="content-warning">
+                        {CONTENT_WARNING_LABELS[warning] || warning}
+                      </span>
+                    ))}
+                  </td>
+                  <td data-label="Year">{document.year || '—'}</td>
+                  <td data-label="Customer" dir="auto">{document.merchantName || '—'}</td>
+                  <td data-label="Month">{document.month || '—'}</td>
+                  <td data-label="Invoice type">{invoiceType}</td>
+                  <td data-label="Amount">${amount.toFixed(2)}</td>
+                  <td data-label="Notes" className="notes-cell">
+                    {document.notes?.trim() ? (
+                      <p className="document-notes">{document.notes}</p>
+                    ) : (
+                      <span className="empty">No notes</span>
+                    )}
+                  </td>
+                  <td data-label="Uploaded">{formatDate(document.createdAt)}</td>
+                  <td data-label="Actions" className="actions table-actions">
+                    {typeof onEdit === 'function' && (
+                      <button type="button" className="link" onClick={() => onEdit(document)}>
+                        Edit
+                      </button>
+                    )}
+                    {typeof onDelete === 'function' && (
+                      <button
+                        type="button"
+                        className="link danger-link"
+                        onClick={() => onDelete(document)}
+                        disabled={deletingId === document._id}
+                      >
+                        {deletingId === document._id ? 'Deleting…' : 'Delete'}
+                      </button>
+                    )}
+                    <button type="button" className="link" onClick={() => handlePreview(document)}>
+                      Preview
                     </button>
-                  )}
-                  {typeof onDelete === 'function' && (
-                    <button
-                      type="button"
-                      className="link danger-link"
-                      onClick={() => onDelete(document)}
-                      disabled={deletingId === document._id}
-                    >
-                      {deletingId === document._id ? 'Deleting…' : 'Delete'}
+                    <button type="button" className="link" onClick={() => handleDownload(document)}>
+                      Download
                     </button>
-                  )}
-                  <button type="button" className="link" onClick={() => handlePreview(document)}>
-                    Preview
-                  </button>
-                  <button type="button" className="link" onClick={() => handleDownload(document)}>
-                    Download
-                  </button>
-                  <button type="button" className="link" onClick={() => handleReprint(document)}>
-                    Reprint
-                  </button>
-                </td>
-              </tr>
+                    <button type="button" className="link" onClick={() => handleReprint(document)}>
+                      Reprint
+                    </button>
+                    <button type="button" className="link" onClick={() => setVersionsDocumentId(document._id)}>
+                      Versions{document.version > 1 ? ` (${document.version})` : ''}
+                    </button>
+                    {typeof onUploadVersion === 'function' && (
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => chooseVersionFile(document)}
+                        disabled={uploadingVersionId === document._id}
+                      >
+                        {uploadingVersionId === document._id ? 'Uploading…' : 'Upload new version'}
+                      </button>
+                    )}
+                    {typeof onSplit === 'function' && isPdf(document) && (
+                      <button type="button" className="link" onClick={() => onSplit(document)}>
+                        Split
+                      </button>
+                    )}
+                    {document.ocr?.status === 'done' && (
+                      <button type="button" className="link" onClick={() => setOcrDocumentId(document._id)}>
+                        OCR text
+                      </button>
+                    )}
+                    {typeof onRerunOcr === 'function' && isPdf(document) && (
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => onRerunOcr(document)}
+                        disabled={rerunningOcrId === document._id || document.ocr?.status === 'processing'}
+                      >
+                        {rerunningOcrId === document._id ? 'Queuing…' : 'Re-run OCR'}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+                {document.snippet && (
+                  <tr className="snippet-row">
+                    <td colSpan={COLUMN_COUNT + (selectable ? 1 : 0)} dir="auto">
+                      {renderSnippet(document.snippet)}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
             )
           })}
         </tbody>
       </table>
+
+      <DocumentVersions
+        open={Boolean(versionsDocument)}
+        document={versionsDocument}
+        onClose={() => setVersionsDocumentId('')}
+      />
+
+      <DocumentOcr open={Boolean(ocrDocument)} document={ocrDocument} onClose={() => setOcrDocumentId('')} />
     </div>
   )
 }
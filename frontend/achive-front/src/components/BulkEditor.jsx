@@ -0,0 +1,187 @@
+import { useEffect, useState } from 'react'
+import { INVOICE_TYPES, MONTHS } from '../constants/archive'
+import { normaliseAmountInput, parseAmountInput } from '../utils/amount'
+
+const EMPTY_FORM = {
+  year: '',
+  merchant: '',
+  month: '',
+  invoiceType: '',
+  amount: '',
+  notes: '',
+}
+
+export const BulkEditor = ({ open, count, onClose, onSubmit, saving, error }) => {
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [formError, setFormError] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setForm(EMPTY_FORM)
+      setFormError('')
+    }
+  }, [open])
+
+  const updateField = (field) => (event) => {
+    const value = field === 'amount' ? normaliseAmountInput(event.target.value) : event.target.value
+    setForm((current) => ({ ...current, [field]: value }))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setFormError('')
+
+    const changes = {}
+
+    if (form.year.trim()) {
+      const numericYear = Number(form.year)
+      if (!Number.isInteger(numericYear) || numericYear < 1900 || numericYear > 9999) {
+        setFormError('Please provide a valid year between 1900 and 9999.')
+        return
+      }
+      changes.year = numericYear
+    }
+
+    if (form.merchant.trim()) {
+      changes.merchant = form.merchant.trim()
+    }
+
+    if (form.month) {
+      changes.month = form.month
+    }
+
+    if (form.invoiceType) {
+      changes.invoiceType = form.invoiceType
+    }
+
+    if (form.amount.trim()) {
+      const numericAmount = parseAmountInput(form.amount, { defaultValue: 0 })
+      if (Number.isNaN(numericAmount)) {
+        setFormError('Please provide a valid amount value.')
+        return
+      }
+      changes.amount = numericAmount
+    }
+
+    if (form.notes.trim()) {
+      changes.notes = form.notes
+    }
+
+    if (!Object.keys(changes).length) {
+      setFormError('Fill in at least one field to change.')
+      return
+    }
+
+    onSubmit(changes)
+  }
+
+  if (!open) {
+    return null
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="bulk-editor-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="bulk-editor-title">Edit {count} documents</h3>
+            <p className="section-description">
+              Only the fields you fill in are changed. Files move to the new year / customer / month folders.
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+        </header>
+
+        <form className="modal-body" onSubmit={handleSubmit}>
+          <div className="upload-metadata-grid">
+            <div className="field">
+              <label htmlFor="bulk-year">Year</label>
+              <input
+                id="bulk-year"
+                type="number"
+                min="1900"
+                max="9999"
+                value={form.year}
+                onChange={updateField('year')}
+                placeholder="Keep current"
+              />
+            </div>
+            <div className="field">
+              <label htmlFor="bulk-merchant">اسم الزبون</label>
+              <input
+                id="bulk-merchant"
+                type="text"
+                value={form.merchant}
+                onChange={updateField('merchant')}
+                placeholder="Keep current"
+                dir="auto"
+              />
+            </div>
+            <div className="field">
+              <label htmlFor="bulk-month">Month</label>
+              <select id="bulk-month" value={form.month} onChange={updateField('month')}>
+                <option value="">Keep current</option>
+                {MONTHS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field">
+              <label htmlFor="bulk-invoice-type">نوع الفاتورة</label>
+              <select id="bulk-invoice-type" value={form.invoiceType} onChange={updateField('invoiceType')}>
+                <option value="">Keep current</option>
+                {INVOICE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field">
+              <label htmlFor="bulk-amount">المبلغ (Amount)</label>
+              <input
+                id="bulk-amount"
+                type="text"
+                inputMode="decimal"
+                value={form.amount}
+                onChange={updateField('amount')}
+                placeholder="Keep current"
+                dir="ltr"
+              />
+            </div>
+          </div>
+
+          <div className="field">
+            <label htmlFor="bulk-notes">Notes</label>
+            <textarea
+              id="bulk-notes"
+              rows={3}
+              value={form.notes}
+              onChange={updateField('notes')}
+              placeholder="Keep current notes"
+            />
+          </div>
+
+          {(formError || error) && (
+            <p className="status error" role="alert">
+              {formError || error}
+            </p>
+          )}
+
+          <footer className="modal-footer">
+            <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="primary" disabled={saving}>
+              {saving ? 'Saving…' : `Update ${count} documents`}
+            </button>
+          </footer>
+        </form>
+      </div>
+    </div>
+  )
+}
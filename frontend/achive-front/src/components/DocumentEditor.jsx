@@ -1,8 +1,10 @@
 import { useEffect, useMemo, useState } from 'react'
 import { INVOICE_TYPES, MONTHS } from '../constants/archive'
 import { normaliseAmountInput, parseAmountInput, resolveDocumentAmount } from '../utils/amount'
+import { DocumentHistory } from './DocumentHistory'
 
-export const DocumentEditor = ({ open, document, onClose, onSubmit, saving, error }) => {
+export const DocumentEditor = ({ open, document, onClose, onSubmit, onRevert, saving, error }) => {
+  const [activeTab, setActiveTab] = useState('details')
   const [notes, setNotes] = useState('')
   const [year, setYear] = useState('')
   const [merchant, setMerchant] = useState('')
@@ -32,6 +34,14 @@ export const DocumentEditor = ({ open, document, onClose, onSubmit, saving, erro
     setFormError('')
   }, [document, open])
 
+  const documentId = document?._id
+
+  useEffect(() => {
+    if (open) {
+      setActiveTab('details')
+    }
+  }, [documentId, open])
+
   useEffect(() => {
     if (!open) {
       setFormError('')
@@ -102,103 +112,134 @@ export const DocumentEditor = ({ open, document, onClose, onSubmit, saving, erro
           </button>
         </header>
 
-        <form className="modal-body" onSubmit={handleSubmit}>
-          <div className="field">
-            <label htmlFor="editor-notes">Notes</label>
-            <textarea
-              id="editor-notes"
-              rows={3}
-              value={notes}
-              onChange={(event) => setNotes(event.target.value)}
-              placeholder="Describe this document for your team…"
+        <div className="modal-tabs" role="tablist">
+          <button
+            type="button"
+            role="tab"
+            className={activeTab === 'details' ? 'active' : ''}
+            aria-selected={activeTab === 'details'}
+            onClick={() => setActiveTab('details')}
+          >
+            Details
+          </button>
+          <button
+            type="button"
+            role="tab"
+            className={activeTab === 'history' ? 'active' : ''}
+            aria-selected={activeTab === 'history'}
+            onClick={() => setActiveTab('history')}
+          >
+            History
+          </button>
+        </div>
+
+        {activeTab === 'history' ? (
+          <div className="modal-body">
+            <DocumentHistory
+              documentId={document._id}
+              onRevert={onRevert}
+              canRevert={typeof onRevert === 'function'}
             />
           </div>
-
-          <div className="upload-metadata-grid">
-            <div className="field">
-              <label htmlFor="editor-year">Year</label>
-              <input
-                id="editor-year"
-                type="number"
-                min="1900"
-                max="9999"
-                value={year}
-                onChange={(event) => setYear(event.target.value)}
-                required
-              />
-            </div>
+        ) : (
+          <form className="modal-body" onSubmit={handleSubmit}>
             <div className="field">
-              <label htmlFor="editor-merchant">اسم الزبون</label>
-              <input
-                id="editor-merchant"
-                type="text"
-                value={merchant}
-                onChange={(event) => setMerchant(event.target.value)}
-                placeholder="مثال: مؤسسة الأمل"
-                dir="auto"
-                required
+              <label htmlFor="editor-notes">Notes</label>
+              <textarea
+                id="editor-notes"
+                rows={3}
+                value={notes}
+                onChange={(event) => setNotes(event.target.value)}
+                placeholder="Describe this document for your team…"
               />
             </div>
-            <div className="field">
-              <label htmlFor="editor-month">Month</label>
-              <select
-                id="editor-month"
-                value={month}
-                onChange={(event) => setMonth(event.target.value)}
-                required
-              >
-                {monthOptions.map((option) => (
-                  <option key={option} value={option}>
-                    {option}
-                  </option>
-                ))}
-              </select>
-            </div>
-            <div className="field">
-              <label htmlFor="editor-invoice-type">نوع الفاتورة</label>
-              <select
-                id="editor-invoice-type"
-                value={invoiceType}
-                onChange={(event) => setInvoiceType(event.target.value)}
-                required
-              >
-                {INVOICE_TYPES.map((type) => (
-                  <option key={type.value} value={type.value}>
-                    {type.label}
-                  </option>
-                ))}
-              </select>
-            </div>
-            <div className="field">
-              <label htmlFor="editor-amount">المبلغ (Amount)</label>
-              <input
-                id="editor-amount"
-                type="text"
-                inputMode="decimal"
-                value={amount}
-                onChange={(event) => setAmount(normaliseAmountInput(event.target.value))}
-                placeholder="0"
-                dir="ltr"
-              />
-              <p className="hint">Arabic digits are converted to English automatically.</p>
+
+            <div className="upload-metadata-grid">
+              <div className="field">
+                <label htmlFor="editor-year">Year</label>
+                <input
+                  id="editor-year"
+                  type="number"
+                  min="1900"
+                  max="9999"
+                  value={year}
+                  onChange={(event) => setYear(event.target.value)}
+                  required
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="editor-merchant">اسم الزبون</label>
+                <input
+                  id="editor-merchant"
+                  type="text"
+                  value={merchant}
+                  onChange={(event) => setMerchant(event.target.value)}
+                  placeholder="مثال: مؤسسة الأمل"
+                  dir="auto"
+                  required
+                />
+              </div>
+              <div className="field">
+                <label htmlFor="editor-month">Month</label>
+                <select
+                  id="editor-month"
+                  value={month}
+                  onChange={(event) => setMonth(event.target.value)}
+                  required
+                >
+                  {monthOptions.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label htmlFor="editor-invoice-type">نوع الفاتورة</label>
+                <select
+                  id="editor-invoice-type"
+                  value={invoiceType}
+                  onChange={(event) => setInvoiceType(event.target.value)}
+                  required
+                >
+                  {INVOICE_TYPES.map((type) => (
+                    <option key={type.value} value={type.value}>
+                      {type.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="field">
+                <label htmlFor="editor-amount">المبلغ (Amount)</label>
+                <input
+                  id="editor-amount"
+                  type="text"
+                  inputMode="decimal"
+                  value={amount}
+                  onChange={(event) => setAmount(normaliseAmountInput(event.target.value))}
+                  placeholder="0"
+                  dir="ltr"
+                />
+                <p className="hint">Arabic digits are converted to English automatically.</p>
+              </div>
             </div>
-          </div>
 
-          {(formError || error) && (
-            <p className="status error" role="alert">
-              {formError || error}
-            </p>
-          )}
-
-          <footer className="modal-footer">
-            <button type="button" className="ghost" onClick={onClose} disabled={saving}>
-              Cancel
-            </button>
-            <button type="submit" className="primary" disabled={saving}>
-              {saving ? 'Saving…' : 'Save changes'}
-            </button>
-          </footer>
-        </form>
+            {(formError || error) && (
+              <p className="status error" role="alert">
+                {formError || error}
+              </p>
+            )}
+
+            <footer className="modal-footer">
+              <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+                Cancel
+              </button>
+              <button type="submit" className="primary" disabled={saving}>
+                {saving ? 'Saving…' : 'Save changes'}
+              </button>
+            </footer>
+          </form>
+        )}
       </div>
     </div>
   )
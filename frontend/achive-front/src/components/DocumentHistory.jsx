@@ -0,0 +1,168 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { api } from '../services/api'
+import { INVOICE_TYPE_LABELS } from '../constants/archive'
+
+const ACTION_LABELS = {
+  create: 'Uploaded',
+  update: 'Edited',
+  delete: 'Moved to trash',
+  download: 'Downloaded',
+  revert: 'Reverted',
+  restore: 'Restored from trash',
+  purge: 'Permanently deleted',
+  version: 'New file version',
+}
+
+const FIELD_LABELS = {
+  originalName: 'Original name',
+  storedName: 'Stored name',
+  storagePath: 'Storage path',
+  mimeType: 'File type',
+  size: 'Size',
+  version: 'File version',
+  tags: 'Tags',
+  amount: 'Amount',
+  invoiceType: 'Invoice type',
+  notes: 'Notes',
+  year: 'Year',
+  merchantName: 'Customer',
+  month: 'Month',
+}
+
+const REVISION_ACTIONS = new Set(['create', 'update', 'revert', 'restore'])
+
+const HIDDEN_FIELDS = new Set(['storagePath', 'storedName'])
+
+const formatDate = (value) => {
+  if (!value) {
+    return '—'
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return value
+  }
+  return date.toLocaleString()
+}
+
+const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') {
+    return '—'
+  }
+  if (field === 'tags') {
+    return value.length ? value.map((tag) => `${tag.name} (${tag.price})`).join(', ') : '—'
+  }
+  if (field === 'invoiceType') {
+    return INVOICE_TYPE_LABELS[value] || value
+  }
+  if (field === 'amount') {
+    return Number(value).toFixed(2)
+  }
+  return String(value)
+}
+
+export const DocumentHistory = ({ documentId, onRevert, canRevert }) => {
+  const [events, setEvents] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [revertingId, setRevertingId] = useState('')
+
+  const loadHistory = useCallback(async () => {
+    if (!documentId) {
+      return
+    }
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.getDocumentHistory(documentId)
+      setEvents(data.events || [])
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to load the document history.')
+    } finally {
+      setLoading(false)
+    }
+  }, [documentId])
+
+  useEffect(() => {
+    loadHistory()
+  }, [loadHistory])
+
+  const latestRevisionId = useMemo(
+    () => events.find((event) => REVISION_ACTIONS.has(event.action) && event.after)?._id ?? null,
+    [events],
+  )
+
+  const handleRevert = async (event) => {
+    const approved = window.confirm(`Restore the metadata saved on ${formatDate(event.createdAt)}?`)
+    if (!approved) {
+      return
+    }
+
+    setRevertingId(event._id)
+    try {
+      await onRevert?.(event._id)
+      await loadHistory()
+    } catch (revertError) {
+      alert(revertError?.message || 'Unable to revert this document right now.')
+    } finally {
+      setRevertingId('')
+    }
+  }
+
+  if (loading && !events.length) {
+    return <p className="empty-state">Loading history…</p>
+  }
+
+  if (error) {
+    return (
+      <p className="status error" role="alert">
+        {error}
+      </p>
+    )
+  }
+
+  if (!events.length) {
+    return <p className="empty-state">No recorded activity for this document yet.</p>
+  }
+
+  return (
+    <ol className="history-list">
+      {events.map((event) => {
+        const visibleChanges = (event.changes || []).filter((field) => !HIDDEN_FIELDS.has(field))
+        const isRevision = REVISION_ACTIONS.has(event.action) && event.after
+        const showRevert = canRevert && isRevision && event._id !== latestRevisionId
+
+        return (
+          <li key={event._id} className="history-entry">
+            <div className="history-entry-header">
+              <strong>{ACTION_LABELS[event.action] || event.action}</strong>
+              <span>
+                {formatDate(event.createdAt)} · {event.username || 'system'}
+              </span>
+              {showRevert && (
+                <button
+                  type="button"
+                  className="link"
+                  onClick={() => handleRevert(event)}
+                  disabled={Boolean(revertingId)}
+                >
+                  {revertingId === event._id ? 'Reverting…' : 'Revert to this revision'}
+                </button>
+              )}
+            </div>
+            {event.action !== 'create' && visibleChanges.length > 0 && (
+              <ul className="history-changes">
+                {visibleChanges.map((field) => (
+                  <li key={field} dir="auto">
+                    <span className="history-field">{FIELD_LABELS[field] || field}:</span>{' '}
+                    {formatValue(field, event.before?.[field])} → {formatValue(field, event.after?.[field])}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
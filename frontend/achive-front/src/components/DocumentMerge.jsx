@@ -0,0 +1,310 @@
+import { useEffect, useState } from 'react'
+import { INVOICE_TYPES, MONTHS } from '../constants/archive'
+import { api } from '../services/api'
+import { normaliseAmountInput, parseAmountInput, resolveDocumentAmount } from '../utils/amount'
+import { formatPageRanges } from '../utils/pages'
+import { PagePicker } from './PagePicker'
+
+// The merged document starts in the folder of the first source, with the amounts of all of them added up.
+const buildForm = (documents) => {
+  const [first] = documents
+  const amount = documents.reduce((sum, document) => sum + resolveDocumentAmount(document), 0)
+
+  return {
+    year: String(first?.year ?? ''),
+    merchant: first?.merchantName ?? '',
+    month: first?.month ?? MONTHS[0],
+    invoiceType: first?.invoiceType ?? 'sales',
+    amount: String(Math.round(amount * 100) / 100),
+    notes: '',
+  }
+}
+
+// Loads the pages of one source when its picker is opened. `pages` is null while every page is taken.
+const MergeSourcePages = ({ document, pages, onChange }) => {
+  const [pageInfo, setPageInfo] = useState(null)
+  const [error, setError] = useState('')
+
+  const documentId = document._id
+
+  useEffect(() => {
+    let cancelled = false
+
+    api
+      .getDocumentPages(documentId)
+      .then((data) => {
+        if (!cancelled) {
+          setPageInfo({ pageCount: data.pageCount, previews: data.previews || [] })
+        }
+      })
+      .catch((apiError) => {
+        if (!cancelled) {
+          setError(apiError.message || 'Unable to load the pages of this document.')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [documentId])
+
+  if (error) {
+    return <p className="hint error">{error}</p>
+  }
+  if (!pageInfo) {
+    return <p className="hint">Loading pages…</p>
+  }
+
+  const allPages = Array.from({ length: pageInfo.pageCount }, (_, index) => index + 1)
+
+  return (
+    <PagePicker
+      documentId={documentId}
+      pageCount={pageInfo.pageCount}
+      previews={pageInfo.previews}
+      selected={pages ?? allPages}
+      onChange={(next) => onChange(next.length === pageInfo.pageCount ? null : next)}
+    />
+  )
+}
+
+export const DocumentMerge = ({ open, documents, onClose, onSubmit, saving, error }) => {
+  const [sources, setSources] = useState([])
+  const [pickingId, setPickingId] = useState('')
+  const [form, setForm] = useState(() => buildForm([]))
+  const [trashSources, setTrashSources] = useState(false)
+  const [formError, setFormError] = useState('')
+
+  useEffect(() => {
+    if (open) {
+      setSources(documents.map((document) => ({ document, pages: null })))
+      setPickingId('')
+      setForm(buildForm(documents))
+      setTrashSources(false)
+      setFormError('')
+    }
+  }, [documents, open])
+
+  if (!open) {
+    return null
+  }
+
+  const updateField = (field) => (event) => {
+    const value = field === 'amount' ? normaliseAmountInput(event.target.value) : event.target.value
+    setForm((current) => ({ ...current, [field]: value }))
+  }
+
+  const moveSource = (index, offset) => {
+    setSources((current) => {
+      const next = [...current]
+      const [moved] = next.splice(index, 1)
+      next.splice(index + offset, 0, moved)
+      return next
+    })
+  }
+
+  const setSourcePages = (id, pages) => {
+    setSources((current) => current.map((source) => (source.document._id === id ? { ...source, pages } : source)))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setFormError('')
+
+    const numericYear = Number(form.year)
+    if (!Number.isInteger(numericYear) || numericYear < 1900 || numericYear > 9999) {
+      setFormError('Please provide a valid year between 1900 and 9999.')
+      return
+    }
+    if (!form.merchant.trim()) {
+      setFormError('Please provide a customer name.')
+      return
+    }
+    const numericAmount = parseAmountInput(form.amount, { defaultValue: 0 })
+    if (Number.isNaN(numericAmount)) {
+      setFormError('Please provide a valid amount value.')
+      return
+    }
+    const empty = sources.find((source) => source.pages?.length === 0)
+    if (empty) {
+      setFormError(`Pick at least one page of ${empty.document.storedName || empty.document.originalName}.`)
+      return
+    }
+
+    onSubmit({
+      documents: sources.map(({ document, pages }) => ({
+        id: document._id,
+        pages: pages ? formatPageRanges(pages) : undefined,
+      })),
+      year: numericYear,
+      merchant: form.merchant.trim(),
+      month: form.month,
+      invoiceType: form.invoiceType,
+      amount: numericAmount,
+      notes: form.notes.trim() || undefined,
+      trashSources,
+    })
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal modal-wide" role="dialog" aria-modal="true" aria-labelledby="document-merge-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="document-merge-title">Merge {sources.length} documents</h3>
+            <p className="section-description">
+              The pages are combined in this order into a new document that links back to its sources. Tags are
+              taken from every document.
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+        </header>
+
+        <form className="modal-body" onSubmit={handleSubmit}>
+          <ol className="merge-sources">
+            {sources.map((source, index) => {
+              const id = source.document._id
+              return (
+                <li key={id}>
+                  <div className="merge-source-header">
+                    <span dir="auto">{source.document.storedName || source.document.originalName}</span>
+                    <small>{source.pages ? `Pages ${formatPageRanges(source.pages)}` : 'All pages'}</small>
+                    <div className="actions">
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => moveSource(index, -1)}
+                        disabled={index === 0}
+                        aria-label="Move up"
+                      >
+                        ↑
+                      </button>
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => moveSource(index, 1)}
+                        disabled={index === sources.length - 1}
+                        aria-label="Move down"
+                      >
+                        ↓
+                      </button>
+                      <button
+                        type="button"
+                        className="link"
+                        onClick={() => setPickingId(pickingId === id ? '' : id)}
+                        aria-expanded={pickingId === id}
+                      >
+                        {pickingId === id ? 'Done' : 'Pick pages'}
+                      </button>
+                    </div>
+                  </div>
+                  {pickingId === id && (
+                    <MergeSourcePages
+                      document={source.document}
+                      pages={source.pages}
+                      onChange={(pages) => setSourcePages(id, pages)}
+                    />
+                  )}
+                </li>
+              )
+            })}
+          </ol>
+
+          <div className="upload-metadata-grid">
+            <div className="field">
+              <label htmlFor="merge-year">Year</label>
+              <input
+                id="merge-year"
+                type="number"
+                min="1900"
+                max="9999"
+                value={form.year}
+                onChange={updateField('year')}
+              />
+            </div>
+            <div className="field">
+              <label htmlFor="merge-merchant">اسم الزبون</label>
+              <input
+                id="merge-merchant"
+                type="text"
+                value={form.merchant}
+                onChange={updateField('merchant')}
+                dir="auto"
+              />
+            </div>
+            <div className="field">
+              <label htmlFor="merge-month">Month</label>
+              <select id="merge-month" value={form.month} onChange={updateField('month')}>
+                {MONTHS.map((option) => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field">
+              <label htmlFor="merge-invoice-type">نوع الفاتورة</label>
+              <select id="merge-invoice-type" value={form.invoiceType} onChange={updateField('invoiceType')}>
+                {INVOICE_TYPES.map((type) => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="field">
+              <label htmlFor="merge-amount">المبلغ (Amount)</label>
+              <input
+                id="merge-amount"
+                type="text"
+                inputMode="decimal"
+                value={form.amount}
+                onChange={updateField('amount')}
+                dir="ltr"
+              />
+            </div>
+          </div>
+
+          <div className="field">
+            <label htmlFor="merge-notes">Notes</label>
+            <textarea
+              id="merge-notes"
+              rows={3}
+              value={form.notes}
+              onChange={updateField('notes')}
+              placeholder="Keep the notes of every document"
+            />
+          </div>
+
+          <div className="field">
+            <label className="checkbox">
+              <input
+                type="checkbox"
+                checked={trashSources}
+                onChange={(event) => setTrashSources(event.target.checked)}
+              />
+              Move the merged documents to the trash once the new one is archived
+            </label>
+          </div>
+
+          {(formError || error) && (
+            <p className="status error" role="alert">
+              {formError || error}
+            </p>
+          )}
+
+          <footer className="modal-footer">
+            <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="primary" disabled={saving}>
+              {saving ? 'Merging…' : 'Create merged document'}
+            </button>
+          </footer>
+        </form>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useState } from 'react'
+import { api } from '../services/api'
+
+export const DocumentOcr = ({ open, document, onClose }) => {
+  const [pages, setPages] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const documentId = document?._id
+  const completedAt = document?.ocr?.completedAt
+
+  const loadPages = useCallback(async () => {
+    if (!documentId) {
+      return
+    }
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.getDocumentOcr(documentId)
+      setPages(data.pages || [])
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to load the recognised text.')
+    } finally {
+      setLoading(false)
+    }
+  }, [documentId])
+
+  useEffect(() => {
+    if (open) {
+      loadPages()
+    } else {
+      setPages([])
+    }
+  }, [loadPages, open, completedAt])
+
+  if (!open || !document) {
+    return null
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="document-ocr-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="document-ocr-title">Recognised text</h3>
+            <p className="section-description" dir="auto">
+              {document.storedName || document.originalName}
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="modal-body">
+          {error ? (
+            <p className="status error" role="alert">
+              {error}
+            </p>
+          ) : loading && !pages.length ? (
+            <p className="empty-state">Loading recognised text…</p>
+          ) : !pages.length ? (
+            <p className="empty-state">No text was recognised in this document.</p>
+          ) : (
+            <ol className="ocr-pages">
+              {pages.map((page) => (
+                <li key={page.page} className="history-entry">
+                  <div className="history-entry-header">
+                    <strong>Page {page.page}</strong>
+                    {page.confidence !== null && page.confidence !== undefined && (
+                      <span>{Math.round(page.confidence)}% confidence</span>
+                    )}
+                  </div>
+                  <pre dir="auto">{page.text || '—'}</pre>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
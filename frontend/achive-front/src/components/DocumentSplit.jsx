@@ -0,0 +1,219 @@
+import { useEffect, useRef, useState } from 'react'
+import { api } from '../services/api'
+import { normaliseAmountInput, parseAmountInput } from '../utils/amount'
+import { formatPageRanges } from '../utils/pages'
+import { PagePicker } from './PagePicker'
+
+export const DocumentSplit = ({ open, document, onClose, onSubmit, saving, error }) => {
+  const [pageInfo, setPageInfo] = useState(null)
+  const [loadError, setLoadError] = useState('')
+  const [selected, setSelected] = useState([])
+  const [parts, setParts] = useState([])
+  const [trashSource, setTrashSource] = useState(false)
+  const [formError, setFormError] = useState('')
+  const nextPartIdRef = useRef(1)
+
+  const documentId = document?._id
+
+  useEffect(() => {
+    if (!open || !documentId) {
+      return undefined
+    }
+
+    let cancelled = false
+    setPageInfo(null)
+    setLoadError('')
+    setSelected([])
+    setParts([])
+    setTrashSource(false)
+    setFormError('')
+
+    api
+      .getDocumentPages(documentId)
+      .then((data) => {
+        if (!cancelled) {
+          setPageInfo({ pageCount: data.pageCount, previews: data.previews || [] })
+        }
+      })
+      .catch((apiError) => {
+        if (!cancelled) {
+          setLoadError(apiError.message || 'Unable to load the pages of this document.')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [documentId, open])
+
+  if (!open || !document) {
+    return null
+  }
+
+  const buildPart = (pages) => {
+    const id = nextPartIdRef.current
+    nextPartIdRef.current += 1
+    return { id, pages, amount: '', notes: '' }
+  }
+
+  const assigned = parts.flatMap((part) => part.pages)
+  const unassigned = pageInfo
+    ? Array.from({ length: pageInfo.pageCount }, (_, index) => index + 1).filter((page) => !assigned.includes(page))
+    : []
+
+  const addPart = () => {
+    setParts((current) => [...current, buildPart(selected)])
+    setSelected([])
+  }
+
+  const splitEveryPage = () => {
+    setParts(Array.from({ length: pageInfo.pageCount }, (_, index) => buildPart([index + 1])))
+    setSelected([])
+  }
+
+  const updatePart = (id, field) => (event) => {
+    const value = field === 'amount' ? normaliseAmountInput(event.target.value) : event.target.value
+    setParts((current) => current.map((part) => (part.id === id ? { ...part, [field]: value } : part)))
+  }
+
+  const removePart = (id) => {
+    setParts((current) => current.filter((part) => part.id !== id))
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setFormError('')
+
+    if (!parts.length) {
+      setFormError('Pick some pages and add them as a part first.')
+      return
+    }
+
+    const payload = []
+    for (const part of parts) {
+      const amount = part.amount.trim() ? parseAmountInput(part.amount) : undefined
+      if (Number.isNaN(amount)) {
+        setFormError(`Please provide a valid amount for pages ${formatPageRanges(part.pages)}.`)
+        return
+      }
+      payload.push({ pages: formatPageRanges(part.pages), amount, notes: part.notes.trim() || undefined })
+    }
+
+    onSubmit({ parts: payload, trashSource })
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal modal-wide" role="dialog" aria-modal="true" aria-labelledby="document-split-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="document-split-title">Split document</h3>
+            <p className="section-description" dir="auto">
+              {document.storedName || document.originalName}
+            </p>
+            <p className="section-description">
+              Pick the pages of each part and add it. Every part becomes a new document in the same year / customer
+              / month folder, linked back to this one.
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+            Close
+          </button>
+        </header>
+
+        <form className="modal-body" onSubmit={handleSubmit}>
+          {loadError && (
+            <p className="status error" role="alert">
+              {loadError}
+            </p>
+          )}
+          {!pageInfo && !loadError && <p className="empty-state">Loading pages…</p>}
+
+          {pageInfo && (
+            <>
+              <PagePicker
+                documentId={documentId}
+                pageCount={pageInfo.pageCount}
+                previews={pageInfo.previews}
+                selected={selected}
+                assigned={assigned}
+                onChange={setSelected}
+              />
+
+              <div className="actions">
+                <button type="button" onClick={addPart} disabled={!selected.length}>
+                  Add part from {selected.length ? `pages ${formatPageRanges(selected)}` : 'picked pages'}
+                </button>
+                <button type="button" className="ghost" onClick={splitEveryPage}>
+                  One part per page
+                </button>
+              </div>
+
+              {parts.length > 0 && (
+                <ol className="split-parts">
+                  {parts.map((part, index) => (
+                    <li key={part.id}>
+                      <strong>
+                        Part {index + 1}: pages {formatPageRanges(part.pages)}
+                      </strong>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        value={part.amount}
+                        onChange={updatePart(part.id, 'amount')}
+                        placeholder="Amount"
+                        aria-label={`Amount of part ${index + 1}`}
+                        dir="ltr"
+                      />
+                      <input
+                        type="text"
+                        value={part.notes}
+                        onChange={updatePart(part.id, 'notes')}
+                        placeholder="Notes"
+                        aria-label={`Notes of part ${index + 1}`}
+                        dir="auto"
+                      />
+                      <button type="button" className="link danger-link" onClick={() => removePart(part.id)}>
+                        Remove
+                      </button>
+                    </li>
+                  ))}
+                </ol>
+              )}
+
+              {parts.length > 0 && unassigned.length > 0 && (
+                <p className="hint">Pages {formatPageRanges(unassigned)} are not in any part and will be left out.</p>
+              )}
+
+              <div className="field">
+                <label className="checkbox">
+                  <input
+                    type="checkbox"
+                    checked={trashSource}
+                    onChange={(event) => setTrashSource(event.target.checked)}
+                  />
+                  Move this document to the trash once the parts are archived
+                </label>
+              </div>
+            </>
+          )}
+
+          {(formError || error) && (
+            <p className="status error" role="alert">
+              {formError || error}
+            </p>
+          )}
+
+          <footer className="modal-footer">
+            <button type="button" className="ghost" onClick={onClose} disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="primary" disabled={saving || !parts.length}>
+              {saving ? 'Splitting…' : parts.length === 1 ? 'Create 1 document' : `Create ${parts.length} documents`}
+            </button>
+          </footer>
+        </form>
+      </div>
+    </div>
+  )
+}
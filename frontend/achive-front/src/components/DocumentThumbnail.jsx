@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react'
+import { api } from '../services/api'
+
+const describeFileType = (document) => {
+  const extension = (document.originalName || document.storedName || '').split('.').pop()
+  return extension && extension.length <= 5 ? extension.toUpperCase() : 'FILE'
+}
+
+// Thumbnails need the auth header, so they are fetched as blobs and shown through object URLs. The URL is
+// keyed by document version so a replaced file never shows the old first page.
+export const DocumentThumbnail = ({ document }) => {
+  const [thumbnail, setThumbnail] = useState({ key: '', url: '' })
+
+  const available = Boolean(document.previews?.some((preview) => preview.kind === 'thumbnail'))
+  const documentId = document._id
+  const key = `${documentId}:${document.version ?? 1}`
+
+  useEffect(() => {
+    if (!available) {
+      return undefined
+    }
+
+    let cancelled = false
+    let objectUrl = ''
+
+    api
+      .fetchDocumentThumbnail(documentId)
+      .then((blob) => {
+        if (cancelled) {
+          return
+        }
+        objectUrl = URL.createObjectURL(blob)
+        setThumbnail({ key, url: objectUrl })
+      })
+      .catch((error) => {
+        console.error(error)
+      })
+
+    return () => {
+      cancelled = true
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl)
+      }
+    }
+  }, [available, documentId, key])
+
+  if (!available || thumbnail.key !== key) {
+    return (
+      <div className="document-thumbnail placeholder" aria-hidden="true">
+        {describeFileType(document)}
+      </div>
+    )
+  }
+
+  return <img className="document-thumbnail" src={thumbnail.url} alt="" />
+}
@@ -0,0 +1,154 @@
+import { useCallback, useEffect, useState } from 'react'
+import { api } from '../services/api'
+import { formatSize } from '../utils/format'
+
+const formatDate = (value) => {
+  if (!value) {
+    return '—'
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return value
+  }
+  return date.toLocaleString()
+}
+
+export const DocumentVersions = ({ open, document, onClose }) => {
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  const documentId = document?._id
+  const currentVersion = document?.version
+
+  const loadVersions = useCallback(async () => {
+    if (!documentId) {
+      return
+    }
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.listDocumentVersions(documentId)
+      setVersions(data.versions || [])
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to load the file versions.')
+    } finally {
+      setLoading(false)
+    }
+  }, [documentId])
+
+  useEffect(() => {
+    if (open) {
+      loadVersions()
+    } else {
+      setVersions([])
+    }
+  }, [loadVersions, open, currentVersion])
+
+  if (!open || !document) {
+    return null
+  }
+
+  const handlePreview = (entry) => {
+    api.previewDocument(document._id, entry.originalName, { version: entry.version }).catch((previewError) => {
+      alert(previewError.message || 'Unable to preview this version right now.')
+    })
+  }
+
+  const handleDownload = (entry) => {
+    api.downloadDocument(document._id, entry.originalName, { version: entry.version }).catch((downloadError) => {
+      alert(downloadError.message || 'Unable to download this version right now.')
+    })
+  }
+
+  const handleDownloadOriginal = (entry, original, index) => {
+    api
+      .downloadOriginalImage(document._id, index + 1, original.originalName, { version: entry.version })
+      .catch((downloadError) => {
+        alert(downloadError.message || 'Unable to download the original image right now.')
+      })
+  }
+
+  return (
+    <div className="modal-backdrop" role="presentation">
+      <div className="modal" role="dialog" aria-modal="true" aria-labelledby="document-versions-title">
+        <header className="modal-header">
+          <div>
+            <h3 id="document-versions-title">File versions</h3>
+            <p className="section-description" dir="auto">
+              {document.storedName || document.originalName}
+            </p>
+          </div>
+          <button type="button" className="ghost" onClick={onClose}>
+            Close
+          </button>
+        </header>
+
+        <div className="modal-body">
+          {error ? (
+            <p className="status error" role="alert">
+              {error}
+            </p>
+          ) : loading && !versions.length ? (
+            <p className="empty-state">Loading versions…</p>
+          ) : (
+            <div className="table-wrapper">
+              <table className="archive-table">
+                <thead>
+                  <tr>
+                    <th>Version</th>
+                    <th>File</th>
+                    <th>Type</th>
+                    <th>Size</th>
+                    <th>Uploaded by</th>
+                    <th>Uploaded</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {versions.map((entry) => (
+                    <tr key={entry.version}>
+                      <td data-label="Version">
+                        v{entry.version}
+                        {entry.current ? ' (current)' : ''}
+                      </td>
+                      <td data-label="File" dir="auto">
+                        {entry.originalName || entry.storedName}
+                      </td>
+                      <td data-label="Type">{entry.mimeType || '—'}</td>
+                      <td data-label="Size">{formatSize(entry.size)}</td>
+                      <td data-label="Uploaded by" dir="auto">
+                        {entry.uploadedBy?.displayName || entry.uploadedBy?.username || '—'}
+                      </td>
+                      <td data-label="Uploaded">{formatDate(entry.uploadedAt)}</td>
+                      <td data-label="Actions" className="actions table-actions">
+                        <button type="button" className="link" onClick={() => handlePreview(entry)}>
+                          Preview
+                        </button>
+                        <button type="button" className="link" onClick={() => handleDownload(entry)}>
+                          Download
+                        </button>
+                        {(entry.originals || []).map((original, index) => (
+                          <button
+                            key={`${entry.version}-${index}`}
+                            type="button"
+                            className="link"
+                            onClick={() => handleDownloadOriginal(entry, original, index)}
+                            title={`${original.originalName} (${formatSize(original.size)})`}
+                          >
+                            Original {index + 1}
+                          </button>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,104 @@
+import { useEffect, useRef, useState } from 'react'
+import { api } from '../services/api'
+
+// Page previews need the auth header like thumbnails, so each one is fetched as a blob. Pages without a
+// stored preview (PAGE_PREVIEWS is off) show their number instead.
+const PageTile = ({ documentId, page, hasPreview, selected, assigned, onClick }) => {
+  const [url, setUrl] = useState('')
+
+  useEffect(() => {
+    if (!hasPreview) {
+      return undefined
+    }
+
+    let cancelled = false
+    let objectUrl = ''
+
+    api
+      .fetchPagePreview(documentId, page)
+      .then((blob) => {
+        if (cancelled) {
+          return
+        }
+        objectUrl = URL.createObjectURL(blob)
+        setUrl(objectUrl)
+      })
+      .catch((error) => {
+        console.error(error)
+      })
+
+    return () => {
+      cancelled = true
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl)
+      }
+    }
+  }, [documentId, hasPreview, page])
+
+  const classNames = ['page-tile', selected && 'selected', assigned && 'assigned'].filter(Boolean).join(' ')
+
+  return (
+    <button type="button" className={classNames} aria-pressed={selected} onClick={onClick}>
+      {hasPreview && url ? (
+        <img src={url} alt="" />
+      ) : (
+        <span className="page-tile-placeholder" aria-hidden="true">
+          {page}
+        </span>
+      )}
+      <span className="page-tile-label">Page {page}</span>
+    </button>
+  )
+}
+
+// `selected` holds the picked page numbers in page order. Shift-click picks or drops every page since the last
+// click; `assigned` dims pages that are already used elsewhere, such as in another part of a split.
+export const PagePicker = ({ documentId, pageCount, previews = [], selected, assigned = [], onChange }) => {
+  const lastClickedRef = useRef(null)
+  const pages = Array.from({ length: pageCount }, (_, index) => index + 1)
+
+  const togglePage = (page, event) => {
+    const picking = !selected.includes(page)
+    const anchor = lastClickedRef.current
+    const range =
+      event.shiftKey && anchor
+        ? pages.filter((value) => value >= Math.min(anchor, page) && value <= Math.max(anchor, page))
+        : [page]
+
+    lastClickedRef.current = page
+    onChange(
+      picking
+        ? pages.filter((value) => selected.includes(value) || range.includes(value))
+        : selected.filter((value) => !range.includes(value)),
+    )
+  }
+
+  return (
+    <div className="page-picker">
+      <div className="page-picker-toolbar">
+        <span>
+          {selected.length} of {pageCount} pages picked
+        </span>
+        <button type="button" className="link" onClick={() => onChange(pages)}>
+          All
+        </button>
+        <button type="button" className="link" onClick={() => onChange([])}>
+          None
+        </button>
+      </div>
+      <div className="page-picker-grid">
+        {pages.map((page) => (
+          <PageTile
+            key={page}
+            documentId={documentId}
+            page={page}
+            hasPreview={previews.includes(page)}
+            selected={selected.includes(page)}
+            assigned={assigned.includes(page)}
+            onClick={(event) => togglePage(page, event)}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,111 @@
+import { MONTHS } from '../constants/archive'
+import { normaliseAmountInput, toEnglishDigits } from '../utils/amount'
+
+const normaliseYearInput = (value) => toEnglishDigits(value).replace(/[^0-9]/g, '').slice(0, 4)
+
+export const RangeFilters = ({ idPrefix, value, onChange }) => {
+  const handleChange = (field, nextValue) => {
+    onChange?.({ ...value, [field]: nextValue })
+  }
+
+  const renderTextRange = ({ label, from, to, normalise, inputMode }) => (
+    <div className="field range-field">
+      <label htmlFor={`${idPrefix}-${from}`}>{label}</label>
+      <div className="range-inputs">
+        <input
+          id={`${idPrefix}-${from}`}
+          type="text"
+          inputMode={inputMode}
+          value={value[from]}
+          onChange={(event) => handleChange(from, normalise(event.target.value))}
+          placeholder="From"
+          aria-label={`${label} from`}
+          dir="ltr"
+        />
+        <span aria-hidden="true">–</span>
+        <input
+          type="text"
+          inputMode={inputMode}
+          value={value[to]}
+          onChange={(event) => handleChange(to, normalise(event.target.value))}
+          placeholder="To"
+          aria-label={`${label} to`}
+          dir="ltr"
+        />
+      </div>
+    </div>
+  )
+
+  const renderMonthSelect = (field, label) => (
+    <select
+      id={field === 'monthFrom' ? `${idPrefix}-monthFrom` : undefined}
+      value={value[field]}
+      onChange={(event) => handleChange(field, event.target.value)}
+      aria-label={label}
+    >
+      <option value="">Any</option>
+      {MONTHS.map((month) => (
+        <option key={month} value={month}>
+          {month}
+        </option>
+      ))}
+    </select>
+  )
+
+  return (
+    <>
+      {renderTextRange({
+        label: 'Amount range',
+        from: 'amountMin',
+        to: 'amountMax',
+        normalise: normaliseAmountInput,
+        inputMode: 'decimal',
+      })}
+      {renderTextRange({
+        label: 'Tag price range',
+        from: 'priceMin',
+        to: 'priceMax',
+        normalise: normaliseAmountInput,
+        inputMode: 'decimal',
+      })}
+      {renderTextRange({
+        label: 'Year range',
+        from: 'yearFrom',
+        to: 'yearTo',
+        normalise: normaliseYearInput,
+        inputMode: 'numeric',
+      })}
+
+      <div className="field range-field">
+        <label htmlFor={`${idPrefix}-monthFrom`}>Month range</label>
+        <div className="range-inputs">
+          {renderMonthSelect('monthFrom', 'Month from')}
+          <span aria-hidden="true">–</span>
+          {renderMonthSelect('monthTo', 'Month to')}
+        </div>
+      </div>
+
+      <div className="field range-field">
+        <label htmlFor={`${idPrefix}-createdFrom`}>Uploaded between</label>
+        <div className="range-inputs">
+          <input
+            id={`${idPrefix}-createdFrom`}
+            type="date"
+            value={value.createdFrom}
+            max={value.createdTo || undefined}
+            onChange={(event) => handleChange('createdFrom', event.target.value)}
+            aria-label="Uploaded from"
+          />
+          <span aria-hidden="true">–</span>
+          <input
+            type="date"
+            value={value.createdTo}
+            min={value.createdFrom || undefined}
+            onChange={(event) => handleChange('createdTo', event.target.value)}
+            aria-label="Uploaded to"
+          />
+        </div>
+      </div>
+    </>
+  )
+}
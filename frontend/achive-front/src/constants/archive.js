@@ -23,3 +23,77 @@ export const INVOICE_TYPE_LABELS = INVOICE_TYPES.reduce((accumulator, type) => {
   accumulator[type.value] = type.label;
   return accumulator;
 }, {});
+
+export const DUPLICATE_POLICIES = [
+  { value: 'warn', label: 'Upload and warn me' },
+  { value: 'reject', label: 'Do not upload' },
+  { value: 'allow', label: 'Upload without checking' },
+];
+
+export const UPLOAD_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'image/tiff',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+];
+
+// Browsers often report HEIC photos and TIFF scans without a type, so images are recognised by extension too.
+export const UPLOAD_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.tif', '.tiff', '.webp', '.heic', '.heif'];
+
+export const UPLOAD_ACCEPT = ['.pdf', '.doc', '.docx', ...UPLOAD_IMAGE_EXTENSIONS, ...UPLOAD_MIME_TYPES].join(',');
+
+export const IMAGE_PDF_PAGE_SIZES = [
+  { value: 'a4', label: 'A4' },
+  { value: 'letter', label: 'Letter' },
+  { value: 'original', label: 'Original image size' },
+];
+
+export const IMAGE_PDF_FITS = [
+  { value: 'contain', label: 'Scale to fit the page' },
+  { value: 'shrink', label: 'Only shrink large images' },
+];
+
+export const OCR_STATUS_LABELS = {
+  pending: 'OCR queued',
+  processing: 'OCR running',
+  done: 'OCR done',
+  failed: 'OCR failed',
+};
+
+export const INTEGRITY_ISSUE_LABELS = {
+  missing: 'File missing',
+  sizeMismatch: 'Size mismatch',
+  hashMismatch: 'Content changed',
+};
+
+export const CONTENT_WARNING_LABELS = {
+  encrypted: 'Password protected',
+  javascript: 'Contains scripts',
+};
+
+export const DERIVED_OPERATION_LABELS = {
+  merge: 'Merged',
+  split: 'Split off',
+};
+
+export const EXPORT_FORMATS = [
+  { value: 'xlsx', label: 'Excel (.xlsx)' },
+  { value: 'csv', label: 'CSV (.csv)' },
+];
+
+export const ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'uploader', label: 'Uploader' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'admin', label: 'Admin' },
+];
+
+export const ROLE_LABELS = ROLES.reduce((accumulator, role) => {
+  accumulator[role.value] = role.label;
+  return accumulator;
+}, {});
@@ -2,14 +2,18 @@
 import { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react'
 import { api } from '../services/api'
 import { normaliseAmountInput, resolveDocumentAmount } from '../utils/amount'
+import { buildDocumentQuery, EMPTY_RANGE_FILTERS } from '../utils/filters'
 
 const DEFAULT_FILTERS = {
   name: '',
+  q: '',
   amount: '',
   invoiceType: '',
   year: '',
   merchant: '',
   month: '',
+  ...EMPTY_RANGE_FILTERS,
+  sort: '',
 }
 
 const DEFAULT_PAGINATION = {
@@ -38,6 +42,7 @@ export const ArchiveProvider = ({ children }) => {
   const [hasMore, setHasMore] = useState(false)
   const [totalCount, setTotalCount] = useState(null)
   const [hierarchy, setHierarchy] = useState({ years: [] })
+  const [summary, setSummary] = useState(null)
   const cacheRef = useRef(new Map())
   const hasBootstrappedRef = useRef(false)
 
@@ -55,6 +60,28 @@ export const ArchiveProvider = ({ children }) => {
     }
   }, [])
 
+  const loadSummary = useCallback(
+    async (resolvedFilters) => {
+      const query = buildDocumentQuery(resolvedFilters)
+      const cacheKey = `summary:${serialise(query)}`
+
+      if (cacheRef.current.has(cacheKey)) {
+        setSummary(cacheRef.current.get(cacheKey))
+        return
+      }
+
+      try {
+        const data = await api.getReportSummary(query)
+        cacheRef.current.set(cacheKey, data.totals)
+        setSummary(data.totals)
+      } catch (apiError) {
+        console.error(apiError)
+        setSummary(null)
+      }
+    },
+    [serialise],
+  )
+
   const fetchArchives = useCallback(
     async (nextFilters = filters, nextPagination = pagination, { force = false } = {}) => {
       const payload = {
@@ -62,6 +89,10 @@ export const ArchiveProvider = ({ children }) => {
           ...DEFAULT_FILTERS,
           ...nextFilters,
           amount: normaliseAmountFilter(nextFilters.amount),
+          amountMin: normaliseAmountFilter(nextFilters.amountMin),
+          amountMax: normaliseAmountFilter(nextFilters.amountMax),
+          priceMin: normaliseAmountFilter(nextFilters.priceMin),
+          priceMax: normaliseAmountFilter(nextFilters.priceMax),
         },
         pagination: {
           ...DEFAULT_PAGINATION,
@@ -76,6 +107,7 @@ export const ArchiveProvider = ({ children }) => {
         setArchives(cached.items)
         setHasMore(cached.hasMore)
         setTotalCount(cached.total ?? null)
+        await loadSummary(payload.filters)
         return cached.items
       }
 
@@ -86,17 +118,16 @@ export const ArchiveProvider = ({ children }) => {
         const { filters: resolvedFilters, pagination: resolvedPagination } = payload
         const skip = (resolvedPagination.page - 1) * resolvedPagination.pageSize
 
-        const response = await api.listDocuments({
-          name: resolvedFilters.name || undefined,
-          amount: resolvedFilters.amount || undefined,
-          invoiceType: resolvedFilters.invoiceType || undefined,
-          year: resolvedFilters.year || undefined,
-          merchant: resolvedFilters.merchant || undefined,
-          month: resolvedFilters.month || undefined,
-          limit: resolvedPagination.pageSize,
-          skip,
-          includeTotal: true,
-        })
+        const [response] = await Promise.all([
+          api.listDocuments({
+            ...buildDocumentQuery(resolvedFilters),
+            sort: resolvedFilters.sort || undefined,
+            limit: resolvedPagination.pageSize,
+            skip,
+            includeTotal: true,
+          }),
+          loadSummary(resolvedFilters),
+        ])
 
         const documents = Array.isArray(response) ? response : response?.documents || []
         const hydratedDocuments = documents.map(hydrateDocument)
@@ -126,7 +157,7 @@ export const ArchiveProvider = ({ children }) => {
         setLoading(false)
       }
     },
-    [filters, pagination, serialise],
+    [filters, loadSummary, pagination, serialise],
   )
 
   const updateFilters = useCallback(
@@ -144,6 +175,8 @@ export const ArchiveProvider = ({ children }) => {
     [fetchArchives, filters, pagination],
   )
 
+  const changeSort = useCallback((sort) => updateFilters({ ...filters, sort }), [filters, updateFilters])
+
   const changePage = useCallback(
     async (page) => {
       const pageLimit =
@@ -171,6 +204,22 @@ export const ArchiveProvider = ({ children }) => {
     [fetchArchives, filters],
   )
 
+  const exportDocuments = useCallback(
+    (format) =>
+      api.exportDocuments({
+        ...buildDocumentQuery(filters),
+        sort: filters.sort || undefined,
+        format,
+      }),
+    [filters],
+  )
+
+  // A hierarchy node ({ year, merchant, month }) downloads that folder; otherwise the current filters apply.
+  const downloadZip = useCallback(
+    (node, options) => api.downloadDocumentsZip(node || buildDocumentQuery(filters), options),
+    [filters],
+  )
+
   const refresh = useCallback(async () => {
     cacheRef.current.clear()
     await Promise.all([
@@ -225,6 +274,48 @@ export const ArchiveProvider = ({ children }) => {
     [fetchArchives, filters, loadHierarchy, pagination],
   )
 
+  const revertDocument = useCallback(
+    async (id, eventId) => {
+      const reverted = await api.revertDocument(id, eventId)
+
+      cacheRef.current.clear()
+
+      await Promise.all([
+        fetchArchives(filters, pagination, { force: true }),
+        loadHierarchy(),
+      ])
+
+      return reverted
+    },
+    [fetchArchives, filters, loadHierarchy, pagination],
+  )
+
+  const uploadDocumentVersion = useCallback(
+    async (id, files, options) => {
+      const updated = await api.uploadDocumentVersion(id, files, options)
+
+      cacheRef.current.clear()
+
+      await fetchArchives(filters, pagination, { force: true })
+
+      return updated
+    },
+    [fetchArchives, filters, pagination],
+  )
+
+  const rerunDocumentOcr = useCallback(
+    async (id) => {
+      const updated = await api.rerunDocumentOcr(id)
+
+      cacheRef.current.clear()
+
+      await fetchArchives(filters, pagination, { force: true })
+
+      return updated
+    },
+    [fetchArchives, filters, pagination],
+  )
+
   const deleteDocument = useCallback(
     async (id) => {
       await api.deleteDocument(id)
@@ -253,6 +344,67 @@ export const ArchiveProvider = ({ children }) => {
     [fetchArchives, filters, loadHierarchy, pagination, totalCount],
   )
 
+  // `selection` is { ids } or { allMatching: true }, which applies to every document matching the filters.
+  const bulkUpdateDocuments = useCallback(
+    async (selection, changes) => {
+      const result = await api.bulkUpdateDocuments({ ...selection, filters: buildDocumentQuery(filters) }, changes)
+
+      cacheRef.current.clear()
+
+      await Promise.all([
+        fetchArchives(filters, pagination, { force: true }),
+        loadHierarchy(),
+      ])
+
+      return result
+    },
+    [fetchArchives, filters, loadHierarchy, pagination],
+  )
+
+  // Merges and splits add documents and may trash their sources, so the list and the hierarchy are reloaded.
+  const reloadAfterPageCopy = useCallback(async () => {
+    cacheRef.current.clear()
+
+    await Promise.all([fetchArchives(filters, pagination, { force: true }), loadHierarchy()])
+  }, [fetchArchives, filters, loadHierarchy, pagination])
+
+  const mergeDocuments = useCallback(
+    async (payload) => {
+      const result = await api.mergeDocuments(payload)
+      await reloadAfterPageCopy()
+      return result
+    },
+    [reloadAfterPageCopy],
+  )
+
+  const splitDocument = useCallback(
+    async (id, payload) => {
+      const result = await api.splitDocument(id, payload)
+      await reloadAfterPageCopy()
+      return result
+    },
+    [reloadAfterPageCopy],
+  )
+
+  const bulkDeleteDocuments = useCallback(
+    async (selection) => {
+      const result = await api.bulkDeleteDocuments({ ...selection, filters: buildDocumentQuery(filters) })
+
+      cacheRef.current.clear()
+
+      const nextPagination = { ...pagination, page: 1 }
+      setPagination(nextPagination)
+
+      await Promise.all([
+        fetchArchives(filters, nextPagination, { force: true }),
+        loadHierarchy(),
+      ])
+
+      return result
+    },
+    [fetchArchives, filters, loadHierarchy, pagination],
+  )
+
   useEffect(() => {
     if (hasBootstrappedRef.current) {
       return
@@ -274,11 +426,22 @@ export const ArchiveProvider = ({ children }) => {
       updateFilters,
       changePage,
       changePageSize,
+      changeSort,
+      exportDocuments,
+      downloadZip,
       refresh,
       hierarchy,
+      summary,
       reloadHierarchy: loadHierarchy,
       editDocument,
+      revertDocument,
+      uploadDocumentVersion,
+      rerunDocumentOcr,
       deleteDocument,
+      bulkUpdateDocuments,
+      bulkDeleteDocuments,
+      mergeDocuments,
+      splitDocument,
       pageSizeOptions: PAGE_SIZE_OPTIONS,
     }),
     [
@@ -288,15 +451,26 @@ export const ArchiveProvider = ({ children }) => {
       filters,
       hasMore,
       hierarchy,
+      summary,
       loading,
       pagination,
       refresh,
       totalCount,
       updateFilters,
       changePageSize,
+      changeSort,
+      exportDocuments,
+      downloadZip,
       loadHierarchy,
       editDocument,
+      revertDocument,
+      uploadDocumentVersion,
+      rerunDocumentOcr,
       deleteDocument,
+      bulkUpdateDocuments,
+      bulkDeleteDocuments,
+      mergeDocuments,
+      splitDocument,
     ],
   )
 
@@ -0,0 +1,94 @@
+/* eslint-disable react-refresh/only-export-components */
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react'
+import { api } from '../services/api'
+import { ROLES } from '../constants/archive'
+
+const AuthContext = createContext(null)
+
+const ROLE_RANK = new Map(ROLES.map((role, index) => [role.value, index]))
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(() => api.getSession()?.user ?? null)
+  const [checking, setChecking] = useState(() => Boolean(api.getSession()))
+
+  useEffect(
+    () =>
+      api.onSessionChange((session) => {
+        setUser(session?.user ?? null)
+      }),
+    [],
+  )
+
+  useEffect(() => {
+    if (!api.getSession()) {
+      return
+    }
+
+    let cancelled = false
+
+    api
+      .getCurrentUser()
+      .then((currentUser) => {
+        if (!cancelled) {
+          setUser(currentUser)
+        }
+      })
+      .catch((apiError) => {
+        console.error(apiError)
+        if (!cancelled && apiError.status === 401) {
+          setUser(null)
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setChecking(false)
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  const login = useCallback(async (username, password) => {
+    const signedIn = await api.login(username, password)
+    setUser(signedIn)
+    return signedIn
+  }, [])
+
+  const logout = useCallback(async () => {
+    await api.logout()
+    setUser(null)
+  }, [])
+
+  const hasRole = useCallback(
+    (minimumRole) => {
+      if (!user || !ROLE_RANK.has(minimumRole)) {
+        return false
+      }
+      return (ROLE_RANK.get(user.role) ?? -1) >= ROLE_RANK.get(minimumRole)
+    },
+    [user],
+  )
+
+  const value = useMemo(
+    () => ({
+      user,
+      checking,
+      login,
+      logout,
+      hasRole,
+    }),
+    [checking, hasRole, login, logout, user],
+  )
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>
+}
+
+export const useAuthContext = () => {
+  const context = useContext(AuthContext)
+  if (!context) {
+    throw new Error('useAuthContext must be used inside an AuthProvider')
+  }
+  return context
+}
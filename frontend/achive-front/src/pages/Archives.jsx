@@ -12,6 +12,7 @@ export const Archives = () => {
     error,
     changePage,
     changePageSize,
+    changeSort,
     pagination,
     hasMore,
     refresh,
@@ -43,7 +44,7 @@ export const Archives = () => {
     }
 
     const displayName = document.storedName || document.originalName || 'this document'
-    const approved = window.confirm(`Delete "${displayName}" permanently?`)
+    const approved = window.confirm(`Move "${displayName}" to the trash?`)
     if (!approved) {
       return
     }
@@ -118,6 +119,8 @@ export const Archives = () => {
         loading={loading}
         onDelete={removeArchive}
         deletingId={deletingId}
+        sort={filters.sort}
+        onSortChange={changeSort}
       />
     </section>
   )
@@ -0,0 +1,338 @@
+import { useState } from 'react'
+import { api } from '../services/api'
+import { INTEGRITY_ISSUE_LABELS } from '../constants/archive'
+import { useArchiveContext } from '../context/ArchiveContext'
+
+const formatDate = (value) => {
+  if (!value) {
+    return '—'
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return value
+  }
+  return date.toLocaleString()
+}
+
+const formatSize = (value) => (value === undefined || value === null ? '—' : `${Number(value).toLocaleString()} B`)
+
+const describeDocument = (entry) =>
+  `${entry.storedName} · ${entry.year} / ${entry.merchantName} / ${entry.month}${entry.deleted ? ' (in trash)' : ''}`
+
+export const Integrity = () => {
+  const { refresh } = useArchiveContext()
+  const [report, setReport] = useState(null)
+  const [verifyHashes, setVerifyHashes] = useState(false)
+  const [checking, setChecking] = useState(false)
+  const [error, setError] = useState('')
+  const [busyKey, setBusyKey] = useState('')
+  const [relinkTargets, setRelinkTargets] = useState({})
+
+  const runCheck = async () => {
+    setChecking(true)
+    setError('')
+    try {
+      const data = await api.runIntegrityCheck({ verifyHashes })
+      setReport(data)
+      setRelinkTargets(
+        Object.fromEntries(
+          (data.orphans || [])
+            .filter((orphan) => orphan.candidates.length)
+            .map((orphan) => [orphan.path, orphan.candidates[0].documentId]),
+        ),
+      )
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to check the storage right now.')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const relink = async (orphan) => {
+    const documentId = relinkTargets[orphan.path]
+    if (!documentId) {
+      return
+    }
+
+    setBusyKey(orphan.path)
+    try {
+      await api.relinkOrphan(orphan.path, documentId)
+      setReport((current) => ({
+        ...current,
+        problems: current.problems.filter(
+          (problem) => !(problem.documentId === documentId && problem.version === null && !problem.original),
+        ),
+        orphans: current.orphans
+          .filter((entry) => entry.path !== orphan.path)
+          .map((entry) => ({
+            ...entry,
+            candidates: entry.candidates.filter((candidate) => candidate.documentId !== documentId),
+          })),
+      }))
+      await refresh()
+    } catch (relinkError) {
+      alert(relinkError?.message || 'Unable to re-link this file right now.')
+    } finally {
+      setBusyKey('')
+    }
+  }
+
+  const quarantine = async (orphan) => {
+    const approved = window.confirm(`Move "${orphan.path}" to the quarantine folder?`)
+    if (!approved) {
+      return
+    }
+
+    setBusyKey(orphan.path)
+    try {
+      await api.quarantineOrphan(orphan.path)
+      setReport((current) => ({
+        ...current,
+        orphans: current.orphans.filter((entry) => entry.path !== orphan.path),
+      }))
+    } catch (quarantineError) {
+      alert(quarantineError?.message || 'Unable to quarantine this file right now.')
+    } finally {
+      setBusyKey('')
+    }
+  }
+
+  const flag = async (documentIds, key) => {
+    setBusyKey(key)
+    try {
+      const { results } = await api.flagBrokenDocuments(documentIds, { verifyHashes: report.verifyHashes })
+      const statuses = new Map(results.map((result) => [result.id, result.status]))
+      setReport((current) => ({
+        ...current,
+        problems: current.problems.map((problem) =>
+          statuses.get(problem.documentId) === 'flagged' || statuses.get(problem.documentId) === 'cleared'
+            ? { ...problem, flagged: statuses.get(problem.documentId) === 'flagged' }
+            : problem,
+        ),
+      }))
+      await refresh()
+
+      const failed = results.filter((result) => result.status === 'failed' || result.status === 'not_found')
+      if (failed.length) {
+        alert(`${failed.length} document(s) could not be flagged.`)
+      }
+    } catch (flagError) {
+      alert(flagError?.message || 'Unable to flag these documents right now.')
+    } finally {
+      setBusyKey('')
+    }
+  }
+
+  const unflaggedIds = report
+    ? [...new Set(report.problems.filter((problem) => !problem.flagged).map((problem) => problem.documentId))]
+    : []
+
+  return (
+    <section className="stack">
+      <header className="card">
+        <div>
+          <h2>Storage check</h2>
+          <p className="section-description">
+            Compares every document record with the files in the uploads folder. Missing files and size or content
+            mismatches are listed per record, and files no record refers to are listed as orphans that can be
+            re-linked to a record or moved to quarantine.
+          </p>
+        </div>
+        <div className="pagination">
+          <label className="checkbox">
+            <input
+              type="checkbox"
+              checked={verifyHashes}
+              onChange={(event) => setVerifyHashes(event.target.checked)}
+              disabled={checking}
+            />
+            Verify file hashes (slower)
+          </label>
+          <button type="button" className="primary" onClick={runCheck} disabled={checking}>
+            {checking ? 'Checking…' : 'Run check'}
+          </button>
+        </div>
+      </header>
+
+      {error && (
+        <p className="status error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {!report ? (
+        <p className="empty-state">{checking ? 'Checking the stored files…' : 'Run a check to see the results.'}</p>
+      ) : (
+        <>
+          <section className="card metrics" aria-label="Check summary">
+            <div>
+              <span className="metric-label">Files checked</span>
+              <strong className="metric-value">{report.summary.files}</strong>
+            </div>
+            <div>
+              <span className="metric-label">Missing</span>
+              <strong className="metric-value">{report.summary.missing}</strong>
+            </div>
+            <div>
+              <span className="metric-label">Mismatches</span>
+              <strong className="metric-value">{report.summary.sizeMismatch + report.summary.hashMismatch}</strong>
+            </div>
+            <div>
+              <span className="metric-label">Orphans</span>
+              <strong className="metric-value">{report.summary.orphans}</strong>
+            </div>
+          </section>
+          <p className="section-description">
+            Checked {formatDate(report.checkedAt)} across {report.summary.documents} documents
+            {report.verifyHashes ? ', including file hashes' : ''}.
+          </p>
+
+          <section className="card">
+            <h2>Broken records</h2>
+            <p className="section-description">
+              Flagged records show a warning in the document list until their file is re-linked.
+            </p>
+            {unflaggedIds.length > 0 && (
+              <div className="pagination">
+                <button type="button" onClick={() => flag(unflaggedIds, 'flag-all')} disabled={Boolean(busyKey)}>
+                  {busyKey === 'flag-all' ? 'Flagging…' : `Flag all ${unflaggedIds.length} records`}
+                </button>
+              </div>
+            )}
+            {!report.problems.length ? (
+              <p className="empty-state">Every record has its stored file.</p>
+            ) : (
+              <div className="table-wrapper">
+                <table className="archive-table">
+                  <thead>
+                    <tr>
+                      <th>Document</th>
+                      <th>Stored file</th>
+                      <th>Problem</th>
+                      <th>Size (recorded / actual)</th>
+                      <th>Flagged</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.problems.map((problem) => {
+                      const key = `${problem.documentId}-${problem.storagePath}`
+                      return (
+                        <tr key={key}>
+                          <td data-label="Document" dir="auto">
+                            {describeDocument(problem)}
+                          </td>
+                          <td data-label="Stored file">
+                            {problem.storagePath}
+                            {problem.version ? ` (version ${problem.version})` : ''}
+                            {problem.original ? ' (original image)' : ''}
+                          </td>
+                          <td data-label="Problem" title={problem.message}>
+                            {INTEGRITY_ISSUE_LABELS[problem.issue] || problem.issue}
+                          </td>
+                          <td data-label="Size (recorded / actual)">
+                            {formatSize(problem.expectedSize)} / {formatSize(problem.actualSize)}
+                          </td>
+                          <td data-label="Flagged">{problem.flagged ? 'Yes' : '—'}</td>
+                          <td data-label="Actions" className="actions table-actions">
+                            <button
+                              type="button"
+                              className="link"
+                              onClick={() => flag([problem.documentId], key)}
+                              disabled={Boolean(busyKey)}
+                            >
+                              {busyKey === key ? 'Working…' : problem.flagged ? 'Check again' : 'Flag record'}
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+
+          <section className="card">
+            <h2>Orphan files</h2>
+            <p className="section-description">
+              Files changed during the last hour are left out since they may belong to an upload in progress.
+              Quarantined files are moved to the <code>.quarantine</code> folder of the uploads folder.
+            </p>
+            {!report.orphans.length ? (
+              <p className="empty-state">Every file in the uploads folder belongs to a record.</p>
+            ) : (
+              <div className="table-wrapper">
+                <table className="archive-table">
+                  <thead>
+                    <tr>
+                      <th>File</th>
+                      <th>Size</th>
+                      <th>Modified</th>
+                      <th>Re-link to</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.orphans.map((orphan) => {
+                      const busy = busyKey === orphan.path
+                      return (
+                        <tr key={orphan.path}>
+                          <td data-label="File" dir="auto">
+                            {orphan.path}
+                          </td>
+                          <td data-label="Size">{formatSize(orphan.size)}</td>
+                          <td data-label="Modified">{formatDate(orphan.modifiedAt)}</td>
+                          <td data-label="Re-link to">
+                            {orphan.candidates.length ? (
+                              <select
+                                value={relinkTargets[orphan.path] || ''}
+                                onChange={(event) =>
+                                  setRelinkTargets((current) => ({ ...current, [orphan.path]: event.target.value }))
+                                }
+                                aria-label={`Record to re-link ${orphan.path} to`}
+                              >
+                                {orphan.candidates.map((candidate) => (
+                                  <option key={candidate.documentId} value={candidate.documentId}>
+                                    {describeDocument(candidate)}
+                                  </option>
+                                ))}
+                              </select>
+                            ) : (
+                              'No matching record'
+                            )}
+                          </td>
+                          <td data-label="Actions" className="actions table-actions">
+                            {orphan.candidates.length > 0 && (
+                              <button
+                                type="button"
+                                className="link"
+                                onClick={() => relink(orphan)}
+                                disabled={Boolean(busyKey)}
+                              >
+                                {busy ? 'Working…' : 'Re-link'}
+                              </button>
+                            )}
+                            <button
+                              type="button"
+                              className="link danger-link"
+                              onClick={() => quarantine(orphan)}
+                              disabled={Boolean(busyKey)}
+                            >
+                              Quarantine
+                            </button>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </section>
+  )
+}
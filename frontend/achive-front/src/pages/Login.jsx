@@ -0,0 +1,73 @@
+import { useState } from 'react'
+import { useAuthContext } from '../context/AuthContext'
+
+export const Login = () => {
+  const { login } = useAuthContext()
+  const [username, setUsername] = useState('')
+  const [password, setPassword] = useState('')
+  const [status, setStatus] = useState({ type: 'idle', message: '' })
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+
+    if (!username.trim() || !password) {
+      setStatus({ type: 'error', message: 'Please enter your username and password.' })
+      return
+    }
+
+    setStatus({ type: 'loading', message: 'Signing in…' })
+
+    try {
+      await login(username.trim(), password)
+    } catch (loginError) {
+      setStatus({ type: 'error', message: loginError.message || 'Unable to sign in right now.' })
+      setPassword('')
+    }
+  }
+
+  return (
+    <div className="login-screen">
+      <section className="card login-card">
+        <h1 className="brand">AMA Archive</h1>
+        <p className="section-description">Sign in with the account provided by your administrator.</p>
+
+        <form className="login-form" onSubmit={handleSubmit}>
+          <div className="field">
+            <label htmlFor="login-username">Username</label>
+            <input
+              id="login-username"
+              type="text"
+              autoComplete="username"
+              value={username}
+              onChange={(event) => setUsername(event.target.value)}
+              autoFocus
+              required
+            />
+          </div>
+
+          <div className="field">
+            <label htmlFor="login-password">Password</label>
+            <input
+              id="login-password"
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(event) => setPassword(event.target.value)}
+              required
+            />
+          </div>
+
+          <button type="submit" className="primary" disabled={status.type === 'loading'}>
+            {status.type === 'loading' ? 'Signing in…' : 'Sign in'}
+          </button>
+        </form>
+
+        {status.type === 'error' && (
+          <p className="status error" role="alert">
+            {status.message}
+          </p>
+        )}
+      </section>
+    </div>
+  )
+}
@@ -1,10 +1,17 @@
 import { useEffect, useMemo, useState } from 'react'
 import { ArchiveTable } from '../components/ArchiveTable'
+import { ArchiveGallery } from '../components/ArchiveGallery'
 import { HierarchySelector } from '../components/HierarchySelector'
+import { RangeFilters } from '../components/RangeFilters'
 import { DocumentEditor } from '../components/DocumentEditor'
-import { INVOICE_TYPE_LABELS, INVOICE_TYPES } from '../constants/archive'
+import { BulkEditor } from '../components/BulkEditor'
+import { DocumentMerge } from '../components/DocumentMerge'
+import { DocumentSplit } from '../components/DocumentSplit'
+import { EXPORT_FORMATS, INVOICE_TYPE_LABELS, INVOICE_TYPES } from '../constants/archive'
 import { useArchiveContext } from '../context/ArchiveContext'
+import { useAuthContext } from '../context/AuthContext'
 import { normaliseAmountInput, resolveDocumentAmount } from '../utils/amount'
+import { describeFilters, EMPTY_RANGE_FILTERS } from '../utils/filters'
 
 const buildStats = (archives) => {
   const totals = {
@@ -19,6 +26,37 @@ const buildStats = (archives) => {
   return totals
 }
 
+const BULK_STATUS_LABELS = {
+  updated: 'updated',
+  unchanged: 'unchanged',
+  deleted: 'moved to trash',
+  not_found: 'not found',
+  failed: 'failed',
+}
+
+const describeBulkResult = ({ counts = {}, results = [] }, archives) => {
+  const totals = Object.entries(BULK_STATUS_LABELS)
+    .filter(([status]) => counts[status])
+    .map(([status, label]) => `${counts[status]} ${label}`)
+    .join(', ')
+  const problems = results
+    .filter((result) => result.status === 'failed' || result.status === 'not_found')
+    .map((result) => {
+      const document = archives.find((entry) => entry._id === result.id)
+      return `• ${document?.storedName || document?.originalName || result.id}: ${result.message}`
+    })
+
+  return [totals || 'Nothing changed.', ...problems].join('\n')
+}
+
+const RESULT_VIEWS = [
+  { value: 'table', label: 'Table' },
+  { value: 'gallery', label: 'Gallery' },
+]
+
+const pickRangeFilters = (filters) =>
+  Object.fromEntries(Object.keys(EMPTY_RANGE_FILTERS).map((field) => [field, filters[field] ?? '']))
+
 export const Search = () => {
   const {
     archives,
@@ -28,28 +66,59 @@ export const Search = () => {
     error,
     refresh,
     hierarchy,
+    summary,
     editDocument,
+    revertDocument,
+    uploadDocumentVersion,
+    rerunDocumentOcr,
     deleteDocument,
+    bulkUpdateDocuments,
+    bulkDeleteDocuments,
+    mergeDocuments,
+    splitDocument,
     pagination,
     hasMore,
     changePage,
     changePageSize,
+    changeSort,
+    exportDocuments,
+    downloadZip,
     pageSizeOptions,
     totalCount,
   } = useArchiveContext()
+  const { hasRole } = useAuthContext()
+  const canEdit = hasRole('editor')
 
   const [searchTerm, setSearchTerm] = useState(filters.name)
+  const [textQuery, setTextQuery] = useState(filters.q)
   const [amountInput, setAmountInput] = useState(filters.amount)
   const [invoiceType, setInvoiceType] = useState(filters.invoiceType)
+  const [rangeInputs, setRangeInputs] = useState(() => pickRangeFilters(filters))
   const [editorState, setEditorState] = useState({ open: false, document: null })
   const [editorError, setEditorError] = useState('')
   const [editorSaving, setEditorSaving] = useState(false)
   const [deletingId, setDeletingId] = useState('')
+  const [uploadingVersionId, setUploadingVersionId] = useState('')
+  const [rerunningOcrId, setRerunningOcrId] = useState('')
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value)
+  const [exporting, setExporting] = useState(false)
+  const [zipProgress, setZipProgress] = useState(null)
+  const [bulkEditor, setBulkEditor] = useState({ open: false, selection: null, count: 0 })
+  const [bulkSaving, setBulkSaving] = useState(false)
+  const [bulkError, setBulkError] = useState('')
+  const [resultView, setResultView] = useState(RESULT_VIEWS[0].value)
+  const [pageCopy, setPageCopy] = useState({ action: '', documents: [] })
+  const [pageCopySaving, setPageCopySaving] = useState(false)
+  const [pageCopyError, setPageCopyError] = useState('')
 
   useEffect(() => {
     setSearchTerm(filters.name)
   }, [filters.name])
 
+  useEffect(() => {
+    setTextQuery(filters.q)
+  }, [filters.q])
+
   useEffect(() => {
     setAmountInput(filters.amount)
   }, [filters.amount])
@@ -58,6 +127,12 @@ export const Search = () => {
     setInvoiceType(filters.invoiceType)
   }, [filters.invoiceType])
 
+  useEffect(() => {
+    setRangeInputs(pickRangeFilters(filters))
+  }, [filters])
+
+  const filterSummary = useMemo(() => describeFilters(filters), [filters])
+
   const stats = useMemo(() => buildStats(archives), [archives])
   const documentCount = typeof totalCount === 'number' ? totalCount : stats.documents
   const pageSummary = useMemo(() => {
@@ -79,8 +154,10 @@ export const Search = () => {
     updateFilters({
       ...filters,
       name: searchTerm,
+      q: textQuery.trim(),
       amount: normaliseAmountInput(amountInput),
       invoiceType,
+      ...rangeInputs,
     })
   }
 
@@ -89,6 +166,7 @@ export const Search = () => {
       ...filters,
       amount: normaliseAmountInput(amountInput),
       invoiceType,
+      ...rangeInputs,
       year: next.year ?? '',
       merchant: next.merchant ?? '',
       month: next.month ?? '',
@@ -123,13 +201,22 @@ export const Search = () => {
     }
   }
 
+  const revertEditorDocument = async (eventId) => {
+    if (!editorState.document) {
+      return
+    }
+
+    const reverted = await revertDocument(editorState.document._id, eventId)
+    setEditorState({ open: true, document: reverted })
+  }
+
   const removeArchive = async (document) => {
     if (!document?._id) {
       return
     }
 
     const displayName = document.storedName || document.originalName || 'this document'
-    const approved = window.confirm(`Delete "${displayName}" permanently?`)
+    const approved = window.confirm(`Move "${displayName}" to the trash?`)
     if (!approved) {
       return
     }
@@ -144,13 +231,142 @@ export const Search = () => {
     }
   }
 
+  const openBulkEditor = (selection, count) => {
+    setBulkError('')
+    setBulkEditor({ open: true, selection, count })
+  }
+
+  const closeBulkEditor = () => {
+    setBulkEditor({ open: false, selection: null, count: 0 })
+    setBulkError('')
+  }
+
+  const submitBulkEditor = async (changes) => {
+    setBulkSaving(true)
+    setBulkError('')
+    try {
+      const result = await bulkUpdateDocuments(bulkEditor.selection, changes)
+      closeBulkEditor()
+      alert(describeBulkResult(result, archives))
+    } catch (submitError) {
+      setBulkError(submitError.message || 'Unable to update the selected documents.')
+    } finally {
+      setBulkSaving(false)
+    }
+  }
+
+  const removeSelected = async (selection, count) => {
+    const approved = window.confirm(`Move ${count} documents to the trash?`)
+    if (!approved) {
+      return
+    }
+
+    setBulkSaving(true)
+    try {
+      const result = await bulkDeleteDocuments(selection)
+      alert(describeBulkResult(result, archives))
+    } catch (removeError) {
+      alert(removeError?.message || 'Unable to delete the selected documents right now.')
+    } finally {
+      setBulkSaving(false)
+    }
+  }
+
+  const openPageCopy = (action, documents) => {
+    setPageCopyError('')
+    setPageCopy({ action, documents })
+  }
+
+  const closePageCopy = () => {
+    setPageCopy({ action: '', documents: [] })
+    setPageCopyError('')
+  }
+
+  const submitMerge = async (payload) => {
+    setPageCopySaving(true)
+    setPageCopyError('')
+    try {
+      const { document, trashed } = await mergeDocuments(payload)
+      closePageCopy()
+      const trashNote = payload.trashSources
+        ? ` ${trashed.length} of ${payload.documents.length} merged documents moved to trash.`
+        : ''
+      alert(`Created ${document.storedName}.${trashNote}`)
+    } catch (submitError) {
+      setPageCopyError(submitError.message || 'Unable to merge the documents.')
+    } finally {
+      setPageCopySaving(false)
+    }
+  }
+
+  const submitSplit = async (payload) => {
+    const [source] = pageCopy.documents
+    setPageCopySaving(true)
+    setPageCopyError('')
+    try {
+      const { documents, trashed } = await splitDocument(source._id, payload)
+      closePageCopy()
+      const trashNote = payload.trashSource && !trashed.length ? ' The original could not be moved to trash.' : ''
+      alert(`Created ${documents.length} documents from ${source.storedName || source.originalName}.${trashNote}`)
+    } catch (submitError) {
+      setPageCopyError(submitError.message || 'Unable to split the document.')
+    } finally {
+      setPageCopySaving(false)
+    }
+  }
+
+  const uploadVersion = async (document, files) => {
+    setUploadingVersionId(document._id)
+    try {
+      await uploadDocumentVersion(document._id, files)
+    } catch (uploadError) {
+      alert(uploadError?.message || 'Unable to upload the new version right now.')
+    } finally {
+      setUploadingVersionId('')
+    }
+  }
+
+  const rerunOcr = async (document) => {
+    setRerunningOcrId(document._id)
+    try {
+      await rerunDocumentOcr(document._id)
+    } catch (ocrError) {
+      alert(ocrError?.message || 'Unable to queue OCR for this document right now.')
+    } finally {
+      setRerunningOcrId('')
+    }
+  }
+
+  const exportResults = async () => {
+    setExporting(true)
+    try {
+      await exportDocuments(exportFormat)
+    } catch (exportError) {
+      alert(exportError?.message || 'Unable to export the search results right now.')
+    } finally {
+      setExporting(false)
+    }
+  }
+
+  const downloadResultsZip = async (node) => {
+    setZipProgress(0)
+    try {
+      await downloadZip(node, { onProgress: setZipProgress })
+    } catch (zipError) {
+      alert(zipError?.message || 'Unable to prepare the ZIP download right now.')
+    } finally {
+      setZipProgress(null)
+    }
+  }
+
   return (
     <section className="stack">
       <header className="card">
         <div>
           <h2>Search archives</h2>
           <p className="section-description">
-            Search by document name, then filter by amount and invoice type.
+            Search by document name or by the text inside PDF and Word files, then filter by amount and invoice
+            type.
           </p>
         </div>
 
@@ -161,6 +377,14 @@ export const Search = () => {
             onChange={(event) => setSearchTerm(event.target.value)}
             placeholder="Search by document name"
           />
+          <input
+            type="search"
+            value={textQuery}
+            onChange={(event) => setTextQuery(event.target.value)}
+            placeholder="Search inside documents"
+            aria-label="Search inside documents"
+            dir="auto"
+          />
           <button type="submit" className="primary">
             Search
           </button>
@@ -202,12 +426,20 @@ export const Search = () => {
           <button type="button" className="secondary" onClick={() => {
             setAmountInput('')
             setInvoiceType('')
-            updateFilters({ ...filters, amount: '', invoiceType: '' })
+            setRangeInputs(EMPTY_RANGE_FILTERS)
+            updateFilters({ ...filters, amount: '', invoiceType: '', ...EMPTY_RANGE_FILTERS })
           }}>
             Reset quick filters
           </button>
         </div>
 
+        <form className="search-extra-filters search-range-filters" onSubmit={applySearch}>
+          <RangeFilters idPrefix="search" value={rangeInputs} onChange={setRangeInputs} />
+          <button type="submit" className="primary">
+            Apply ranges
+          </button>
+        </form>
+
         <div className="hierarchy-filter-bar">
           <HierarchySelector
             hierarchy={hierarchy}
@@ -215,9 +447,34 @@ export const Search = () => {
             onChange={handleHierarchyChange}
             variant="inline"
           />
+          <button
+            type="button"
+            onClick={() =>
+              downloadResultsZip({
+                year: filters.year,
+                merchant: filters.merchant || undefined,
+                month: filters.month || undefined,
+              })
+            }
+            disabled={!filters.year || zipProgress !== null}
+            title={filters.year ? undefined : 'Pick a year to download its folder'}
+          >
+            Download folder as ZIP
+          </button>
         </div>
+
+        {filterSummary && <p className="summary">{filterSummary}</p>}
       </header>
 
+      {zipProgress !== null && (
+        <div className="progress" role="status">
+          <div className="progress-track" aria-hidden>
+            <div className="progress-fill" style={{ width: `${zipProgress}%` }} />
+          </div>
+          <span>Preparing ZIP… {zipProgress}%</span>
+        </div>
+      )}
+
       <section className="card metrics" aria-label="Result summary">
         <div>
           <span className="metric-label">Documents</span>
@@ -225,7 +482,13 @@ export const Search = () => {
         </div>
         <div>
           <span className="metric-label">Total amount</span>
-          <strong className="metric-value">${stats.amount.toFixed(2)}</strong>
+          <strong className="metric-value">${(summary ? summary.sum : stats.amount).toFixed(2)}</strong>
+        </div>
+        <div>
+          <span className="metric-label">Average amount</span>
+          <strong className="metric-value">
+            {summary?.average !== null && summary?.average !== undefined ? `$${summary.average.toFixed(2)}` : '—'}
+          </strong>
         </div>
         <div>
           <span className="metric-label">Invoice type</span>
@@ -236,6 +499,43 @@ export const Search = () => {
       </section>
 
       <div className="pagination">
+        <div className="page-size-control">
+          <label htmlFor="search-export-format">Export</label>
+          <select
+            id="search-export-format"
+            value={exportFormat}
+            onChange={(event) => setExportFormat(event.target.value)}
+          >
+            {EXPORT_FORMATS.map((format) => (
+              <option key={format.value} value={format.value}>
+                {format.label}
+              </option>
+            ))}
+          </select>
+          <button type="button" onClick={exportResults} disabled={exporting || !documentCount}>
+            {exporting ? 'Exporting…' : 'Export'}
+          </button>
+          <button
+            type="button"
+            onClick={() => downloadResultsZip()}
+            disabled={zipProgress !== null || !documentCount}
+          >
+            Download all as ZIP
+          </button>
+        </div>
+        <div className="view-toggle" role="group" aria-label="Result view">
+          {RESULT_VIEWS.map((view) => (
+            <button
+              key={view.value}
+              type="button"
+              className={resultView === view.value ? 'active' : undefined}
+              aria-pressed={resultView === view.value}
+              onClick={() => setResultView(view.value)}
+            >
+              {view.label}
+            </button>
+          ))}
+        </div>
         <div className="page-size-control">
           <label htmlFor="search-page-size">Per page</label>
           <select
@@ -272,12 +572,61 @@ export const Search = () => {
         </p>
       )}
 
-      <ArchiveTable
-        archives={archives}
-        loading={loading}
-        onEdit={openEditor}
-        onDelete={removeArchive}
-        deletingId={deletingId}
+      {resultView === 'gallery' ? (
+        <ArchiveGallery
+          archives={archives}
+          loading={loading}
+          onEdit={canEdit ? openEditor : undefined}
+          onDelete={canEdit ? removeArchive : undefined}
+          deletingId={deletingId}
+        />
+      ) : (
+        <ArchiveTable
+          archives={archives}
+          loading={loading}
+          onEdit={canEdit ? openEditor : undefined}
+          onDelete={canEdit ? removeArchive : undefined}
+          deletingId={deletingId}
+          onUploadVersion={canEdit ? uploadVersion : undefined}
+          uploadingVersionId={uploadingVersionId}
+          onRerunOcr={canEdit ? rerunOcr : undefined}
+          rerunningOcrId={rerunningOcrId}
+          sort={filters.sort}
+          onSortChange={changeSort}
+          totalCount={totalCount}
+          onBulkEdit={canEdit ? openBulkEditor : undefined}
+          onBulkDelete={canEdit ? removeSelected : undefined}
+          onMerge={canEdit ? (documents) => openPageCopy('merge', documents) : undefined}
+          onSplit={canEdit ? (document) => openPageCopy('split', [document]) : undefined}
+          bulkBusy={bulkSaving}
+        />
+      )}
+
+      <BulkEditor
+        open={bulkEditor.open}
+        count={bulkEditor.count}
+        onClose={closeBulkEditor}
+        onSubmit={submitBulkEditor}
+        saving={bulkSaving}
+        error={bulkError}
+      />
+
+      <DocumentMerge
+        open={pageCopy.action === 'merge'}
+        documents={pageCopy.documents}
+        onClose={closePageCopy}
+        onSubmit={submitMerge}
+        saving={pageCopySaving}
+        error={pageCopyError}
+      />
+
+      <DocumentSplit
+        open={pageCopy.action === 'split'}
+        document={pageCopy.documents[0] ?? null}
+        onClose={closePageCopy}
+        onSubmit={submitSplit}
+        saving={pageCopySaving}
+        error={pageCopyError}
       />
 
       <DocumentEditor
@@ -285,6 +634,7 @@ export const Search = () => {
         document={editorState.document}
         onClose={closeEditor}
         onSubmit={submitEditor}
+        onRevert={canEdit ? revertEditorDocument : undefined}
         saving={editorSaving}
         error={editorError}
       />
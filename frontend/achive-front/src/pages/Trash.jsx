@@ -0,0 +1,207 @@
+import { useCallback, useEffect, useState } from 'react'
+import { api } from '../services/api'
+import { INVOICE_TYPE_LABELS } from '../constants/archive'
+import { useArchiveContext } from '../context/ArchiveContext'
+import { useAuthContext } from '../context/AuthContext'
+import { resolveDocumentAmount } from '../utils/amount'
+
+const PAGE_SIZE = 25
+
+const formatDate = (value) => {
+  if (!value) {
+    return '—'
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return value
+  }
+  return date.toLocaleString()
+}
+
+export const Trash = () => {
+  const { refresh } = useArchiveContext()
+  const { hasRole } = useAuthContext()
+  const canPurge = hasRole('admin')
+  const [documents, setDocuments] = useState([])
+  const [total, setTotal] = useState(0)
+  const [retentionDays, setRetentionDays] = useState(null)
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [busyId, setBusyId] = useState('')
+  const [purging, setPurging] = useState(false)
+
+  const loadTrash = useCallback(async (targetPage) => {
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.listTrash({ limit: PAGE_SIZE, skip: (targetPage - 1) * PAGE_SIZE })
+      setDocuments(data.documents || [])
+      setTotal(Number(data.total) || 0)
+      setRetentionDays(data.retentionDays ?? null)
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to load the trash right now.')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadTrash(page)
+  }, [loadTrash, page])
+
+  const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE))
+
+  const restore = async (document) => {
+    setBusyId(document._id)
+    try {
+      await api.restoreTrashedDocument(document._id)
+      await Promise.all([loadTrash(page), refresh()])
+    } catch (restoreError) {
+      alert(restoreError?.message || 'Unable to restore this document right now.')
+    } finally {
+      setBusyId('')
+    }
+  }
+
+  const purge = async (document) => {
+    const displayName = document.storedName || document.originalName || 'this document'
+    const approved = window.confirm(`Permanently delete "${displayName}"? This cannot be undone.`)
+    if (!approved) {
+      return
+    }
+
+    setBusyId(document._id)
+    try {
+      await api.purgeTrashedDocument(document._id)
+      await loadTrash(page)
+    } catch (purgeError) {
+      alert(purgeError?.message || 'Unable to delete this document right now.')
+    } finally {
+      setBusyId('')
+    }
+  }
+
+  const purgeExpired = async () => {
+    const approved = window.confirm(
+      `Permanently delete every document that has been in the trash for more than ${retentionDays ?? 'the configured'} days?`,
+    )
+    if (!approved) {
+      return
+    }
+
+    setPurging(true)
+    try {
+      const result = await api.purgeTrash()
+      alert(result.message || 'Expired documents were purged.')
+      setPage(1)
+      await loadTrash(1)
+    } catch (purgeError) {
+      alert(purgeError?.message || 'Unable to purge the trash right now.')
+    } finally {
+      setPurging(false)
+    }
+  }
+
+  return (
+    <section className="stack">
+      <header className="card">
+        <div>
+          <h2>Trash</h2>
+          <p className="section-description">
+            Deleted documents stay here{retentionDays ? ` for ${retentionDays} days` : ''} before they are purged
+            automatically. Restoring a document puts its file back into the year / customer / month folders.
+          </p>
+        </div>
+        <div className="pagination">
+          {canPurge && (
+            <button type="button" onClick={purgeExpired} disabled={purging}>
+              {purging ? 'Purging…' : 'Purge expired now'}
+            </button>
+          )}
+          <button type="button" onClick={() => setPage((value) => Math.max(1, value - 1))} disabled={page === 1}>
+            Previous
+          </button>
+          <span>
+            Page {page} of {totalPages}
+            <small>{total} documents in trash</small>
+          </span>
+          <button
+            type="button"
+            onClick={() => setPage((value) => Math.min(totalPages, value + 1))}
+            disabled={page >= totalPages}
+          >
+            Next
+          </button>
+        </div>
+      </header>
+
+      {error && (
+        <p className="status error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {loading && !documents.length ? (
+        <p className="empty-state">Loading trash…</p>
+      ) : !documents.length ? (
+        <p className="empty-state">The trash is empty.</p>
+      ) : (
+        <div className="table-wrapper">
+          <table className="archive-table">
+            <thead>
+              <tr>
+                <th>Name</th>
+                <th>Year</th>
+                <th>Customer</th>
+                <th>Month</th>
+                <th>Invoice type</th>
+                <th>Amount</th>
+                <th>Deleted</th>
+                <th>Purged after</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {documents.map((document) => {
+                const busy = busyId === document._id
+                return (
+                  <tr key={document._id}>
+                    <td data-label="Name">{document.storedName || document.originalName || 'Untitled document'}</td>
+                    <td data-label="Year">{document.year || '—'}</td>
+                    <td data-label="Customer" dir="auto">
+                      {document.merchantName || '—'}
+                    </td>
+                    <td data-label="Month">{document.month || '—'}</td>
+                    <td data-label="Invoice type">
+                      {INVOICE_TYPE_LABELS[document.invoiceType] || document.invoiceType || '—'}
+                    </td>
+                    <td data-label="Amount">${resolveDocumentAmount(document).toFixed(2)}</td>
+                    <td data-label="Deleted">{formatDate(document.deletedAt)}</td>
+                    <td data-label="Purged after">{formatDate(document.purgeAt)}</td>
+                    <td data-label="Actions" className="actions table-actions">
+                      <button type="button" className="link" onClick={() => restore(document)} disabled={busy}>
+                        {busy ? 'Working…' : 'Restore'}
+                      </button>
+                      {canPurge && (
+                        <button
+                          type="button"
+                          className="link danger-link"
+                          onClick={() => purge(document)}
+                          disabled={busy}
+                        >
+                          Delete permanently
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
@@ -1,11 +1,64 @@
 import { useMemo, useRef, useState } from 'react'
 import { api, ApiError } from '../services/api'
 import { useArchiveContext } from '../context/ArchiveContext'
-import { INVOICE_TYPES, MONTHS } from '../constants/archive'
+import { useAuthContext } from '../context/AuthContext'
+import {
+  CONTENT_WARNING_LABELS,
+  DUPLICATE_POLICIES,
+  IMAGE_PDF_FITS,
+  IMAGE_PDF_PAGE_SIZES,
+  INVOICE_TYPES,
+  MONTHS,
+  UPLOAD_ACCEPT,
+  UPLOAD_IMAGE_EXTENSIONS,
+  UPLOAD_MIME_TYPES,
+} from '../constants/archive'
 import { normaliseAmountInput, parseAmountInput } from '../utils/amount'
+import { canAccessDocument, getGrantedMerchants } from '../utils/access'
+import { formatSize } from '../utils/format'
+import { collectMerchantNames } from '../utils/hierarchy'
+
+// Empty values leave the choice to the archive defaults configured on the server.
+const EMPTY_IMAGE_OPTIONS = {
+  pageSize: '',
+  fit: '',
+  margin: '',
+  quality: '',
+  autoRotate: '',
+  greyscale: '',
+  keepOriginals: '',
+}
+
+const isImageFile = (file) =>
+  file.type.startsWith('image/') ||
+  UPLOAD_IMAGE_EXTENSIONS.some((extension) => file.name.toLowerCase().endsWith(extension))
+
+const describeMatch = (match) => {
+  const name = match.storedName || match.originalName || 'Untitled document'
+  return `${name} (${[match.merchantName, match.month, match.year].filter(Boolean).join(' / ')})`
+}
+
+const describeConversion = (conversion) => {
+  const difference =
+    conversion.savedBytes >= 0
+      ? `${formatSize(conversion.savedBytes)} smaller than the images`
+      : `${formatSize(-conversion.savedBytes)} larger than the images`
+  return `The images were combined into a ${conversion.pageCount}-page PDF of ${formatSize(conversion.size)} (${difference}).`
+}
+
+// PDFs that are password protected or carry scripts are archived, but the uploader should know about them.
+const describeContentWarnings = (documents) =>
+  documents
+    .filter((document) => document.contentWarnings?.length)
+    .map((document) => {
+      const labels = document.contentWarnings.map((warning) => CONTENT_WARNING_LABELS[warning] || warning)
+      return `${document.originalName}: ${labels.join(', ').toLowerCase()}`
+    })
+    .join('; ')
 
 export const Upload = () => {
   const { refresh, hierarchy } = useArchiveContext()
+  const { user } = useAuthContext()
   const [files, setFiles] = useState([])
   const [notes, setNotes] = useState('')
   const [year, setYear] = useState(() => String(new Date().getFullYear()))
@@ -13,26 +66,22 @@ export const Upload = () => {
   const [month, setMonth] = useState(() => MONTHS[new Date().getMonth()] ?? MONTHS[0])
   const [amount, setAmount] = useState('')
   const [invoiceType, setInvoiceType] = useState('sales')
+  const [duplicatePolicy, setDuplicatePolicy] = useState('warn')
+  const [imageOptions, setImageOptions] = useState(EMPTY_IMAGE_OPTIONS)
+  const [duplicates, setDuplicates] = useState([])
   const [progress, setProgress] = useState(null)
   const [status, setStatus] = useState({ type: 'idle', message: '' })
   const fileInputRef = useRef(null)
 
+  const grantedMerchants = useMemo(() => getGrantedMerchants(user), [user])
+
   const merchantOptions = useMemo(() => {
-    const years = hierarchy?.years ?? []
-    const names = new Set()
-
-    years.forEach((yearEntry) => {
-      const merchants = yearEntry?.merchants ?? []
-      merchants.forEach((merchantEntry) => {
-        const name = merchantEntry?.name?.trim()
-        if (name) {
-          names.add(name)
-        }
-      })
-    })
+    if (grantedMerchants) {
+      return grantedMerchants
+    }
 
-    return Array.from(names).sort((a, b) => a.localeCompare(b, 'ar'))
-  }, [hierarchy])
+    return collectMerchantNames(hierarchy)
+  }, [grantedMerchants, hierarchy])
 
   const parsedAmount = useMemo(() => parseAmountInput(amount, { defaultValue: 0 }), [amount])
   const hasInvalidAmount = Number.isNaN(parsedAmount)
@@ -42,9 +91,23 @@ export const Upload = () => {
     return !year || !trimmedMerchant || !month || !invoiceType
   }, [year, merchant, month, invoiceType])
 
+  const isOutOfScope = useMemo(
+    () =>
+      Boolean(merchant.trim()) &&
+      !canAccessDocument(user, { merchantName: merchant, year: Number(year), invoiceType }),
+    [user, merchant, year, invoiceType],
+  )
+
+  const allImages = files.length > 0 && files.every(isImageFile)
+
+  const updateImageOption = (key) => (event) => {
+    const { value } = event.target
+    setImageOptions((current) => ({ ...current, [key]: value }))
+  }
+
   const isUploadDisabled = useMemo(
-    () => invalidMetadata || hasInvalidAmount || files.length === 0 || status.type === 'loading',
-    [invalidMetadata, hasInvalidAmount, files.length, status.type],
+    () => invalidMetadata || hasInvalidAmount || isOutOfScope || files.length === 0 || status.type === 'loading',
+    [invalidMetadata, hasInvalidAmount, isOutOfScope, files.length, status.type],
   )
 
   const resetMetadata = () => {
@@ -68,20 +131,12 @@ export const Upload = () => {
       return
     }
 
-    const allowedTypes = [
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'image/jpeg',
-      'image/png',
-    ]
-
-    const invalidFiles = selectedFiles.filter((file) => !allowedTypes.includes(file.type))
+    const invalidFiles = selectedFiles.filter((file) => !UPLOAD_MIME_TYPES.includes(file.type) && !isImageFile(file))
 
     if (invalidFiles.length > 0) {
       setStatus({
         type: 'error',
-        message: 'Only PDF, Word, or image files (JPEG, PNG) are allowed.',
+        message: 'Only PDF, Word, or image files (JPEG, PNG, TIFF, WebP, HEIC) are allowed.',
       })
       setFiles([])
       if (event.target) {
@@ -92,6 +147,7 @@ export const Upload = () => {
 
     setFiles(selectedFiles)
     setProgress(null)
+    setDuplicates([])
     setStatus({ type: 'idle', message: '' })
   }
 
@@ -119,10 +175,11 @@ export const Upload = () => {
     }
 
     setProgress(0)
+    setDuplicates([])
     setStatus({ type: 'loading', message: 'Uploading documents…' })
 
     try {
-      await api.uploadDocument(
+      const result = await api.uploadDocument(
         {
           files,
           notes,
@@ -131,6 +188,8 @@ export const Upload = () => {
           year: numericYear,
           merchant: trimmedMerchant,
           month,
+          onDuplicate: duplicatePolicy,
+          imageOptions: allImages ? imageOptions : undefined,
         },
         {
           onProgress: (percent) => {
@@ -139,7 +198,22 @@ export const Upload = () => {
         },
       )
 
-      setStatus({ type: 'success', message: 'Documents uploaded successfully.' })
+      const foundDuplicates = result?.duplicates ?? []
+      const conversionSummary = result?.conversion ? ` ${describeConversion(result.conversion)}` : ''
+      const contentWarnings = describeContentWarnings(result?.documents ?? [])
+      const warningSummary = contentWarnings ? ` Check these files before sharing them (${contentWarnings}).` : ''
+      setDuplicates(foundDuplicates)
+      setStatus(
+        foundDuplicates.length > 0
+          ? {
+              type: 'warning',
+              message: `Documents uploaded, but some files match documents that are already archived.${warningSummary}${conversionSummary}`,
+            }
+          : {
+              type: contentWarnings ? 'warning' : 'success',
+              message: `Documents uploaded successfully.${warningSummary}${conversionSummary}`,
+            },
+      )
       setProgress(100)
       resetMetadata()
       refresh()
@@ -148,6 +222,7 @@ export const Upload = () => {
       }, 300)
     } catch (error) {
       const message = error instanceof ApiError ? error.message : 'Upload failed. Please try again.'
+      setDuplicates(error instanceof ApiError ? error.details?.duplicates ?? [] : [])
       setStatus({ type: 'error', message })
       setProgress(null)
     }
@@ -173,7 +248,7 @@ export const Upload = () => {
             type="file"
             ref={fileInputRef}
             multiple
-            accept=".pdf,.doc,.docx,.jpg,.jpeg,.png,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,image/jpeg,image/png"
+            accept={UPLOAD_ACCEPT}
             onChange={handleFileChange}
           />
           {files.length > 0 && <p className="hint">Selected: {files.map((file) => file.name).join(', ')}</p>}
@@ -223,6 +298,9 @@ export const Upload = () => {
                 ))}
               </datalist>
             )}
+            {isOutOfScope && (
+              <p className="hint warning">You do not have access to this customer for the selected year and invoice type.</p>
+            )}
           </div>
 
           <div className="field">
@@ -273,6 +351,119 @@ export const Upload = () => {
           </div>
         </div>
 
+        {allImages && (
+          <fieldset className="tags-fieldset">
+            <legend>PDF conversion</legend>
+            <p className="hint">
+              The selected images are combined into one PDF, each page of a multi-page TIFF becoming a page. Empty
+              fields use the archive defaults.
+            </p>
+            <div className="upload-metadata-grid">
+              <div className="field">
+                <label htmlFor="image-page-size">Page size</label>
+                <select id="image-page-size" value={imageOptions.pageSize} onChange={updateImageOption('pageSize')}>
+                  <option value="">Archive default</option>
+                  {IMAGE_PDF_PAGE_SIZES.map((size) => (
+                    <option key={size.value} value={size.value}>
+                      {size.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-fit">Fit</label>
+                <select
+                  id="image-fit"
+                  value={imageOptions.fit}
+                  onChange={updateImageOption('fit')}
+                  disabled={imageOptions.pageSize === 'original'}
+                >
+                  <option value="">Archive default</option>
+                  {IMAGE_PDF_FITS.map((fit) => (
+                    <option key={fit.value} value={fit.value}>
+                      {fit.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-margin">Margin (mm)</label>
+                <input
+                  id="image-margin"
+                  type="number"
+                  min="0"
+                  max="50"
+                  value={imageOptions.margin}
+                  onChange={updateImageOption('margin')}
+                  placeholder="Default"
+                  disabled={imageOptions.pageSize === 'original'}
+                />
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-quality">JPEG quality (10-100)</label>
+                <input
+                  id="image-quality"
+                  type="number"
+                  min="10"
+                  max="100"
+                  value={imageOptions.quality}
+                  onChange={updateImageOption('quality')}
+                  placeholder="Default"
+                />
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-auto-rotate">Rotation</label>
+                <select id="image-auto-rotate" value={imageOptions.autoRotate} onChange={updateImageOption('autoRotate')}>
+                  <option value="">Archive default</option>
+                  <option value="true">Follow the camera orientation</option>
+                  <option value="false">Keep the pixels as stored</option>
+                </select>
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-greyscale">Colour</label>
+                <select id="image-greyscale" value={imageOptions.greyscale} onChange={updateImageOption('greyscale')}>
+                  <option value="">Archive default</option>
+                  <option value="false">Colour</option>
+                  <option value="true">Greyscale</option>
+                </select>
+              </div>
+
+              <div className="field">
+                <label htmlFor="image-keep-originals">Original images</label>
+                <select
+                  id="image-keep-originals"
+                  value={imageOptions.keepOriginals}
+                  onChange={updateImageOption('keepOriginals')}
+                >
+                  <option value="">Archive default</option>
+                  <option value="true">Keep next to the PDF</option>
+                  <option value="false">Discard after conversion</option>
+                </select>
+              </div>
+            </div>
+          </fieldset>
+        )}
+
+        <div className="field">
+          <label htmlFor="document-duplicate-policy">If a file is already archived</label>
+          <select
+            id="document-duplicate-policy"
+            value={duplicatePolicy}
+            onChange={(event) => setDuplicatePolicy(event.target.value)}
+          >
+            {DUPLICATE_POLICIES.map((policy) => (
+              <option key={policy.value} value={policy.value}>
+                {policy.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
         {progress !== null && (
           <div className="progress">
             <div className="progress-track" aria-hidden>
@@ -292,6 +483,20 @@ export const Upload = () => {
           {status.message}
         </p>
       )}
+
+      {duplicates.length > 0 && (
+        <ul className="duplicate-list">
+          {duplicates.map((duplicate) => (
+            <li key={`${duplicate.file}-${duplicate.contentHash}`} dir="auto">
+              <strong>{duplicate.file}</strong> matches{' '}
+              {[
+                ...duplicate.matches.map(describeMatch),
+                ...(duplicate.sameAsFile ? [`${duplicate.sameAsFile} in this upload`] : []),
+              ].join(', ')}
+            </li>
+          ))}
+        </ul>
+      )}
     </section>
   )
 }
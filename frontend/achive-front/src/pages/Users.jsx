@@ -0,0 +1,305 @@
+import { useCallback, useEffect, useMemo, useState } from 'react'
+import { api } from '../services/api'
+import { ROLE_LABELS, ROLES } from '../constants/archive'
+import { AccessEditor } from '../components/AccessEditor'
+import { useArchiveContext } from '../context/ArchiveContext'
+import { useAuthContext } from '../context/AuthContext'
+import { collectMerchantNames } from '../utils/hierarchy'
+
+const EMPTY_FORM = {
+  username: '',
+  displayName: '',
+  password: '',
+  role: 'viewer',
+}
+
+const describeAccess = (account) => {
+  if (account.role === 'admin' || account.accessScope !== 'granted') {
+    return 'All customers'
+  }
+  const count = account.accessGrants?.length ?? 0
+  if (count === 0) {
+    return 'No customers'
+  }
+  return account.accessGrants.map((grant) => grant.merchantName).join('، ')
+}
+
+const formatDate = (value) => {
+  if (!value) {
+    return '—'
+  }
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    return value
+  }
+  return date.toLocaleString()
+}
+
+export const Users = () => {
+  const { user: currentUser } = useAuthContext()
+  const { hierarchy } = useArchiveContext()
+  const [users, setUsers] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [status, setStatus] = useState({ type: 'idle', message: '' })
+  const [savingId, setSavingId] = useState('')
+  const [accessState, setAccessState] = useState({ open: false, user: null, saving: false, error: '' })
+
+  const merchantOptions = useMemo(() => collectMerchantNames(hierarchy), [hierarchy])
+
+  const loadUsers = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const data = await api.listUsers()
+      setUsers(data.users || [])
+    } catch (apiError) {
+      console.error(apiError)
+      setError(apiError.message || 'Unable to load users right now.')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    loadUsers()
+  }, [loadUsers])
+
+  const handleFormChange = (field, value) => {
+    setForm((previous) => ({ ...previous, [field]: value }))
+  }
+
+  const handleCreate = async (event) => {
+    event.preventDefault()
+
+    if (!form.username.trim() || form.password.length < 8) {
+      setStatus({ type: 'error', message: 'Username is required and passwords need at least 8 characters.' })
+      return
+    }
+
+    setStatus({ type: 'loading', message: 'Creating user…' })
+
+    try {
+      await api.createUser({
+        username: form.username.trim(),
+        displayName: form.displayName.trim() || undefined,
+        password: form.password,
+        role: form.role,
+      })
+      setForm(EMPTY_FORM)
+      setStatus({ type: 'success', message: 'User created.' })
+      await loadUsers()
+    } catch (createError) {
+      setStatus({ type: 'error', message: createError.message || 'Unable to create the user.' })
+    }
+  }
+
+  const applyUpdate = async (account, updates) => {
+    setSavingId(account._id)
+    try {
+      await api.updateUser(account._id, updates)
+      await loadUsers()
+    } catch (updateError) {
+      alert(updateError.message || 'Unable to update this user right now.')
+    } finally {
+      setSavingId('')
+    }
+  }
+
+  const openAccessEditor = (account) => {
+    setAccessState({ open: true, user: account, saving: false, error: '' })
+  }
+
+  const closeAccessEditor = () => {
+    setAccessState({ open: false, user: null, saving: false, error: '' })
+  }
+
+  const submitAccess = async (payload) => {
+    if (!accessState.user) {
+      return
+    }
+
+    setAccessState((previous) => ({ ...previous, saving: true, error: '' }))
+
+    try {
+      await api.updateUser(accessState.user._id, payload)
+      closeAccessEditor()
+      await loadUsers()
+    } catch (updateError) {
+      setAccessState((previous) => ({
+        ...previous,
+        saving: false,
+        error: updateError.message || 'Unable to update access right now.',
+      }))
+    }
+  }
+
+  const resetPassword = (account) => {
+    const password = window.prompt(`New password for "${account.username}" (at least 8 characters):`)
+    if (!password) {
+      return
+    }
+    if (password.length < 8) {
+      alert('Passwords need at least 8 characters.')
+      return
+    }
+    applyUpdate(account, { password })
+  }
+
+  return (
+    <section className="stack">
+      <section className="card">
+        <h2>Add user</h2>
+        <p className="section-description">
+          Viewers can search and download, uploaders can add documents, editors can change or delete them, and
+          admins manage accounts.
+        </p>
+
+        <form className="upload-metadata-grid" onSubmit={handleCreate}>
+          <div className="field">
+            <label htmlFor="user-username">Username</label>
+            <input
+              id="user-username"
+              type="text"
+              autoComplete="off"
+              value={form.username}
+              onChange={(event) => handleFormChange('username', event.target.value)}
+              required
+            />
+          </div>
+          <div className="field">
+            <label htmlFor="user-display-name">Display name</label>
+            <input
+              id="user-display-name"
+              type="text"
+              value={form.displayName}
+              onChange={(event) => handleFormChange('displayName', event.target.value)}
+              dir="auto"
+            />
+          </div>
+          <div className="field">
+            <label htmlFor="user-password">Password</label>
+            <input
+              id="user-password"
+              type="password"
+              autoComplete="new-password"
+              value={form.password}
+              onChange={(event) => handleFormChange('password', event.target.value)}
+              required
+            />
+          </div>
+          <div className="field">
+            <label htmlFor="user-role">Role</label>
+            <select id="user-role" value={form.role} onChange={(event) => handleFormChange('role', event.target.value)}>
+              {ROLES.map((role) => (
+                <option key={role.value} value={role.value}>
+                  {role.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="actions">
+            <button type="submit" className="primary" disabled={status.type === 'loading'}>
+              Create user
+            </button>
+          </div>
+        </form>
+
+        {status.message && status.type !== 'loading' && (
+          <p className={`status ${status.type}`} role={status.type === 'error' ? 'alert' : 'status'}>
+            {status.message}
+          </p>
+        )}
+      </section>
+
+      {error && (
+        <p className="status error" role="alert">
+          {error}
+        </p>
+      )}
+
+      {loading && !users.length ? (
+        <p className="empty-state">Loading users…</p>
+      ) : (
+        <div className="table-wrapper">
+          <table className="archive-table">
+            <thead>
+              <tr>
+                <th>Username</th>
+                <th>Display name</th>
+                <th>Role</th>
+                <th>Customers</th>
+                <th>Status</th>
+                <th>Last sign-in</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((account) => {
+                const isSelf = account._id === currentUser?._id
+                const busy = savingId === account._id
+
+                return (
+                  <tr key={account._id}>
+                    <td data-label="Username">{account.username}</td>
+                    <td data-label="Display name" dir="auto">
+                      {account.displayName || '—'}
+                    </td>
+                    <td data-label="Role">
+                      <select
+                        value={account.role}
+                        onChange={(event) => applyUpdate(account, { role: event.target.value })}
+                        disabled={busy || isSelf}
+                        aria-label={`Role for ${account.username}`}
+                      >
+                        {ROLES.map((role) => (
+                          <option key={role.value} value={role.value}>
+                            {ROLE_LABELS[role.value]}
+                          </option>
+                        ))}
+                      </select>
+                    </td>
+                    <td data-label="Customers" dir="auto">
+                      {describeAccess(account)}
+                    </td>
+                    <td data-label="Status">{account.active ? 'Active' : 'Disabled'}</td>
+                    <td data-label="Last sign-in">{formatDate(account.lastLoginAt)}</td>
+                    <td data-label="Actions" className="actions table-actions">
+                      <button type="button" className="link" onClick={() => openAccessEditor(account)} disabled={busy}>
+                        Customer access
+                      </button>
+                      <button type="button" className="link" onClick={() => resetPassword(account)} disabled={busy}>
+                        Reset password
+                      </button>
+                      {!isSelf && (
+                        <button
+                          type="button"
+                          className={account.active ? 'link danger-link' : 'link'}
+                          onClick={() => applyUpdate(account, { active: !account.active })}
+                          disabled={busy}
+                        >
+                          {account.active ? 'Disable' : 'Enable'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <AccessEditor
+        open={accessState.open}
+        user={accessState.user}
+        merchantOptions={merchantOptions}
+        onClose={closeAccessEditor}
+        onSubmit={submitAccess}
+        saving={accessState.saving}
+        error={accessState.error}
+      />
+    </section>
+  )
+}
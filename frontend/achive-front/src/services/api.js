@@ -15,6 +15,45 @@ class ApiError extends Error {
   }
 }
 
+const SESSION_STORAGE_KEY = 'ama-archive-session';
+
+const sessionListeners = new Set();
+
+const readStoredSession = () => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  try {
+    const raw = window.localStorage.getItem(SESSION_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+let session = readStoredSession();
+
+const getSession = () => session;
+
+const setSession = (nextSession) => {
+  session = nextSession || null;
+  if (typeof window !== 'undefined') {
+    if (session) {
+      window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    } else {
+      window.localStorage.removeItem(SESSION_STORAGE_KEY);
+    }
+  }
+  sessionListeners.forEach((listener) => listener(session));
+};
+
+const onSessionChange = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const authHeaders = () => (session?.accessToken ? { Authorization: `Bearer ${session.accessToken}` } : {});
+
 const parseError = async (response) => {
   try {
     const payload = await response.clone().json();
@@ -30,15 +69,62 @@ const parseError = async (response) => {
   return response.statusText || 'Unexpected error';
 };
 
-const request = async (path, options = {}) => {
+let refreshInFlight = null;
+
+const refreshSession = () => {
+  if (!session?.refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!refreshInFlight) {
+    refreshInFlight = fetch(`${BASE_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken: session.refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          setSession(null);
+          return false;
+        }
+        setSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+
+  return refreshInFlight;
+};
+
+const authorisedFetch = async (path, options = {}, { retry = true } = {}) => {
   const response = await fetch(`${BASE_URL}${path}`, {
+    ...options,
     headers: {
       Accept: 'application/json',
+      ...authHeaders(),
       ...(options.headers || {}),
     },
-    ...options,
   });
 
+  if (response.status === 401 && retry && session?.refreshToken) {
+    const refreshed = await refreshSession();
+    if (refreshed) {
+      return authorisedFetch(path, options, { retry: false });
+    }
+  }
+
+  return response;
+};
+
+const request = async (path, options = {}) => {
+  const response = await authorisedFetch(path, options);
+
   if (!response.ok) {
     const message = await parseError(response);
     throw new ApiError(message, response.status);
@@ -59,11 +145,14 @@ const buildQueryString = (params) => {
   return query ? `?${query}` : '';
 };
 
-const uploadDocument = (payload, { onProgress } = {}) =>
+const sendMultipart = (path, formData, { onProgress, method = 'POST' } = {}, { retry = true } = {}) =>
   new Promise((resolve, reject) => {
     try {
       const xhr = new XMLHttpRequest();
-      xhr.open('POST', `${BASE_URL}/api/documents`);
+      xhr.open(method, `${BASE_URL}${path}`);
+      Object.entries(authHeaders()).forEach(([header, value]) => {
+        xhr.setRequestHeader(header, value);
+      });
 
       xhr.upload.onprogress = (event) => {
         if (!event.lengthComputable) {
@@ -81,6 +170,17 @@ const uploadDocument = (payload, { onProgress } = {}) =>
 
       xhr.onload = () => {
         const { status, responseText } = xhr;
+        if (status === 401 && retry && session?.refreshToken) {
+          refreshSession()
+            .then((refreshed) => {
+              if (!refreshed) {
+                throw new ApiError('Your session has expired. Please sign in again.', 401);
+              }
+              return sendMultipart(path, formData, { onProgress, method }, { retry: false });
+            })
+            .then(resolve, reject);
+          return;
+        }
         if (status >= 200 && status < 300) {
           try {
             const data = JSON.parse(responseText);
@@ -98,59 +198,109 @@ const uploadDocument = (payload, { onProgress } = {}) =>
         }
       };
 
-      const formData = new FormData();
+      xhr.send(formData);
+    } catch (error) {
+      reject(new ApiError(error.message || 'Unexpected error while uploading.'));
+    }
+  });
 
-      if (payload.files?.length) {
-        payload.files.forEach((file) => {
-          formData.append('files', file);
-        });
-      }
+const uploadDocument = (payload, { onProgress } = {}) => {
+  const formData = new FormData();
 
-      if (payload.notes) {
-        formData.append('notes', payload.notes);
-      }
+  if (payload.files?.length) {
+    payload.files.forEach((file) => {
+      formData.append('files', file);
+    });
+  }
 
-      if (payload.tags?.length) {
-        formData.append('tags', JSON.stringify(payload.tags));
-      }
+  if (payload.notes) {
+    formData.append('notes', payload.notes);
+  }
 
-      if (payload.amount !== undefined && payload.amount !== null) {
-        formData.append('amount', String(payload.amount));
-      }
+  if (payload.tags?.length) {
+    formData.append('tags', JSON.stringify(payload.tags));
+  }
 
-      if (payload.invoiceType) {
-        formData.append('invoiceType', payload.invoiceType);
-      }
+  if (payload.amount !== undefined && payload.amount !== null) {
+    formData.append('amount', String(payload.amount));
+  }
 
-      if (payload.year) {
-        formData.append('year', String(payload.year));
-      }
+  if (payload.invoiceType) {
+    formData.append('invoiceType', payload.invoiceType);
+  }
 
-      if (payload.merchant) {
-        formData.append('merchant', payload.merchant);
-      }
+  if (payload.year) {
+    formData.append('year', String(payload.year));
+  }
 
-      if (payload.month) {
-        formData.append('month', payload.month);
-      }
+  if (payload.merchant) {
+    formData.append('merchant', payload.merchant);
+  }
 
-      xhr.send(formData);
-    } catch (error) {
-      reject(new ApiError(error.message || 'Unexpected error while uploading.'));
+  if (payload.month) {
+    formData.append('month', payload.month);
+  }
+
+  if (payload.onDuplicate) {
+    formData.append('onDuplicate', payload.onDuplicate);
+  }
+
+  // Unset conversion options fall back to the archive defaults.
+  Object.entries(payload.imageOptions || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      formData.append(key, String(value));
     }
   });
 
-const listDocuments = async (
-  { name, price, amount, invoiceType, year, merchant, month, limit = 10, skip = 0, includeTotal } = {},
-) => {
+  return sendMultipart('/api/documents', formData, { onProgress });
+};
+
+const listDocuments = async ({
+  name,
+  q,
+  price,
+  amount,
+  invoiceType,
+  year,
+  merchant,
+  month,
+  amountMin,
+  amountMax,
+  priceMin,
+  priceMax,
+  yearFrom,
+  yearTo,
+  monthFrom,
+  monthTo,
+  createdFrom,
+  createdTo,
+  sort,
+  cursor,
+  limit = 10,
+  skip = 0,
+  includeTotal,
+} = {}) => {
   const query = buildQueryString({
     name,
+    q,
     price,
     amount,
     invoiceType,
     year,
     merchant,
     month,
+    amountMin,
+    amountMax,
+    priceMin,
+    priceMax,
+    yearFrom,
+    yearTo,
+    monthFrom,
+    monthTo,
+    createdFrom,
+    createdTo,
+    sort,
+    cursor,
     limit,
     skip,
     includeTotal,
@@ -158,10 +308,61 @@ const listDocuments = async (
   return request(`/api/documents${query}`);
 };
 
+const exportDocuments = async ({ format = 'csv', ...params } = {}) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const response = await authorisedFetch(`/api/documents/export${buildQueryString({ ...params, format })}`);
+  if (!response.ok) {
+    const message = await parseError(response);
+    throw new ApiError(message, response.status);
+  }
+  const blob = await response.blob();
+  saveBlob(blob, `archive-export-${new Date().toISOString().slice(0, 10)}.${format}`);
+  return true;
+};
+
+const downloadDocumentsZip = async (params = {}, { onProgress } = {}) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const response = await authorisedFetch(`/api/documents/zip${buildQueryString(params)}`, {
+    headers: { Accept: 'application/zip' },
+  });
+  if (!response.ok) {
+    const message = await parseError(response);
+    throw new ApiError(message, response.status);
+  }
+
+  const estimatedSize = Number(response.headers.get('X-Archive-Estimated-Size')) || 0;
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    received += value.length;
+    if (onProgress && estimatedSize) {
+      onProgress(Math.min(99, Math.round((received / estimatedSize) * 100)));
+    }
+  }
+  onProgress?.(100);
+
+  const folder = [params.year, params.merchant, params.month].filter(Boolean).join('-');
+  saveBlob(new Blob(chunks, { type: 'application/zip' }), `archive-${folder || new Date().toISOString().slice(0, 10)}.zip`);
+  return true;
+};
+
+const getReportSummary = async (params = {}) => request(`/api/reports/summary${buildQueryString(params)}`);
+
 const getHierarchy = () => request('/api/documents/hierarchy');
 
-const fetchDocumentFile = async (id) => {
-  const response = await fetch(`${BASE_URL}/api/documents/${id}/file`);
+const fetchDocumentFile = async (id, { version } = {}) => {
+  const response = await authorisedFetch(`/api/documents/${id}/file${buildQueryString({ version })}`);
   if (!response.ok) {
     const message = await parseError(response);
     throw new ApiError(message, response.status);
@@ -169,27 +370,67 @@ const fetchDocumentFile = async (id) => {
   return response.blob();
 };
 
-const downloadDocument = async (id, filename) => {
-  if (typeof window === 'undefined') {
-    return null;
+const fetchDocumentThumbnail = async (id) => {
+  const response = await authorisedFetch(`/api/documents/${id}/thumbnail`, {
+    headers: { Accept: 'image/webp' },
+  });
+  if (!response.ok) {
+    const message = await parseError(response);
+    throw new ApiError(message, response.status);
   }
-  const blob = await fetchDocumentFile(id);
+  return response.blob();
+};
+
+const fetchPagePreview = async (id, page) => {
+  const response = await authorisedFetch(`/api/documents/${id}/pages/${page}/preview`, {
+    headers: { Accept: 'image/webp' },
+  });
+  if (!response.ok) {
+    const message = await parseError(response);
+    throw new ApiError(message, response.status);
+  }
+  return response.blob();
+};
+
+const saveBlob = (blob, filename) => {
   const url = URL.createObjectURL(blob);
   const anchor = document.createElement('a');
   anchor.href = url;
-  anchor.download = filename || `document-${id}`;
+  anchor.download = filename;
   document.body.appendChild(anchor);
   anchor.click();
   anchor.remove();
   URL.revokeObjectURL(url);
+};
+
+const downloadDocument = async (id, filename, { version } = {}) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const blob = await fetchDocumentFile(id, { version });
+  saveBlob(blob, filename || `document-${id}`);
   return true;
 };
 
-const previewDocument = async (id, filename) => {
+// Originals are numbered from 1, in the order the images were uploaded.
+const downloadOriginalImage = async (id, index, filename, { version } = {}) => {
   if (typeof window === 'undefined') {
     return null;
   }
-  const blob = await fetchDocumentFile(id);
+  const response = await authorisedFetch(`/api/documents/${id}/originals/${index}${buildQueryString({ version })}`);
+  if (!response.ok) {
+    const message = await parseError(response);
+    throw new ApiError(message, response.status);
+  }
+  saveBlob(await response.blob(), filename || `original-${index}`);
+  return true;
+};
+
+const previewDocument = async (id, filename, { version } = {}) => {
+  if (typeof window === 'undefined') {
+    return null;
+  }
+  const blob = await fetchDocumentFile(id, { version });
   const url = URL.createObjectURL(blob);
   const previewWindow = window.open(url, '_blank');
   if (previewWindow) {
@@ -233,15 +474,235 @@ const deleteDocument = async (id) =>
     method: 'DELETE',
   });
 
+// `ids` names the documents; with `allMatching` every document matching `filters` is changed instead.
+const bulkUpdateDocuments = async ({ ids, allMatching, filters = {} }, changes) =>
+  request(`/api/documents/bulk${buildQueryString(allMatching ? filters : {})}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ...changes, ...(allMatching ? { allMatching: true } : { ids }) }),
+  });
+
+const bulkDeleteDocuments = async ({ ids, allMatching, filters = {} }) =>
+  request(`/api/documents/bulk-delete${buildQueryString(allMatching ? filters : {})}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(allMatching ? { allMatching: true } : { ids }),
+  });
+
+const listDocumentVersions = async (id) => request(`/api/documents/${id}/versions`);
+
+const uploadDocumentVersion = (id, files, { onProgress } = {}) => {
+  const formData = new FormData();
+
+  files.forEach((file) => {
+    formData.append('files', file);
+  });
+
+  return sendMultipart(`/api/documents/${id}/versions`, formData, { onProgress });
+};
+
+const getDocumentPages = async (id) => request(`/api/documents/${id}/pages`);
+
+// `documents` lists `{ id, pages? }` in the order their pages are copied; pages are ranges such as "1-3, 5".
+const mergeDocuments = async (payload) =>
+  request('/api/documents/merge', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+const splitDocument = async (id, payload) =>
+  request(`/api/documents/${id}/split`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+const getDocumentOcr = async (id) => request(`/api/documents/${id}/ocr`);
+
+const rerunDocumentOcr = async (id) =>
+  request(`/api/documents/${id}/ocr`, {
+    method: 'POST',
+  });
+
+const getDocumentHistory = async (id) => request(`/api/documents/${id}/history`);
+
+const revertDocument = async (id, eventId) =>
+  request(`/api/documents/${id}/revert`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ eventId }),
+  });
+
+const listAuditEvents = async (
+  { action, documentId, userId, username, merchant, year, from, to, limit = 50, skip = 0 } = {},
+) => {
+  const query = buildQueryString({ action, documentId, userId, username, merchant, year, from, to, limit, skip });
+  return request(`/api/audit${query}`);
+};
+
+const listTrash = async ({ limit = 50, skip = 0 } = {}) =>
+  request(`/api/trash${buildQueryString({ limit, skip })}`);
+
+const restoreTrashedDocument = async (id) =>
+  request(`/api/trash/${id}/restore`, {
+    method: 'POST',
+  });
+
+const purgeTrashedDocument = async (id) =>
+  request(`/api/trash/${id}`, {
+    method: 'DELETE',
+  });
+
+const purgeTrash = async ({ olderThanDays } = {}) =>
+  request('/api/trash/purge', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(olderThanDays !== undefined ? { olderThanDays } : {}),
+  });
+
+const runIntegrityCheck = async ({ verifyHashes } = {}) =>
+  request(`/api/integrity${buildQueryString({ verifyHashes })}`);
+
+const relinkOrphan = async (path, documentId) =>
+  request('/api/integrity/relink', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ path, documentId }),
+  });
+
+const quarantineOrphan = async (path) =>
+  request('/api/integrity/quarantine', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ path }),
+  });
+
+const flagBrokenDocuments = async (ids, { verifyHashes } = {}) =>
+  request('/api/integrity/flag', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ ids, verifyHashes }),
+  });
+
+const login = async (username, password) => {
+  const data = await request('/api/auth/login', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ username, password }),
+  });
+  setSession(data);
+  return data.user;
+};
+
+const logout = async () => {
+  const refreshToken = session?.refreshToken;
+  setSession(null);
+  if (!refreshToken) {
+    return;
+  }
+  try {
+    await fetch(`${BASE_URL}/api/auth/logout`, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ refreshToken }),
+    });
+  } catch (error) {
+    console.error(error);
+  }
+};
+
+const getCurrentUser = async () => {
+  const data = await request('/api/auth/me');
+  return data.user;
+};
+
+const listUsers = () => request('/api/users');
+
+const createUser = async (payload) =>
+  request('/api/users', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
+const updateUser = async (id, payload) =>
+  request(`/api/users/${id}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(payload),
+  });
+
 export const api = {
   uploadDocument,
   listDocuments,
   downloadDocument,
+  downloadOriginalImage,
   previewDocument,
+  fetchDocumentThumbnail,
+  fetchPagePreview,
   reprintDocument,
   getHierarchy,
+  getReportSummary,
+  exportDocuments,
+  downloadDocumentsZip,
   updateDocument,
   deleteDocument,
+  bulkUpdateDocuments,
+  bulkDeleteDocuments,
+  listDocumentVersions,
+  uploadDocumentVersion,
+  getDocumentPages,
+  mergeDocuments,
+  splitDocument,
+  getDocumentOcr,
+  rerunDocumentOcr,
+  getDocumentHistory,
+  revertDocument,
+  listAuditEvents,
+  listTrash,
+  restoreTrashedDocument,
+  purgeTrashedDocument,
+  purgeTrash,
+  runIntegrityCheck,
+  relinkOrphan,
+  quarantineOrphan,
+  flagBrokenDocuments,
+  login,
+  logout,
+  getCurrentUser,
+  getSession,
+  onSessionChange,
+  listUsers,
+  createUser,
+  updateUser,
   BASE_URL,
 };
 
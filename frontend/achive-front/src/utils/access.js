@@ -0,0 +1,44 @@
+const normaliseMerchantKey = (value) => String(value ?? '').trim().toLowerCase()
+
+export const isAccessRestricted = (user) => Boolean(user) && user.role !== 'admin' && user.accessScope === 'granted'
+
+export const getGrantedMerchants = (user) => {
+  if (!isAccessRestricted(user)) {
+    return null
+  }
+
+  const grants = user.accessGrants || []
+  const names = new Map()
+  grants.forEach((grant) => {
+    const name = grant?.merchantName?.trim()
+    if (name && !names.has(normaliseMerchantKey(name))) {
+      names.set(normaliseMerchantKey(name), name)
+    }
+  })
+
+  return Array.from(names.values()).sort((a, b) => a.localeCompare(b, 'ar'))
+}
+
+export const canAccessDocument = (user, { merchantName, year, invoiceType } = {}) => {
+  if (!isAccessRestricted(user)) {
+    return true
+  }
+
+  const merchantKey = normaliseMerchantKey(merchantName)
+  if (!merchantKey) {
+    return false
+  }
+
+  return (user.accessGrants || []).some((grant) => {
+    if (normaliseMerchantKey(grant.merchantName) !== merchantKey) {
+      return false
+    }
+    if (grant.years?.length && !grant.years.map(Number).includes(Number(year))) {
+      return false
+    }
+    if (grant.invoiceTypes?.length && !grant.invoiceTypes.includes(invoiceType)) {
+      return false
+    }
+    return true
+  })
+}
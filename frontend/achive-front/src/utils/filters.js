@@ -0,0 +1,77 @@
+import { INVOICE_TYPE_LABELS } from '../constants/archive'
+
+export const EMPTY_RANGE_FILTERS = {
+  amountMin: '',
+  amountMax: '',
+  priceMin: '',
+  priceMax: '',
+  yearFrom: '',
+  yearTo: '',
+  monthFrom: '',
+  monthTo: '',
+  createdFrom: '',
+  createdTo: '',
+}
+
+const DOCUMENT_FILTER_FIELDS = [
+  'name',
+  'q',
+  'amount',
+  'invoiceType',
+  'year',
+  'merchant',
+  'month',
+  ...Object.keys(EMPTY_RANGE_FILTERS),
+]
+
+export const buildDocumentQuery = (filters) =>
+  Object.fromEntries(DOCUMENT_FILTER_FIELDS.map((field) => [field, filters[field] || undefined]))
+
+const RANGE_DESCRIPTIONS = [
+  { label: 'Amount', from: 'amountMin', to: 'amountMax' },
+  { label: 'Tag price', from: 'priceMin', to: 'priceMax' },
+  { label: 'Year', from: 'yearFrom', to: 'yearTo' },
+  { label: 'Month', from: 'monthFrom', to: 'monthTo' },
+  { label: 'Uploaded', from: 'createdFrom', to: 'createdTo' },
+]
+
+const describeRange = (label, from, to) => {
+  if (from && to) {
+    return from === to ? `${label}: ${from}` : `${label}: ${from} – ${to}`
+  }
+  if (from) {
+    return `${label}: from ${from}`
+  }
+  return `${label}: up to ${to}`
+}
+
+export const describeFilters = (filters) => {
+  const parts = []
+  if (filters.name) {
+    parts.push(`Name contains "${filters.name}"`)
+  }
+  if (filters.q) {
+    parts.push(`Text contains "${filters.q}"`)
+  }
+  if (filters.amount) {
+    parts.push(`Amount: ${filters.amount}`)
+  }
+  if (filters.invoiceType) {
+    parts.push(`Invoice type: ${INVOICE_TYPE_LABELS[filters.invoiceType] || filters.invoiceType}`)
+  }
+  if (filters.year) {
+    parts.push(`Year: ${filters.year}`)
+  }
+  if (filters.merchant) {
+    parts.push(`Customer: ${filters.merchant}`)
+  }
+  if (filters.month) {
+    parts.push(`Month: ${filters.month}`)
+  }
+  RANGE_DESCRIPTIONS.forEach(({ label, from, to }) => {
+    if (filters[from] || filters[to]) {
+      parts.push(describeRange(label, filters[from], filters[to]))
+    }
+  })
+  return parts.join(' • ')
+}
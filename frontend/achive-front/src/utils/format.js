@@ -0,0 +1,13 @@
+export const formatSize = (bytes) => {
+  const value = Number(bytes)
+  if (!Number.isFinite(value) || value < 0) {
+    return '—'
+  }
+  if (value < 1024) {
+    return `${value} B`
+  }
+  if (value < 1024 * 1024) {
+    return `${(value / 1024).toFixed(1)} KB`
+  }
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`
+}
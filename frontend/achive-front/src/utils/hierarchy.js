@@ -0,0 +1,16 @@
+export const collectMerchantNames = (hierarchy) => {
+  const years = hierarchy?.years ?? []
+  const names = new Set()
+
+  years.forEach((yearEntry) => {
+    const merchants = yearEntry?.merchants ?? []
+    merchants.forEach((merchantEntry) => {
+      const name = merchantEntry?.name?.trim()
+      if (name) {
+        names.add(name)
+      }
+    })
+  })
+
+  return Array.from(names).sort((a, b) => a.localeCompare(b, 'ar'))
+}
@@ -0,0 +1,15 @@
+// Writes page numbers as the ranges the merge and split endpoints read: [1, 2, 3, 5] becomes "1-3, 5".
+export const formatPageRanges = (pages) => {
+  const ranges = []
+
+  pages.forEach((page) => {
+    const range = ranges[ranges.length - 1]
+    if (range && page === range[1] + 1) {
+      range[1] = page
+    } else {
+      ranges.push([page, page])
+    }
+  })
+
+  return ranges.map(([first, last]) => (first === last ? String(first) : `${first}-${last}`)).join(', ')
+}